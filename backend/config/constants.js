@@ -13,10 +13,19 @@ const MIRROR_HOSTS = [
   "netnaija.video",
 ];
 
+// Default selected host - changeable at runtime through the admin API (see utils/hosts.js)
 const SELECTED_HOST = process.env.MOVIEBOX_API_HOST || `https://${MIRROR_HOSTS[0]}`;
 const HOST_PROTOCOL = "https";
 const HOST_URL = SELECTED_HOST.endsWith('/') ? SELECTED_HOST : `${SELECTED_HOST}/`;
 
+// CDN hosts media and subtitle download URLs point to - the download routes fetch nothing else
+// (overridable with DOWNLOAD_ALLOWED_HOSTS, see utils/ssrf.js)
+const DOWNLOAD_HOST_PATTERNS = [
+  "hakunaymatata.com",
+  "*.hakunaymatata.com",
+  "*.aoneroom.com",
+];
+
 const SUBJECT_TYPES = {
   ALL: 0,
   MOVIES: 1,
@@ -35,13 +44,76 @@ const DOWNLOAD_QUALITIES = [
 
 const DEFAULT_CAPTION_LANGUAGE = "English";
 
+// ISO 639-1 codes for caption language names (lanName) - 639-2 where there is no 639-1 code
+const CAPTION_LANGUAGE_CODES = {
+  arabic: "ar",
+  bengali: "bn",
+  chinese: "zh",
+  czech: "cs",
+  danish: "da",
+  dutch: "nl",
+  english: "en",
+  filipino: "fil",
+  finnish: "fi",
+  french: "fr",
+  german: "de",
+  greek: "el",
+  hebrew: "he",
+  hindi: "hi",
+  hungarian: "hu",
+  indonesian: "id",
+  italian: "it",
+  japanese: "ja",
+  korean: "ko",
+  malay: "ms",
+  norwegian: "no",
+  persian: "fa",
+  polish: "pl",
+  portuguese: "pt",
+  punjabi: "pa",
+  romanian: "ro",
+  russian: "ru",
+  spanish: "es",
+  swahili: "sw",
+  swedish: "sv",
+  tamil: "ta",
+  telugu: "te",
+  thai: "th",
+  turkish: "tr",
+  ukrainian: "uk",
+  urdu: "ur",
+  vietnamese: "vi",
+};
+
+// Withdrawn ISO 639 codes still used by some sources (e.g. "in_id" for Indonesian)
+const LEGACY_LANGUAGE_CODES = {
+  in: "id",
+  iw: "he",
+  ji: "yi",
+  jw: "jv",
+};
+
+// Response cache policies for upstream endpoints (seconds)
+// ttl: how long an entry is served as fresh
+// staleTtl: how long an expired entry may still be served while it is refreshed in the background
+const CACHE_POLICIES = {
+  "wefeed-h5-bff/web/home": { ttl: 10 * 60, staleTtl: 24 * 60 * 60 },
+  "wefeed-h5-bff/web/subject/trending": { ttl: 10 * 60, staleTtl: 6 * 60 * 60 },
+  "wefeed-h5-bff/web/subject/search-rank": { ttl: 15 * 60, staleTtl: 6 * 60 * 60 },
+  "wefeed-h5-bff/web/subject/everyone-search": { ttl: 30 * 60, staleTtl: 24 * 60 * 60 },
+};
+
 module.exports = {
   MIRROR_HOSTS,
   SELECTED_HOST,
   HOST_PROTOCOL,
   HOST_URL,
+  DOWNLOAD_HOST_PATTERNS,
   SUBJECT_TYPES,
   DOWNLOAD_QUALITIES,
   DEFAULT_CAPTION_LANGUAGE,
+  CAPTION_LANGUAGE_CODES,
+  LEGACY_LANGUAGE_CODES,
+  CACHE_POLICIES,
 };
 
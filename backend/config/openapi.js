@@ -0,0 +1,910 @@
+/**
+ * OpenAPI Document
+ * Describes the routes in routes/api.js, routes/download.js, routes/v2.js, routes/jobs.js,
+ * routes/library.js, routes/hls.js and routes/admin.js. Also drives request validation and
+ * coercion (see utils/validation.js)
+ *
+ * Paths of routes/api.js and routes/download.js are relative to the router, so they apply to
+ * both mounts (/ and /api); the other routers are listed under their mount path (/v2, /jobs,
+ * /library, /hls, /admin), which is also served under /api.
+ */
+
+const { SUBJECT_TYPES, DOWNLOAD_QUALITIES } = require('./constants');
+const { SUBTITLE_FORMATS } = require('../utils/subtitles');
+const { MANIFEST_FORMATS } = require('../utils/manifest');
+const { JOB_STATUS } = require('../utils/jobs');
+
+// Upper bound for perPage (upstream pages are 18-24 items)
+const MAX_PER_PAGE = 100;
+
+// Reusable parameters
+const params = {
+  subjectIdQuery: {
+    name: 'subjectId',
+    in: 'query',
+    required: true,
+    description: 'Subject (movie/TV series) ID',
+    schema: { type: 'string', minLength: 1 },
+  },
+  subjectIdPath: {
+    name: 'subjectId',
+    in: 'path',
+    required: true,
+    description: 'Subject (movie/TV series) ID',
+    schema: { type: 'string', minLength: 1 },
+  },
+  detailPath: {
+    name: 'detailPath',
+    in: 'query',
+    required: true,
+    description: 'Detail path from search results (e.g. avatar-WLDIi21IUBa)',
+    schema: { type: 'string', minLength: 1 },
+  },
+  se: {
+    name: 'se',
+    in: 'query',
+    description: 'Season number (0 for movies)',
+    schema: { type: 'integer', minimum: 0, default: 0 },
+  },
+  ep: {
+    name: 'ep',
+    in: 'query',
+    description: 'Episode number (0 for movies - forces se to 0)',
+    schema: { type: 'integer', minimum: 0, default: 0 },
+  },
+  page: (defaultPage, minimum) => ({
+    name: 'page',
+    in: 'query',
+    description: 'Page number',
+    schema: { type: 'integer', minimum, default: defaultPage },
+  }),
+  perPage: (defaultPerPage) => ({
+    name: 'perPage',
+    in: 'query',
+    description: 'Items per page',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, default: defaultPerPage },
+  }),
+  nocache: {
+    name: 'nocache',
+    in: 'query',
+    description: 'Skip the response cache (also: Cache-Control: no-cache)',
+    schema: { type: 'boolean' },
+  },
+  url: {
+    name: 'url',
+    in: 'query',
+    description: 'Media URL from the download metadata (without token only when ALLOW_RAW_DOWNLOAD_PARAMS=true)',
+    schema: { type: 'string', format: 'uri' },
+  },
+  cookies: {
+    name: 'cookies',
+    in: 'query',
+    description: 'Session cookies from the download metadata (_cookies) - only with ALLOW_RAW_DOWNLOAD_PARAMS=true, prefer token',
+    schema: { type: 'string' },
+  },
+  token: {
+    name: 'token',
+    in: 'query',
+    description: 'Signed download token from the download metadata (stands in for url, cookies and file name metadata)',
+    schema: { type: 'string', pattern: '^[A-Za-z0-9_-]+\\.[a-z0-9]+\\.[A-Za-z0-9_-]+$' },
+  },
+  filename: {
+    name: 'filename',
+    in: 'query',
+    description: 'File name for Content-Disposition',
+    schema: { type: 'string', maxLength: 255 },
+  },
+  keyword: {
+    name: 'keyword',
+    in: 'query',
+    required: true,
+    description: 'Search keyword',
+    schema: { type: 'string', minLength: 1 },
+  },
+  subjectType: {
+    name: 'subjectType',
+    in: 'query',
+    description: 'Subject type filter (0 all, 1 movies, 2 TV series, 6 music)',
+    schema: { type: 'integer', enum: Object.values(SUBJECT_TYPES), default: SUBJECT_TYPES.ALL },
+  },
+  jobId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Download job ID',
+    schema: { type: 'string', minLength: 1 },
+  },
+  libraryId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Library item ID',
+    schema: { type: 'string', minLength: 1 },
+  },
+  hlsUri: {
+    name: 'u',
+    in: 'query',
+    description: 'URI from a proxied playlist (nested playlist, segment, key or init section)',
+    schema: { type: 'string', minLength: 1 },
+  },
+};
+
+// Reusable responses
+const responses = {
+  upstream: {
+    description: 'Upstream response ({ code, message, data })',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/UpstreamResponse' } } },
+  },
+  badRequest: {
+    description: 'Invalid request parameters',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+  },
+  error: {
+    description: 'Upstream or server error',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  },
+  file: {
+    description: 'File stream',
+    content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } },
+  },
+  normalized: {
+    description: 'Normalized response (canonical schema, see utils/normalize.js)',
+    content: { 'application/json': { schema: { type: 'object' } } },
+  },
+  json: {
+    description: 'JSON response',
+    content: { 'application/json': { schema: { type: 'object' } } },
+  },
+  playlist: {
+    description: 'HLS playlist with every URI pointing back at the proxy',
+    content: { 'application/vnd.apple.mpegurl': { schema: { type: 'string' } } },
+  },
+  notFound: { description: 'Not found' },
+  unauthorized: { description: 'Missing or wrong ADMIN_API_TOKEN (503 when it is not configured)' },
+};
+
+// Library reads are admin-only unless the operator opts in
+const LIBRARY_ACCESS = 'Requires ADMIN_API_TOKEN unless LIBRARY_PUBLIC=true';
+
+// ADMIN_API_TOKEN as a bearer token or X-Admin-Token header (see utils/auth.js); library reads
+// add an empty requirement since LIBRARY_PUBLIC=true makes the token optional
+const ADMIN_SECURITY = [{ adminBearer: [] }, { adminToken: [] }];
+
+/**
+ * Build an operation with the standard responses
+ * @param {Object} fields - Operation fields (operationId, summary, parameters, ...)
+ * @param {Object} success - Success response (default: upstream response)
+ * @returns {Object} OpenAPI operation
+ */
+function operation(fields, success = responses.upstream) {
+  return {
+    ...fields,
+    responses: {
+      200: success,
+      400: responses.badRequest,
+      500: responses.error,
+      ...(fields.responses || {}),
+    },
+  };
+}
+
+/**
+ * Build a JSON request body
+ * @param {Object} properties - Schema properties
+ * @param {string[]} required - Required property names
+ * @returns {Object} OpenAPI request body
+ */
+function jsonBody(properties, required = []) {
+  return {
+    required: true,
+    content: {
+      'application/json': {
+        schema: { type: 'object', properties, required },
+      },
+    },
+  };
+}
+
+const searchBody = jsonBody({
+  keyword: { type: 'string', minLength: 1 },
+  page: { type: 'integer', minimum: 1, default: 1 },
+  perPage: { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, default: 24 },
+  subjectType: { type: 'integer', enum: Object.values(SUBJECT_TYPES), default: SUBJECT_TYPES.ALL },
+}, ['keyword']);
+
+const suggestBody = jsonBody({
+  keyword: { type: 'string', minLength: 1 },
+  per_page: { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, default: 10 },
+}, ['keyword']);
+
+// One job, or an array of jobs queued on their own (checked by createJob, not by validate)
+const jobSchema = {
+  type: 'object',
+  required: ['subjectId', 'detailPath'],
+  properties: {
+    subjectId: { type: 'string', minLength: 1 },
+    detailPath: { type: 'string', minLength: 1 },
+    season: { type: 'integer', minimum: 0, default: 0 },
+    episode: { type: 'integer', minimum: 0, default: 0 },
+    quality: { type: 'string', enum: DOWNLOAD_QUALITIES, default: 'BEST' },
+    subtitleLanguage: { type: 'string', description: 'Caption language code or name - also saves <name>.<lang>.srt' },
+  },
+};
+
+const downloadProxyParams = [
+  params.token,
+  params.url,
+  params.cookies,
+  { name: 'detailPath', in: 'query', description: 'Detail path (used to build the file name)', schema: { type: 'string' } },
+  { name: 'subjectId', in: 'query', description: 'Subject ID (used to build the file name)', schema: { type: 'string' } },
+  { name: 'season', in: 'query', schema: { type: 'integer', minimum: 0 } },
+  { name: 'episode', in: 'query', schema: { type: 'integer', minimum: 0 } },
+  { name: 'title', in: 'query', schema: { type: 'string' } },
+  { name: 'quality', in: 'query', schema: { type: 'string' } },
+  { name: 'resolution', in: 'query', description: 'Resolution, e.g. 1080 or 1080p', schema: { type: 'string', pattern: '^[0-9]+p?$' } },
+];
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Emnexmovies Backend API',
+    version: '1.0.0',
+    description: 'Proxy for the MovieBox API (or another content provider). Every route is served at / and /api.',
+  },
+  servers: [
+    { url: '/', description: 'Guide paths' },
+    { url: '/api', description: 'Backward compatible prefix' },
+  ],
+  paths: {
+    '/wefeed-h5-bff/web/home': {
+      get: operation({ operationId: 'getHome', summary: 'Homepage content', tags: ['Browse'], parameters: [params.nocache] }),
+    },
+    '/home': {
+      get: operation({ operationId: 'getHomeAlias', summary: 'Homepage content (alias)', tags: ['Browse'], parameters: [params.nocache] }),
+    },
+    '/wefeed-h5-bff/web/subject/search': {
+      post: operation({ operationId: 'search', summary: 'Search movies/TV series', tags: ['Search'], requestBody: searchBody }),
+    },
+    '/search': {
+      post: operation({ operationId: 'searchAlias', summary: 'Search movies/TV series (alias)', tags: ['Search'], requestBody: searchBody }),
+    },
+    '/wefeed-h5-bff/web/subject/search-suggest': {
+      post: operation({ operationId: 'searchSuggest', summary: 'Search suggestions', tags: ['Search'], requestBody: suggestBody }),
+    },
+    '/search-suggest': {
+      post: operation({ operationId: 'searchSuggestAlias', summary: 'Search suggestions (alias)', tags: ['Search'], requestBody: suggestBody }),
+    },
+    '/wefeed-h5-bff/web/subject/trending': {
+      get: operation({ operationId: 'getTrending', summary: 'Trending content', tags: ['Browse'], parameters: [params.page(0, 0), params.perPage(18), params.nocache] }),
+    },
+    '/trending': {
+      get: operation({ operationId: 'getTrendingAlias', summary: 'Trending content (alias)', tags: ['Browse'], parameters: [params.page(0, 0), params.perPage(18), params.nocache] }),
+    },
+    '/wefeed-h5-bff/web/subject/everyone-search': {
+      get: operation({ operationId: 'getPopularSearches', summary: 'Popular search terms', tags: ['Search'], parameters: [params.nocache] }),
+    },
+    '/popular-searches': {
+      get: operation({ operationId: 'getPopularSearchesAlias', summary: 'Popular search terms (alias)', tags: ['Search'], parameters: [params.nocache] }),
+    },
+    '/wefeed-h5-bff/web/subject/search-rank': {
+      get: operation({ operationId: 'getHotContent', summary: 'Hot content rankings', tags: ['Browse'], parameters: [params.nocache] }),
+    },
+    '/hot-content': {
+      get: operation({ operationId: 'getHotContentAlias', summary: 'Hot content rankings (alias)', tags: ['Browse'], parameters: [params.nocache] }),
+    },
+    '/movie/{subjectId}': {
+      get: operation({
+        operationId: 'getMovieDetails',
+        summary: 'Movie/TV series details parsed from the HTML detail page',
+        tags: ['Details'],
+        parameters: [params.subjectIdPath, params.detailPath],
+      }, {
+        description: 'Parsed detail page (subject, stars, resource, metadata, ...)',
+        content: { 'application/json': { schema: { type: 'object' } } },
+      }),
+    },
+    '/wefeed-h5-bff/web/subject/download': {
+      get: operation({
+        operationId: 'getDownloadMetadata',
+        summary: 'Download URLs and captions, each with a download token (plus _cookies when ALLOW_RAW_DOWNLOAD_PARAMS=true)',
+        tags: ['Details'],
+        parameters: [params.subjectIdQuery, params.detailPath, params.se, params.ep],
+      }),
+    },
+    '/download-metadata/{subjectId}': {
+      get: operation({
+        operationId: 'getDownloadMetadataAlias',
+        summary: 'Download URLs and captions (alias)',
+        tags: ['Details'],
+        parameters: [params.subjectIdPath, params.detailPath, params.se, params.ep],
+      }),
+    },
+    '/wefeed-h5-bff/web/subject/play': {
+      get: operation({
+        operationId: 'getPlayMetadata',
+        summary: 'Streaming URLs',
+        tags: ['Details'],
+        parameters: [params.subjectIdQuery, params.detailPath, params.se, params.ep],
+      }),
+    },
+    '/wefeed-h5-bff/web/subject/downloadable-files': {
+      get: operation({
+        operationId: 'getDownloadableFiles',
+        summary: 'Downloadable files metadata (seasons, resolutions, subtitle languages)',
+        tags: ['Details'],
+        parameters: [params.subjectIdQuery, params.detailPath],
+      }),
+    },
+    '/wefeed-h5-bff/web/subject/detail-rec': {
+      get: operation({
+        operationId: 'getRecommendations',
+        summary: 'Recommended content',
+        tags: ['Browse'],
+        parameters: [params.subjectIdQuery, params.page(1, 1), params.perPage(24)],
+      }),
+    },
+    '/recommendations/{subjectId}': {
+      get: operation({
+        operationId: 'getRecommendationsAlias',
+        summary: 'Recommended content (alias)',
+        tags: ['Browse'],
+        parameters: [params.subjectIdPath, params.page(1, 1), params.perPage(24)],
+      }),
+    },
+    '/download-proxy': {
+      head: operation({
+        operationId: 'headDownloadProxy',
+        summary: 'File size and range support for download managers',
+        tags: ['Downloads'],
+        parameters: downloadProxyParams,
+      }, { description: 'Headers only' }),
+      get: operation({
+        operationId: 'downloadProxy',
+        summary: 'Stream a media file with Range support and a generated file name',
+        tags: ['Downloads'],
+        parameters: downloadProxyParams,
+        responses: {
+          206: { description: 'Partial content' },
+          416: { description: 'Range not satisfiable' },
+        },
+      }, responses.file),
+    },
+    '/download': {
+      get: operation({
+        operationId: 'download',
+        summary: 'Stream a video file to the browser',
+        tags: ['Downloads'],
+        parameters: [params.token, params.url, params.filename, params.cookies],
+        responses: {
+          206: { description: 'Partial content' },
+        },
+      }, responses.file),
+    },
+    '/download-subtitle': {
+      get: operation({
+        operationId: 'downloadSubtitle',
+        summary: 'Download a subtitle file as UTF-8, optionally converted and retimed',
+        tags: ['Downloads'],
+        parameters: [
+          params.token,
+          params.url,
+          params.filename,
+          params.cookies,
+          {
+            name: 'format',
+            in: 'query',
+            description: 'Convert to srt, vtt, ass or json cues (default: keep the source format)',
+            schema: { type: 'string', enum: SUBTITLE_FORMATS },
+          },
+          {
+            name: 'shift',
+            in: 'query',
+            description: 'Shift every cue by this many milliseconds (negative = earlier)',
+            schema: { type: 'integer' },
+          },
+          {
+            name: 'fps',
+            in: 'query',
+            description: 'Framerate conversion "<from>:<to>", e.g. 25:23.976 for a subtitle timed for a 25 fps release',
+            schema: { type: 'string', pattern: '^\\d+(\\.\\d+)?:\\d+(\\.\\d+)?$' },
+          },
+          {
+            name: 'bom',
+            in: 'query',
+            description: 'Start the file with a UTF-8 BOM (for players that guess the encoding)',
+            schema: { type: 'boolean' },
+          },
+          {
+            name: 'title',
+            in: 'query',
+            description: 'Title for the file name (default: looked up from subjectId/detailPath of the token)',
+            schema: { type: 'string', maxLength: 255 },
+          },
+        ],
+        responses: {
+          422: { description: 'Subtitle format not recognized but a conversion was asked for' },
+        },
+      }, responses.file),
+    },
+    '/download-subtitle-bundle': {
+      get: operation({
+        operationId: 'downloadSubtitleBundle',
+        summary: 'Download every subtitle of a movie or episode as one ZIP archive (UTF-8 SubRip, ISO 639 language codes in the file names)',
+        tags: ['Downloads'],
+        parameters: [
+          params.subjectIdQuery,
+          params.detailPath,
+          params.se,
+          params.ep,
+          {
+            name: 'languages',
+            in: 'query',
+            description: 'Comma-separated language codes or names (e.g. en,fr or English) - default: all',
+            schema: { type: 'string', maxLength: 500 },
+          },
+          {
+            name: 'title',
+            in: 'query',
+            description: 'Title for the file names (default: looked up from subjectId/detailPath)',
+            schema: { type: 'string', maxLength: 255 },
+          },
+        ],
+        responses: {
+          404: { description: 'No subtitles in the requested languages' },
+          429: { description: 'Download limit reached, or too many media streams (Retry-After)' },
+        },
+      }, {
+        description: 'ZIP archive',
+        content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } },
+      }),
+    },
+    '/season-manifest': {
+      get: operation({
+        operationId: 'seasonManifest',
+        summary: 'Download manifest for every episode of a season (aria2 input file, wget script, JDownloader crawljob or M3U playlist of download-proxy links)',
+        tags: ['Downloads'],
+        parameters: [
+          params.subjectIdQuery,
+          params.detailPath,
+          {
+            name: 'season',
+            in: 'query',
+            required: true,
+            description: 'Season number',
+            schema: { type: 'integer', minimum: 1 },
+          },
+          {
+            name: 'quality',
+            in: 'query',
+            description: 'BEST, WORST or a resolution (e.g. 1080P) - episodes without it are listed as missing',
+            schema: { type: 'string', default: 'BEST' },
+          },
+          {
+            name: 'format',
+            in: 'query',
+            description: 'Manifest format',
+            schema: { type: 'string', enum: Object.keys(MANIFEST_FORMATS), default: 'aria2' },
+          },
+        ],
+        responses: {
+          404: { description: 'Season not found or no episode in that quality' },
+          429: { description: 'Download limit reached' },
+        },
+      }, {
+        description: 'Manifest file',
+        content: { 'text/plain': { schema: { type: 'string' } } },
+      }),
+    },
+    '/stream': {
+      get: operation({
+        operationId: 'stream',
+        summary: 'Play a video file in the browser (inline, Range support for seeking)',
+        tags: ['Playback'],
+        parameters: [params.token, params.url, params.cookies],
+        responses: {
+          206: { description: 'Partial content' },
+          416: { description: 'Range not satisfiable' },
+        },
+      }, responses.file),
+    },
+    '/subtitle-vtt': {
+      get: operation({
+        operationId: 'subtitleVtt',
+        summary: 'Subtitle converted to WebVTT for <track> elements',
+        tags: ['Playback'],
+        parameters: [params.token, params.url, params.cookies],
+        responses: {
+          422: { description: 'Subtitle format not recognized' },
+        },
+      }, responses.file),
+    },
+    '/v2/home': {
+      get: operation({
+        operationId: 'v2Home',
+        summary: 'Home page sections',
+        tags: ['V2'],
+        parameters: [params.nocache],
+      }, responses.normalized),
+    },
+    '/v2/search': {
+      get: operation({
+        operationId: 'v2Search',
+        summary: 'Search movies/TV series',
+        tags: ['V2'],
+        parameters: [params.keyword, params.page(1, 1), params.perPage(24), params.subjectType],
+      }, responses.normalized),
+    },
+    '/v2/suggest': {
+      get: operation({
+        operationId: 'v2Suggest',
+        summary: 'Search suggestions',
+        tags: ['V2'],
+        parameters: [params.keyword, params.perPage(10)],
+      }, responses.normalized),
+    },
+    '/v2/trending': {
+      get: operation({
+        operationId: 'v2Trending',
+        summary: 'Trending content',
+        tags: ['V2'],
+        parameters: [params.page(0, 0), params.perPage(18), params.nocache],
+      }, responses.normalized),
+    },
+    '/v2/hot': {
+      get: operation({
+        operationId: 'v2Hot',
+        summary: 'Hot content rankings',
+        tags: ['V2'],
+        parameters: [params.nocache],
+      }, responses.normalized),
+    },
+    '/v2/subjects/{subjectId}': {
+      get: operation({
+        operationId: 'v2Subject',
+        summary: 'Subject details with seasons, cast and trailer',
+        tags: ['V2'],
+        parameters: [params.subjectIdPath, params.detailPath],
+      }, responses.normalized),
+    },
+    '/v2/subjects/{subjectId}/downloads': {
+      get: operation({
+        operationId: 'v2SubjectDownloads',
+        summary: 'Download files and captions, each with a download token',
+        tags: ['V2'],
+        parameters: [params.subjectIdPath, params.detailPath, params.se, params.ep],
+      }, responses.normalized),
+    },
+    '/v2/subjects/{subjectId}/streams': {
+      get: operation({
+        operationId: 'v2SubjectStreams',
+        summary: 'Streaming files with tokens (and an hlsUrl for HLS streams)',
+        tags: ['V2'],
+        parameters: [params.subjectIdPath, params.detailPath, params.se, params.ep],
+      }, responses.normalized),
+    },
+    '/v2/subjects/{subjectId}/recommendations': {
+      get: operation({
+        operationId: 'v2SubjectRecommendations',
+        summary: 'Recommended content',
+        tags: ['V2'],
+        parameters: [params.subjectIdPath, params.page(1, 1), params.perPage(24)],
+      }, responses.normalized),
+    },
+    '/jobs': {
+      post: operation({
+        operationId: 'createJobs',
+        security: ADMIN_SECURITY,
+        summary: 'Queue a download job, or several with an array body (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { oneOf: [jobSchema, { type: 'array', items: jobSchema }] },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Queued job, or { results: [{ job } | { error, status }] } for an array body' },
+          401: responses.unauthorized,
+          409: { description: 'The same download is already queued' },
+        },
+      }, responses.json),
+      get: operation({
+        operationId: 'listJobs',
+        security: ADMIN_SECURITY,
+        summary: 'Jobs in queue order (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            description: 'Only jobs with this status',
+            schema: { type: 'string', enum: Object.values(JOB_STATUS) },
+          },
+        ],
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/jobs/{id}': {
+      get: operation({
+        operationId: 'getJob',
+        security: ADMIN_SECURITY,
+        summary: 'Job status and progress (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        parameters: [params.jobId],
+        responses: { 401: responses.unauthorized, 404: responses.notFound },
+      }, responses.json),
+      delete: operation({
+        operationId: 'removeJob',
+        security: ADMIN_SECURITY,
+        summary: 'Remove a job from the list - downloaded files are kept (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        parameters: [params.jobId],
+        responses: { 401: responses.unauthorized, 404: responses.notFound },
+      }, { description: 'Removed' }),
+    },
+    '/jobs/{id}/pause': {
+      post: operation({
+        operationId: 'pauseJob',
+        security: ADMIN_SECURITY,
+        summary: 'Pause a job, keeping the partial file (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        parameters: [params.jobId],
+        responses: { 401: responses.unauthorized, 404: responses.notFound, 409: { description: 'Job already finished' } },
+      }, responses.json),
+    },
+    '/jobs/{id}/resume': {
+      post: operation({
+        operationId: 'resumeJob',
+        security: ADMIN_SECURITY,
+        summary: 'Queue a paused or failed job again (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        parameters: [params.jobId],
+        responses: { 401: responses.unauthorized, 404: responses.notFound, 409: { description: 'Job is not paused or failed' } },
+      }, responses.json),
+    },
+    '/jobs/{id}/cancel': {
+      post: operation({
+        operationId: 'cancelJob',
+        security: ADMIN_SECURITY,
+        summary: 'Cancel a job and delete its partial file (requires ADMIN_API_TOKEN)',
+        tags: ['Jobs'],
+        parameters: [params.jobId],
+        responses: { 401: responses.unauthorized, 404: responses.notFound, 409: { description: 'Job already finished' } },
+      }, responses.json),
+    },
+    '/library': {
+      get: operation({
+        operationId: 'listLibrary',
+        security: [...ADMIN_SECURITY, {}],
+        summary: 'Media files saved on the server',
+        tags: ['Library'],
+        description: LIBRARY_ACCESS,
+        parameters: [
+          { name: 'subjectId', in: 'query', description: 'Only copies of this subject', schema: { type: 'string' } },
+          { name: 'q', in: 'query', description: 'Title filter', schema: { type: 'string', maxLength: 255 } },
+        ],
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/library/subjects': {
+      get: operation({
+        operationId: 'listLibrarySubjects',
+        security: [...ADMIN_SECURITY, {}],
+        summary: 'Subjects with local copies (file count and episodes)',
+        tags: ['Library'],
+        description: LIBRARY_ACCESS,
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/library/scan': {
+      post: operation({
+        operationId: 'scanLibrary',
+        security: ADMIN_SECURITY,
+        summary: 'Scan the library directory now (requires ADMIN_API_TOKEN)',
+        tags: ['Library'],
+        parameters: [
+          { name: 'rematch', in: 'query', description: 'Also retry files that matched no subject', schema: { type: 'boolean' } },
+        ],
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/library/{id}': {
+      get: operation({
+        operationId: 'getLibraryItem',
+        security: [...ADMIN_SECURITY, {}],
+        summary: 'Library item with its subtitles',
+        tags: ['Library'],
+        description: LIBRARY_ACCESS,
+        parameters: [params.libraryId],
+        responses: { 401: responses.unauthorized, 404: responses.notFound },
+      }, responses.json),
+    },
+    '/library/{id}/stream': {
+      get: operation({
+        operationId: 'streamLibraryItem',
+        security: [...ADMIN_SECURITY, {}],
+        summary: 'Play a local copy (Range support for seeking)',
+        tags: ['Library'],
+        description: LIBRARY_ACCESS,
+        parameters: [
+          params.libraryId,
+          { name: 'download', in: 'query', description: 'Send as an attachment', schema: { type: 'boolean' } },
+        ],
+        responses: {
+          206: { description: 'Partial content' },
+          401: responses.unauthorized,
+          404: responses.notFound,
+          416: { description: 'Range not satisfiable' },
+        },
+      }, responses.file),
+    },
+    '/library/{id}/subtitles/{language}': {
+      get: operation({
+        operationId: 'getLibrarySubtitle',
+        security: [...ADMIN_SECURITY, {}],
+        summary: 'Subtitle saved next to a local copy',
+        tags: ['Library'],
+        description: LIBRARY_ACCESS,
+        parameters: [
+          params.libraryId,
+          { name: 'language', in: 'path', required: true, description: 'ISO 639 language code', schema: { type: 'string', minLength: 1 } },
+          { name: 'format', in: 'query', description: 'Convert to this format (vtt for browser tracks)', schema: { type: 'string', enum: SUBTITLE_FORMATS } },
+          { name: 'download', in: 'query', description: 'Send as an attachment', schema: { type: 'boolean' } },
+        ],
+        responses: {
+          401: responses.unauthorized,
+          404: responses.notFound,
+          422: { description: 'Subtitle format not recognized' },
+        },
+      }, responses.file),
+    },
+    '/hls/playlist': {
+      get: operation({
+        operationId: 'hlsPlaylist',
+        summary: 'Master or media playlist of an HLS stream, rewritten to the proxy',
+        tags: ['Playback'],
+        parameters: [params.token, params.url, params.cookies, params.hlsUri],
+      }, responses.playlist),
+    },
+    '/hls/segment': {
+      get: operation({
+        operationId: 'hlsSegment',
+        summary: 'Segment, key or init section of a proxied playlist (cached, Range support)',
+        tags: ['Playback'],
+        parameters: [params.token, { ...params.hlsUri, required: true }],
+        responses: {
+          206: { description: 'Partial content' },
+          416: { description: 'Range not satisfiable' },
+        },
+      }, responses.file),
+    },
+    '/admin/session': {
+      get: operation({
+        operationId: 'getAdminSession',
+        summary: 'Session status, cookies (values redacted) and session pool',
+        tags: ['Admin'],
+        security: ADMIN_SECURITY,
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/admin/session/cookies': {
+      put: operation({
+        operationId: 'setAdminSessionCookies',
+        summary: 'Replace the session cookies until they are replaced again or a refresh is forced',
+        tags: ['Admin'],
+        security: ADMIN_SECURITY,
+        requestBody: jsonBody({
+          cookies: { type: 'string', minLength: 1, description: 'Cookie string, e.g. account=...; i18n_lang=en' },
+        }, ['cookies']),
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/admin/session/refresh': {
+      post: operation({
+        operationId: 'refreshAdminSession',
+        summary: 'Fetch a new session from the app info endpoint now (replaces configured cookies)',
+        tags: ['Admin'],
+        security: ADMIN_SECURITY,
+        responses: {
+          401: responses.unauthorized,
+          502: { description: 'No cookies received from the app info endpoint', content: responses.error.content },
+        },
+      }, responses.json),
+    },
+    '/admin/hosts': {
+      get: operation({
+        operationId: 'getAdminHosts',
+        summary: 'Selected host, mirror enablement and mirror health',
+        tags: ['Admin'],
+        security: ADMIN_SECURITY,
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/admin/hosts/selected': {
+      put: operation({
+        operationId: 'setAdminSelectedHost',
+        summary: 'Switch the selected (primary) host',
+        tags: ['Admin'],
+        security: ADMIN_SECURITY,
+        requestBody: jsonBody({
+          host: { type: 'string', minLength: 1, description: 'Host name (e.g. moviebox.pk) or full URL' },
+        }, ['host']),
+        responses: { 401: responses.unauthorized },
+      }, responses.json),
+    },
+    '/admin/mirrors/{host}': {
+      put: operation({
+        operationId: 'setAdminMirror',
+        summary: 'Enable or disable a mirror for failover',
+        tags: ['Admin'],
+        security: ADMIN_SECURITY,
+        parameters: [
+          { name: 'host', in: 'path', required: true, description: 'Mirror host name', schema: { type: 'string', minLength: 1 } },
+        ],
+        requestBody: jsonBody({ enabled: { type: 'boolean' } }, ['enabled']),
+        responses: {
+          401: responses.unauthorized,
+          404: { description: 'Not a known mirror' },
+          409: { description: 'The mirror is the selected host' },
+        },
+      }, responses.json),
+    },
+  },
+  components: {
+    securitySchemes: {
+      adminBearer: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'ADMIN_API_TOKEN as a bearer token',
+      },
+      adminToken: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Admin-Token',
+        description: 'ADMIN_API_TOKEN in the X-Admin-Token header',
+      },
+    },
+    schemas: {
+      UpstreamResponse: {
+        type: 'object',
+        properties: {
+          code: { type: 'integer' },
+          message: { type: 'string' },
+          data: { type: 'object' },
+        },
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          message: { type: 'string' },
+        },
+      },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', example: 'Invalid request parameters' },
+          message: { type: 'string', example: 'perPage must be at most 100' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['path', 'query', 'body'] },
+                name: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  MAX_PER_PAGE,
+  openApiDocument,
+};
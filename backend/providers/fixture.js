@@ -0,0 +1,262 @@
+/**
+ * Fixture Content Provider
+ * Serves a small local catalog in the MovieBox response shapes - for development and testing
+ * without network access (select with CONTENT_PROVIDER=fixture, or X-Content-Provider: fixture
+ * when CONTENT_PROVIDER_OVERRIDES lists it). Not registered in production unless CONTENT_PROVIDER=fixture.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory containing catalog.json
+const FIXTURE_DIR = process.env.FIXTURE_PROVIDER_DIR || path.join(__dirname, 'fixtures');
+
+let catalog = null;
+
+/**
+ * Load the fixture catalog (once)
+ * @returns {Object} Catalog with a subjects array
+ */
+function loadCatalog() {
+  if (!catalog) {
+    const file = path.join(FIXTURE_DIR, 'catalog.json');
+    catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+    catalog.subjects = catalog.subjects || [];
+  }
+  return catalog;
+}
+
+/**
+ * Wrap data in an axios-like response with the upstream envelope
+ * @param {Object} data - Response payload
+ * @returns {Object} Response
+ */
+function ok(data) {
+  return {
+    status: 200,
+    headers: {},
+    data: {
+      code: 0,
+      message: 'ok',
+      data,
+    },
+  };
+}
+
+/**
+ * Build a not-found error shaped like an axios error
+ * @param {string} subjectId - Subject ID
+ * @returns {Error} Error with response.status 404
+ */
+function notFound(subjectId) {
+  const error = new Error(`Subject ${subjectId} not found in fixture catalog`);
+  error.response = { status: 404 };
+  return error;
+}
+
+/**
+ * Strip provider-only fields from a catalog subject
+ * @param {Object} subject - Catalog subject
+ * @returns {Object} Subject as returned by list endpoints
+ */
+function toListSubject(subject) {
+  const { downloads, captions, seasons, ...listSubject } = subject;
+  return listSubject;
+}
+
+/**
+ * Find a subject by ID
+ * @param {string} subjectId - Subject ID
+ * @returns {Object} Catalog subject
+ */
+function findSubject(subjectId) {
+  const subject = loadCatalog().subjects.find(item => String(item.subjectId) === String(subjectId));
+  if (!subject) throw notFound(subjectId);
+  return subject;
+}
+
+/**
+ * Paginate a list
+ * @param {Array} items - Items
+ * @param {number} page - Page number (1-based)
+ * @param {number} perPage - Items per page
+ * @returns {Object} Page items and pager
+ */
+function paginate(items, page = 1, perPage = 24) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const size = Math.max(parseInt(perPage, 10) || 24, 1);
+  const start = (pageNum - 1) * size;
+  const hasMore = start + size < items.length;
+
+  return {
+    items: items.slice(start, start + size),
+    pager: {
+      hasMore,
+      nextPage: hasMore ? String(pageNum + 1) : String(pageNum),
+      page: String(pageNum),
+      perPage: size,
+      totalCount: items.length,
+    },
+  };
+}
+
+/**
+ * Replace {se} and {ep} placeholders in fixture URLs
+ * @param {string} url - URL template
+ * @param {number} se - Season number
+ * @param {number} ep - Episode number
+ * @returns {string} URL
+ */
+function fillEpisode(url, se, ep) {
+  return url.replace(/\{se\}/g, se).replace(/\{ep\}/g, ep);
+}
+
+const fixtureProvider = {
+  name: 'fixture',
+
+  async home() {
+    const subjects = loadCatalog().subjects.map(toListSubject);
+    return ok({
+      operatingList: [
+        {
+          type: 'SUBJECTS_MOVIE',
+          title: 'Fixtures',
+          subjects,
+        },
+      ],
+    });
+  },
+
+  async search({ keyword = '', page, perPage, subjectType = 0 }) {
+    const query = String(keyword).toLowerCase();
+    const type = parseInt(subjectType, 10) || 0;
+    const matches = loadCatalog().subjects
+      .filter(subject => subject.title.toLowerCase().includes(query))
+      .filter(subject => type === 0 || subject.subjectType === type)
+      .map(toListSubject);
+    return ok(paginate(matches, page, perPage));
+  },
+
+  async suggest({ keyword = '', perPage = 10 }) {
+    const query = String(keyword).toLowerCase();
+    const items = loadCatalog().subjects
+      .filter(subject => subject.title.toLowerCase().includes(query))
+      .slice(0, parseInt(perPage, 10) || 10)
+      .map(toListSubject);
+    return ok({ items, keyword });
+  },
+
+  async trending({ page, perPage }) {
+    const { items, pager } = paginate(loadCatalog().subjects.map(toListSubject), page, perPage);
+    return ok({ subjectList: items, pager });
+  },
+
+  async popularSearches() {
+    return ok({
+      everyoneSearch: loadCatalog().subjects.map(subject => ({ title: subject.title })),
+    });
+  },
+
+  async hotContent() {
+    return ok({ subjectList: loadCatalog().subjects.map(toListSubject) });
+  },
+
+  async details({ subjectId }) {
+    const subject = findSubject(subjectId);
+    const listSubject = toListSubject(subject);
+    const seasons = (subject.seasons || []).map(season => ({
+      ...season,
+      season: season.se,
+      totalEpisodes: season.maxEp,
+      episodeNumbers: Array.from({ length: season.maxEp }, (_, i) => i + 1),
+    }));
+
+    // Same structure as parseMovieDetailPage
+    return {
+      status: 200,
+      headers: {},
+      data: {
+        subject: listSubject,
+        stars: [],
+        resource: { seasons },
+        metadata: {
+          title: subject.title,
+          description: subject.description,
+          image: subject.cover?.url,
+          imdbRatingValue: subject.imdbRatingValue,
+          imdbRatingCount: subject.imdbRatingCount,
+        },
+        postList: {},
+        forYou: [],
+        hot: [],
+        shareParam: {},
+        pubParam: {},
+        url: null,
+        referer: null,
+      },
+    };
+  },
+
+  async downloadableFiles({ subjectId }) {
+    const subject = findSubject(subjectId);
+    const seasons = (subject.seasons || []).map(season => ({
+      season: season.se,
+      maxEp: season.maxEp,
+      totalEpisodes: season.maxEp,
+      episodeNumbers: Array.from({ length: season.maxEp }, (_, i) => i + 1),
+      resolutions: season.resolutions || [],
+    }));
+
+    // Same structure as parseDownloadableMetadata
+    return ok({
+      subjectId: subject.subjectId,
+      subjectType: subject.subjectType,
+      title: subject.title,
+      detailPath: subject.detailPath,
+      seasons,
+      episodes: [],
+      availableResolutions: (subject.downloads || []).map(download => ({
+        resolution: download.resolution,
+        quality: `${download.resolution}p`,
+      })),
+      subtitleLanguages: subject.subtitles ? subject.subtitles.split(',').map(s => s.trim()) : [],
+      hasResource: subject.hasResource,
+    });
+  },
+
+  async downloadLinks({ subjectId, se = 0, ep = 0 }) {
+    const subject = findSubject(subjectId);
+    const response = ok({
+      downloads: (subject.downloads || []).map(download => ({ ...download, url: fillEpisode(download.url, se, ep) })),
+      captions: (subject.captions || []).map(caption => ({ ...caption, url: fillEpisode(caption.url, se, ep) })),
+      limited: false,
+      limitedCode: '',
+      freeNum: null,
+      hasResource: subject.hasResource,
+    });
+    response.cookies = null;
+    return response;
+  },
+
+  async playLinks({ subjectId, se = 0, ep = 0 }) {
+    const subject = findSubject(subjectId);
+    return ok({
+      streams: (subject.downloads || []).map(download => ({
+        id: download.id,
+        format: 'MP4',
+        url: fillEpisode(download.url, se, ep),
+        resolutions: String(download.resolution),
+        size: download.size,
+      })),
+    });
+  },
+
+  async recommendations({ subjectId, page, perPage }) {
+    const others = loadCatalog().subjects
+      .filter(subject => String(subject.subjectId) !== String(subjectId))
+      .map(toListSubject);
+    return ok(paginate(others, page, perPage));
+  },
+};
+
+module.exports = fixtureProvider;
@@ -0,0 +1,111 @@
+/**
+ * Content Provider Registry
+ * Routes dispatch through a provider instead of calling MovieBox endpoints directly
+ *
+ * A provider is an object with a name and these async methods, each resolving to an
+ * axios-like response ({ status, headers, data }) whose data has the upstream shape
+ * ({ code, message, data }):
+ * - home(options)
+ * - search({ keyword, page, perPage, subjectType })
+ * - suggest({ keyword, perPage })
+ * - trending({ page, perPage }, options)
+ * - popularSearches(options)
+ * - hotContent(options)
+ * - details({ subjectId, detailPath }) - data is the parsed detail page
+ * - downloadableFiles({ subjectId, detailPath })
+ * - downloadLinks({ subjectId, detailPath, se, ep }) - also resolves cookies for the CDN
+ * - playLinks({ subjectId, detailPath, se, ep })
+ * - recommendations({ subjectId, page, perPage })
+ */
+
+const movieboxProvider = require('./moviebox');
+
+const PROVIDER_METHODS = [
+  'home',
+  'search',
+  'suggest',
+  'trending',
+  'popularSearches',
+  'hotContent',
+  'details',
+  'downloadableFiles',
+  'downloadLinks',
+  'playLinks',
+  'recommendations',
+];
+
+// Default provider for requests that don't ask for one
+const DEFAULT_PROVIDER = (process.env.CONTENT_PROVIDER || 'moviebox').trim().toLowerCase();
+// Providers the X-Content-Provider header may select (empty: the header is ignored)
+const PROVIDER_OVERRIDES = (process.env.CONTENT_PROVIDER_OVERRIDES || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const providers = new Map();
+
+/**
+ * Register a content provider
+ * @param {Object} provider - Provider implementing every method in PROVIDER_METHODS
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name.toLowerCase(), provider);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name (default: CONTENT_PROVIDER)
+ * @returns {Object} Provider
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers.get(String(name).trim().toLowerCase());
+  if (!provider) {
+    const error = new Error(`Unknown content provider "${name}". Available: ${listProviders().join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return provider;
+}
+
+/**
+ * Pick the provider for a request
+ * The X-Content-Provider header overrides CONTENT_PROVIDER for a single request when it names
+ * a provider listed in CONTENT_PROVIDER_OVERRIDES; any other value is ignored.
+ * @param {Object} req - Express request
+ * @returns {Object} Provider
+ */
+function resolveProvider(req) {
+  const requested = String(req.get('X-Content-Provider') || '').trim().toLowerCase();
+  return getProvider(PROVIDER_OVERRIDES.includes(requested) ? requested : DEFAULT_PROVIDER);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return [...providers.keys()];
+}
+
+registerProvider(movieboxProvider);
+// Fixtures are for development and tests - not served in production unless chosen explicitly
+if (process.env.NODE_ENV !== 'production' || DEFAULT_PROVIDER === 'fixture') {
+  registerProvider(require('./fixture'));
+}
+
+module.exports = {
+  PROVIDER_METHODS,
+  registerProvider,
+  getProvider,
+  resolveProvider,
+  listProviders,
+};
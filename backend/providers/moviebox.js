@@ -0,0 +1,233 @@
+/**
+ * MovieBox Content Provider
+ * Default provider - talks to the MovieBox h5 API and scrapes detail pages
+ */
+
+const axios = require('axios');
+const { makeRequest } = require('../utils/proxy');
+const { getDefaultHeaders, getDownloadHeaders } = require('../utils/headers');
+const { parseDownloadableMetadata, fetchMovieDetailsFromHTML } = require('../utils/parser');
+const { createSingleFlight, buildFlightKey } = require('../utils/singleflight');
+const { getHostUrl } = require('../utils/hosts');
+const logger = require('../utils/logger').createLogger({ module: 'moviebox' });
+
+// Shared in-flight download metadata lookups (same subject and episode)
+const downloadFlights = createSingleFlight();
+
+/**
+ * Make download metadata request with retry logic for limited responses
+ * Each attempt picks a session from the pool; sessions that report limited: true are cooled
+ * down so the next attempt moves on to a session that still has quota
+ * @param {string} endpoint - API endpoint
+ * @param {Object} options - Request options
+ * @param {Object} options.params - Query parameters (subjectId, se, ep)
+ * @param {string} options.detailPath - Detail path used for the Referer header
+ * @param {number} maxRetries - Maximum retry attempts (default: 2)
+ * @returns {Promise} Axios response (with requestCookies and session set)
+ */
+async function makeDownloadRequestWithRetry(endpoint, options, maxRetries = 2) {
+  const { acquireSession, getSessionCookies, reportDownloadResult } = require('../utils/sessions');
+  const { params, detailPath } = options;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      // Add small random delay before each request to prevent rate limiting
+      if (attempt > 0) {
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff, max 5s
+        logger.debug(`⏳ Retry attempt ${attempt}/${maxRetries} - waiting ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else {
+        // Small random delay on first request (0-1s) to prevent simultaneous requests
+        const randomDelay = Math.floor(Math.random() * 1000);
+        if (randomDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, randomDelay));
+        }
+      }
+
+      const { session, exhausted } = acquireSession();
+      if (exhausted) {
+        logger.warn('⚠️ Every pool session is cooling down, using the one that recovers first', { session: session.id });
+      }
+
+      // Get cookies for the selected session (from MB_COOKIES env vars or dynamic fetching)
+      let requestCookies = await getSessionCookies(session);
+
+      // Ensure i18n_lang cookie is present (API might require it for some movies)
+      // If missing, add default value
+      if (requestCookies && !requestCookies.includes('i18n_lang')) {
+        requestCookies = requestCookies + '; i18n_lang=en';
+        logger.debug('Added missing i18n_lang cookie to request');
+      }
+
+      // Use download headers with correct Accept header and referer
+      // Referer should be the movie detail page URL
+      const headers = getDownloadHeaders(detailPath, requestCookies);
+
+      logger.debug('Fetching download metadata', { ...params, detailPath, session: session.id, hasCookies: !!requestCookies });
+
+      const response = await makeRequest(endpoint, {
+        method: 'GET',
+        params,
+        headers,
+        jar: session.jar,
+      });
+      response.requestCookies = requestCookies;
+      response.session = session;
+
+      const responseData = response.data || {};
+      const allDownloads = responseData.data?.downloads || responseData.downloads || [];
+      const isLimited = responseData.data?.limited === true;
+
+      reportDownloadResult(session, responseData.data);
+
+      // If limited with empty downloads and we have retries left, retry with another session
+      if (isLimited && allDownloads.length === 0 && attempt < maxRetries) {
+        logger.warn(`⚠️ Limited response with empty downloads. Will retry... (attempt ${attempt + 1}/${maxRetries + 1})`);
+        continue; // Retry
+      }
+
+      // Success or no more retries
+      if (attempt > 0) {
+        logger.debug(`✅ Request succeeded on attempt ${attempt + 1}`);
+      }
+      return response;
+    } catch (error) {
+      // If last attempt, throw error
+      if (attempt === maxRetries) {
+        throw error;
+      }
+
+      // Retry on error with exponential backoff
+      const delay = Math.min(1000 * Math.pow(2, attempt), 5000);
+      logger.warn(`⚠️ Request failed. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+const movieboxProvider = {
+  name: 'moviebox',
+
+  async home(options = {}) {
+    return makeRequest('wefeed-h5-bff/web/home', {
+      method: 'GET',
+      bypassCache: options.bypassCache,
+    });
+  },
+
+  async search({ keyword, page, perPage, subjectType }) {
+    return makeRequest('wefeed-h5-bff/web/subject/search', {
+      method: 'POST',
+      data: {
+        keyword,
+        page,
+        perPage,
+        subjectType,
+      },
+    });
+  },
+
+  async suggest({ keyword, perPage }) {
+    return makeRequest('wefeed-h5-bff/web/subject/search-suggest', {
+      method: 'POST',
+      data: {
+        keyword,
+        per_page: perPage,
+      },
+    });
+  },
+
+  async trending({ page, perPage }, options = {}) {
+    return makeRequest('wefeed-h5-bff/web/subject/trending', {
+      method: 'GET',
+      params: {
+        page,
+        perPage,
+      },
+      bypassCache: options.bypassCache,
+    });
+  },
+
+  async popularSearches(options = {}) {
+    return makeRequest('wefeed-h5-bff/web/subject/everyone-search', {
+      method: 'GET',
+      bypassCache: options.bypassCache,
+    });
+  },
+
+  async hotContent(options = {}) {
+    return makeRequest('wefeed-h5-bff/web/subject/search-rank', {
+      method: 'GET',
+      bypassCache: options.bypassCache,
+    });
+  },
+
+  async details({ subjectId, detailPath }) {
+    // Scrapes the HTML page and extracts JSON data embedded in script tags
+    const movieDetails = await fetchMovieDetailsFromHTML(detailPath, subjectId);
+    return { status: 200, headers: {}, data: movieDetails };
+  },
+
+  async downloadableFiles({ subjectId, detailPath }) {
+    // Fetch the HTML page to extract downloadable metadata
+    const url = `${getHostUrl()}movies/${detailPath}?id=${subjectId}`;
+    const response = await axios.get(url, { headers: getDefaultHeaders() });
+    const metadata = parseDownloadableMetadata(response.data);
+    return {
+      status: 200,
+      headers: {},
+      data: {
+        code: 0,
+        message: 'ok',
+        data: metadata,
+      },
+    };
+  },
+
+  async downloadLinks({ subjectId, detailPath, se, ep }) {
+    // Concurrent requests for the same episode share one retry chain
+    // (sessions, and therefore cookies, are picked from the pool inside the chain)
+    const params = { subjectId, se, ep };
+    const flightKey = buildFlightKey('wefeed-h5-bff/web/subject/download', params, 'session-pool');
+    const response = await downloadFlights.do(flightKey, () => makeDownloadRequestWithRetry('wefeed-h5-bff/web/subject/download', {
+      params,
+      detailPath,
+    }, 2)); // Max 2 retries (3 total attempts)
+
+    // The same response may be shared with coalesced requests - callers must not mutate data
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data,
+      cookies: response.cookies || response.requestCookies || null,
+      requestCookies: response.requestCookies || null,
+      session: response.session,
+    };
+  },
+
+  async playLinks({ subjectId, detailPath, se, ep }) {
+    const referer = `${getHostUrl()}movies/${detailPath}`;
+    return makeRequest('wefeed-h5-bff/web/subject/play', {
+      method: 'GET',
+      params: {
+        subjectId,
+        se,
+        ep,
+      },
+      headers: getDefaultHeaders(referer),
+    });
+  },
+
+  async recommendations({ subjectId, page, perPage }) {
+    return makeRequest('wefeed-h5-bff/web/subject/detail-rec', {
+      method: 'GET',
+      params: {
+        subjectId,
+        page,
+        perPage,
+      },
+    });
+  },
+};
+
+module.exports = movieboxProvider;
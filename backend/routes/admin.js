@@ -0,0 +1,158 @@
+/**
+ * Admin API Routes
+ * Runtime control of the upstream session, selected host and mirrors (no restart needed)
+ * Every route requires the ADMIN_API_TOKEN as a bearer token or X-Admin-Token header; bodies
+ * are validated against the OpenAPI document (config/openapi.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  ensureCookiesAreAssigned,
+  getCookieJar,
+  getSessionStatus,
+  markSessionStale,
+  setSessionCookies,
+} = require('../utils/proxy');
+const { getPoolStatus } = require('../utils/sessions');
+const { getMirrorStatus } = require('../utils/mirrors');
+const { getHostSettings, getHostUrl, setSelectedHost, setMirrorEnabled } = require('../utils/hosts');
+const { requireAdmin } = require('../utils/auth');
+const { validate } = require('../utils/validation');
+const logger = require('../utils/logger').createLogger({ module: 'admin' });
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error summary
+ */
+function sendError(res, error, message) {
+  logger.error(`${message}:`, { error: error.message });
+  res.status(error.status || error.response?.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Describe the shared session with cookie values redacted
+ * @returns {Object} { session, cookies, pool }
+ */
+function describeSession() {
+  return {
+    session: getSessionStatus(),
+    cookies: getCookieJar().list().map(cookie => ({
+      name: cookie.name,
+      value: '[REDACTED]',
+      length: cookie.value.length,
+      domain: cookie.domain,
+      path: cookie.path,
+      expiresAt: cookie.expiresAt ? new Date(cookie.expiresAt).toISOString() : null,
+      appliesToSelectedHost: getCookieJar().getCookies(getHostUrl()).includes(cookie),
+    })),
+    pool: getPoolStatus(),
+  };
+}
+
+/**
+ * Describe the host settings with mirror health
+ * @returns {Object} { selectedHost, defaultHost, mirrors, health }
+ */
+function describeHosts() {
+  return {
+    ...getHostSettings(),
+    health: getMirrorStatus(),
+  };
+}
+
+router.use(requireAdmin);
+
+/**
+ * GET /admin/session
+ * Current session status, cookies (values redacted) and session pool
+ */
+router.get('/session', validate, (req, res) => {
+  res.json(describeSession());
+});
+
+/**
+ * PUT /admin/session/cookies
+ * Replace the session cookies - body: { cookies: "account=...; i18n_lang=en" }
+ * The cookies are used until they are replaced again or a refresh is forced
+ */
+router.put('/session/cookies', validate, (req, res) => {
+  try {
+    const { cookies } = req.body;
+    if (!cookies.includes('=')) {
+      return res.status(400).json({ error: 'cookies must be a cookie string (e.g. "account=...; i18n_lang=en")' });
+    }
+
+    setSessionCookies(cookies.trim());
+    res.json(describeSession());
+  } catch (error) {
+    sendError(res, error, 'Failed to update session cookies');
+  }
+});
+
+/**
+ * POST /admin/session/refresh
+ * Fetch a new session from the app info endpoint now (replaces configured cookies)
+ */
+router.post('/session/refresh', validate, async (req, res) => {
+  try {
+    await ensureCookiesAreAssigned({ force: true });
+    const status = getSessionStatus();
+    if (status.source !== 'dynamic' || status.lastError) {
+      return res.status(502).json({
+        error: 'Failed to refresh session cookies',
+        message: status.lastError || 'No cookies received from app info endpoint',
+        ...describeSession(),
+      });
+    }
+    res.json(describeSession());
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh session cookies');
+  }
+});
+
+/**
+ * GET /admin/hosts
+ * Selected host, mirror enablement and mirror health
+ */
+router.get('/hosts', validate, (req, res) => {
+  res.json(describeHosts());
+});
+
+/**
+ * PUT /admin/hosts/selected
+ * Switch the selected (primary) host - body: { host: "moviebox.pk" } or a full URL
+ * Dynamic sessions are refreshed against the new host on the next request
+ */
+router.put('/hosts/selected', validate, (req, res) => {
+  try {
+    const { host } = req.body;
+    const { previous, current } = setSelectedHost(host);
+    if (previous !== current && getSessionStatus().source === 'dynamic') {
+      markSessionStale('selected host changed');
+    }
+    res.json(describeHosts());
+  } catch (error) {
+    sendError(res, error, 'Failed to switch the selected host');
+  }
+});
+
+/**
+ * PUT /admin/mirrors/:host
+ * Enable or disable a mirror for failover - body: { enabled: true|false }
+ */
+router.put('/mirrors/:host', validate, (req, res) => {
+  try {
+    setMirrorEnabled(req.params.host, req.body.enabled);
+    res.json(describeHosts());
+  } catch (error) {
+    sendError(res, error, 'Failed to update mirror');
+  }
+});
+
+module.exports = router;
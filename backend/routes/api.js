@@ -1,892 +1,554 @@
 /**
  * API Proxy Routes
- * Proxies requests to Moviebox API endpoints
+ * Proxies requests to the configured content provider (Moviebox by default, see providers/)
  */
 
 const express = require('express');
 const router = express.Router();
-const { makeRequest } = require('../utils/proxy');
-const { getDefaultHeaders, getDownloadHeaders, getMediaDownloadHeaders } = require('../utils/headers');
-const { parseMovieDetailPage, parseDownloadableMetadata, fetchMovieDetailsFromHTML } = require('../utils/parser');
-const { HOST_URL } = require('../config/constants');
-const axios = require('axios');
+const { getMediaDownloadHeaders } = require('../utils/headers');
+const { resolveProvider } = require('../providers');
+const { registerRoutes } = require('../utils/routes');
+const { validate } = require('../utils/validation');
+const { metrics, trackProxyStream } = require('../utils/metrics');
+const {
+  TOKEN_KINDS,
+  issueDownloadToken,
+  applyDownloadToken,
+  rawDownloadParamsAllowed,
+  requireDownloadToken,
+} = require('../utils/tokens');
+const { requireAllowedUrl } = require('../utils/ssrf');
+const { requestDownload } = require('../utils/reresolve');
+const { getValidators, planRangeRequest, sendRangeResponse } = require('../utils/ranges');
+const { limitStreams, guardUpstream } = require('../utils/streaming');
+const { isHlsStream, hlsPlaylistPath } = require('../utils/hls');
+const { normalizeDetails } = require('../utils/normalize');
+const { normalizeQuality } = require('../utils/jobs');
+const { MANIFEST_FORMATS, resolveSeasonEntries, buildManifest, manifestName } = require('../utils/manifest');
+const logger = require('../utils/logger').createLogger({ module: 'api' });
 
 /**
- * GET /wefeed-h5-bff/web/home
- * Fetches homepage content
- * Also available at /api/home for backward compatibility
+ * Normalize season/episode params and enforce movie rules
+ * @param {Object} params - Route params (se, ep)
+ * @returns {Object} Params with numeric se and ep (se is 0 when ep is 0)
  */
-router.get('/wefeed-h5-bff/web/home', async (req, res) => {
-  try {
-    const response = await makeRequest('wefeed-h5-bff/web/home', {
-      method: 'GET',
-    });
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching homepage:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch homepage content',
-      message: error.message,
-    });
-  }
-});
-
-// Backward compatibility
-router.get('/home', async (req, res) => {
-  try {
-    const response = await makeRequest('wefeed-h5-bff/web/home', {
-      method: 'GET',
-    });
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching homepage:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch homepage content',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * POST /wefeed-h5-bff/web/subject/search
- * Searches for movies/TV series
- * Also available at /api/search for backward compatibility
- */
-router.post('/wefeed-h5-bff/web/subject/search', async (req, res) => {
-  try {
-    const { keyword, page = 1, perPage = 24, subjectType = 0 } = req.body;
-
-    if (!keyword) {
-      return res.status(400).json({ error: 'Keyword is required' });
-    }
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/search', {
-      method: 'POST',
-      data: {
-        keyword,
-        page,
-        perPage,
-        subjectType,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error searching:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Search failed',
-      message: error.message,
-    });
-  }
-});
-
-// Backward compatibility
-router.post('/search', async (req, res) => {
-  try {
-    const { keyword, page = 1, perPage = 24, subjectType = 0 } = req.body;
-
-    if (!keyword) {
-      return res.status(400).json({ error: 'Keyword is required' });
-    }
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/search', {
-      method: 'POST',
-      data: {
-        keyword,
-        page,
-        perPage,
-        subjectType,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error searching:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Search failed',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * POST /wefeed-h5-bff/web/subject/search-suggest
- * Gets search suggestions/autocomplete
- * Also available at /api/search-suggest for backward compatibility
- */
-router.post('/wefeed-h5-bff/web/subject/search-suggest', async (req, res) => {
-  try {
-    const { keyword, per_page = 10 } = req.body;
-
-    if (!keyword) {
-      return res.status(400).json({ error: 'Keyword is required' });
-    }
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/search-suggest', {
-      method: 'POST',
-      data: {
-        keyword,
-        per_page,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error getting suggestions:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to get suggestions',
-      message: error.message,
-    });
-  }
-});
-
-// Backward compatibility
-router.post('/search-suggest', async (req, res) => {
-  try {
-    const { keyword, per_page = 10 } = req.body;
-
-    if (!keyword) {
-      return res.status(400).json({ error: 'Keyword is required' });
-    }
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/search-suggest', {
-      method: 'POST',
-      data: {
-        keyword,
-        per_page,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error getting suggestions:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to get suggestions',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * GET /wefeed-h5-bff/web/subject/trending
- * Gets trending content
- * Also available at /api/trending for backward compatibility
- */
-router.get('/wefeed-h5-bff/web/subject/trending', async (req, res) => {
-  try {
-    const { page = 0, perPage = 18 } = req.query;
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/trending', {
-      method: 'GET',
-      params: {
-        page,
-        perPage,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching trending:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch trending content',
-      message: error.message,
-    });
-  }
-});
-
-// Backward compatibility
-router.get('/trending', async (req, res) => {
-  try {
-    const { page = 0, perPage = 18 } = req.query;
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/trending', {
-      method: 'GET',
-      params: {
-        page,
-        perPage,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching trending:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch trending content',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * GET /wefeed-h5-bff/web/subject/everyone-search
- * Gets popular search terms
- * Also available at /api/popular-searches for backward compatibility
- */
-router.get('/wefeed-h5-bff/web/subject/everyone-search', async (req, res) => {
-  try {
-    const response = await makeRequest('wefeed-h5-bff/web/subject/everyone-search', {
-      method: 'GET',
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching popular searches:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch popular searches',
-      message: error.message,
-    });
-  }
-});
-
-// Backward compatibility
-router.get('/popular-searches', async (req, res) => {
-  try {
-    const response = await makeRequest('wefeed-h5-bff/web/subject/everyone-search', {
-      method: 'GET',
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching popular searches:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch popular searches',
-      message: error.message,
-    });
-  }
-});
+function normalizeEpisodeParams(params) {
+  const se = parseInt(params.se) || 0;
+  const ep = parseInt(params.ep) || 0;
+
+  // Enforce: if episode is 0, season must be 0 (movies don't have seasons)
+  return {
+    ...params,
+    se: ep === 0 ? 0 : se,
+    ep,
+  };
+}
 
 /**
- * GET /wefeed-h5-bff/web/subject/search-rank
- * Gets hot/popular content rankings
- * Also available at /api/hot-content for backward compatibility
+ * Add a signed download token to each download and caption
+ * The token stands in for the CDN URL, the session cookies and the file name metadata
+ * (see utils/tokens.js), so download links don't carry cookies
+ * @param {Object} data - Download metadata ({ downloads, captions })
+ * @param {string} cookies - Session cookies required by the CDN
+ * @param {Object} params - Route params (subjectId, detailPath, se, ep)
+ * @returns {Object} { downloads, captions } - copies with a token field
  */
-router.get('/wefeed-h5-bff/web/subject/search-rank', async (req, res) => {
-  try {
-    const response = await makeRequest('wefeed-h5-bff/web/subject/search-rank', {
-      method: 'GET',
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching hot content:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch hot content',
-      message: error.message,
-    });
-  }
-});
+function attachDownloadTokens(data, cookies, params = {}) {
+  const episodeMetadata = {
+    subjectId: params.subjectId,
+    detailPath: params.detailPath,
+    ...(params.se > 0 && params.ep > 0 ? { season: params.se, episode: params.ep } : {}),
+  };
+
+  const downloads = (data.downloads || []).map((download) => {
+    const url = download.resource?.url || download.url;
+    if (!url) return download;
+    return {
+      ...download,
+      token: issueDownloadToken({
+        kind: TOKEN_KINDS.MEDIA,
+        url,
+        cookies,
+        metadata: {
+          ...episodeMetadata,
+          ...(download.resolution ? { resolution: `${download.resolution}p` } : {}),
+          ...(parseInt(download.size, 10) ? { size: parseInt(download.size, 10) } : {}),
+        },
+      }),
+    };
+  });
 
-// Backward compatibility
-router.get('/hot-content', async (req, res) => {
-  try {
-    const response = await makeRequest('wefeed-h5-bff/web/subject/search-rank', {
-      method: 'GET',
-    });
+  const captions = (data.captions || []).map((caption) => {
+    if (!caption.url) return caption;
+    return {
+      ...caption,
+      token: issueDownloadToken({
+        kind: TOKEN_KINDS.SUBTITLE,
+        url: caption.url,
+        cookies,
+        metadata: { ...episodeMetadata, language: caption.lan },
+      }),
+    };
+  });
 
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching hot content:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch hot content',
-      message: error.message,
-    });
-  }
-});
+  return { downloads, captions };
+}
 
 /**
- * GET /api/movie/:subjectId
- * Gets movie/TV series details by parsing HTML page
- * Extracts all metadata including resources, seasons, episodes, staff, etc.
- * 
- * This endpoint scrapes the HTML page and extracts JSON data embedded in script tags.
- * The endpoint URL format: /movies/{detailPath}?id={subjectId}
- * 
- * Query parameters:
- * - detailPath (required): Detail path from search result (e.g., "avatar-WLDIi21IUBa")
- * 
- * Example: GET /api/movie/8906247916759695608?detailPath=avatar-WLDIi21IUBa
+ * Send play metadata with a signed token on every stream
+ * The token plays the stream through /api/stream (range requests for seeking); HLS streams
+ * also get an hlsUrl, the master playlist through /api/hls (see routes/hls.js). Captions, when
+ * the play response lists any, get subtitle tokens like in the download metadata
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} response - Provider response
+ * @param {Object} params - Route params (subjectId, detailPath, se, ep)
  */
-router.get('/movie/:subjectId', async (req, res) => {
-  try {
-    const { subjectId } = req.params;
-    const { detailPath } = req.query;
-
-    if (!detailPath) {
-      return res.status(400).json({ error: 'detailPath query parameter is required' });
-    }
-
-    // Use the new scraping function that handles the complete flow
-    const movieDetails = await fetchMovieDetailsFromHTML(detailPath, subjectId);
-
-    res.json(movieDetails);
-  } catch (error) {
-    console.error('Error fetching movie details:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch movie details',
-      message: error.message,
-    });
+function sendPlayMetadata(req, res, response, params = {}) {
+  const body = response.data || {};
+  const data = body.data || body;
+  if (!Array.isArray(data.streams)) {
+    return res.json(body);
   }
-});
 
-/**
- * Make download metadata request with retry logic for limited responses
- * @param {string} endpoint - API endpoint
- * @param {Object} options - Request options
- * @param {number} maxRetries - Maximum retry attempts (default: 2)
- * @returns {Promise} Axios response
- */
-async function makeDownloadRequestWithRetry(endpoint, options, maxRetries = 2) {
-  const { makeRequest } = require('../utils/proxy');
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      // Add small random delay before each request to prevent rate limiting
-      if (attempt > 0) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff, max 5s
-        console.log(`⏳ Retry attempt ${attempt}/${maxRetries} - waiting ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        // Small random delay on first request (0-1s) to prevent simultaneous requests
-        const randomDelay = Math.floor(Math.random() * 1000);
-        if (randomDelay > 0) {
-          await new Promise(resolve => setTimeout(resolve, randomDelay));
-        }
-      }
-      
-      const response = await makeRequest(endpoint, options);
-      const responseData = response.data || {};
-      const allDownloads = responseData.data?.downloads || responseData.downloads || [];
-      const isLimited = responseData.data?.limited === true;
-      
-      // If limited with empty downloads and we have retries left, retry after delay
-      if (isLimited && allDownloads.length === 0 && attempt < maxRetries) {
-        console.log(`⚠️ Limited response with empty downloads. Will retry... (attempt ${attempt + 1}/${maxRetries + 1})`);
-        continue; // Retry
-      }
-      
-      // Success or no more retries
-      if (attempt > 0) {
-        console.log(`✅ Request succeeded on attempt ${attempt + 1}`);
-      }
-      return response;
-    } catch (error) {
-      // If last attempt, throw error
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      
-      // Retry on error with exponential backoff
-      const delay = Math.min(1000 * Math.pow(2, attempt), 5000);
-      console.log(`⚠️ Request failed. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries + 1})`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
+  const cookies = response.cookies || response.requestCookies || null;
+  const episodeMetadata = {
+    subjectId: params.subjectId,
+    detailPath: params.detailPath,
+    ...(params.se > 0 && params.ep > 0 ? { season: params.se, episode: params.ep } : {}),
+  };
+
+  const streams = data.streams.map((stream) => {
+    if (!stream.url) return stream;
+    const resolution = parseInt(stream.resolutions || stream.resolution, 10);
+    return {
+      ...stream,
+      token: issueDownloadToken({
+        kind: TOKEN_KINDS.MEDIA,
+        url: stream.url,
+        cookies,
+        metadata: {
+          ...episodeMetadata,
+          ...(resolution ? { resolution: `${resolution}p` } : {}),
+          ...(parseInt(stream.size, 10) ? { size: parseInt(stream.size, 10) } : {}),
+        },
+      }),
+      ...(isHlsStream(stream)
+        ? { hlsUrl: hlsPlaylistPath(issueDownloadToken({ kind: TOKEN_KINDS.HLS, url: stream.url, cookies })) }
+        : {}),
+    };
+  });
+  // Captions listed with the streams get tokens too, so the player needs no download metadata
+  const captions = Array.isArray(data.captions)
+    ? { captions: attachDownloadTokens({ captions: data.captions }, cookies, params).captions }
+    : {};
+  res.json(body.data ? { ...body, data: { ...data, streams, ...captions } } : { ...body, streams, ...captions });
 }
 
 /**
- * GET /wefeed-h5-bff/web/subject/download
- * Gets download URLs for a movie/TV series episode
- * Query params: subjectId, se, ep, detailPath
- * 
- * Headers according to documentation:
- * - Accept: text/html,application/xhtml+xml,application/xml;q=0.9,* / *;q=0.8
- * - Referer: https://h5.aoneroom.com/movies/{detailPath}
- * 
- * Also available at /api/download-metadata/:subjectId for backward compatibility
+ * Send download metadata with filtered downloads and the cookies needed for the CDN
+ * Every download and caption carries a signed token for the download routes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} response - Provider response
+ * @param {Object} params - Route params (subjectId, detailPath, se, ep)
  */
-router.get('/wefeed-h5-bff/web/subject/download', async (req, res) => {
-  try {
-    let { subjectId, se = 0, ep = 0, detailPath } = req.query;
-
-    // Convert to numbers and enforce movie rules
-    const originalSe = se;
-    const originalEp = ep;
-    se = parseInt(se) || 0;
-    ep = parseInt(ep) || 0;
-    
-    // Enforce: if episode is 0, season must be 0 (movies don't have seasons)
-    if (ep === 0) {
-      se = 0;
-    }
-    
-    console.log('Normalized params:', { 
-      subjectId, 
-      se, 
-      ep, 
-      detailPath, 
-      originalSe, 
-      originalEp,
-      seChanged: originalSe !== se,
-      epChanged: originalEp !== ep,
-    });
-
-    if (!subjectId) {
-      return res.status(400).json({ error: 'subjectId query parameter is required' });
-    }
-
-    if (!detailPath) {
-      return res.status(400).json({ error: 'detailPath query parameter is required' });
-    }
-
-    // Use download headers with correct Accept header and referer
-    // Referer should be the movie detail page URL
-    // Get cookies (from MB_COOKIES env var or dynamic fetching) to include in headers
-    const { ensureCookiesAreAssigned } = require('../utils/proxy');
-    let requestCookies = await ensureCookiesAreAssigned();
-    
-    // Ensure i18n_lang cookie is present (API might require it for some movies)
-    // If missing, add default value
-    if (requestCookies && !requestCookies.includes('i18n_lang')) {
-      requestCookies = requestCookies + '; i18n_lang=en';
-      console.log('Added missing i18n_lang cookie to request');
-    }
-    
-    const headers = getDownloadHeaders(detailPath, requestCookies);
-    
-    console.log('Fetching download metadata:', { subjectId, se, ep, detailPath });
-    console.log('Using headers:', JSON.stringify(headers, null, 2));
-    console.log('Has cookies:', !!requestCookies);
-
-    const response = await makeDownloadRequestWithRetry('wefeed-h5-bff/web/subject/download', {
-      method: 'GET',
-      params: {
-        subjectId,
-        se,
-        ep,
-      },
-      headers,
-    }, 2); // Max 2 retries (3 total attempts)
+function sendDownloadMetadata(req, res, response, params = {}) {
+  const requestCookies = response.requestCookies || null;
 
-    // Response should have downloads and captions arrays
-    // Ensure the structure matches the API documentation
-    const responseData = response.data || {};
-    
-    // CRITICAL: Log the actual API response to see why downloads are empty
-    console.log('=== FULL API RESPONSE DEBUG ===');
-    console.log('Response status:', response.status);
-    console.log('Response headers:', {
-      contentType: response.headers['content-type'],
-      setCookie: response.headers['set-cookie'] ? 'present' : 'none',
-    });
-    console.log('response.data type:', typeof responseData);
-    console.log('response.data structure:', {
+  // Response should have downloads and captions arrays
+  // Ensure the structure matches the API documentation
+  const responseData = response.data || {};
+  
+  // Full response dump (LOG_LEVEL=debug) to see why downloads are empty
+  if (logger.isLevelEnabled('debug')) {
+    // Log first 1000 chars of response to see structure without overwhelming logs
+    const responseDataString = JSON.stringify(responseData);
+    logger.debug('Download metadata upstream response', {
+      status: response.status,
+      contentType: response.headers?.['content-type'],
+      hasSetCookie: !!response.headers?.['set-cookie'],
       hasData: !!responseData.data,
       hasDownloads: !!responseData.downloads,
       dataHasDownloads: !!responseData.data?.downloads,
       dataKeys: responseData.data ? Object.keys(responseData.data) : [],
       rootKeys: Object.keys(responseData),
+      preview: responseDataString.substring(0, 1000),
+      length: responseDataString.length,
     });
-    // Log first 1000 chars of response to see structure without overwhelming logs
-    const responseDataString = JSON.stringify(responseData);
-    console.log('responseData preview (first 1000 chars):', responseDataString.substring(0, 1000));
-    if (responseDataString.length > 1000) {
-      console.log('responseData total length:', responseDataString.length, 'chars');
-    }
-    console.log('=== END API RESPONSE DEBUG ===');
-    
-    // Extract cookies from response (required for actual file downloads)
-    // MovieBox sets cookies like: account=...; i18n_lang=en
-    // The response.cookies should already be merged (account + i18n_lang) from makeRequest
-    // Use cookies from response if available, otherwise use request cookies
-    const cookies = response.cookies || requestCookies || null;
-    
-    // Log cookie status for debugging
-    if (cookies) {
-      const hasI18n = cookies.includes('i18n_lang');
-      const hasAccount = cookies.includes('account');
-      if (!hasI18n || !hasAccount) {
-        console.warn('Cookie warning:', {
-          hasI18n,
-          hasAccount,
-          cookiePreview: cookies.substring(0, 100),
-        });
-      }
-    }
-    
-    // Get downloads array for detailed logging
-    // Try multiple possible locations for downloads array
-    const allDownloads = responseData.data?.downloads || responseData.downloads || [];
-    
-    // Check if content is limited and log it
-    const isLimited = responseData.data?.limited === true;
-    if (isLimited) {
-      const retryInfo = allDownloads.length === 0 
-        ? ' (Retries will be attempted automatically)' 
-        : ' (Downloads available despite limit)';
-      
-      console.warn('⚠️ CONTENT IS LIMITED:', {
-        limited: responseData.data.limited,
-        freeNum: responseData.data.freeNum,
-        hasLimitedCode: !!responseData.data.limitedCode,
-        limitedCodePreview: responseData.data.limitedCode ? responseData.data.limitedCode.substring(0, 50) + '...' : 'none',
-        hasResource: responseData.data.hasResource,
-        downloadsCount: allDownloads.length,
-        message: `API is rate-limiting. ${responseData.data.freeNum > 0 ? `Free downloads remaining: ${responseData.data.freeNum}` : 'No free downloads remaining'}${retryInfo}`,
+  }
+  
+  // Extract cookies from response (required for actual file downloads)
+  // MovieBox sets cookies like: account=...; i18n_lang=en
+  // The response.cookies should already be merged (account + i18n_lang) from makeRequest
+  // Use cookies from response if available, otherwise use request cookies
+  const cookies = response.cookies || requestCookies || null;
+  
+  // Log cookie status for debugging
+  if (cookies) {
+    const hasI18n = cookies.includes('i18n_lang');
+    const hasAccount = cookies.includes('account');
+    if (!hasI18n || !hasAccount) {
+      logger.warn('Cookie warning: session cookies are incomplete', {
+        hasI18n,
+        hasAccount,
       });
     }
-    
-    // If downloads are empty, log all possible locations
-    if (allDownloads.length === 0) {
-      console.warn('⚠️ NO DOWNLOADS FOUND - Checking all possible locations:');
-      console.warn('  responseData.data?.downloads:', responseData.data?.downloads);
-      console.warn('  responseData.downloads:', responseData.downloads);
-      console.warn('  responseData.data keys:', responseData.data ? Object.keys(responseData.data) : 'no data');
-      console.warn('  responseData root keys:', Object.keys(responseData));
-      
-      // Check if there's a different structure (e.g., code/data pattern)
-      if (responseData.code !== undefined) {
-        console.warn('  Response has code field:', responseData.code);
-      }
-      if (responseData.message) {
-        console.warn('  Response message:', responseData.message);
-      }
-      if (responseData.data && typeof responseData.data === 'object') {
-        console.warn('  responseData.data full structure:', JSON.stringify(responseData.data).substring(0, 500));
-      }
-    }
-    
-    // Log response structure with detailed information about resources
-    console.log('=== DOWNLOAD METADATA RESPONSE ===');
-    console.log('Download metadata response:', {
-      hasData: !!responseData.data,
+  }
+  
+  // Get downloads array for detailed logging
+  // Try multiple possible locations for downloads array
+  const allDownloads = responseData.data?.downloads || responseData.downloads || [];
+  
+  // Check if content is limited and log it
+  const isLimited = responseData.data?.limited === true;
+  if (isLimited) {
+    metrics.limitedResponses.inc({ session: response.session?.id || 'none' });
+    const retryInfo = allDownloads.length === 0 
+      ? ' (Retries will be attempted automatically)' 
+      : ' (Downloads available despite limit)';
+    
+    logger.warn('⚠️ CONTENT IS LIMITED:', {
+      limited: responseData.data.limited,
+      freeNum: responseData.data.freeNum,
+      hasLimitedCode: !!responseData.data.limitedCode,
+      limitedCodePreview: responseData.data.limitedCode ? responseData.data.limitedCode.substring(0, 50) + '...' : 'none',
+      hasResource: responseData.data.hasResource,
       downloadsCount: allDownloads.length,
-      captionsCount: responseData.data?.captions?.length || responseData.captions?.length || 0,
-      hasCookies: !!cookies,
-      cookiesPreview: cookies ? cookies.substring(0, 100) + '...' : 'none',
-      cookiesFull: cookies, // Log full cookies for debugging
-      cookiesLength: cookies ? cookies.length : 0,
-      hasI18nLang: cookies ? cookies.includes('i18n_lang') : false,
-      hasAccount: cookies ? cookies.includes('account') : false,
+      message: `API is rate-limiting. ${responseData.data.freeNum > 0 ? `Free downloads remaining: ${responseData.data.freeNum}` : 'No free downloads remaining'}${retryInfo}`,
     });
-    
-    // Log detailed information about each download including resource URLs
-    if (allDownloads.length > 0) {
-      console.log('Download items structure (before filtering):');
-      allDownloads.forEach((download, index) => {
-        const hasResource = !!download.resource;
-        const hasResourceUrl = !!download.resource?.url;
-        const hasDirectUrl = !!download.url;
-        const resourceUrl = download.resource?.url || null;
-        const directUrl = download.url || null;
-        const resourceHasResource = download.resource?.hasResource; // Log the actual value
-        
-        console.log(`  Download ${index + 1}:`, {
-          id: download.id,
-          resolution: download.resolution,
-          hasDirectUrl: hasDirectUrl,
-          directUrlPreview: directUrl ? directUrl.substring(0, 80) + '...' : 'none',
-          hasResource: hasResource,
-          resourceHasResource: resourceHasResource, // Shows actual hasResource value from API
-          hasResourceUrl: hasResourceUrl,
-          resourceUrlPreview: resourceUrl ? resourceUrl.substring(0, 80) + '...' : 'none',
-          resourceKeys: hasResource ? Object.keys(download.resource) : [],
-        });
-        
-        // CRITICAL: Log which URL should be used (resource.url takes priority)
-        const urlToUse = resourceUrl || directUrl;
-        console.log(`  → URL TO USE FOR DOWNLOAD ${index + 1}: ${urlToUse ? urlToUse.substring(0, 100) + '...' : 'MISSING!'}`);
+  }
+  
+  // If downloads are empty, log where they were looked for
+  if (allDownloads.length === 0) {
+    logger.warn('⚠️ NO DOWNLOADS FOUND', {
+      dataKeys: responseData.data ? Object.keys(responseData.data) : [],
+      rootKeys: Object.keys(responseData),
+      code: responseData.code,
+      upstreamMessage: responseData.message,
+    });
+  }
+  
+  // Log response structure with detailed information about resources
+  logger.debug('Download metadata response', {
+    hasData: !!responseData.data,
+    downloadsCount: allDownloads.length,
+    captionsCount: responseData.data?.captions?.length || responseData.captions?.length || 0,
+    hasCookies: !!cookies,
+    cookiesLength: cookies ? cookies.length : 0,
+    hasI18nLang: cookies ? cookies.includes('i18n_lang') : false,
+    hasAccount: cookies ? cookies.includes('account') : false,
+  });
+  
+  // Log detailed information about each download including resource URLs
+  if (allDownloads.length > 0 && logger.isLevelEnabled('debug')) {
+    allDownloads.forEach((download, index) => {
+      const resourceUrl = download.resource?.url || null;
+      const directUrl = download.url || null;
+      // resource.url takes priority over the direct URL
+      const urlToUse = resourceUrl || directUrl;
+
+      logger.debug(`Download ${index + 1} (before filtering)`, {
+        id: download.id,
+        resolution: download.resolution,
+        hasDirectUrl: !!directUrl,
+        hasResource: !!download.resource,
+        resourceHasResource: download.resource?.hasResource, // Actual hasResource value from API
+        hasResourceUrl: !!resourceUrl,
+        resourceKeys: download.resource ? Object.keys(download.resource) : [],
+        urlToUse: urlToUse ? urlToUse.substring(0, 100) : 'MISSING!',
       });
-    }
+    });
+  }
+  
+  // Filter downloads to only include entries with hasResource: true and valid URLs
+  // MODIFIED: Allow downloads if they have a valid URL, even if hasResource is false
+  // This handles cases where MovieBox blocks resource.hasResource but still provides download.url
+  // Only filter out if BOTH hasResource is false AND no valid URL exists
+  const downloads = allDownloads.filter((download) => {
+    const hasResourceFlag = download.resource?.hasResource !== false;
+    const hasResourceUrl = !!download.resource?.url;
+    const hasDirectUrl = !!download.url;
+    const hasValidUrl = hasResourceUrl || hasDirectUrl;
     
-    // Filter downloads to only include entries with hasResource: true and valid URLs
     // MODIFIED: Allow downloads if they have a valid URL, even if hasResource is false
     // This handles cases where MovieBox blocks resource.hasResource but still provides download.url
     // Only filter out if BOTH hasResource is false AND no valid URL exists
-    const downloads = allDownloads.filter((download) => {
-      const hasResourceFlag = download.resource?.hasResource !== false;
-      const hasResourceUrl = !!download.resource?.url;
-      const hasDirectUrl = !!download.url;
-      const hasValidUrl = hasResourceUrl || hasDirectUrl;
-      
-      // MODIFIED: Allow downloads if they have a valid URL, even if hasResource is false
-      // This handles cases where MovieBox blocks resource.hasResource but still provides download.url
-      // Only filter out if BOTH hasResource is false AND no valid URL exists
-      const isValid = hasValidUrl && (hasResourceFlag || hasDirectUrl);
-      
-      if (!isValid) {
-        console.log(`  ✗ Filtered out download ${download.id} (resolution: ${download.resolution}):`, {
-          hasResourceFlag: hasResourceFlag,
-          hasResourceUrl: hasResourceUrl,
-          hasDirectUrl: hasDirectUrl,
-          reason: !hasValidUrl ? 'no valid URL' : (!hasResourceFlag && !hasDirectUrl ? 'hasResource is false and no direct URL' : 'unknown'),
-        });
-      }
-      
-      return isValid;
-    });
-    
-    console.log(`Filtered downloads: ${downloads.length} available out of ${allDownloads.length} total`);
-    console.log('=== END METADATA RESPONSE ===');
-    
-    // Update response data with filtered downloads
-    const finalResponseData = { ...responseData };
-    if (finalResponseData.data) {
-      finalResponseData.data.downloads = downloads;
-      // Update hasResource flag based on filtered results
-      finalResponseData.data.hasResource = downloads.length > 0;
-    } else if (finalResponseData.downloads) {
-      finalResponseData.downloads = downloads;
-    }
-    
-    // Include cookies in response so frontend can pass them to download endpoint
-    if (responseData.data) {
-      // If response has nested data structure
-      res.json({
-        ...finalResponseData,
-        _cookies: cookies, // Add cookies to response (frontend will use this)
-      });
-    } else if (responseData.downloads || responseData.captions) {
-      // If response already has downloads/captions at root level
-      res.json({
-        code: 0,
-        message: 'ok',
-        data: finalResponseData,
-        _cookies: cookies, // Add cookies to response (frontend will use this)
-      });
-    } else {
-      // Empty response - return structure with empty arrays
-      res.json({
-        code: 0,
-        message: 'ok',
-        data: {
-          downloads: [],
-          captions: [],
-          limited: false,
-          limitedCode: '',
-          freeNum: 0,
-          hasResource: false,
-        },
-        _cookies: cookies, // Add cookies to response (frontend will use this)
+    const isValid = hasValidUrl && (hasResourceFlag || hasDirectUrl);
+    
+    if (!isValid) {
+      logger.debug(`✗ Filtered out download ${download.id} (resolution: ${download.resolution})`, {
+        hasResourceFlag: hasResourceFlag,
+        hasResourceUrl: hasResourceUrl,
+        hasDirectUrl: hasDirectUrl,
+        reason: !hasValidUrl ? 'no valid URL' : (!hasResourceFlag && !hasDirectUrl ? 'hasResource is false and no direct URL' : 'unknown'),
       });
     }
-  } catch (error) {
-    console.error('Error fetching download metadata:', error.message);
-    console.error('Error details:', {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      code: error.code,
-      message: error.message,
-    });
     
-    // Return more detailed error for debugging on Vercel
-    const errorResponse = {
-      error: 'Failed to fetch download metadata',
-      message: error.message,
-      details: error.response?.data || 'No additional details available',
+    return isValid;
+  });
+  
+  logger.debug(`Filtered downloads: ${downloads.length} available out of ${allDownloads.length} total`);
+  
+  // Update response data with filtered downloads
+  // (copy nested data - the upstream response may be shared with coalesced requests)
+  const finalResponseData = { ...responseData };
+  if (finalResponseData.data) {
+    finalResponseData.data = {
+      ...finalResponseData.data,
+      ...attachDownloadTokens({ downloads, captions: finalResponseData.data.captions }, cookies, params),
+      // Update hasResource flag based on filtered results
+      hasResource: downloads.length > 0,
     };
-    
-    // Include additional debugging info in development
-    if (process.env.NODE_ENV === 'development' || process.env.VERCEL_ENV) {
-      errorResponse.debug = {
-        code: error.code,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-      };
-    }
-    
-    res.status(error.response?.status || 500).json(errorResponse);
-  }
-});
-
-/**
- * GET /wefeed-h5-bff/web/subject/play
- * Gets streaming URLs for a movie/TV series episode
- * Query params: subjectId, se, ep, detailPath
- */
-router.get('/wefeed-h5-bff/web/subject/play', async (req, res) => {
-  try {
-    let { subjectId, se = 0, ep = 0, detailPath } = req.query;
-
-    // Enforce: if episode is 0, season must be 0 (movies don't have seasons)
-    if (ep === 0 || parseInt(ep) === 0) {
-      se = 0;
-    }
-
-    if (!subjectId) {
-      return res.status(400).json({ error: 'subjectId query parameter is required' });
-    }
-
-    if (!detailPath) {
-      return res.status(400).json({ error: 'detailPath query parameter is required' });
-    }
-
-    const referer = `${HOST_URL}movies/${detailPath}`;
-    const headers = getDefaultHeaders(referer);
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/play', {
-      method: 'GET',
-      params: {
-        subjectId,
-        se,
-        ep,
-      },
-      headers,
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching play metadata:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch play metadata',
-      message: error.message,
-    });
+  } else if (finalResponseData.downloads || finalResponseData.captions) {
+    Object.assign(finalResponseData, attachDownloadTokens({ downloads, captions: finalResponseData.captions }, cookies, params));
   }
-});
-
-// Backward compatibility
-router.get('/download-metadata/:subjectId', async (req, res) => {
-  try {
-    const { subjectId } = req.params;
-    let { se = 0, ep = 0, detailPath } = req.query;
-
-    // Enforce: if episode is 0, season must be 0 (movies don't have seasons)
-    if (ep === 0 || parseInt(ep) === 0) {
-      se = 0;
-    }
-
-    if (!detailPath) {
-      return res.status(400).json({ error: 'detailPath query parameter is required' });
-    }
-
-    // Use download headers with correct Accept header and referer
-    const headers = getDownloadHeaders(detailPath);
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/download', {
-      method: 'GET',
-      params: {
-        subjectId,
-        se,
-        ep,
-      },
-      headers,
-    });
 
-    // Response should have downloads and captions arrays
-    const responseData = response.data || {};
-    if (responseData.data) {
-      res.json(responseData);
-    } else {
-      res.json({
-        code: 0,
-        message: 'ok',
-        data: responseData,
-      });
-    }
-  } catch (error) {
-    console.error('Error fetching download metadata:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch download metadata',
-      message: error.message,
+  // Raw cookies are only sent to legacy clients passing url/cookies to the download routes
+  // (ALLOW_RAW_DOWNLOAD_PARAMS=true) - undefined leaves _cookies out of the JSON
+  const exposedCookies = rawDownloadParamsAllowed() ? cookies : undefined;
+  if (responseData.data) {
+    // If response has nested data structure
+    res.json({
+      ...finalResponseData,
+      _cookies: exposedCookies, // Cookies for legacy url/cookies download links
     });
-  }
-});
-
-/**
- * GET /wefeed-h5-bff/web/subject/downloadable-files
- * Gets downloadable files metadata for a movie/TV series
- * Query params: subjectId, detailPath
- */
-router.get('/wefeed-h5-bff/web/subject/downloadable-files', async (req, res) => {
-  try {
-    const { subjectId, detailPath } = req.query;
-
-    if (!subjectId) {
-      return res.status(400).json({ error: 'subjectId query parameter is required' });
-    }
-
-    if (!detailPath) {
-      return res.status(400).json({ error: 'detailPath query parameter is required' });
-    }
-
-    // Fetch the HTML page to extract downloadable metadata
-    const url = `${HOST_URL}movies/${detailPath}?id=${subjectId}`;
-    const headers = getDefaultHeaders();
-    
-    const response = await axios.get(url, { headers });
-    const html = response.data;
-
-    // Parse the HTML to extract downloadable metadata
-    const metadata = parseDownloadableMetadata(html);
-
+  } else if (responseData.downloads || responseData.captions) {
+    // If response already has downloads/captions at root level
     res.json({
       code: 0,
       message: 'ok',
-      data: metadata,
+      data: finalResponseData,
+      _cookies: exposedCookies, // Cookies for legacy url/cookies download links
     });
-  } catch (error) {
-    console.error('Error fetching downloadable files metadata:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch downloadable files metadata',
-      message: error.message,
+  } else {
+    // Empty response - return structure with empty arrays
+    res.json({
+      code: 0,
+      message: 'ok',
+      data: {
+        downloads: [],
+        captions: [],
+        limited: false,
+        limitedCode: '',
+        freeNum: 0,
+        hasResource: false,
+      },
+      _cookies: exposedCookies, // Cookies for legacy url/cookies download links
     });
   }
-});
+}
 
 /**
- * GET /wefeed-h5-bff/web/subject/detail-rec
- * Gets recommended content based on a movie/TV series
- * Query params: subjectId, page, perPage
- * Also available at /api/recommendations/:subjectId for backward compatibility
+ * Send a detailed error response for failed download metadata requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
  */
-router.get('/wefeed-h5-bff/web/subject/detail-rec', async (req, res) => {
-  try {
-    const { subjectId, page = 1, perPage = 24 } = req.query;
-
-    if (!subjectId) {
-      return res.status(400).json({ error: 'subjectId query parameter is required' });
-    }
-
-    const response = await makeRequest('wefeed-h5-bff/web/subject/detail-rec', {
-      method: 'GET',
-      params: {
-        subjectId,
-        page,
-        perPage,
-      },
-    });
-
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching recommendations:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch recommendations',
-      message: error.message,
-    });
+function sendDownloadMetadataError(req, res, error) {
+  logger.error('Error fetching download metadata:', { error: error.message });
+  logger.error('Error details:', {
+    status: error.response?.status,
+    statusText: error.response?.statusText,
+    data: error.response?.data,
+    code: error.code,
+    message: error.message,
+  });
+  
+  // Return more detailed error for debugging on Vercel
+  const errorResponse = {
+    error: 'Failed to fetch download metadata',
+    message: error.message,
+    details: error.response?.data || 'No additional details available',
+  };
+  
+  // Include additional debugging info in development
+  if (process.env.NODE_ENV === 'development' || process.env.VERCEL_ENV) {
+    errorResponse.debug = {
+      code: error.code,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+    };
   }
-});
+  
+  res.status(error.status || error.response?.status || 500).json(errorResponse);
+}
 
-// Backward compatibility
-router.get('/recommendations/:subjectId', async (req, res) => {
-  try {
-    const { subjectId } = req.params;
-    const { page = 1, perPage = 24 } = req.query;
+const DETAIL_PATH_PARAM = { required: true, message: 'detailPath query parameter is required' };
+const SUBJECT_ID_PARAM = { required: true, message: 'subjectId query parameter is required' };
+const KEYWORD_PARAM = { required: true, message: 'Keyword is required' };
 
-    const response = await makeRequest('wefeed-h5-bff/web/subject/detail-rec', {
-      method: 'GET',
-      params: {
-        subjectId,
-        page,
-        perPage,
-      },
-    });
+/**
+ * Route table - each endpoint is declared once with its provider mapping and params
+ * The primary path follows the MovieBox guide; aliases are kept for backward compatibility
+ */
+const routes = [
+  {
+    // Homepage content
+    name: 'home',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/home',
+    aliases: ['/home'],
+    cache: true,
+    fetch: (provider, params, options) => provider.home(options),
+    errorMessage: 'Failed to fetch homepage content',
+  },
+  {
+    // Search movies/TV series
+    name: 'search',
+    method: 'post',
+    path: '/wefeed-h5-bff/web/subject/search',
+    aliases: ['/search'],
+    params: {
+      keyword: KEYWORD_PARAM,
+      page: { default: 1 },
+      perPage: { default: 24 },
+      subjectType: { default: 0 },
+    },
+    fetch: (provider, { keyword, page, perPage, subjectType }) => provider.search({ keyword, page, perPage, subjectType }),
+    errorMessage: 'Search failed',
+  },
+  {
+    // Search suggestions/autocomplete
+    name: 'search-suggest',
+    method: 'post',
+    path: '/wefeed-h5-bff/web/subject/search-suggest',
+    aliases: ['/search-suggest'],
+    params: {
+      keyword: KEYWORD_PARAM,
+      perPage: { from: 'per_page', default: 10 },
+    },
+    fetch: (provider, { keyword, perPage }) => provider.suggest({ keyword, perPage }),
+    errorMessage: 'Failed to get suggestions',
+  },
+  {
+    // Trending content
+    name: 'trending',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/trending',
+    aliases: ['/trending'],
+    params: {
+      page: { default: 0 },
+      perPage: { default: 18 },
+    },
+    cache: true,
+    fetch: (provider, { page, perPage }, options) => provider.trending({ page, perPage }, options),
+    errorMessage: 'Failed to fetch trending content',
+  },
+  {
+    // Popular search terms
+    name: 'everyone-search',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/everyone-search',
+    aliases: ['/popular-searches'],
+    cache: true,
+    fetch: (provider, params, options) => provider.popularSearches(options),
+    errorMessage: 'Failed to fetch popular searches',
+  },
+  {
+    // Hot/popular content rankings
+    name: 'search-rank',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/search-rank',
+    aliases: ['/hot-content'],
+    cache: true,
+    fetch: (provider, params, options) => provider.hotContent(options),
+    errorMessage: 'Failed to fetch hot content',
+  },
+  {
+    // Movie/TV series details parsed from the HTML detail page
+    // (resources, seasons, episodes, staff, ...), e.g. /api/movie/8906247916759695608?detailPath=avatar-WLDIi21IUBa
+    name: 'movie',
+    method: 'get',
+    path: '/movie/:subjectId',
+    params: {
+      subjectId: SUBJECT_ID_PARAM,
+      detailPath: DETAIL_PATH_PARAM,
+    },
+    fetch: (provider, { subjectId, detailPath }) => provider.details({ subjectId, detailPath }),
+    errorMessage: 'Failed to fetch movie details',
+  },
+  {
+    // Download URLs and captions for a movie/TV series episode, plus the cookies the CDN requires
+    name: 'download',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/download',
+    aliases: ['/download-metadata/:subjectId'],
+    params: {
+      subjectId: SUBJECT_ID_PARAM,
+      detailPath: DETAIL_PATH_PARAM,
+      se: { default: 0 },
+      ep: { default: 0 },
+    },
+    prepare: normalizeEpisodeParams,
+    fetch: (provider, { subjectId, detailPath, se, ep }) => provider.downloadLinks({ subjectId, detailPath, se, ep }),
+    respond: sendDownloadMetadata,
+    onError: sendDownloadMetadataError,
+    errorMessage: 'Failed to fetch download metadata',
+  },
+  {
+    // Streaming URLs for a movie/TV series episode, each with a token for /api/stream
+    // (HLS streams also get an hlsUrl for /api/hls)
+    name: 'play',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/play',
+    params: {
+      subjectId: SUBJECT_ID_PARAM,
+      detailPath: DETAIL_PATH_PARAM,
+      se: { default: 0 },
+      ep: { default: 0 },
+    },
+    prepare: normalizeEpisodeParams,
+    fetch: (provider, { subjectId, detailPath, se, ep }) => provider.playLinks({ subjectId, detailPath, se, ep }),
+    respond: sendPlayMetadata,
+    errorMessage: 'Failed to fetch play metadata',
+  },
+  {
+    // Downloadable files metadata (seasons, resolutions, subtitle languages)
+    name: 'downloadable-files',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/downloadable-files',
+    params: {
+      subjectId: SUBJECT_ID_PARAM,
+      detailPath: DETAIL_PATH_PARAM,
+    },
+    fetch: (provider, { subjectId, detailPath }) => provider.downloadableFiles({ subjectId, detailPath }),
+    errorMessage: 'Failed to fetch downloadable files metadata',
+  },
+  {
+    // Recommended content based on a movie/TV series
+    name: 'detail-rec',
+    method: 'get',
+    path: '/wefeed-h5-bff/web/subject/detail-rec',
+    aliases: ['/recommendations/:subjectId'],
+    params: {
+      subjectId: SUBJECT_ID_PARAM,
+      page: { default: 1 },
+      perPage: { default: 24 },
+    },
+    fetch: (provider, { subjectId, page, perPage }) => provider.recommendations({ subjectId, page, perPage }),
+    errorMessage: 'Failed to fetch recommendations',
+  },
+];
+
+registerRoutes(router, routes);
 
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching recommendations:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: 'Failed to fetch recommendations',
-      message: error.message,
-    });
-  }
-});
+/**
+ * Describe the file a download-proxy request is for, so an expired CDN URL can be re-resolved
+ * @param {Object} req - Express request (query already filled from a token)
+ * @returns {Object} Source for requestDownload in utils/reresolve.js
+ */
+function downloadSource(req) {
+  const { subjectId, detailPath, season, episode, resolution, quality } = req.query;
+  return { provider: resolveProvider(req), subjectId, detailPath, season, episode, resolution, quality };
+}
 
 /**
  * HEAD /api/download-proxy
  * Handles HEAD requests for download capability checking (used by IDM and other download managers)
  * This allows download managers to check if multi-connection downloads are supported
  */
-router.head('/download-proxy', async (req, res) => {
+router.head('/download-proxy', validate, applyDownloadToken(TOKEN_KINDS.MEDIA), requireDownloadToken, requireAllowedUrl, async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -901,17 +563,20 @@ router.head('/download-proxy', async (req, res) => {
       cookies = await ensureCookiesAreAssigned();
     }
 
-    // Get headers without Range (HEAD requests don't need Range)
-    const headers = getMediaDownloadHeaders(url, cookies, "bytes=0-");
-    delete headers.Range; // HEAD requests don't use Range
-
-    // Make HEAD request to source
-    const headResponse = await axios.head(url, {
-      headers: headers,
-      timeout: 10000,
-      maxRedirects: 5,
-      validateStatus: (status) => status < 500,
-    });
+    // Make HEAD request to source (without Range - HEAD requests don't use it)
+    // An expired URL is re-resolved transparently
+    const headResponse = await requestDownload({ url, cookies }, (target) => {
+      const headers = getMediaDownloadHeaders(target.url, target.cookies, "bytes=0-");
+      delete headers.Range;
+      return {
+        method: 'HEAD',
+        url: target.url,
+        headers,
+        timeout: 10000,
+        maxRedirects: 5,
+        validateStatus: (status) => status < 500,
+      };
+    }, downloadSource(req));
 
     // Set CORS headers
     const origin = req.headers.origin;
@@ -921,7 +586,7 @@ router.head('/download-proxy', async (req, res) => {
     } else {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type, Accept-Ranges');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, ETag, Last-Modified');
 
     // Forward important headers
     const contentType = headResponse.headers['content-type'] || 'video/mp4';
@@ -929,6 +594,13 @@ router.head('/download-proxy', async (req, res) => {
     
     // CRITICAL: Always advertise Range support for multi-connection downloads
     res.setHeader('Accept-Ranges', 'bytes');
+
+    // Validators download managers send back in If-Range when resuming
+    if (headResponse.status < 400) {
+      const { etag, lastModified } = getValidators(headResponse.headers, url, req.downloadToken?.metadata);
+      res.setHeader('ETag', etag);
+      if (lastModified) res.setHeader('Last-Modified', lastModified);
+    }
     
     // Forward Content-Length if available
     if (headResponse.headers['content-length']) {
@@ -941,8 +613,7 @@ router.head('/download-proxy', async (req, res) => {
     
     if (detailPath && subjectId) {
       try {
-        const { fetchMovieDetailsFromHTML } = require('../utils/parser');
-        const movieDetails = await fetchMovieDetailsFromHTML(detailPath, subjectId);
+        const movieDetails = (await resolveProvider(req).details({ subjectId, detailPath })).data;
         const movieTitle = title || 
           (movieDetails?.resData?.metadata?.title) || 
           (movieDetails?.resData?.subject?.title) || 
@@ -976,9 +647,9 @@ router.head('/download-proxy', async (req, res) => {
     // Return same status as source
     res.status(headResponse.status).end();
   } catch (error) {
-    console.error('HEAD request error:', error.message);
+    logger.error('HEAD request error:', { error: error.message });
     if (!res.headersSent) {
-      res.status(error.response?.status || 500).end();
+      res.status(error.status || error.response?.status || 500).end();
     }
   }
 });
@@ -986,7 +657,8 @@ router.head('/download-proxy', async (req, res) => {
 /**
  * GET /api/download-proxy
  * Proxies media file downloads with proper headers and multi-connection support
- * Query params: url, detailPath (optional, for filename), subjectId, season, episode, title, quality, resolution
+ * Query params: token (from the download metadata) or url + cookies, detailPath (optional, for filename),
+ * subjectId, season, episode, title, quality, resolution - token metadata fills the ones not given
  * 
  * Headers used for downloading movies:
  * - Accept: * / *
@@ -995,28 +667,28 @@ router.head('/download-proxy', async (req, res) => {
  * - Referer: https://fmoviesunblocked.net/
  * 
  * Supports:
- * - Range requests (206 Partial Content) for multi-connection downloads
+ * - Range requests (206 Partial Content) for multi-connection downloads: suffix and open ranges,
+ *   multiple ranges (multipart/byteranges), If-Range and 416 for unsatisfiable ranges
+ * - ETag (synthesized when the CDN has none) and Last-Modified for resuming
  * - HEAD requests for capability checking
  * - Proper Accept-Ranges header advertising
  */
-router.get('/download-proxy', async (req, res) => {
+router.get('/download-proxy', validate, applyDownloadToken(TOKEN_KINDS.MEDIA), requireDownloadToken, requireAllowedUrl, limitStreams, async (req, res) => {
   // Log ALL requests to download-proxy (even before try block to catch everything)
-  console.log('=== DOWNLOAD PROXY REQUEST RECEIVED ===');
-  console.log('Request received:', {
+  logger.debug('Request received:', {
     method: req.method,
     path: req.path,
     query: Object.keys(req.query),
     hasUrl: !!req.query.url,
     hasCookies: !!req.query.cookies,
-    cookiesPreview: req.query.cookies ? req.query.cookies.substring(0, 100) + '...' : 'NO COOKIES IN QUERY',
   });
   
   try {
     const { url, detailPath, subjectId, season, episode, title, quality, resolution } = req.query;
 
     if (!url) {
-      console.error('DOWNLOAD PROXY ERROR: Missing url parameter');
-      return res.status(400).json({ error: 'url query parameter is required' });
+      logger.error('DOWNLOAD PROXY ERROR: Missing url parameter');
+      return res.status(400).json({ error: 'url or token query parameter is required' });
     }
 
     // Get cookies from query params if provided (from metadata request)
@@ -1027,277 +699,65 @@ router.get('/download-proxy', async (req, res) => {
     if (!cookies) {
       const { ensureCookiesAreAssigned } = require('../utils/proxy');
       cookies = await ensureCookiesAreAssigned();
-      console.log('No cookies in query, using global cookies:', cookies ? 'YES' : 'NO');
-    }
-    
-    // Get Range header from client request (for multi-connection downloads)
-    const clientRange = req.headers.range;
-    
-    // First, get file info with HEAD request to check Content-Length
-    // This is needed for Range request handling
-    let contentLength = null;
-    try {
-      const headHeaders = getMediaDownloadHeaders(url, cookies, "bytes=0-");
-      delete headHeaders.Range; // HEAD requests don't need Range
-      
-      const headResponse = await axios.head(url, {
-        headers: headHeaders,
-        timeout: 10000,
-        maxRedirects: 5,
-        validateStatus: (status) => status < 500,
-      });
-      
-      contentLength = headResponse.headers['content-length'];
-      
-      // Check for errors in HEAD response
-      if (headResponse.status === 404) {
-        console.error('File not found (404) on CDN');
-        return res.status(404).json({
-          error: 'File not found on CDN',
-          message: 'The requested file is not available. It may have been removed or the URL is invalid.',
-        });
-      }
-      
-      if (headResponse.status === 403) {
-        const isExpired = url.includes('sign=') || url.includes('&t=');
-        console.error('Access forbidden (403):', { isExpired });
-        if (isExpired) {
-          return res.status(410).json({
-            error: 'Download URL expired',
-            message: 'The download URL has expired. Please try again to get a fresh URL.',
-          });
-        } else {
-          return res.status(403).json({
-            error: 'Region restriction',
-            message: 'This content is not available in your region or access is restricted.',
-          });
-        }
-      }
-      
-      if (headResponse.status === 401) {
-        console.error('Unauthorized (401) - likely expired URL');
-        return res.status(410).json({
-          error: 'Download URL expired',
-          message: 'The download URL has expired. Please try again to get a fresh URL.',
-        });
-      }
-      
-      if (headResponse.status >= 400) {
-        console.error(`File validation failed with status ${headResponse.status}`);
-        return res.status(headResponse.status).json({
-          error: 'File validation failed',
-          message: `The file could not be accessed (status: ${headResponse.status}).`,
-        });
-      }
-      
-      console.log('File validation successful:', {
-        status: headResponse.status,
-        contentType: headResponse.headers['content-type'],
-        contentLength: contentLength,
-      });
-    } catch (validationError) {
-      // Handle validation errors
-      if (validationError.response) {
-        const status = validationError.response.status;
-        if (status === 404) {
-          return res.status(404).json({
-            error: 'File not found on CDN',
-            message: 'The requested file is not available. It may have been removed or the URL is invalid.',
-          });
-        }
-        if (status === 403) {
-          const isExpired = url.includes('sign=') || url.includes('&t=');
-          if (isExpired) {
-            return res.status(410).json({
-              error: 'Download URL expired',
-              message: 'The download URL has expired. Please try again to get a fresh URL.',
-            });
-          } else {
-            return res.status(403).json({
-              error: 'Region restriction',
-              message: 'This content is not available in your region or access is restricted.',
-            });
-          }
-        }
-        if (status === 401) {
-          return res.status(410).json({
-            error: 'Download URL expired',
-            message: 'The download URL has expired. Please try again to get a fresh URL.',
-          });
-        }
-      }
-      
-      // For other validation errors, log but continue
-      console.warn('File validation warning (continuing with download):', validationError.message);
-    }
-    
-    // Handle Range requests for multi-connection downloads (206 Partial Content)
-    if (clientRange && contentLength) {
-      // Parse Range header (e.g., "bytes=0-1023" or "bytes=1024-")
-      const rangeMatch = clientRange.match(/bytes=(\d+)-(\d*)/);
-      if (rangeMatch) {
-        const start = parseInt(rangeMatch[1], 10);
-        const end = rangeMatch[2] ? parseInt(rangeMatch[2], 10) : parseInt(contentLength, 10) - 1;
-        
-        // Validate range
-        if (start >= parseInt(contentLength, 10) || start < 0) {
-          // Set CORS headers
-          const origin = req.headers.origin;
-          if (origin) {
-            res.setHeader('Access-Control-Allow-Origin', origin);
-            res.setHeader('Access-Control-Allow-Credentials', 'true');
-          } else {
-            res.setHeader('Access-Control-Allow-Origin', '*');
-          }
-          res.setHeader('Accept-Ranges', 'bytes');
-          res.status(416).setHeader('Content-Range', `bytes */${contentLength}`).end();
-          return;
-        }
-        
-        // If end is beyond file size, adjust it
-        const actualEnd = Math.min(end, parseInt(contentLength, 10) - 1);
-        const actualChunkSize = actualEnd - start + 1;
-        
-        // Get headers with specific range
-        const rangeHeaders = getMediaDownloadHeaders(url, cookies, `bytes=${start}-${actualEnd}`);
-        
-        // Make Range request to source
-        try {
-          const rangeResponse = await axios.get(url, {
-            headers: rangeHeaders,
-            responseType: 'stream',
-            timeout: 300000,
-            maxRedirects: 5,
-          });
-          
-          // Set CORS headers
-          const origin = req.headers.origin;
-          if (origin) {
-            res.setHeader('Access-Control-Allow-Origin', origin);
-            res.setHeader('Access-Control-Allow-Credentials', 'true');
-          } else {
-            res.setHeader('Access-Control-Allow-Origin', '*');
-          }
-          res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, Content-Range');
-          
-          // CRITICAL: Always advertise Range support
-          res.setHeader('Accept-Ranges', 'bytes');
-          
-          // Return 206 Partial Content for Range requests
-          res.status(206);
-          res.setHeader('Content-Range', `bytes ${start}-${actualEnd}/${contentLength}`);
-          res.setHeader('Content-Length', actualChunkSize);
-          
-          const contentType = rangeResponse.headers['content-type'] || 'video/mp4';
-          res.setHeader('Content-Type', contentType);
-          
-          // Generate filename (same logic as full download)
-          const { generateMediaFilename, extractExtension } = require('../utils/filename');
-          let filename = null;
-          let movieDetails = null;
-          if (detailPath && subjectId) {
-            try {
-              const { fetchMovieDetailsFromHTML } = require('../utils/parser');
-              movieDetails = await fetchMovieDetailsFromHTML(detailPath, subjectId);
-            } catch (err) {
-              console.warn('Could not fetch movie details for filename:', err.message);
-            }
-          }
-          const movieTitle = title || 
-            (movieDetails?.resData?.metadata?.title) || 
-            (movieDetails?.resData?.subject?.title) || 
-            null;
-          const releaseDate = movieDetails?.resData?.subject?.releaseDate || 
-                           movieDetails?.resData?.metadata?.releaseDate;
-          const year = releaseDate ? new Date(releaseDate).getFullYear() : null;
-          const extension = extractExtension(url, contentType);
-          let resValue = resolution;
-          if (!resValue && quality && quality !== 'BEST' && quality !== 'WORST') {
-            resValue = quality;
-          }
-          if (movieTitle) {
-            filename = generateMediaFilename({
-              title: movieTitle,
-              year: year,
-              season: season,
-              episode: episode,
-              resolution: resValue,
-              quality: quality,
-              extension: extension
-            });
-          }
-          if (!filename) {
-            const urlParts = url.split('/');
-            filename = urlParts[urlParts.length - 1].split('?')[0];
-          }
-          res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
-          
-          // Stream the range
-          rangeResponse.data.pipe(res);
-          
-          rangeResponse.data.on('error', (streamError) => {
-            console.error('Range stream error:', streamError.message);
-          });
-          
-          rangeResponse.data.on('end', () => {
-            console.log(`Range ${start}-${actualEnd} stream completed`);
-          });
-          
-          return; // Exit early for Range requests
-        } catch (rangeError) {
-          console.error('Range request error:', rangeError.message);
-          // Fall through to full download on Range error
-        }
-      }
+      logger.debug('No cookies in query, using global cookies', { hasCookies: !!cookies });
     }
     
-    // For non-Range requests, download full file
-    const range = clientRange || "bytes=0-";
-    const headers = getMediaDownloadHeaders(url, cookies, range);
+    // CDN URL and cookies - replaced with fresh ones if the URL expired (see utils/reresolve.js)
+    const target = { url, cookies };
+    const source = downloadSource(req);
+
+    // One upstream request per client request: the Range (and If-Range) sent to the CDN
+    // are derived from the client's (see utils/ranges.js). Token metadata keeps the
+    // synthesized ETag stable when the URL is re-resolved to a different CDN path
+    const identity = req.downloadToken?.metadata;
+    const plan = planRangeRequest(req, url, identity);
+    // Aborted when the client disconnects, dropped when no data moves (see utils/streaming.js)
+    const guard = guardUpstream(req, res);
 
     // CRITICAL: This is the ACTUAL MEDIA FILE download request (not metadata!)
-    console.log('=== MEDIA FILE DOWNLOAD REQUEST ===');
-    console.log('Media download request started:', {
+    logger.debug('Media download request started:', {
       url: url.substring(0, 150) + (url.length > 150 ? '...' : ''),
       urlLength: url.length,
       hasCookies: !!cookies,
-      cookiesPreview: cookies ? cookies.substring(0, 100) + '...' : 'NO COOKIES (may fail!)',
-      cookiesFull: cookies, // Log full cookies for debugging
-      range: range,
-      headers: {
-        referer: headers.Referer,
-        origin: headers.Origin,
-        userAgent: headers['User-Agent'],
-        accept: headers.Accept,
-        hasRange: !!headers.Range,
-        hasCookieHeader: !!headers.Cookie,
-      },
+      clientRange: req.headers.range || null,
+      upstreamRange: plan.upstreamRange,
+      ifRange: plan.upstreamHeaders['If-Range'] || null,
     });
 
-
     // Fetch the file with proper headers
     let response;
     try {
-      response = await axios.get(url, {
-        headers,
+      response = await requestDownload(target, current => ({
+        method: 'GET',
+        url: current.url,
+        headers: {
+          ...getMediaDownloadHeaders(current.url, current.cookies, plan.upstreamRange),
+          ...plan.upstreamHeaders,
+        },
         responseType: 'stream',
-        timeout: 300000, // 5 minutes for large files
+        timeout: guard.timeout, // Until response headers - the transfer itself has an idle timeout
+        signal: guard.signal,
         maxRedirects: 5,
-      });
+        // 416 is answered by the range engine
+        validateStatus: status => (status >= 200 && status < 300) || status === 416,
+      }), source);
       
       // Log successful response
-      console.log('Media download response received:', {
+      logger.debug('Media download response received:', {
         status: response.status,
         statusText: response.statusText,
         contentType: response.headers['content-type'],
         contentLength: response.headers['content-length'],
         hasStream: !!response.data,
       });
-      console.log('=== END MEDIA FILE DOWNLOAD ===');
     } catch (downloadError) {
+      if (guard.clientGone) {
+        logger.debug('Client disconnected before the CDN answered');
+        return;
+      }
+
       // Log detailed error for media download
-      console.error('=== MEDIA FILE DOWNLOAD FAILED ===');
-      console.error('Media download error:', {
+      logger.error('Media download error:', {
         message: downloadError.message,
         status: downloadError.response?.status,
         statusText: downloadError.response?.statusText,
@@ -1305,7 +765,6 @@ router.get('/download-proxy', async (req, res) => {
         hasCookies: !!cookies,
         errorCode: downloadError.code,
       });
-      console.error('=== END MEDIA FILE DOWNLOAD ERROR ===');
       
       // Handle specific error cases with appropriate status codes and messages
       if (downloadError.response) {
@@ -1348,20 +807,9 @@ router.get('/download-proxy', async (req, res) => {
       // Allow requests with no origin (like direct downloads)
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, Content-Range');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, Content-Range, ETag, Last-Modified');
     
-    // CRITICAL: Always advertise Range support for multi-connection downloads (IDM requirement)
-    res.setHeader('Accept-Ranges', 'bytes');
-    
-    // Set appropriate headers for download
     const contentType = response.headers['content-type'] || 'video/mp4';
-    res.setHeader('Content-Type', contentType);
-    
-    // For non-Range requests, stream entire file
-    const responseContentLength = response.headers['content-length'];
-    if (responseContentLength) {
-      res.setHeader('Content-Length', responseContentLength);
-    }
     
     // Generate filename based on available metadata
     const { generateMediaFilename, extractExtension } = require('../utils/filename');
@@ -1371,10 +819,9 @@ router.get('/download-proxy', async (req, res) => {
     let movieDetails = null;
     if (detailPath && subjectId) {
       try {
-        const { fetchMovieDetailsFromHTML } = require('../utils/parser');
-        movieDetails = await fetchMovieDetailsFromHTML(detailPath, subjectId);
+        movieDetails = (await resolveProvider(req).details({ subjectId, detailPath })).data;
       } catch (err) {
-        console.warn('Could not fetch movie details for filename:', err.message);
+        logger.warn('Could not fetch movie details for filename:', { error: err.message });
       }
     }
     
@@ -1419,39 +866,45 @@ router.get('/download-proxy', async (req, res) => {
     // Set Content-Disposition header with proper filename
     res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
 
-    // Pipe the response (for full file downloads without Range)
-    response.data.pipe(res);
+    // Stream the file or the requested ranges
+    // CRITICAL: Accept-Ranges is always advertised for multi-connection downloads (IDM requirement)
+    trackProxyStream(response.data);
+    guard.attach(response.data);
+    const sent = sendRangeResponse(res, response, plan, { url, contentType, identity });
     
     // Log when streaming starts
-    console.log('Media file streaming started to client');
+    logger.debug('Media file streaming started to client', {
+      upstreamStatus: response.status,
+      status: sent.status,
+      ranges: sent.ranges ? sent.ranges.length : 0,
+    });
     
     // Handle stream errors
     response.data.on('error', (streamError) => {
-      console.error('Media stream error:', streamError.message);
+      logger.error('Media stream error', { error: streamError.message });
     });
     
     // Log when stream ends
     response.data.on('end', () => {
-      console.log('Media file stream completed');
+      logger.debug('Media file stream completed');
     });
   } catch (error) {
     // This catch block handles errors from axios request or other errors
-    console.error('=== DOWNLOAD PROXY ERROR ===');
-    console.error('Error proxying download:', error.message);
-    console.error('Download URL:', req.query.url ? req.query.url.substring(0, 150) + '...' : 'MISSING');
-    console.error('Error details:', {
+    logger.error('Error proxying download', {
+      error: error.message,
+      url: req.query.url ? req.query.url.substring(0, 150) : 'MISSING',
       status: error.response?.status || error.statusCode,
       statusText: error.response?.statusText,
       hasCookies: !!req.query.cookies,
       errorCode: error.code,
       userMessage: error.userMessage,
     });
-    console.error('=== END DOWNLOAD PROXY ERROR ===');
     
     if (!res.headersSent) {
       // Use specific error message if available, otherwise use generic message
       const errorMessage = error.userMessage || error.message || 'Failed to proxy download';
-      const statusCode = error.statusCode || error.response?.status || 500;
+      const statusCode = error.statusCode || error.status || error.response?.status
+        || (error.code === 'ECONNABORTED' ? 504 : 500);
       
       // Map specific error types to user-friendly messages
       let finalMessage = errorMessage;
@@ -1477,5 +930,67 @@ router.get('/download-proxy', async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * GET /api/season-manifest
+ * Download manifest for a whole season: every episode's download (in the requested quality)
+ * as a download-proxy link with a generated file name
+ * Query params: subjectId, detailPath, season, quality (BEST, WORST, 1080P, ...),
+ * format (aria2, wget, jdownloader or m3u)
+ */
+router.get('/season-manifest', validate, async (req, res) => {
+  try {
+    const { subjectId, detailPath } = req.query;
+    const season = parseInt(req.query.season, 10);
+    const format = req.query.format || 'aria2';
+    const quality = normalizeQuality(req.query.quality);
+    const provider = resolveProvider(req);
+
+    const details = normalizeDetails((await provider.details({ subjectId, detailPath })).data || {});
+    const seasonInfo = details.seasons.find(entry => entry.season === season);
+    if (!seasonInfo) {
+      return res.status(404).json({
+        error: 'Season not found',
+        message: details.seasons.length > 0
+          ? `Available seasons: ${details.seasons.map(entry => entry.season).join(', ')}`
+          : 'This title has no seasons',
+      });
+    }
+
+    const title = details.subject.title || detailPath;
+    const year = details.subject.year || null;
+    const { entries, missing } = await resolveSeasonEntries({
+      provider,
+      subjectId,
+      detailPath,
+      title,
+      year,
+      season,
+      episodes: seasonInfo.episodes.map(entry => entry.episode),
+      quality,
+      // Absolute, so the manifest works outside the browser (honours TRUST_PROXY for the scheme)
+      proxyUrl: `${req.protocol}://${req.get('host')}/api/download-proxy`,
+    });
+
+    if (entries.length === 0) {
+      const limited = missing.length > 0 && missing.every(item => item.limited);
+      return res.status(limited ? 429 : 404).json({
+        error: 'No episodes available',
+        message: limited ? 'Download limit reached - try again later' : `No ${quality} downloads in season ${season}`,
+      });
+    }
+
+    const { extension, contentType } = MANIFEST_FORMATS[format];
+    const name = manifestName(title, year, season);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(`${name}.${extension}`)}"`);
+    res.send(buildManifest(format, { name, entries, missing }));
+  } catch (error) {
+    logger.error('Error building season manifest:', { error: error.message });
+    res.status(error.status || error.response?.status || 500).json({
+      error: 'Failed to build season manifest',
+      message: error.message,
+    });
+  }
+});
 
+module.exports = router;
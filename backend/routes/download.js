@@ -1,136 +1,234 @@
 /**
  * Download Routes
- * Handles file streaming for downloads
+ * Handles file streaming for downloads and in-browser playback
  */
 
 const express = require('express');
+const { pipeline } = require('stream');
 const router = express.Router();
-const axios = require('axios');
+const { validate } = require('../utils/validation');
+const { TOKEN_KINDS, applyDownloadToken, requireDownloadToken } = require('../utils/tokens');
+const { requestUpstream, requireAllowedUrl } = require('../utils/ssrf');
+const { planRangeRequest, sendRangeResponse } = require('../utils/ranges');
+const { limitStreams, guardUpstream } = require('../utils/streaming');
+const {
+  readSubtitleStream,
+  convertSubtitle,
+  convertSubtitleStream,
+  parseFramerates,
+  captionLanguageCode,
+} = require('../utils/subtitles');
+const { createZipStream } = require('../utils/zip');
+const {
+  generateSubtitleFilename,
+  cleanFilename,
+  extractExtension,
+  SUBTITLE_EXTENSIONS,
+} = require('../utils/filename');
+const { resolveProvider } = require('../providers');
+const logger = require('../utils/logger').createLogger({ module: 'download' });
 
 /**
- * GET /api/download
- * Streams video files to browser
- * Query params: url, filename, cookies (optional - cookies from metadata page)
+ * Proxy a media file to the client, with range support
+ * @param {Object} req - Express request (url, cookies and filename in the query)
+ * @param {Object} res - Express response
+ * @param {string} disposition - "attachment" to download, "inline" to play in the browser
  */
-router.get('/download', async (req, res) => {
+async function sendMedia(req, res, disposition) {
   try {
     const { url, filename, cookies } = req.query;
 
     if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' });
+      return res.status(400).json({ error: 'URL or token parameter is required' });
     }
 
+    // One upstream request per client request - the Range sent upstream is derived from
+    // the client's (see utils/ranges.js). Token metadata keeps the synthesized ETag stable
+    // when the CDN URL is re-resolved
+    const identity = req.downloadToken?.metadata;
+    const plan = planRangeRequest(req, url, identity);
+    // Aborted when the client disconnects, dropped when no data moves (see utils/streaming.js)
+    const guard = guardUpstream(req, res);
+
     // Get media download headers (NOT metadata headers - these are different!)
     // Include cookies from metadata request if provided
-    const range = req.headers.range || "bytes=0-";
-    const headers = require('../utils/headers').getMediaDownloadHeaders(url, cookies, range);
+    const headers = {
+      ...require('../utils/headers').getMediaDownloadHeaders(url, cookies, plan.upstreamRange),
+      ...plan.upstreamHeaders,
+    };
 
     // Make request to video URL with streaming
-    const response = await axios({
+    const response = await requestUpstream({
       method: 'GET',
       url: url,
       headers: headers,
       responseType: 'stream',
-      timeout: 300000, // 5 minutes for large files
+      timeout: guard.timeout, // Until response headers - the transfer itself has an idle timeout
+      signal: guard.signal,
       maxRedirects: 5,
+      validateStatus: status => (status >= 200 && status < 300) || status === 416,
     });
 
     // Set response headers
     const contentType = response.headers['content-type'] || 'video/mp4';
-    const contentLength = response.headers['content-length'];
     const contentDisposition = filename
-      ? `attachment; filename="${encodeURIComponent(filename)}"`
-      : 'attachment';
+      ? `${disposition}; filename="${encodeURIComponent(filename)}"`
+      : disposition;
 
-    res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', contentDisposition);
-    
-    if (contentLength) {
-      res.setHeader('Content-Length', contentLength);
-    }
 
-    // Handle Range requests for resumable downloads
-    const clientRange = req.headers.range;
-    if (clientRange && contentLength) {
-      const parts = clientRange.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : parseInt(contentLength, 10) - 1;
-      const chunksize = end - start + 1;
-
-      res.status(206); // Partial Content
-      res.setHeader('Content-Range', `bytes ${start}-${end}/${contentLength}`);
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Content-Length', chunksize);
-
-      // Get headers with specific range for this request
-      const rangeHeaders = require('../utils/headers').getMediaDownloadHeaders(url, cookies, `bytes=${start}-${end}`);
-
-      // Stream the requested range
-      const stream = await axios({
-        method: 'GET',
-        url: url,
-        headers: rangeHeaders,
-        responseType: 'stream',
-        timeout: 300000,
-        maxRedirects: 5,
-      });
-
-      stream.data.pipe(res);
-    } else {
-      // Stream entire file
-      response.data.pipe(res);
-    }
+    // Stream the file or the requested ranges (resumable downloads, seeking)
+    guard.attach(response.data);
+    sendRangeResponse(res, response, plan, { url, contentType, identity });
   } catch (error) {
-    console.error('Error downloading file:', error.message);
+    logger.error('Error downloading file:', { error: error.message });
     
-    if (!res.headersSent) {
-      res.status(error.response?.status || 500).json({
+    if (!res.headersSent && !res.destroyed) {
+      res.status(error.status || error.response?.status || (error.code === 'ECONNABORTED' ? 504 : 500)).json({
         error: 'Download failed',
         message: error.message,
       });
     }
   }
-});
+}
+
+/**
+ * GET /api/download
+ * Streams video files to browser
+ * Query params: token (from the download metadata) or url + cookies (optional - cookies from metadata page), filename
+ */
+router.get('/download', validate, applyDownloadToken(TOKEN_KINDS.MEDIA), requireDownloadToken, requireAllowedUrl, limitStreams, (req, res) =>
+  sendMedia(req, res, 'attachment'));
+
+/**
+ * GET /api/stream
+ * Streams video files for playback in the browser (inline, range requests for seeking)
+ * Query params: token (from the play or download metadata) or url + cookies
+ */
+router.get('/stream', validate, applyDownloadToken(TOKEN_KINDS.MEDIA), requireDownloadToken, requireAllowedUrl, limitStreams, (req, res) =>
+  sendMedia(req, res, 'inline'));
+
+/**
+ * Look up the title and release year used in file names
+ * @param {Object} req - Express request (selects the content provider)
+ * @param {string} subjectId - Subject ID
+ * @param {string} detailPath - Detail path
+ * @returns {Promise<Object>} { title, year } - null values when the lookup failed
+ */
+async function lookupTitle(req, subjectId, detailPath) {
+  try {
+    const details = (await resolveProvider(req).details({ subjectId, detailPath })).data || {};
+    // Parsed detail page, or the raw page state when parsing fell back to it
+    const page = details.resData || details;
+    const releaseDate = page.subject?.releaseDate || page.metadata?.releaseDate;
+    const year = releaseDate ? new Date(releaseDate).getFullYear() : null;
+    return {
+      title: page.metadata?.title || page.subject?.title || null,
+      year: Number.isNaN(year) ? null : year,
+    };
+  } catch (error) {
+    logger.warn('Title lookup failed', { error: error.message });
+    return { title: null, year: null };
+  }
+}
+
+/**
+ * Name of a converted subtitle file
+ * An explicit filename keeps its name with the new extension; otherwise the name follows
+ * generateMediaFilename ("Title (Year) S01E02.en.srt") when the title is known or can be
+ * looked up from subjectId/detailPath, falling back to the CDN file name.
+ * @param {Object} req - Express request (filename metadata in the query)
+ * @param {string} extension - Extension of the converted file
+ * @returns {Promise<string>} File name
+ */
+async function resolveSubtitleFilename(req, extension) {
+  const { url, filename, title, subjectId, detailPath, season, episode, language } = req.query;
+  if (filename) {
+    return `${String(filename).replace(/\.[A-Za-z0-9]{1,5}$/, '')}.${extension}`;
+  }
+
+  const media = title
+    ? { title, year: null }
+    : subjectId && detailPath ? await lookupTitle(req, subjectId, detailPath) : {};
+  if (media.title) {
+    return generateSubtitleFilename({ ...media, season, episode, language, extension });
+  }
+
+  const basename = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || 'subtitle';
+  return `${cleanFilename(basename).replace(/\.[A-Za-z0-9]{1,5}$/, '')}.${extension}`;
+}
+
+/**
+ * Pick the captions of the requested languages
+ * @param {Object[]} captions - Captions from the download metadata
+ * @param {string} languages - Comma-separated codes or names ("en,fr", "English"), empty for all
+ * @returns {Object[]} Captions with a URL
+ */
+function selectCaptions(captions, languages) {
+  const available = captions.filter(caption => caption.url);
+  const wanted = String(languages || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+  if (wanted.length === 0) return available;
+
+  return available.filter(caption => [caption.lan, caption.lanName, captionLanguageCode(caption)]
+    .some(value => wanted.includes(String(value || '').toLowerCase())));
+}
 
 /**
  * GET /api/download-subtitle
- * Downloads subtitle files
- * Query params: url, filename, cookies (optional - cookies from metadata page)
+ * Downloads subtitle files, re-encoded as UTF-8 and optionally converted and retimed.
+ * The file is converted cue by cue while it streams, so there is no size limit.
+ * Query params: token (from the download metadata) or url + cookies (optional - cookies from metadata page), filename,
+ * format (srt, vtt, ass or json cues), shift (ms, may be negative), fps ("<from>:<to>", e.g. 25:23.976), bom
  */
-router.get('/download-subtitle', async (req, res) => {
+router.get('/download-subtitle', validate, applyDownloadToken(TOKEN_KINDS.SUBTITLE), requireDownloadToken, requireAllowedUrl, async (req, res) => {
   try {
-    const { url, filename, cookies } = req.query;
+    const { url, cookies, format, shift, fps, bom } = req.query;
 
     if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' });
+      return res.status(400).json({ error: 'URL or token parameter is required' });
     }
+    const framerates = parseFramerates(fps);
 
     // Use media download headers for subtitles too (they may also require cookies)
-    const headers = require('../utils/headers').getMediaDownloadHeaders(url, cookies, "bytes=0-");
+    // Subtitles are converted from the start - no Range header
+    const { Range, ...headers } = require('../utils/headers').getMediaDownloadHeaders(url, cookies);
+    const guard = guardUpstream(req, res);
 
-    const response = await axios({
+    const response = await requestUpstream({
       method: 'GET',
       url: url,
       headers: headers,
       responseType: 'stream',
-      timeout: 60000, // 1 minute for subtitle files
+      timeout: guard.timeout,
+      signal: guard.signal,
       maxRedirects: 5,
     });
 
-    const contentType = response.headers['content-type'] || 'text/vtt';
-    const contentDisposition = filename
-      ? `attachment; filename="${encodeURIComponent(filename)}"`
-      : 'attachment';
+    guard.attach(response.data);
+    const subtitle = await convertSubtitleStream(response.data, {
+      format: format || null,
+      shiftMs: shift || 0,
+      ...framerates,
+      bom: bom === true,
+    });
 
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', contentDisposition);
+    // Unrecognized files keep their own extension
+    const sourceExtension = extractExtension(url);
+    const extension = subtitle.format || (SUBTITLE_EXTENSIONS.includes(sourceExtension) ? sourceExtension : 'txt');
+    const filename = await resolveSubtitleFilename(req, extension);
 
-    response.data.pipe(res);
+    res.setHeader('Content-Type', subtitle.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+    pipeline(subtitle.stream, res, (error) => {
+      if (error && !guard.clientGone) {
+        logger.warn('Subtitle download cut off:', { error: error.message });
+      }
+    });
   } catch (error) {
-    console.error('Error downloading subtitle:', error.message);
+    logger.error('Error downloading subtitle:', { error: error.message });
     
-    if (!res.headersSent) {
-      res.status(error.response?.status || 500).json({
+    if (!res.headersSent && !res.destroyed) {
+      res.status(error.status || error.response?.status || (error.code === 'ECONNABORTED' ? 504 : 500)).json({
         error: 'Subtitle download failed',
         message: error.message,
       });
@@ -138,5 +236,149 @@ router.get('/download-subtitle', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/download-subtitle-bundle
+ * Every caption of a movie or episode (or the selected languages) as one ZIP archive, built
+ * while the captions are fetched. Files are converted to UTF-8 SubRip and named
+ * "Title (Year) S01E02.<lang>.srt" with ISO 639 codes; captions that fail are left out.
+ * Captions are fetched one at a time and the archive holds a media stream slot (limitStreams).
+ * Query params: subjectId, detailPath, se, ep, languages (comma-separated codes or names), title
+ */
+router.get('/download-subtitle-bundle', validate, limitStreams, async (req, res) => {
+  const guard = guardUpstream(req, res);
+  try {
+    const { subjectId, detailPath, languages } = req.query;
+    const episode = parseInt(req.query.ep, 10) || 0;
+    // Movies have no seasons
+    const season = episode === 0 ? 0 : (parseInt(req.query.se, 10) || 0);
+
+    const [response, media] = await Promise.all([
+      resolveProvider(req).downloadLinks({ subjectId, detailPath, se: season, ep: episode }),
+      req.query.title ? { title: req.query.title, year: null } : lookupTitle(req, subjectId, detailPath),
+    ]);
+    const data = response.data?.data || response.data || {};
+    const cookies = response.cookies || null;
+
+    const captions = selectCaptions(data.captions || [], languages);
+    if (captions.length === 0) {
+      return res.status(data.limited ? 429 : 404).json({
+        error: 'No subtitles available',
+        message: data.limited
+          ? 'Download limit reached - try again later'
+          : `No ${languages ? `${languages} ` : ''}subtitles for this ${episode ? 'episode' : 'movie'}`,
+      });
+    }
+
+    const names = { title: media.title || detailPath, year: media.year, season, episode };
+    const used = new Map();
+    let zip = null;
+
+    for (const caption of captions) {
+      // Several captions of one language get numbered ("en", "en-2", ...)
+      const code = captionLanguageCode(caption);
+      const count = (used.get(code) || 0) + 1;
+      used.set(code, count);
+      const language = count > 1 ? `${code}-${count}` : code;
+
+      let subtitle;
+      try {
+        const { Range, ...headers } = require('../utils/headers').getMediaDownloadHeaders(caption.url, cookies);
+        const upstream = await requestUpstream({
+          method: 'GET',
+          url: caption.url,
+          headers,
+          responseType: 'stream',
+          timeout: guard.timeout,
+          signal: guard.signal,
+          maxRedirects: 5,
+        });
+        guard.attach(upstream.data);
+        subtitle = convertSubtitle(await readSubtitleStream(upstream.data, upstream.headers['content-length']), { format: 'srt' });
+      } catch (error) {
+        if (guard.clientGone) return;
+        logger.warn('Leaving a subtitle out of the bundle', { language: caption.lan, error: error.message });
+        continue;
+      }
+
+      // Headers go out with the first subtitle, so a bundle that can't be built still gets an error
+      if (!zip) {
+        const filename = generateSubtitleFilename({ ...names, extension: 'zip' });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+        zip = createZipStream(res);
+      }
+      await zip.addFile(generateSubtitleFilename({ ...names, language, extension: 'srt' }), subtitle.body);
+    }
+
+    if (!zip) {
+      const error = new Error('None of the subtitles could be fetched');
+      error.status = 502;
+      throw error;
+    }
+    await zip.finish();
+  } catch (error) {
+    if (guard.clientGone) return;
+    logger.error('Error building subtitle bundle:', { error: error.message });
+
+    if (!res.headersSent && !res.destroyed) {
+      res.status(error.status || error.response?.status || (error.code === 'ECONNABORTED' ? 504 : 500)).json({
+        error: 'Subtitle bundle failed',
+        message: error.message,
+      });
+    } else {
+      // An archive without its central directory is unusable - don't end it cleanly
+      res.destroy();
+    }
+  }
+});
+
+/**
+ * GET /api/subtitle-vtt
+ * Subtitle converted to WebVTT cue by cue, for <track> elements
+ * Query params: token (from the download metadata) or url + cookies
+ */
+router.get('/subtitle-vtt', validate, applyDownloadToken(TOKEN_KINDS.SUBTITLE), requireDownloadToken, requireAllowedUrl, async (req, res) => {
+  try {
+    const { url, cookies } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL or token parameter is required' });
+    }
+
+    const { Range, ...headers } = require('../utils/headers').getMediaDownloadHeaders(url, cookies);
+    const guard = guardUpstream(req, res);
+
+    const response = await requestUpstream({
+      method: 'GET',
+      url: url,
+      headers: headers,
+      responseType: 'stream',
+      timeout: guard.timeout,
+      signal: guard.signal,
+      maxRedirects: 5,
+    });
+
+    guard.attach(response.data);
+    const subtitle = await convertSubtitleStream(response.data, { format: 'vtt' });
+
+    res.setHeader('Content-Type', subtitle.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    pipeline(subtitle.stream, res, (error) => {
+      if (error && !guard.clientGone) {
+        logger.warn('Subtitle conversion cut off:', { error: error.message });
+      }
+    });
+  } catch (error) {
+    logger.error('Error converting subtitle:', { error: error.message });
+
+    if (!res.headersSent && !res.destroyed) {
+      res.status(error.status || error.response?.status || (error.code === 'ECONNABORTED' ? 504 : 500)).json({
+        error: 'Subtitle conversion failed',
+        message: error.message,
+      });
+    }
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,151 @@
+/**
+ * HLS Routes
+ * Playlists and segments of HLS streams, fetched from the CDN with the headers it requires
+ * (see utils/hls.js). Start from the hlsUrl in the play metadata; the playlists it returns
+ * point every variant and segment back at these routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getMediaDownloadHeaders } = require('../utils/headers');
+const { validate } = require('../utils/validation');
+const { metrics, trackProxyStream } = require('../utils/metrics');
+const {
+  TOKEN_KINDS,
+  issueDownloadToken,
+  applyDownloadToken,
+  requireDownloadToken,
+} = require('../utils/tokens');
+const { requestUpstream, requireAllowedUrl } = require('../utils/ssrf');
+const { planRangeRequest, sendRangeResponse } = require('../utils/ranges');
+const { limitStreams, guardUpstream } = require('../utils/streaming');
+const {
+  HLS_CONTENT_TYPE,
+  rewritePlaylist,
+  fetchPlaylist,
+  getCachedSegment,
+  cacheSegmentStream,
+  sendCachedSegment,
+} = require('../utils/hls');
+const logger = require('../utils/logger').createLogger({ module: 'hls' });
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error summary
+ */
+function sendError(res, error, message) {
+  const status = error.status || error.response?.status || (error.code === 'ECONNABORTED' ? 504 : 500);
+  if (status >= 500) {
+    logger.error(`${message}:`, { error: error.message, code: error.code });
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.status(status).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Require a playback session token (segments and nested playlists are only reachable through
+ * the URIs of a proxied playlist)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireSession(req, res, next) {
+  if (req.downloadToken) return next();
+  res.status(400).json({ error: 'token query parameter is required' });
+}
+
+/**
+ * GET /api/hls/playlist
+ * Master or media playlist with every URI rewritten to the proxy
+ * Query: token (from hlsUrl in the play metadata) - or url and cookies when raw download
+ * parameters are allowed; u selects a nested playlist of the session
+ */
+router.get('/playlist', validate, applyDownloadToken(TOKEN_KINDS.HLS), requireDownloadToken, requireAllowedUrl, async (req, res) => {
+  const guard = guardUpstream(req, res);
+  try {
+    const { url, cookies } = req.query;
+    if (!url) {
+      return res.status(400).json({ error: 'token or url query parameter is required' });
+    }
+
+    // A raw url starts a session, so the rewritten URIs carry a token instead of the cookies
+    const session = req.downloadToken
+      ? req.query.token
+      : issueDownloadToken({ kind: TOKEN_KINDS.HLS, url, cookies: cookies || null });
+    const target = (req.downloadToken && req.query.u) || url;
+
+    const playlist = await fetchPlaylist(target, cookies, { signal: guard.signal, timeout: guard.timeout });
+    const proxied = rewritePlaylist(playlist.text, playlist.url, (uri, kind) =>
+      `${kind}?token=${encodeURIComponent(session)}&u=${encodeURIComponent(uri)}`);
+
+    res.setHeader('Content-Type', HLS_CONTENT_TYPE);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(proxied);
+  } catch (error) {
+    if (guard.clientGone) return;
+    sendError(res, error, 'Failed to fetch HLS playlist');
+  }
+});
+
+/**
+ * GET /api/hls/segment
+ * Media segment, key or init section of a proxied playlist - served from the segment cache
+ * when possible, supports range requests
+ * Query: token and u from the rewritten playlist
+ */
+router.get('/segment', validate, applyDownloadToken(TOKEN_KINDS.HLS), requireSession, limitStreams, async (req, res) => {
+  const url = req.query.u;
+  if (!url) {
+    return res.status(400).json({ error: 'u query parameter is required' });
+  }
+
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges, ETag');
+  const cached = getCachedSegment(url);
+  if (cached) {
+    metrics.hlsSegmentCache.inc({ result: 'HIT' });
+    return sendCachedSegment(req, res, cached);
+  }
+  metrics.hlsSegmentCache.inc({ result: 'MISS' });
+
+  const guard = guardUpstream(req, res);
+  try {
+    const plan = planRangeRequest(req, url);
+    const response = await requestUpstream({
+      method: 'GET',
+      url,
+      headers: {
+        ...getMediaDownloadHeaders(url, req.query.cookies, plan.upstreamRange),
+        ...plan.upstreamHeaders,
+      },
+      responseType: 'stream',
+      timeout: guard.timeout,
+      signal: guard.signal,
+      maxRedirects: 5,
+      // 416 is answered by the range engine
+      validateStatus: status => (status >= 200 && status < 300) || status === 416,
+    });
+
+    trackProxyStream(response.data);
+    guard.attach(response.data);
+    sendRangeResponse(res, response, plan, { url });
+    if (!plan.specs) {
+      cacheSegmentStream(url, response);
+    }
+    response.data.on('error', (streamError) => {
+      logger.warn('HLS segment stream error', { error: streamError.message });
+    });
+  } catch (error) {
+    if (guard.clientGone) return;
+    sendError(res, error, 'Failed to fetch HLS segment');
+  }
+});
+
+module.exports = router;
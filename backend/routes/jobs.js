@@ -0,0 +1,152 @@
+/**
+ * Download Job Routes
+ * Queue media downloads to the server's DOWNLOAD_DIR and control them (see utils/jobs.js)
+ * Every route requires the ADMIN_API_TOKEN as a bearer token or X-Admin-Token header
+ */
+
+const express = require('express');
+const router = express.Router();
+const { resolveProvider } = require('../providers');
+const { requireAdmin } = require('../utils/auth');
+const { validate } = require('../utils/validation');
+const {
+  JOB_STATUS,
+  createJob,
+  listJobs,
+  getJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  removeJob,
+  getJobQueueStatus,
+} = require('../utils/jobs');
+const logger = require('../utils/logger').createLogger({ module: 'jobs-api' });
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error summary
+ */
+function sendError(res, error, message) {
+  const status = error.status || error.response?.status || 500;
+  if (status >= 500) {
+    logger.error(`${message}:`, { error: error.message });
+  }
+  res.status(status).json({
+    error: message,
+    message: error.message,
+    ...(error.job ? { job: error.job } : {}),
+  });
+}
+
+router.use(requireAdmin);
+
+/**
+ * POST /api/jobs
+ * Queue one download job, or several with an array body
+ * Body: { subjectId, detailPath, season, episode, quality, subtitleLanguage }
+ * quality is BEST (default), WORST, 360P, 480P, 720P or 1080P; subtitleLanguage is a caption
+ * language code or name. The X-Content-Provider header picks the provider.
+ */
+router.post('/', validate, (req, res) => {
+  try {
+    const provider = resolveProvider(req).name;
+    const body = req.body || {};
+    const requests = Array.isArray(body) ? body : [body];
+    if (requests.length === 0) {
+      return res.status(400).json({ error: 'At least one job is required' });
+    }
+
+    if (!Array.isArray(body)) {
+      return res.status(201).json(createJob({ ...body, provider }));
+    }
+
+    // Batch: every entry is queued on its own, so one duplicate doesn't reject the rest
+    const results = requests.map((options) => {
+      try {
+        return { job: createJob({ ...options, provider }) };
+      } catch (error) {
+        return { error: error.message, status: error.status || 500, ...(error.job ? { job: error.job } : {}) };
+      }
+    });
+    res.status(results.some(result => result.job) ? 201 : 400).json({ results });
+  } catch (error) {
+    sendError(res, error, 'Failed to queue download job');
+  }
+});
+
+/**
+ * GET /api/jobs
+ * List jobs in queue order - optional ?status= filter
+ */
+router.get('/', validate, (req, res) => {
+  const { status } = req.query;
+  if (status && !Object.values(JOB_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}` });
+  }
+  res.json({ ...getJobQueueStatus(), jobs: listJobs({ status }) });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status and progress
+ */
+router.get('/:id', validate, (req, res) => {
+  try {
+    res.json(getJob(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to get download job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/pause
+ * Pause a job - the partial file is kept and resumed later
+ */
+router.post('/:id/pause', validate, (req, res) => {
+  try {
+    res.json(pauseJob(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to pause download job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/resume
+ * Queue a paused or failed job again
+ */
+router.post('/:id/resume', validate, (req, res) => {
+  try {
+    res.json(resumeJob(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to resume download job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a job and delete its partial file
+ */
+router.post('/:id/cancel', validate, (req, res) => {
+  try {
+    res.json(cancelJob(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel download job');
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Remove a job from the list (an unfinished job is canceled first) - downloaded files are kept
+ */
+router.delete('/:id', validate, (req, res) => {
+  try {
+    removeJob(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to remove download job');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * Library Routes
+ * Media files saved on the server (see utils/library.js): listing, details and
+ * range-capable playback of local copies
+ *
+ * Requires the ADMIN_API_TOKEN unless LIBRARY_PUBLIC=true (needed by the website's
+ * "downloaded" badges and local playback, which cannot send the token)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const router = express.Router();
+const { requireAdmin } = require('../utils/auth');
+const { limitStreams } = require('../utils/streaming');
+const { validate } = require('../utils/validation');
+const { convertSubtitleStream } = require('../utils/subtitles');
+const {
+  scanLibrary,
+  listLibrary,
+  listLibrarySubjects,
+  getLibraryItem,
+  libraryPath,
+} = require('../utils/library');
+const logger = require('../utils/logger').createLogger({ module: 'library-api' });
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error summary
+ */
+function sendError(res, error, message) {
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    logger.error(`${message}:`, { error: error.message });
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.status(status).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Send a library file with range support (Accept-Ranges, 206, If-Range, ETag, Last-Modified)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} file - Path relative to the library directory
+ */
+function sendLibraryFile(req, res, file) {
+  if (req.query.download === true) {
+    res.attachment(path.basename(file));
+  }
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, Content-Range, ETag, Last-Modified');
+
+  res.sendFile(libraryPath(file), { acceptRanges: true, dotfiles: 'deny' }, (error) => {
+    if (error && error.code !== 'ECONNABORTED' && !res.destroyed) {
+      sendError(res, error, 'Failed to send library file');
+    }
+  });
+}
+
+/**
+ * Require the admin token unless the library is public
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireLibraryAccess(req, res, next) {
+  if (process.env.LIBRARY_PUBLIC === 'true') return next();
+  requireAdmin(req, res, next);
+}
+
+router.use(requireLibraryAccess);
+
+/**
+ * GET /api/library
+ * Library entries - optional ?subjectId= and ?q= (title) filters
+ */
+router.get('/', validate, (req, res) => {
+  res.json(listLibrary({ subjectId: req.query.subjectId, q: req.query.q }));
+});
+
+/**
+ * GET /api/library/subjects
+ * Subjects with local copies (file count and episodes) - used for "downloaded" badges
+ */
+router.get('/subjects', validate, (req, res) => {
+  res.json(listLibrarySubjects());
+});
+
+/**
+ * POST /api/library/scan
+ * Scan the library directory now - ?rematch=1 also retries files that matched no subject
+ * Requires the ADMIN_API_TOKEN
+ */
+router.post('/scan', requireAdmin, validate, async (req, res) => {
+  try {
+    res.json(await scanLibrary({ rematch: req.query.rematch === true }));
+  } catch (error) {
+    sendError(res, error, 'Failed to scan the library');
+  }
+});
+
+/**
+ * GET /api/library/:id
+ * Library entry with its subtitles
+ */
+router.get('/:id', validate, (req, res) => {
+  try {
+    res.json(getLibraryItem(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to get library item');
+  }
+});
+
+/**
+ * GET /api/library/:id/stream
+ * Play (or with ?download=1, download) a local copy - supports range requests for seeking
+ */
+router.get('/:id/stream', validate, limitStreams, (req, res) => {
+  try {
+    sendLibraryFile(req, res, getLibraryItem(req.params.id).file);
+  } catch (error) {
+    sendError(res, error, 'Failed to stream library item');
+  }
+});
+
+/**
+ * GET /api/library/:id/subtitles/:language
+ * Subtitle saved next to a local copy - ?format=vtt converts it (e.g. SubRip for a <track>)
+ */
+router.get('/:id/subtitles/:language', validate, async (req, res) => {
+  try {
+    const item = getLibraryItem(req.params.id);
+    const subtitle = item.subtitles.find(entry =>
+      String(entry.language).toLowerCase() === req.params.language.toLowerCase());
+    if (!subtitle) {
+      return res.status(404).json({ error: `No ${req.params.language} subtitle for this library item` });
+    }
+    if (!req.query.format) {
+      return sendLibraryFile(req, res, subtitle.file);
+    }
+
+    const converted = await convertSubtitleStream(fs.createReadStream(libraryPath(subtitle.file)), {
+      format: req.query.format,
+    });
+    if (req.query.download === true) {
+      res.attachment(`${path.basename(subtitle.file, path.extname(subtitle.file))}.${converted.format}`);
+    }
+    res.setHeader('Content-Type', converted.contentType);
+    pipeline(converted.stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.warn('Library subtitle cut off:', { error: error.message });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to send subtitle');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+/**
+ * V2 API Routes
+ * Same content as the legacy routes, normalized to the canonical schema in utils/normalize.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { shouldBypassCache, applyCacheHeaders } = require('../utils/cache');
+const { resolveProvider } = require('../providers');
+const { validate } = require('../utils/validation');
+const { TOKEN_KINDS, issueDownloadToken, rawDownloadParamsAllowed } = require('../utils/tokens');
+const { isHlsStream, hlsPlaylistPath } = require('../utils/hls');
+const logger = require('../utils/logger').createLogger({ module: 'v2' });
+const {
+  normalizeSubjectList,
+  normalizeHome,
+  normalizeDetails,
+  normalizeDownloadLinks,
+  normalizePlayLinks,
+} = require('../utils/normalize');
+
+/**
+ * Send a normalized error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error summary
+ */
+function sendError(res, error, message) {
+  logger.error(`${message}:`, { error: error.message });
+  res.status(error.status || error.response?.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Normalize season/episode query params (movies use se=0, ep=0)
+ * @param {Object} query - Request query
+ * @returns {Object} { se, ep }
+ */
+function parseEpisode(query) {
+  const ep = parseInt(query.ep, 10) || 0;
+  const se = ep === 0 ? 0 : (parseInt(query.se, 10) || 0);
+  return { se, ep };
+}
+
+/**
+ * GET /v2/home
+ * Home page sections: { sections: [{ type, title, subjects: Subject[] }] }
+ */
+router.get('/home', validate, async (req, res) => {
+  try {
+    const response = await resolveProvider(req).home({
+      bypassCache: shouldBypassCache(req),
+    });
+    applyCacheHeaders(res, response);
+    res.json(normalizeHome(response.data));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch homepage content');
+  }
+});
+
+/**
+ * GET /v2/search?keyword=...&page=1&perPage=24&subjectType=0
+ * Search results: { items: Subject[], pager }
+ */
+router.get('/search', validate, async (req, res) => {
+  try {
+    const { keyword, page = 1, perPage = 24, subjectType = 0 } = req.query;
+
+    if (!keyword) {
+      return res.status(400).json({ error: 'Keyword is required' });
+    }
+
+    const response = await resolveProvider(req).search({
+      keyword,
+      page,
+      perPage,
+      subjectType,
+    });
+    res.json(normalizeSubjectList(response.data));
+  } catch (error) {
+    sendError(res, error, 'Search failed');
+  }
+});
+
+/**
+ * GET /v2/suggest?keyword=...&perPage=10
+ * Search suggestions: { items: Subject[], pager }
+ */
+router.get('/suggest', validate, async (req, res) => {
+  try {
+    const { keyword, perPage = 10 } = req.query;
+
+    if (!keyword) {
+      return res.status(400).json({ error: 'Keyword is required' });
+    }
+
+    const response = await resolveProvider(req).suggest({ keyword, perPage });
+    res.json(normalizeSubjectList(response.data));
+  } catch (error) {
+    sendError(res, error, 'Failed to get suggestions');
+  }
+});
+
+/**
+ * GET /v2/trending?page=0&perPage=18
+ * Trending content: { items: Subject[], pager }
+ */
+router.get('/trending', validate, async (req, res) => {
+  try {
+    const { page = 0, perPage = 18 } = req.query;
+
+    const response = await resolveProvider(req).trending({
+      page,
+      perPage,
+    }, {
+      bypassCache: shouldBypassCache(req),
+    });
+    applyCacheHeaders(res, response);
+    res.json(normalizeSubjectList(response.data));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch trending content');
+  }
+});
+
+/**
+ * GET /v2/hot
+ * Hot content rankings: { items: Subject[], pager }
+ */
+router.get('/hot', validate, async (req, res) => {
+  try {
+    const response = await resolveProvider(req).hotContent({
+      bypassCache: shouldBypassCache(req),
+    });
+    applyCacheHeaders(res, response);
+    res.json(normalizeSubjectList(response.data));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch hot content');
+  }
+});
+
+/**
+ * GET /v2/subjects/:subjectId?detailPath=...
+ * Subject details: { subject: Subject, seasons: Season[], cast, trailer }
+ */
+router.get('/subjects/:subjectId', validate, async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { detailPath } = req.query;
+
+    if (!detailPath) {
+      return res.status(400).json({ error: 'detailPath query parameter is required' });
+    }
+
+    const response = await resolveProvider(req).details({ subjectId, detailPath });
+    res.json(normalizeDetails(response.data));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch movie details');
+  }
+});
+
+/**
+ * GET /v2/subjects/:subjectId/downloads?detailPath=...&se=1&ep=1
+ * Download files: { downloads: Download[], captions: Caption[], limited, freeNum, cookies }
+ * Each download and caption has a token for /api/download-proxy and /api/download-subtitle;
+ * cookies (for passing a raw URL instead) is null unless ALLOW_RAW_DOWNLOAD_PARAMS=true
+ */
+router.get('/subjects/:subjectId/downloads', validate, async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { detailPath } = req.query;
+    const { se, ep } = parseEpisode(req.query);
+
+    if (!detailPath) {
+      return res.status(400).json({ error: 'detailPath query parameter is required' });
+    }
+
+    const response = await resolveProvider(req).downloadLinks({
+      subjectId,
+      detailPath,
+      se,
+      ep,
+    });
+    const links = normalizeDownloadLinks(response.data);
+    const cookies = response.cookies || null;
+    const metadata = { subjectId, detailPath, ...(se > 0 && ep > 0 ? { season: se, episode: ep } : {}) };
+
+    res.json({
+      ...links,
+      downloads: links.downloads.map(download => ({
+        ...download,
+        token: issueDownloadToken({
+          kind: TOKEN_KINDS.MEDIA,
+          url: download.url,
+          cookies,
+          metadata: {
+            ...metadata,
+            ...(download.quality ? { resolution: download.quality } : {}),
+            ...(download.sizeBytes ? { size: download.sizeBytes } : {}),
+          },
+        }),
+      })),
+      captions: links.captions.map(caption => ({
+        ...caption,
+        token: issueDownloadToken({
+          kind: TOKEN_KINDS.SUBTITLE,
+          url: caption.url,
+          cookies,
+          metadata: { ...metadata, language: caption.language },
+        }),
+      })),
+      cookies: rawDownloadParamsAllowed() ? cookies : null,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch download metadata');
+  }
+});
+
+/**
+ * GET /v2/subjects/:subjectId/streams?detailPath=...&se=1&ep=1
+ * Streaming files: { streams: Download[] }
+ * Each stream has a token for /api/stream; HLS streams also have an hlsUrl (master playlist
+ * through /api/hls)
+ */
+router.get('/subjects/:subjectId/streams', validate, async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { detailPath } = req.query;
+    const { se, ep } = parseEpisode(req.query);
+
+    if (!detailPath) {
+      return res.status(400).json({ error: 'detailPath query parameter is required' });
+    }
+
+    const response = await resolveProvider(req).playLinks({
+      subjectId,
+      detailPath,
+      se,
+      ep,
+    });
+    const { streams } = normalizePlayLinks(response.data);
+    const cookies = response.cookies || null;
+    const metadata = { subjectId, detailPath, ...(se > 0 && ep > 0 ? { season: se, episode: ep } : {}) };
+
+    res.json({
+      streams: streams.map(stream => ({
+        ...stream,
+        token: issueDownloadToken({
+          kind: TOKEN_KINDS.MEDIA,
+          url: stream.url,
+          cookies,
+          metadata: {
+            ...metadata,
+            ...(stream.quality ? { resolution: stream.quality } : {}),
+            ...(stream.sizeBytes ? { size: stream.sizeBytes } : {}),
+          },
+        }),
+        ...(isHlsStream(stream)
+          ? { hlsUrl: hlsPlaylistPath(issueDownloadToken({ kind: TOKEN_KINDS.HLS, url: stream.url, cookies })) }
+          : {}),
+      })),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch play metadata');
+  }
+});
+
+/**
+ * GET /v2/subjects/:subjectId/recommendations?page=1&perPage=24
+ * Recommended content: { items: Subject[], pager }
+ */
+router.get('/subjects/:subjectId/recommendations', validate, async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { page = 1, perPage = 24 } = req.query;
+
+    const response = await resolveProvider(req).recommendations({
+      subjectId,
+      page,
+      perPage,
+    });
+    res.json(normalizeSubjectList(response.data));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch recommendations');
+  }
+});
+
+module.exports = router;
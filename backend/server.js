@@ -9,10 +9,26 @@ const cors = require('cors');
 
 const apiRoutes = require('./routes/api');
 const downloadRoutes = require('./routes/download');
+const v2Routes = require('./routes/v2');
+const adminRoutes = require('./routes/admin');
+const jobRoutes = require('./routes/jobs');
+const libraryRoutes = require('./routes/library');
+const hlsRoutes = require('./routes/hls');
+const { createLogger, requestLogger } = require('./utils/logger');
+const { metricsMiddleware, renderMetrics } = require('./utils/metrics');
+
+const logger = createLogger({ module: 'server' });
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (Render, Railway, nginx) the client IP - used by the per-client
+// stream limit - comes from X-Forwarded-For; TRUST_PROXY is the number of proxy hops to trust
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // CORS configuration - allow requests from frontend
 const allowedOrigins = process.env.ALLOWED_ORIGINS 
   ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
@@ -22,11 +38,15 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
 const normalizedOrigins = allowedOrigins.map(origin => origin.replace(/\/$/, ''));
 
 // Middleware
+// Request logging - assigns the X-Request-Id correlation ID used by every log entry
+app.use(requestLogger);
+app.use(metricsMiddleware);
+
 app.use(cors({
   origin: (origin, callback) => {
     // Allow requests with no origin (like mobile apps, curl, or server-to-server requests)
     if (!origin) {
-      console.log('CORS: Allowing request with no origin');
+      logger.debug('CORS: Allowing request with no origin');
       return callback(null, true);
     }
     
@@ -37,53 +57,53 @@ app.use(cors({
     if (normalizedOrigins.includes(normalizedOrigin) || 
         normalizedOrigins.includes(origin) ||
         allowedOrigins.includes('*')) {
-      console.log(`CORS: Allowing origin: ${origin}`);
+      logger.debug(`CORS: Allowing origin: ${origin}`);
       callback(null, true);
     } 
     // Allow Vercel preview deployments (pattern: *.vercel.app)
     else if (origin.includes('.vercel.app')) {
-      console.log(`CORS: Allowing Vercel preview deployment: ${origin}`);
+      logger.debug(`CORS: Allowing Vercel preview deployment: ${origin}`);
       callback(null, true);
     } 
     else {
-      console.warn(`CORS: Blocked origin: ${origin}`);
-      console.warn(`CORS: Allowed origins: ${normalizedOrigins.join(', ')}`);
+      logger.warn(`CORS: Blocked origin: ${origin}`, { allowedOrigins: normalizedOrigins });
       callback(new Error(`Not allowed by CORS. Origin: ${origin}`));
     }
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Cache-Control', 'X-Content-Provider', 'X-Request-Id', 'Range', 'If-Range'],
+  exposedHeaders: ['X-Cache', 'Age', 'X-Request-Id'],
 }));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  
-  // Special logging for download-proxy requests
-  if (req.path.includes('download-proxy')) {
-    console.log('=== DOWNLOAD PROXY REQUEST DETECTED ===');
-    console.log('Request details:', {
-      method: req.method,
-      path: req.path,
-      query: Object.keys(req.query),
-      hasUrl: !!req.query.url,
-      hasCookies: !!req.query.cookies,
-      origin: req.headers.origin,
-    });
-  }
-  
-  next();
-});
-
 // API Routes - Register at guide paths (root level)
 app.use('/', apiRoutes);
 app.use('/api', apiRoutes); // Backward compatibility
 app.use('/api', downloadRoutes);
 
+// Normalized API (canonical Subject/Season/Download/Caption schema)
+app.use('/v2', v2Routes);
+app.use('/api/v2', v2Routes);
+
+// Admin API (requires ADMIN_API_TOKEN)
+app.use('/admin', adminRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Download jobs - server-side downloads to DOWNLOAD_DIR (requires ADMIN_API_TOKEN)
+app.use('/jobs', jobRoutes);
+app.use('/api/jobs', jobRoutes);
+
+// Local media library - files in LIBRARY_DIR matched to subjects, with range playback
+app.use('/library', libraryRoutes);
+app.use('/api/library', libraryRoutes);
+
+// HLS proxy - playlists rewritten to fetch segments through the backend with the CDN headers
+app.use('/hls', hlsRoutes);
+app.use('/api/hls', hlsRoutes);
+
 // Health check endpoint - make it fast and simple
 app.get('/health', (req, res) => {
   // Don't do any heavy operations here
@@ -95,9 +115,81 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Mirror health - circuit breaker state and the order mirrors are currently tried in
+app.get('/health/mirrors', (req, res) => {
+  const { getMirrorStatus } = require('./utils/mirrors');
+  res.status(200).json({
+    timestamp: new Date().toISOString(),
+    ...getMirrorStatus(),
+  });
+});
+
+// Session pool - download quota and cooldown state per upstream session
+app.get('/health/sessions', (req, res) => {
+  const { getPoolStatus } = require('./utils/sessions');
+  res.status(200).json({
+    timestamp: new Date().toISOString(),
+    ...getPoolStatus(),
+  });
+});
+
+// Media streams - concurrency slots in use, queue and limits
+app.get('/health/streams', (req, res) => {
+  const { getStreamStatus } = require('./utils/streaming');
+  res.status(200).json({
+    timestamp: new Date().toISOString(),
+    ...getStreamStatus(),
+  });
+});
+
+// Readiness - probes session cookies, host/mirror reachability and parser health
+// 200 for ok or degraded, 503 when the instance can't serve traffic
+app.get('/health/ready', async (req, res) => {
+  const { checkReadiness, READINESS_STATUS } = require('./utils/readiness');
+  try {
+    const report = await checkReadiness({ fresh: req.query.fresh === '1' || req.query.fresh === 'true' });
+    res.status(report.status === READINESS_STATUS.FAILED ? 503 : 200).json(report);
+  } catch (error) {
+    logger.error('Readiness check failed:', { error: error.message });
+    res.status(503).json({
+      status: READINESS_STATUS.FAILED,
+      checkedAt: new Date().toISOString(),
+      problems: [error.message],
+    });
+  }
+});
+
+// Prometheus metrics - upstream, cache, download proxy and per-route HTTP stats
+app.get('/metrics', (req, res) => {
+  res.status(200).type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// API documentation - OpenAPI document and a Swagger UI page that renders it
+app.get(['/openapi.json', '/api/openapi.json'], (req, res) => {
+  const { openApiDocument } = require('./config/openapi');
+  res.status(200).json(openApiDocument);
+});
+
+app.get(['/docs', '/api/docs'], (req, res) => {
+  const specUrl = req.baseUrl + req.path.replace(/docs\/?$/, 'openapi.json');
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Emnexmovies API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui' });</script>
+</body>
+</html>`);
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Unhandled error', err);
   res.status(err.status || 500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
@@ -115,22 +207,27 @@ app.use((req, res) => {
 
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on http://0.0.0.0:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
+  logger.info(`Server running on http://0.0.0.0:${PORT}`);
+  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`Allowed origins: ${allowedOrigins.join(', ')}`);
+
+  // Resume download jobs saved by the previous run
+  require('./utils/jobs').startJobQueue();
+  // Index the local media library and keep it up to date
+  require('./utils/library').startLibrary();
   
   // Check if MB_COOKIES is set
   if (process.env.MB_COOKIES) {
-    console.log('MB_COOKIES environment variable is set (using provided cookies)');
+    logger.info('MB_COOKIES environment variable is set (using provided cookies)');
   } else {
-    console.log('MB_COOKIES not set - will fetch cookies dynamically from MovieBox');
+    logger.info('MB_COOKIES not set - will fetch cookies dynamically from MovieBox');
     // Initialize cookies in background (don't block server start) only if MB_COOKIES not set
     setTimeout(async () => {
       try {
         const { ensureCookiesAreAssigned } = require('./utils/proxy');
         await ensureCookiesAreAssigned();
       } catch (error) {
-        console.warn('Cookie initialization failed (non-critical):', error.message);
+        logger.warn('Cookie initialization failed (non-critical):', { error: error.message });
       }
     }, 1000);
   }
@@ -138,17 +235,17 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
+  logger.info('SIGTERM received, shutting down gracefully...');
   server.close(() => {
-    console.log('Server closed');
+    logger.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
+  logger.info('SIGINT received, shutting down gracefully...');
   server.close(() => {
-    console.log('Server closed');
+    logger.info('Server closed');
     process.exit(0);
   });
 });
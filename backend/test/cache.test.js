@@ -0,0 +1,145 @@
+/**
+ * Response Cache Tests
+ * HIT, STALE (background revalidation), MISS and BYPASS, and error bodies kept out of the cache
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const {
+  createMemoryStore,
+  setCacheStore,
+  buildCacheKey,
+  withCache,
+  shouldBypassCache,
+} = require('../utils/cache');
+
+// 50 ms fresh, then served stale for a minute
+const POLICY = { ttl: 0.05, staleTtl: 60 };
+const KEY = buildCacheKey('GET', '/wefeed-h5-bff/web/subject/detail', { subjectId: '1' });
+
+/**
+ * Build a fetcher answering with the given bodies in turn and counting its calls
+ * @param {...Object} bodies - Response bodies
+ * @returns {Function} Fetcher with a calls property
+ */
+function fetcherOf(...bodies) {
+  const fetcher = async () => {
+    const data = bodies[Math.min(fetcher.calls, bodies.length - 1)];
+    fetcher.calls++;
+    return { status: 200, headers: { 'content-type': 'application/json' }, data };
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+describe('withCache', () => {
+  beforeEach(() => {
+    setCacheStore(createMemoryStore());
+  });
+
+  it('stores a miss and serves the next request from the cache', async () => {
+    const fetcher = fetcherOf({ code: 0, data: 'first' });
+
+    const miss = await withCache(KEY, POLICY, fetcher);
+    assert.equal(miss.cacheStatus, 'MISS');
+
+    const hit = await withCache(KEY, POLICY, fetcher);
+    assert.equal(hit.cacheStatus, 'HIT');
+    assert.deepEqual(hit.data, { code: 0, data: 'first' });
+    assert.equal(hit.cacheAge, 0);
+    assert.equal(fetcher.calls, 1);
+  });
+
+  it('serves an expired entry as stale and refreshes it in the background', async () => {
+    const fetcher = fetcherOf({ code: 0, data: 'first' }, { code: 0, data: 'second' });
+    await withCache(KEY, POLICY, fetcher);
+    await sleep(60);
+
+    const stale = await withCache(KEY, POLICY, fetcher);
+    assert.equal(stale.cacheStatus, 'STALE');
+    assert.equal(stale.data.data, 'first');
+
+    await sleep(0);
+    const refreshed = await withCache(KEY, POLICY, fetcher);
+    assert.equal(refreshed.cacheStatus, 'HIT');
+    assert.equal(refreshed.data.data, 'second');
+    assert.equal(fetcher.calls, 2);
+  });
+
+  it('always fetches on bypass and replaces the cached copy', async () => {
+    const fetcher = fetcherOf({ code: 0, data: 'first' }, { code: 0, data: 'second' });
+    await withCache(KEY, POLICY, fetcher);
+
+    const bypass = await withCache(KEY, POLICY, fetcher, { bypass: true });
+    assert.equal(bypass.cacheStatus, 'BYPASS');
+    assert.equal(bypass.data.data, 'second');
+
+    const hit = await withCache(KEY, POLICY, fetcher);
+    assert.equal(hit.cacheStatus, 'HIT');
+    assert.equal(hit.data.data, 'second');
+  });
+
+  it('returns error bodies without caching them', async () => {
+    const fetcher = fetcherOf({ code: 407, message: 'too many requests' }, { code: 0, data: 'ok' });
+
+    const error = await withCache(KEY, POLICY, fetcher);
+    assert.equal(error.cacheStatus, 'MISS');
+    assert.equal(error.data.code, 407);
+
+    const retry = await withCache(KEY, POLICY, fetcher);
+    assert.equal(retry.cacheStatus, 'MISS');
+    assert.equal(retry.data.code, 0);
+    assert.equal(fetcher.calls, 2);
+  });
+
+  it('keeps the stale copy when the revalidation returns an error body', async () => {
+    const fetcher = fetcherOf({ code: 0, data: 'first' }, { code: 500, message: 'upstream error' });
+    await withCache(KEY, POLICY, fetcher);
+    await sleep(60);
+
+    await withCache(KEY, POLICY, fetcher);
+    await sleep(0);
+    const stale = await withCache(KEY, POLICY, fetcher);
+    assert.equal(stale.cacheStatus, 'STALE');
+    assert.equal(stale.data.data, 'first');
+  });
+
+  it('keeps the stale copy when the revalidation fails', async () => {
+    let calls = 0;
+    const fetcher = async () => {
+      if (calls++ > 0) throw new Error('ECONNRESET');
+      return { status: 200, headers: {}, data: { code: 0, data: 'first' } };
+    };
+    await withCache(KEY, POLICY, fetcher);
+    await sleep(60);
+
+    await withCache(KEY, POLICY, fetcher);
+    await sleep(0);
+    const stale = await withCache(KEY, POLICY, fetcher);
+    assert.equal(stale.cacheStatus, 'STALE');
+    assert.equal(stale.data.data, 'first');
+  });
+});
+
+describe('buildCacheKey', () => {
+  it('ignores the order of query parameters', () => {
+    assert.equal(
+      buildCacheKey('get', '/search', { page: 1, keyword: 'x' }),
+      buildCacheKey('GET', 'search', { keyword: 'x', page: 1 }),
+    );
+  });
+});
+
+describe('shouldBypassCache', () => {
+  it('honors ?nocache and Cache-Control: no-cache', () => {
+    assert.equal(shouldBypassCache({ query: { nocache: '1' }, headers: {} }), true);
+    assert.equal(shouldBypassCache({ query: { nocache: true }, headers: {} }), true);
+    assert.equal(shouldBypassCache({ query: { nocache: false }, headers: {} }), false);
+    assert.equal(shouldBypassCache({ query: { nocache: '0' }, headers: {} }), false);
+    assert.equal(shouldBypassCache({ query: {}, headers: { 'cache-control': 'no-cache' } }), true);
+    assert.equal(shouldBypassCache({ query: {}, headers: {} }), false);
+  });
+});
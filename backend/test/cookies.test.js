@@ -0,0 +1,140 @@
+/**
+ * Cookie Jar Tests
+ * Set-Cookie parsing and domain, path, secure and expiry matching
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCookieString,
+  serializeCookies,
+  parseSetCookie,
+  createCookieJar,
+} = require('../utils/cookies');
+
+const HOST = 'https://h5.aoneroom.com';
+
+describe('parseCookieString / serializeCookies', () => {
+  it('round-trips a cookie header, keeping = in values', () => {
+    const cookies = parseCookieString(' account=abc==; i18n_lang=en;; ');
+    assert.deepEqual(cookies, { account: 'abc==', i18n_lang: 'en' });
+    assert.equal(serializeCookies(cookies), 'account=abc==; i18n_lang=en');
+    assert.deepEqual(parseCookieString(''), {});
+  });
+});
+
+describe('parseSetCookie', () => {
+  it('defaults the domain and path to the request URL', () => {
+    const cookie = parseSetCookie('account=abc; HttpOnly; Secure; SameSite=Lax', `${HOST}/wefeed-h5-bff/app/get-latest-app-pkgs`);
+    assert.equal(cookie.name, 'account');
+    assert.equal(cookie.value, 'abc');
+    assert.equal(cookie.domain, 'h5.aoneroom.com');
+    assert.equal(cookie.hostOnly, true);
+    assert.equal(cookie.path, '/wefeed-h5-bff/app');
+    assert.equal(cookie.expiresAt, null);
+    assert.equal(cookie.secure, true);
+    assert.equal(cookie.httpOnly, true);
+    assert.equal(cookie.sameSite, 'Lax');
+  });
+
+  it('reads Domain, Path, Expires and Max-Age (Max-Age wins)', () => {
+    const expires = 'Wed, 21 Oct 2015 07:28:00 GMT';
+    const cookie = parseSetCookie(`token=x; Domain=.aoneroom.com; Path=/api; Expires=${expires}`, `${HOST}/`);
+    assert.equal(cookie.domain, 'aoneroom.com');
+    assert.equal(cookie.hostOnly, false);
+    assert.equal(cookie.path, '/api');
+    assert.equal(cookie.expiresAt, Date.parse(expires));
+
+    const before = Date.now();
+    const withMaxAge = parseSetCookie(`token=x; Max-Age=60; Expires=${expires}`, `${HOST}/`);
+    assert.ok(withMaxAge.expiresAt >= before + 60000 && withMaxAge.expiresAt <= Date.now() + 60000);
+  });
+
+  it('rejects headers without a name', () => {
+    assert.equal(parseSetCookie('', HOST), null);
+    assert.equal(parseSetCookie('=abc', HOST), null);
+    assert.equal(parseSetCookie('novalue', HOST), null);
+  });
+});
+
+describe('createCookieJar', () => {
+  it('sends host-only cookies to their host only', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders('account=abc; Path=/', `${HOST}/`);
+
+    assert.equal(jar.getCookieHeader(`${HOST}/wefeed-h5-bff/web/home`), 'account=abc');
+    assert.equal(jar.getCookieHeader('https://sub.h5.aoneroom.com/'), null);
+    assert.equal(jar.getCookieHeader('https://moviebox.pk/'), null);
+  });
+
+  it('sends domain cookies to subdomains', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders('account=abc; Domain=aoneroom.com; Path=/', `${HOST}/`);
+
+    assert.equal(jar.getCookieHeader('https://api.aoneroom.com/'), 'account=abc');
+    assert.equal(jar.getCookieHeader('https://aoneroom.com/'), 'account=abc');
+    assert.equal(jar.getCookieHeader('https://notaoneroom.com/'), null);
+  });
+
+  it('matches paths on segment boundaries, most specific first', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders(['a=root; Path=/', 'b=api; Path=/api'], `${HOST}/`);
+
+    assert.equal(jar.getCookieHeader(`${HOST}/api/search`), 'b=api; a=root');
+    assert.equal(jar.getCookieHeader(`${HOST}/api`), 'b=api; a=root');
+    assert.equal(jar.getCookieHeader(`${HOST}/apiv2`), 'a=root');
+  });
+
+  it('keeps secure cookies off plain HTTP', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders('account=abc; Path=/; Secure', `${HOST}/`);
+    assert.equal(jar.getCookieHeader('http://h5.aoneroom.com/'), null);
+  });
+
+  it('drops expired cookies and deletes a cookie set with a past expiry', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders(['short=1; Path=/; Max-Age=0', 'account=abc; Path=/'], `${HOST}/`);
+    assert.equal(jar.getCookieHeader(`${HOST}/`), 'account=abc');
+
+    jar.setFromHeaders('account=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT', `${HOST}/`);
+    assert.equal(jar.getCookieHeader(`${HOST}/`), null);
+    assert.equal(jar.size, 0);
+  });
+
+  it('replaces a cookie with the same domain, path and name', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders('account=old; Path=/', `${HOST}/`);
+    jar.setFromHeaders('account=new; Path=/', `${HOST}/`);
+    assert.equal(jar.size, 1);
+    assert.equal(jar.getCookie('account', `${HOST}/`).value, 'new');
+  });
+
+  it('sends seeded cookies everywhere unless a host sets its own', () => {
+    const jar = createCookieJar();
+    jar.seed('account=seeded; i18n_lang=en');
+    assert.equal(jar.getCookieHeader('https://moviebox.pk/'), 'account=seeded; i18n_lang=en');
+
+    jar.setFromHeaders('account=fresh; Path=/', `${HOST}/`);
+    assert.equal(jar.getCookie('account', `${HOST}/`).value, 'fresh');
+    assert.equal(jar.getCookie('account', 'https://moviebox.pk/').value, 'seeded');
+  });
+
+  it('reports cookies that are missing or about to expire', () => {
+    const jar = createCookieJar();
+    jar.setFromHeaders(['soon=1; Path=/; Max-Age=30', 'later=1; Path=/; Max-Age=3600', 'session=1; Path=/'], `${HOST}/`);
+
+    assert.equal(jar.expiresWithin('soon', `${HOST}/`, 60000), true);
+    assert.equal(jar.expiresWithin('later', `${HOST}/`, 60000), false);
+    assert.equal(jar.expiresWithin('session', `${HOST}/`, 60000), false);
+    assert.equal(jar.expiresWithin('missing', `${HOST}/`, 60000), true);
+  });
+
+  it('lists and clears stored cookies', () => {
+    const jar = createCookieJar();
+    jar.seed('a=1; b=2');
+    assert.deepEqual(jar.list().map(cookie => cookie.name).sort(), ['a', 'b']);
+    jar.clear();
+    assert.equal(jar.size, 0);
+    assert.equal(jar.getCookies('not a url').length, 0);
+  });
+});
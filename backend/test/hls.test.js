@@ -0,0 +1,147 @@
+/**
+ * HLS Proxy Tests
+ * Playlist URI rewriting and the segment cache size limit
+ */
+
+process.env.LOG_LEVEL = 'silent';
+// Room for two 100 byte segments
+process.env.HLS_SEGMENT_CACHE_MAX_BYTES = '250';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const {
+  isHlsStream,
+  rewritePlaylist,
+  getCachedSegment,
+  cacheSegmentStream,
+  getSegmentCacheStatus,
+} = require('../utils/hls');
+
+const PLAYLIST_URL = 'https://cdn.example.com/hls/movie/master.m3u8?sign=abc';
+
+/**
+ * Proxy URI mapper recording the kind of every URI
+ * @param {string} url - Absolute CDN URL
+ * @param {string} kind - "playlist" or "segment"
+ * @returns {string} Proxied URI
+ */
+function proxyUri(url, kind) {
+  return `/proxy/${kind}?u=${encodeURIComponent(url)}`;
+}
+
+/**
+ * Cache a segment from a fake CDN response
+ * @param {string} url - CDN URL
+ * @param {Buffer} body - Segment bytes
+ * @param {Object} options - { status, headers } overrides
+ * @returns {Promise<void>} Resolves once the body was streamed
+ */
+async function streamSegment(url, body, options = {}) {
+  const data = new PassThrough();
+  cacheSegmentStream(url, {
+    status: options.status || 200,
+    headers: { 'content-length': String(body.length), 'content-type': 'video/mp2t', ...options.headers },
+    data,
+  });
+  data.resume();
+  const ended = new Promise(resolve => data.on('end', resolve));
+  data.end(body);
+  await ended;
+}
+
+describe('isHlsStream', () => {
+  it('detects HLS by format or playlist extension', () => {
+    assert.equal(isHlsStream({ format: 'HLS', url: 'https://cdn.example.com/a' }), true);
+    assert.equal(isHlsStream({ url: 'https://cdn.example.com/a/index.m3u8?sign=x' }), true);
+    assert.equal(isHlsStream({ format: 'MP4', url: 'https://cdn.example.com/a.mp4' }), false);
+    assert.equal(isHlsStream({ format: 'hls' }), false);
+  });
+});
+
+describe('rewritePlaylist', () => {
+  it('rewrites variant and rendition playlists of a master playlist', () => {
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",URI="audio/en.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=854x480,AUDIO="aud"',
+      '480p/index',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=1920x1080,AUDIO="aud"',
+      'https://cdn2.example.com/1080p/index.m3u8?sign=def',
+      '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=100000,URI="iframes.m3u8"',
+    ].join('\n');
+
+    const lines = rewritePlaylist(master, PLAYLIST_URL, proxyUri).split('\n');
+    assert.equal(lines[0], '#EXTM3U');
+    assert.equal(lines[1], `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",URI="${proxyUri('https://cdn.example.com/hls/movie/audio/en.m3u8', 'playlist')}"`);
+    assert.equal(lines[2], '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=854x480,AUDIO="aud"');
+    // A URI after #EXT-X-STREAM-INF is a playlist even without the extension
+    assert.equal(lines[3], proxyUri('https://cdn.example.com/hls/movie/480p/index', 'playlist'));
+    assert.equal(lines[5], proxyUri('https://cdn2.example.com/1080p/index.m3u8?sign=def', 'playlist'));
+    assert.equal(lines[6], `#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=100000,URI="${proxyUri('https://cdn.example.com/hls/movie/iframes.m3u8', 'playlist')}"`);
+  });
+
+  it('rewrites segments, keys and init sections of a media playlist', () => {
+    const media = [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXT-X-KEY:METHOD=AES-128,URI="../keys/k1.key",IV=0x1',
+      '#EXT-X-MAP:URI="init.mp4"',
+      '#EXTINF:6.0,',
+      'seg-0.ts',
+      '',
+      '#EXTINF:6.0,',
+      '/abs/seg-1.ts?t=2',
+      '#EXT-X-ENDLIST',
+    ].join('\r\n');
+
+    const lines = rewritePlaylist(media, 'https://cdn.example.com/hls/movie/720p/index.m3u8', proxyUri).split('\n');
+    assert.equal(lines[2], `#EXT-X-KEY:METHOD=AES-128,URI="${proxyUri('https://cdn.example.com/hls/movie/keys/k1.key', 'segment')}",IV=0x1`);
+    assert.equal(lines[3], `#EXT-X-MAP:URI="${proxyUri('https://cdn.example.com/hls/movie/720p/init.mp4', 'segment')}"`);
+    assert.equal(lines[5], proxyUri('https://cdn.example.com/hls/movie/720p/seg-0.ts', 'segment'));
+    assert.equal(lines[6], '');
+    assert.equal(lines[8], proxyUri('https://cdn.example.com/abs/seg-1.ts?t=2', 'segment'));
+    assert.equal(lines[9], '#EXT-X-ENDLIST');
+  });
+
+  it('leaves non-HTTP URIs and other tags alone', () => {
+    const media = [
+      '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"',
+      '#EXT-X-SESSION-KEY:METHOD=AES-128,URI="data:text/plain;base64,AAAA"',
+      '#EXT-X-DATERANGE:ID="ad",START-DATE="2024-01-01T00:00:00Z"',
+    ].join('\n');
+
+    assert.equal(rewritePlaylist(media, PLAYLIST_URL, proxyUri), media);
+  });
+});
+
+describe('segment cache', () => {
+  it('caches complete segments and drops the least recently used beyond the limit', async () => {
+    const base = 'https://cdn.example.com/hls/movie/720p';
+    await streamSegment(`${base}/a.ts`, Buffer.alloc(100, 1));
+    await streamSegment(`${base}/b.ts`, Buffer.alloc(100, 2));
+    assert.equal(getSegmentCacheStatus().bytes, 200);
+
+    // Reading a marks it recently used, so c evicts b
+    assert.equal(getCachedSegment(`${base}/a.ts`).body[0], 1);
+    await streamSegment(`${base}/c.ts`, Buffer.alloc(100, 3));
+    assert.ok(getCachedSegment(`${base}/a.ts`));
+    assert.equal(getCachedSegment(`${base}/b.ts`), null);
+    assert.ok(getCachedSegment(`${base}/c.ts`));
+    assert.deepEqual(getSegmentCacheStatus(), { segments: 2, bytes: 200, maxBytes: 250 });
+  });
+
+  it('skips partial, truncated and oversized segments', async () => {
+    const base = 'https://cdn.example.com/hls/movie/1080p';
+    await streamSegment(`${base}/part.ts`, Buffer.alloc(50), {
+      status: 206,
+      headers: { 'content-range': 'bytes 0-49/100' },
+    });
+    await streamSegment(`${base}/short.ts`, Buffer.alloc(50), { headers: { 'content-length': '100' } });
+    await streamSegment(`${base}/big.ts`, Buffer.alloc(300));
+
+    assert.equal(getCachedSegment(`${base}/part.ts`), null);
+    assert.equal(getCachedSegment(`${base}/short.ts`), null);
+    assert.equal(getCachedSegment(`${base}/big.ts`), null);
+  });
+});
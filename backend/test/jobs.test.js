@@ -0,0 +1,274 @@
+/**
+ * Download Job Tests
+ * Job validation and state transitions: complete, pause and resume (also as the transfer completes),
+ * retry, cancel and fail. The CDN is a stub axios adapter.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read when utils/jobs.js and utils/ssrf.js load
+process.env.DOWNLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'emnex-jobs-'));
+process.env.DOWNLOAD_ALLOWED_HOSTS = 'cdn.example.com';
+process.env.JOB_RETRY_DELAY_MS = '60000';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { setTimeout: sleep } = require('node:timers/promises');
+const axios = require('axios');
+const { registerProvider } = require('../providers');
+const {
+  JOB_STATUS,
+  DOWNLOAD_DIR,
+  createJob,
+  getJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+} = require('../utils/jobs');
+
+const MEDIA = Buffer.alloc(64 * 1024, 1);
+const MEDIA_URL = 'https://cdn.example.com/media/movie.mp4?sign=abc';
+
+// Per-subject behavior of the stub provider: 'ok', 'limited' or 'missing'
+const links = {};
+// Media responses handed out by the stub CDN, newest last
+const transfers = [];
+// While set, the stub CDN holds its answer to a request for the end of the file
+let holdCompleteRange = null;
+
+const emptyResponse = async () => ({ status: 200, headers: {}, data: { code: 0, data: {} } });
+registerProvider({
+  name: 'stub',
+  home: emptyResponse,
+  search: emptyResponse,
+  suggest: emptyResponse,
+  trending: emptyResponse,
+  popularSearches: emptyResponse,
+  hotContent: emptyResponse,
+  downloadableFiles: emptyResponse,
+  playLinks: emptyResponse,
+  recommendations: emptyResponse,
+  async details({ subjectId }) {
+    return { status: 200, headers: {}, data: { subject: { title: `Movie ${subjectId}`, releaseDate: '2020-05-01' } } };
+  },
+  async downloadLinks({ subjectId }) {
+    const mode = links[subjectId] || 'ok';
+    if (mode === 'missing') throw Object.assign(new Error('Subject not found'), { status: 404 });
+    const downloads = mode === 'ok' ? [{ url: MEDIA_URL, resolution: 1080, size: MEDIA.length }] : [];
+    return { status: 200, headers: {}, data: { code: 0, data: { downloads, captions: [], limited: mode === 'limited' } }, cookies: null };
+  },
+});
+
+// Stub CDN: answers range requests from the partial file size; the body is written by the test
+axios.defaults.adapter = async (config) => {
+  const offset = parseInt(String(config.headers.Range || config.headers.range || '').replace('bytes=', ''), 10) || 0;
+  const data = new PassThrough();
+  if (offset >= MEDIA.length) {
+    if (holdCompleteRange) {
+      holdCompleteRange.held = true;
+      await holdCompleteRange;
+    }
+    data.end();
+    return { status: 416, statusText: 'Range Not Satisfiable', headers: { 'content-range': `bytes */${MEDIA.length}` }, data, config };
+  }
+  transfers.push({ offset, data });
+  return {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'content-range': `bytes ${offset}-${MEDIA.length - 1}/${MEDIA.length}`,
+      'content-length': String(MEDIA.length - offset),
+    },
+    data,
+    config,
+  };
+};
+
+/**
+ * Wait until a job reaches a status
+ * @param {string} id - Job id
+ * @param {string} status - Expected status
+ * @returns {Promise<Object>} Job
+ */
+async function waitForStatus(id, status) {
+  for (let waited = 0; waited < 2000; waited += 10) {
+    const job = getJob(id);
+    if (job.status === status) return job;
+    await sleep(10);
+  }
+  assert.fail(`Job ${id} is ${getJob(id).status}, expected ${status}`);
+}
+
+/**
+ * Wait for the stub CDN to hand out a new media transfer
+ * @param {number} count - Transfers handed out so far
+ * @returns {Promise<Object>} { offset, data }
+ */
+async function nextTransfer(count) {
+  for (let waited = 0; waited < 2000 && transfers.length <= count; waited += 10) {
+    await sleep(10);
+  }
+  assert.ok(transfers.length > count, 'no media request was made');
+  return transfers[transfers.length - 1];
+}
+
+/**
+ * Resume a paused job once its attempt has stopped
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Job
+ */
+async function resumeStopped(id) {
+  for (let waited = 0; waited < 2000; waited += 10) {
+    try {
+      return resumeJob(id);
+    } catch (error) {
+      if (!/still stopping/.test(error.message)) throw error;
+    }
+    await sleep(10);
+  }
+  assert.fail(`Job ${id} did not stop`);
+}
+
+/**
+ * Read the saved state of a job
+ * @param {string} id - Job id
+ * @returns {Object} Job in DOWNLOAD_DIR/.jobs.json
+ */
+function savedJob(id) {
+  return JSON.parse(fs.readFileSync(path.join(DOWNLOAD_DIR, '.jobs.json'), 'utf8')).jobs.find(job => job.id === id);
+}
+
+after(() => {
+  fs.rmSync(DOWNLOAD_DIR, { recursive: true, force: true });
+});
+
+describe('createJob', () => {
+  it('validates the subject and episode', () => {
+    assert.throws(() => createJob({ provider: 'stub', subjectId: 'abc', detailPath: 'x' }), { status: 400 });
+    assert.throws(() => createJob({ provider: 'stub', subjectId: '1', detailPath: '' }), { status: 400 });
+    assert.throws(() => createJob({ provider: 'stub', subjectId: '1', detailPath: 'x', episode: 2 }), { status: 400 });
+  });
+
+  it('refuses a duplicate of an unfinished job', async () => {
+    links['100'] = 'limited';
+    const job = createJob({ provider: 'stub', subjectId: '100', detailPath: 'movie-100' });
+    assert.throws(() => createJob({ provider: 'stub', subjectId: '100', detailPath: 'movie-100' }), { status: 409 });
+    await waitForStatus(job.id, JOB_STATUS.RETRYING);
+    cancelJob(job.id);
+  });
+});
+
+describe('job states', () => {
+  it('downloads to a .part file and completes', async () => {
+    const count = transfers.length;
+    const job = createJob({ provider: 'stub', subjectId: '200', detailPath: 'movie-200', quality: '1080P' });
+    assert.equal(job.status, JOB_STATUS.DOWNLOADING);
+
+    const transfer = await nextTransfer(count);
+    assert.equal(transfer.offset, 0);
+    transfer.data.end(MEDIA);
+
+    const done = await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+    assert.equal(done.file, 'Movie 200 (2020)_1080p.mp4');
+    assert.equal(done.progress.percent, 100);
+    assert.equal(fs.statSync(path.join(DOWNLOAD_DIR, done.file)).size, MEDIA.length);
+    assert.equal(fs.existsSync(path.join(DOWNLOAD_DIR, `${done.file}.part`)), false);
+    assert.equal(savedJob(job.id).status, JOB_STATUS.COMPLETED);
+    assert.throws(() => pauseJob(job.id), { status: 409 });
+  });
+
+  it('pauses and resumes from the partial file', async () => {
+    let count = transfers.length;
+    const job = createJob({ provider: 'stub', subjectId: '300', detailPath: 'movie-300' });
+    const first = await nextTransfer(count);
+    first.data.write(MEDIA.subarray(0, 1000));
+    await sleep(20);
+    // Progress is saved at most once a second
+    assert.equal(getJob(job.id).progress.bytes, 1000);
+    assert.equal(savedJob(job.id).progress.bytes, 0);
+
+    pauseJob(job.id);
+    const paused = await waitForStatus(job.id, JOB_STATUS.PAUSED);
+    // Status changes are saved right away
+    assert.equal(savedJob(job.id).status, JOB_STATUS.PAUSED);
+    assert.equal(fs.statSync(path.join(DOWNLOAD_DIR, `${paused.file}.part`)).size, 1000);
+
+    count = transfers.length;
+    await resumeStopped(job.id);
+    const second = await nextTransfer(count);
+    assert.equal(second.offset, 1000);
+    second.data.end(MEDIA.subarray(1000));
+    await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+  });
+
+  it('stays paused when paused as the transfer completes', async () => {
+    const count = transfers.length;
+    const job = createJob({ provider: 'stub', subjectId: '400', detailPath: 'movie-400' });
+    const transfer = await nextTransfer(count);
+    transfer.data.write(MEDIA);
+    const partPath = path.join(DOWNLOAD_DIR, `${getJob(job.id).file}.part`);
+    for (let waited = 0; waited < 2000 && fs.statSync(partPath).size < MEDIA.length; waited += 10) {
+      await sleep(10);
+    }
+    pauseJob(job.id);
+
+    // Resuming a complete partial file only asks the CDN for the end of the file (416);
+    // the job is paused again before that answer arrives
+    let release;
+    holdCompleteRange = new Promise((resolve) => { release = resolve; });
+    await resumeStopped(job.id);
+    for (let waited = 0; waited < 2000 && !holdCompleteRange.held; waited += 10) {
+      await sleep(10);
+    }
+    pauseJob(job.id);
+    release();
+    holdCompleteRange = null;
+    await sleep(50);
+
+    const paused = getJob(job.id);
+    assert.equal(paused.status, JOB_STATUS.PAUSED);
+    assert.equal(savedJob(job.id).status, JOB_STATUS.PAUSED);
+    assert.equal(fs.existsSync(path.join(DOWNLOAD_DIR, paused.file)), false);
+    assert.equal(fs.statSync(partPath).size, MEDIA.length);
+
+    await resumeStopped(job.id);
+    const done = await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+    assert.equal(fs.statSync(path.join(DOWNLOAD_DIR, done.file)).size, MEDIA.length);
+    assert.equal(transfers.length, count + 1);
+  });
+
+  it('retries a limited download later, and can be paused and canceled meanwhile', async () => {
+    links['500'] = 'limited';
+    const job = createJob({ provider: 'stub', subjectId: '500', detailPath: 'movie-500' });
+
+    const retrying = await waitForStatus(job.id, JOB_STATUS.RETRYING);
+    assert.match(retrying.error, /limit/);
+    assert.ok(retrying.nextRetryAt);
+
+    assert.equal(pauseJob(job.id).status, JOB_STATUS.PAUSED);
+    assert.equal(getJob(job.id).nextRetryAt, null);
+    assert.equal(cancelJob(job.id).status, JOB_STATUS.CANCELED);
+    assert.throws(() => resumeJob(job.id), { status: 409 });
+  });
+
+  it('fails without retrying on a 404 and can be resumed', async () => {
+    links['600'] = 'missing';
+    const job = createJob({ provider: 'stub', subjectId: '600', detailPath: 'movie-600' });
+    const failed = await waitForStatus(job.id, JOB_STATUS.FAILED);
+    assert.equal(failed.attempts, 1);
+    assert.equal(failed.error, 'Subject not found');
+
+    const count = transfers.length;
+    links['600'] = 'ok';
+    resumeJob(job.id);
+    const transfer = await nextTransfer(count);
+    transfer.data.end(MEDIA);
+    const done = await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+    assert.equal(done.attempts, 1);
+    assert.equal(done.error, null);
+  });
+});
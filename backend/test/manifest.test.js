@@ -0,0 +1,113 @@
+/**
+ * Season Manifest Tests
+ * Entries resolved through a stub provider and every manifest format
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDownloadToken } = require('../utils/tokens');
+const { MANIFEST_FORMATS, resolveSeasonEntries, buildManifest, manifestName } = require('../utils/manifest');
+
+const SESSION_COOKIES = 'account=secret-account-cookie; i18n_lang=en';
+const PROXY_URL = 'https://movies.example.com/api/download-proxy';
+
+// Episode 3 has no 1080p download, episode 4 hit the download limit
+const stubProvider = {
+  async downloadLinks({ ep }) {
+    if (ep === 4) return { data: { code: 0, data: { limited: true, downloads: [] } }, cookies: SESSION_COOKIES };
+    const downloads = [{ url: `https://cdn.example.com/s01e0${ep}-480.mp4?sign=x`, resolution: 480 }];
+    if (ep !== 3) downloads.push({ url: `https://cdn.example.com/s01e0${ep}-1080.mp4?sign=x`, resolution: 1080, size: '734003200' });
+    return { data: { code: 0, data: { downloads } }, cookies: SESSION_COOKIES };
+  },
+};
+
+/**
+ * Resolve the stub season
+ * @param {string} quality - BEST, WORST or e.g. 1080P
+ * @returns {Promise<Object>} { name, entries, missing }
+ */
+async function resolveSeason(quality = '1080P') {
+  const { entries, missing } = await resolveSeasonEntries({
+    provider: stubProvider,
+    subjectId: '123',
+    detailPath: 'show-abc',
+    title: 'Show: Name',
+    year: 2020,
+    season: 1,
+    episodes: [1, 2, 3, 4],
+    quality,
+    proxyUrl: PROXY_URL,
+  });
+  return { name: manifestName('Show: Name', 2020, 1), entries, missing };
+}
+
+describe('resolveSeasonEntries', () => {
+  it('lists download-proxy links with a token and a generated file name', async () => {
+    const { entries } = await resolveSeason();
+    assert.deepEqual(entries.map(entry => entry.label), ['S01E01', 'S01E02']);
+
+    const [first] = entries;
+    assert.ok(first.url.startsWith(`${PROXY_URL}?token=`));
+    assert.match(first.filename, /S01E01_1080p\.mp4$/);
+
+    const token = resolveDownloadToken(decodeURIComponent(new URL(first.url).searchParams.get('token')));
+    assert.equal(token.url, 'https://cdn.example.com/s01e01-1080.mp4?sign=x');
+    assert.equal(token.cookies, SESSION_COOKIES);
+    assert.deepEqual(token.metadata, { subjectId: '123', detailPath: 'show-abc', season: 1, episode: 1, resolution: '1080p', size: 734003200 });
+  });
+
+  it('reports episodes without a download instead of failing', async () => {
+    const { missing } = await resolveSeason();
+    assert.deepEqual(missing, [
+      { label: 'S01E03', reason: 'no 1080P download', limited: false },
+      { label: 'S01E04', reason: 'download limit reached', limited: true },
+    ]);
+  });
+});
+
+describe('buildManifest', () => {
+  it('never includes the session cookies or CDN headers', async () => {
+    const manifest = await resolveSeason();
+    for (const format of Object.keys(MANIFEST_FORMATS)) {
+      const text = buildManifest(format, manifest);
+      assert.ok(!text.includes('secret-account-cookie'), `${format} contains the session cookie`);
+      assert.doesNotMatch(text, /cookie|referer|origin|header/i, format);
+    }
+  });
+
+  it('writes an aria2 input file', async () => {
+    const manifest = await resolveSeason();
+    const lines = buildManifest('aria2', manifest).split('\n');
+    assert.equal(lines[0], '# Show Name (2020) S01');
+    assert.equal(lines[1], '# S01E03: no 1080P download');
+    assert.ok(lines[3].startsWith(`${PROXY_URL}?token=`));
+    assert.match(lines[4], /^ {2}out=Show Name \(2020\) S01E01_1080p\.mp4$/);
+  });
+
+  it('writes a wget script with quoted arguments', async () => {
+    const manifest = await resolveSeason();
+    const lines = buildManifest('wget', manifest).trim().split('\n');
+    assert.equal(lines[0], '#!/bin/sh');
+    assert.match(lines[4], /^wget -c -O 'Show Name \(2020\) S01E01_1080p\.mp4' 'https:\/\/movies\.example\.com\/api\/download-proxy\?token=[^']+'$/);
+  });
+
+  it('writes a JDownloader crawljob', async () => {
+    const manifest = await resolveSeason();
+    const jobs = JSON.parse(buildManifest('jdownloader', manifest));
+    assert.equal(jobs.length, 2);
+    assert.equal(jobs[0].packageName, 'Show Name (2020) S01');
+    assert.equal(jobs[0].filename, manifest.entries[0].filename);
+    assert.equal(jobs[0].text, manifest.entries[0].url);
+  });
+
+  it('writes an M3U playlist', async () => {
+    const manifest = await resolveSeason();
+    const lines = buildManifest('m3u', manifest).trim().split('\n');
+    assert.equal(lines[0], '#EXTM3U');
+    assert.equal(lines[1], '#PLAYLIST:Show Name (2020) S01');
+    assert.equal(lines[4], '#EXTINF:-1,Show Name (2020) S01E01_1080p');
+    assert.equal(lines[5], manifest.entries[0].url);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Mirror Breaker Tests
+ * Circuit breaker transitions (closed, open, half-open) and the host order they produce
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.MIRROR_FAILURE_THRESHOLD = '3';
+process.env.MIRROR_OPEN_DURATION_MS = '50';
+delete process.env.MOVIEBOX_API_HOST;
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BREAKER_STATES,
+  getConfiguredHosts,
+  getRequestHosts,
+  recordAttempt,
+  recordSuccess,
+  recordFailure,
+  getMirrorStatus,
+} = require('../utils/mirrors');
+
+const OPEN_DURATION_MS = 50;
+const [primary, mirror] = getConfiguredHosts();
+
+/**
+ * Breaker state of a host as reported by getMirrorStatus
+ * @param {string} baseUrl - Base URL of the host
+ * @returns {string} Breaker state
+ */
+function breakerOf(baseUrl) {
+  const host = baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  return getMirrorStatus().hosts.find(state => state.host === host).breaker;
+}
+
+/**
+ * Fail a host n times with a network error
+ * @param {string} baseUrl - Base URL of the host
+ * @param {number} times - Number of failures
+ */
+function fail(baseUrl, times = 1) {
+  for (let i = 0; i < times; i += 1) {
+    recordFailure(baseUrl, Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+  }
+}
+
+/**
+ * Wait until an open breaker may let a probe through
+ * @returns {Promise<void>}
+ */
+function waitForCooldown() {
+  return new Promise(resolve => setTimeout(resolve, OPEN_DURATION_MS + 10));
+}
+
+describe('mirror breaker', () => {
+  beforeEach(() => {
+    // Close every breaker left open by the previous test
+    for (const baseUrl of getConfiguredHosts()) {
+      recordSuccess(baseUrl, 100);
+    }
+  });
+
+  it('opens after the consecutive failure threshold', () => {
+    fail(primary, 2);
+    assert.equal(breakerOf(primary), BREAKER_STATES.CLOSED);
+    assert.ok(getRequestHosts().includes(primary));
+
+    fail(primary);
+    assert.equal(breakerOf(primary), BREAKER_STATES.OPEN);
+    assert.ok(!getRequestHosts().includes(primary));
+    const status = getMirrorStatus().hosts.find(state => state.primary);
+    assert.equal(status.consecutiveFailures, 3);
+    assert.ok(status.retryAt);
+  });
+
+  it('does not count failures separated by a success', () => {
+    fail(primary, 2);
+    recordSuccess(primary, 100);
+    fail(primary, 2);
+    assert.equal(breakerOf(primary), BREAKER_STATES.CLOSED);
+  });
+
+  it('opens right away on a timeout', () => {
+    recordFailure(mirror, Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+    assert.equal(breakerOf(mirror), BREAKER_STATES.OPEN);
+    assert.ok(!getRequestHosts().includes(mirror));
+  });
+
+  it('lets a single probe through once the breaker is half-open', async () => {
+    fail(primary, 3);
+    await waitForCooldown();
+
+    assert.equal(breakerOf(primary), BREAKER_STATES.HALF_OPEN);
+    // Half-open hosts are tried after the closed ones
+    assert.equal(getRequestHosts().at(-1), primary);
+
+    recordAttempt(primary);
+    assert.ok(!getRequestHosts().includes(primary));
+
+    recordSuccess(primary, 80);
+    assert.equal(breakerOf(primary), BREAKER_STATES.CLOSED);
+    assert.ok(getRequestHosts().includes(primary));
+  });
+
+  it('re-opens the breaker when the probe fails', async () => {
+    fail(mirror, 3);
+    await waitForCooldown();
+    recordAttempt(mirror);
+
+    fail(mirror);
+    assert.equal(breakerOf(mirror), BREAKER_STATES.OPEN);
+    assert.ok(!getRequestHosts().includes(mirror));
+  });
+
+  it('tries the host that failed longest ago when every breaker is open', async () => {
+    const hosts = getConfiguredHosts();
+    fail(hosts.at(-1), 3);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    for (const baseUrl of hosts.slice(0, -1)) {
+      fail(baseUrl, 3);
+    }
+    assert.deepEqual(getRequestHosts(), [hosts.at(-1)]);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Range Engine Tests
+ * parseRangeHeader, resolveRanges, synthesized ETags and the If-Range handling of planRangeRequest
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRangeHeader,
+  resolveRanges,
+  getValidators,
+  planRangeRequest,
+} = require('../utils/ranges');
+
+const CDN_URL = 'https://cdn.example.com/media/movie.mp4?sign=abc&t=1';
+
+/**
+ * Build a request carrying only headers
+ * @param {Object} headers - Lowercase request headers
+ * @returns {Object} Request-like object
+ */
+function request(headers) {
+  return { headers };
+}
+
+describe('parseRangeHeader', () => {
+  it('parses closed, open and suffix ranges', () => {
+    assert.deepEqual(parseRangeHeader('bytes=0-499'), [{ start: 0, end: 499 }]);
+    assert.deepEqual(parseRangeHeader('bytes=500-'), [{ start: 500, end: null }]);
+    assert.deepEqual(parseRangeHeader('bytes=-500'), [{ suffix: 500 }]);
+    assert.deepEqual(parseRangeHeader(' Bytes = 0-1 , -2 '), [{ start: 0, end: 1 }, { suffix: 2 }]);
+  });
+
+  it('ignores missing, malformed and non-byte ranges', () => {
+    assert.equal(parseRangeHeader(undefined), null);
+    assert.equal(parseRangeHeader('items=0-1'), null);
+    assert.equal(parseRangeHeader('bytes=-'), null);
+    assert.equal(parseRangeHeader('bytes=abc'), null);
+    assert.equal(parseRangeHeader('bytes=500-100'), null);
+  });
+
+  it('ignores requests with too many ranges', () => {
+    const many = Array.from({ length: 17 }, (value, index) => `${index * 10}-${index * 10 + 1}`).join(',');
+    assert.equal(parseRangeHeader(`bytes=${many}`), null);
+  });
+});
+
+describe('resolveRanges', () => {
+  it('resolves suffix ranges against the size', () => {
+    assert.deepEqual(resolveRanges([{ suffix: 500 }], 1000), [{ start: 500, end: 999 }]);
+    // Longer than the file: the whole file
+    assert.deepEqual(resolveRanges([{ suffix: 5000 }], 1000), [{ start: 0, end: 999 }]);
+  });
+
+  it('clamps the end of a range to the last byte', () => {
+    assert.deepEqual(resolveRanges([{ start: 900, end: 5000 }], 1000), [{ start: 900, end: 999 }]);
+    assert.deepEqual(resolveRanges([{ start: 0, end: null }], 1000), [{ start: 0, end: 999 }]);
+  });
+
+  it('sorts and merges overlapping and adjacent ranges', () => {
+    const specs = parseRangeHeader('bytes=500-600,0-99,550-700,100-199');
+    assert.deepEqual(resolveRanges(specs, 1000), [
+      { start: 0, end: 199 },
+      { start: 500, end: 700 },
+    ]);
+  });
+
+  it('merges a suffix range with an overlapping explicit range', () => {
+    assert.deepEqual(resolveRanges(parseRangeHeader('bytes=800-900,-150'), 1000), [{ start: 800, end: 999 }]);
+  });
+
+  it('drops unsatisfiable ranges and returns null when none is left', () => {
+    assert.deepEqual(resolveRanges(parseRangeHeader('bytes=2000-3000,0-9'), 1000), [{ start: 0, end: 9 }]);
+    assert.equal(resolveRanges(parseRangeHeader('bytes=1000-'), 1000), null);
+    assert.equal(resolveRanges(parseRangeHeader('bytes=-0'), 1000), null);
+  });
+});
+
+describe('planRangeRequest', () => {
+  it('requests the whole file without a usable Range header', () => {
+    assert.deepEqual(planRangeRequest(request({}), CDN_URL), {
+      specs: null,
+      upstreamRange: 'bytes=0-',
+      upstreamHeaders: {},
+    });
+  });
+
+  it('sends one upstream range covering every requested byte', () => {
+    assert.equal(planRangeRequest(request({ range: 'bytes=100-199,400-499' }), CDN_URL).upstreamRange, 'bytes=100-499');
+    assert.equal(planRangeRequest(request({ range: 'bytes=100-199,-50' }), CDN_URL).upstreamRange, 'bytes=100-');
+    assert.equal(planRangeRequest(request({ range: 'bytes=-50,-200' }), CDN_URL).upstreamRange, 'bytes=-200');
+  });
+
+  it('honours If-Range with a matching synthesized ETag', () => {
+    const { etag } = getValidators({}, CDN_URL);
+    // The signature query changes between links - the ETag only depends on the path
+    const renewed = CDN_URL.replace('sign=abc', 'sign=def');
+    const plan = planRangeRequest(request({ range: 'bytes=0-99', 'if-range': etag }), renewed);
+    assert.equal(plan.upstreamRange, 'bytes=0-99');
+    assert.deepEqual(plan.upstreamHeaders, {});
+  });
+
+  it('sends the whole file when a synthesized If-Range ETag does not match', () => {
+    const { etag } = getValidators({}, 'https://cdn.example.com/media/other.mp4');
+    const plan = planRangeRequest(request({ range: 'bytes=0-99', 'if-range': etag }), CDN_URL);
+    assert.equal(plan.specs, null);
+    assert.equal(plan.upstreamRange, 'bytes=0-');
+  });
+
+  it('builds the synthesized ETag from the token identity when there is one', () => {
+    const identity = { subjectId: '123', detailPath: 'show-abc', season: 1, episode: 2, resolution: '1080p', size: 734003200 };
+    const { etag } = getValidators({}, CDN_URL, identity);
+    // A re-resolved link may point at a different CDN path
+    const reresolved = 'https://cdn2.example.com/other/path.mp4?sign=def';
+    assert.equal(getValidators({}, reresolved, { ...identity }).etag, etag);
+    assert.notEqual(getValidators({}, CDN_URL, { ...identity, size: 734003201 }).etag, etag);
+    assert.notEqual(getValidators({}, CDN_URL, { ...identity, episode: 3 }).etag, etag);
+    assert.notEqual(getValidators({}, CDN_URL).etag, etag);
+
+    const plan = planRangeRequest(request({ range: 'bytes=0-99', 'if-range': etag }), reresolved, identity);
+    assert.equal(plan.upstreamRange, 'bytes=0-99');
+    const stale = planRangeRequest(request({ range: 'bytes=0-99', 'if-range': etag }), reresolved, { ...identity, size: 1 });
+    assert.equal(stale.specs, null);
+  });
+
+  it('forwards other If-Range values to the CDN', () => {
+    const date = 'Wed, 21 Oct 2015 07:28:00 GMT';
+    const plan = planRangeRequest(request({ range: 'bytes=0-99', 'if-range': date }), CDN_URL);
+    assert.equal(plan.upstreamRange, 'bytes=0-99');
+    assert.deepEqual(plan.upstreamHeaders, { 'If-Range': date });
+  });
+
+  it('keeps the CDN validators when there are any', () => {
+    const headers = { etag: '"abc"', 'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT' };
+    assert.deepEqual(getValidators(headers, CDN_URL), { etag: '"abc"', lastModified: headers['last-modified'] });
+  });
+});
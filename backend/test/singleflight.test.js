@@ -0,0 +1,112 @@
+/**
+ * Single-Flight Tests
+ * Request coalescing, key release and flight keys
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSingleFlight, cookieIdentity, buildFlightKey } = require('../utils/singleflight');
+
+/**
+ * Create a promise resolved or rejected from outside
+ * @returns {Object} { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('createSingleFlight', () => {
+  it('shares one call between concurrent callers with the same key', async () => {
+    const group = createSingleFlight();
+    const upstream = deferred();
+    let calls = 0;
+    const fn = () => {
+      calls += 1;
+      return upstream.promise;
+    };
+
+    const first = group.do('home', fn);
+    const second = group.do('home', fn);
+    assert.equal(first, second);
+    assert.equal(group.size, 1);
+
+    upstream.resolve({ code: 0 });
+    assert.deepEqual(await Promise.all([first, second]), [{ code: 0 }, { code: 0 }]);
+    assert.equal(calls, 1);
+  });
+
+  it('runs different keys separately', async () => {
+    const group = createSingleFlight();
+    let calls = 0;
+    const fn = async () => {
+      calls += 1;
+      return calls;
+    };
+
+    await Promise.all([group.do('a', fn), group.do('b', fn)]);
+    assert.equal(calls, 2);
+  });
+
+  it('releases the key once the call settles, so results are not cached', async () => {
+    const group = createSingleFlight();
+    let calls = 0;
+    const fn = async () => {
+      calls += 1;
+      return calls;
+    };
+
+    assert.equal(await group.do('home', fn), 1);
+    assert.equal(group.size, 0);
+    assert.equal(await group.do('home', fn), 2);
+  });
+
+  it('shares errors and releases the key after a failure', async () => {
+    const group = createSingleFlight();
+    const upstream = deferred();
+    const fn = () => upstream.promise;
+
+    const first = group.do('home', fn);
+    const second = group.do('home', fn);
+    upstream.reject(new Error('upstream down'));
+
+    await assert.rejects(first, /upstream down/);
+    await assert.rejects(second, /upstream down/);
+    assert.equal(group.size, 0);
+    assert.equal(await group.do('home', async () => 'ok'), 'ok');
+  });
+
+  it('turns a synchronous throw into a rejection', async () => {
+    const group = createSingleFlight();
+    await assert.rejects(group.do('home', () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.equal(group.size, 0);
+  });
+});
+
+describe('buildFlightKey', () => {
+  it('ignores parameter order and a leading slash', () => {
+    assert.equal(
+      buildFlightKey('/subject/search', { page: 1, keyword: 'avatar' }),
+      buildFlightKey('subject/search', { keyword: 'avatar', page: 1 }),
+    );
+  });
+
+  it('separates sessions without exposing the cookies', () => {
+    const anonymous = buildFlightKey('home');
+    const alice = buildFlightKey('home', null, 'account=alice');
+    const bob = buildFlightKey('home', null, 'account=bob');
+
+    assert.ok(anonymous.endsWith('#anonymous'));
+    assert.notEqual(alice, bob);
+    assert.ok(!alice.includes('alice'));
+    assert.equal(cookieIdentity('account=alice'), cookieIdentity('account=alice'));
+    assert.equal(cookieIdentity('account=alice').length, 16);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Subtitle Conversion Tests
+ * Decoding, format round trips, retiming and streaming conversion
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, pipeline } = require('stream');
+const {
+  MAX_SUBTITLE_BYTES,
+  decodeSubtitle,
+  readSubtitleStream,
+  detectSubtitleFormat,
+  parseSubtitle,
+  retimeCues,
+  formatSubtitle,
+  convertSubtitle,
+  createSubtitleConverter,
+  parseFramerates,
+  captionLanguageCode,
+} = require('../utils/subtitles');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:02,500',
+  '<i>Hello</i> there',
+  '',
+  '2',
+  '00:01:02,030 --> 00:01:04,000',
+  'Two',
+  'lines',
+  '',
+].join('\n');
+
+const ASS = [
+  '[Script Info]',
+  'ScriptType: v4.00+',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,{\\i1}Hello{\\i0} there',
+  'Dialogue: 0,0:01:02.03,0:01:04.00,Default,,0,0,0,,Two\\Nlines',
+  '',
+].join('\n');
+
+describe('decodeSubtitle', () => {
+  it('decodes UTF-8 and drops the BOM', () => {
+    assert.equal(decodeSubtitle(Buffer.from('\uFEFFCafé', 'utf8')), 'Café');
+  });
+
+  it('keeps a valid UTF-8 file that contains U+FFFD', () => {
+    assert.equal(decodeSubtitle(Buffer.from('Café \uFFFD', 'utf8')), 'Café \uFFFD');
+  });
+
+  it('falls back to Windows-1252 for invalid UTF-8', () => {
+    assert.equal(decodeSubtitle(Buffer.from([0x93, 0x43, 0x61, 0x66, 0xe9, 0x94, 0x20, 0x80])), '“Café” €');
+  });
+
+  it('decodes UTF-16 with a BOM', () => {
+    const littleEndian = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Ça va', 'utf16le')]);
+    const bigEndian = Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('Ça va', 'utf16le').swap16()]);
+    assert.equal(decodeSubtitle(littleEndian), 'Ça va');
+    assert.equal(decodeSubtitle(bigEndian), 'Ça va');
+  });
+});
+
+describe('readSubtitleStream', () => {
+  it('reads the whole stream', async () => {
+    const buffer = await readSubtitleStream(Readable.from([Buffer.from('ab'), Buffer.from('cd')]));
+    assert.equal(buffer.toString(), 'abcd');
+  });
+
+  it('rejects files over MAX_SUBTITLE_BYTES with a 413', async () => {
+    await assert.rejects(readSubtitleStream(Readable.from([Buffer.alloc(MAX_SUBTITLE_BYTES + 1)])), { status: 413 });
+    // Known from Content-Length before anything is read
+    await assert.rejects(readSubtitleStream(Readable.from([Buffer.from('x')]), String(MAX_SUBTITLE_BYTES + 1)), { status: 413 });
+  });
+});
+
+describe('parseSubtitle', () => {
+  it('detects the format', () => {
+    assert.equal(detectSubtitleFormat(SRT), 'srt');
+    assert.equal(detectSubtitleFormat(`WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n`), 'vtt');
+    assert.equal(detectSubtitleFormat(ASS), 'ass');
+    assert.equal(detectSubtitleFormat('just some text'), null);
+  });
+
+  it('parses SubRip and ASS into the same cues', () => {
+    const expected = [
+      { start: 1000, end: 2500, text: '<i>Hello</i> there' },
+      { start: 62030, end: 64000, text: 'Two\nlines' },
+    ];
+    const pick = ({ cues }) => cues.map(({ start, end, text }) => ({ start, end, text }));
+    assert.deepEqual(pick(parseSubtitle(SRT)), expected);
+    assert.deepEqual(pick(parseSubtitle(ASS)), expected);
+  });
+});
+
+describe('convertSubtitle', () => {
+  it('round-trips SubRip through WebVTT', () => {
+    const vtt = convertSubtitle(Buffer.from(SRT), { format: 'vtt' });
+    assert.equal(vtt.format, 'vtt');
+    assert.match(vtt.body, /^WEBVTT\n\n00:00:01\.000 --> 00:00:02\.500\n<i>Hello<\/i> there\n/);
+
+    const srt = convertSubtitle(Buffer.from(vtt.body), { format: 'srt' });
+    assert.equal(srt.body, SRT);
+  });
+
+  it('round-trips SubRip through ASS', () => {
+    const ass = convertSubtitle(Buffer.from(SRT), { format: 'ass' });
+    assert.match(ass.body, /Dialogue: 0,0:00:01\.00,0:00:02\.50,Default,,0,0,0,,\{\\i1\}Hello\{\\i0\} there/);
+    assert.equal(convertSubtitle(Buffer.from(ass.body), { format: 'srt' }).body, SRT);
+  });
+
+  it('writes json cues', () => {
+    const { body, contentType } = convertSubtitle(Buffer.from(SRT), { format: 'json' });
+    assert.match(contentType, /^application\/json/);
+    assert.deepEqual(JSON.parse(body).cues[1], { index: 2, start: 62030, end: 64000, text: 'Two\nlines' });
+  });
+
+  it('only re-encodes when the format stays the same', () => {
+    const latin = Buffer.from(SRT.replace('there', 'café'), 'latin1');
+    const { body } = convertSubtitle(latin, { bom: true });
+    assert.equal(body, `\uFEFF${SRT.replace('there', 'café')}`);
+  });
+
+  it('passes unknown files on as text but refuses to convert them', () => {
+    assert.equal(convertSubtitle(Buffer.from('notes')).body, 'notes');
+    assert.throws(() => convertSubtitle(Buffer.from('notes'), { format: 'vtt' }), { status: 422 });
+  });
+});
+
+/**
+ * Stream a file through createSubtitleConverter in chunks of a fixed size
+ * @param {Buffer} buffer - Raw file
+ * @param {Object} options - Converter options
+ * @param {number} chunkSize - Bytes per chunk
+ * @returns {Promise<Object>} { format, contentType, body }
+ */
+async function streamConvert(buffer, options, chunkSize) {
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+    chunks.push(buffer.subarray(offset, offset + chunkSize));
+  }
+  const converter = createSubtitleConverter(options);
+  pipeline(Readable.from(chunks), converter, () => {});
+
+  const { format, contentType } = await converter.ready;
+  let body = '';
+  for await (const chunk of converter) body += chunk;
+  return { format, contentType, body };
+}
+
+describe('createSubtitleConverter', () => {
+  const sources = {
+    srt: Buffer.from(`\uFEFF${SRT.replace(/\n/g, '\r\n').replace('there', 'café')}`),
+    ass: Buffer.from(ASS),
+    latin: Buffer.from(SRT.replace('there', 'café “x”'), 'latin1'),
+    utf16: Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(SRT.replace('there', '😀'), 'utf16le')]),
+  };
+  const conversions = [
+    { format: 'vtt' },
+    { format: 'srt', shiftMs: -1500 },
+    { format: 'ass', fromFps: 25, toFps: 23.976 },
+    { format: 'json' },
+    { bom: true },
+  ];
+
+  it('writes the same output as convertSubtitle, whatever the chunk size', async () => {
+    for (const [name, source] of Object.entries(sources)) {
+      for (const options of conversions) {
+        const expected = convertSubtitle(source, options);
+        for (const chunkSize of [1, 3, 64 * 1024]) {
+          const streamed = await streamConvert(source, options, chunkSize);
+          assert.deepEqual(streamed, expected, `${name} ${JSON.stringify(options)} in ${chunkSize}-byte chunks`);
+        }
+      }
+    }
+  });
+
+  it('passes unknown files on as text', async () => {
+    assert.deepEqual(await streamConvert(Buffer.from('notes\r\nmore'), {}, 2), {
+      format: null,
+      contentType: 'text/plain; charset=utf-8',
+      body: 'notes\r\nmore',
+    });
+  });
+
+  it('rejects a conversion of an unknown format with a 422', async () => {
+    await assert.rejects(streamConvert(Buffer.from('notes'), { format: 'vtt' }, 2), { status: 422 });
+  });
+
+  it('fails ready with the source error', async () => {
+    const converter = createSubtitleConverter({ format: 'vtt' });
+    const source = new Readable({ read() {} });
+    pipeline(source, converter, () => {});
+    source.push(Buffer.from('1\n'));
+    source.destroy(new Error('ECONNRESET'));
+    await assert.rejects(converter.ready, /ECONNRESET/);
+  });
+});
+
+describe('retimeCues', () => {
+  const cues = parseSubtitle(SRT).cues;
+
+  it('shifts cues and drops the ones that end before 0', () => {
+    const shifted = retimeCues(cues, { shiftMs: -1500 });
+    assert.deepEqual(shifted.map(cue => [cue.start, cue.end]), [[0, 1000], [60530, 62500]]);
+    assert.equal(retimeCues(cues, { shiftMs: -3000 }).length, 1);
+  });
+
+  it('converts framerates before shifting', () => {
+    const { fromFps, toFps } = parseFramerates('25:23.976');
+    const retimed = retimeCues(cues, { fromFps, toFps, shiftMs: 100 });
+    assert.equal(retimed[0].start, Math.round(1000 * 25 / 23.976) + 100);
+    assert.equal(formatSubtitle(retimed, 'srt').split('\n')[1], '00:00:01,143 --> 00:00:02,707');
+  });
+
+  it('rejects framerates that are not positive', () => {
+    assert.equal(parseFramerates(''), null);
+    assert.throws(() => parseFramerates('25:0'), { status: 400 });
+  });
+});
+
+describe('captionLanguageCode', () => {
+  it('prefers the language name and falls back to the code', () => {
+    assert.equal(captionLanguageCode({ lan: 'in_id', lanName: 'Indonesian' }), 'id');
+    assert.equal(captionLanguageCode({ lan: 'pt-BR' }), 'pt');
+    assert.equal(captionLanguageCode({ lan: '??' }), 'und');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Download Token Tests
+ * Signing, verification, expiry and the applyDownloadToken / requireDownloadToken middleware
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DOWNLOAD_TOKEN_SECRET = 'test-secret';
+delete process.env.ALLOW_RAW_DOWNLOAD_PARAMS;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TOKEN_KINDS,
+  issueDownloadToken,
+  resolveDownloadToken,
+  applyDownloadToken,
+  requireDownloadToken,
+} = require('../utils/tokens');
+
+const CDN_URL = 'https://cdn.example.com/media/movie.mp4?sign=abc';
+
+/**
+ * Assert that resolving a token throws with a status
+ * @param {string} token - Token
+ * @param {string} kind - Expected kind
+ * @param {number} status - Expected HTTP status
+ */
+function assertRejected(token, kind, status) {
+  assert.throws(() => resolveDownloadToken(token, kind), error => error.status === status);
+}
+
+/**
+ * Build a response recording the status and body
+ * @returns {Object} Response-like object
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+}
+
+/**
+ * Run a middleware and report whether it called next
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request-like object
+ * @returns {Object} { res, nextCalled }
+ */
+function run(middleware, req) {
+  const res = response();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe('issueDownloadToken / resolveDownloadToken', () => {
+  it('resolves a token to what it stands for', () => {
+    const metadata = { subjectId: '123', detailPath: 'movie-abc', resolution: '1080p' };
+    const token = issueDownloadToken({ url: CDN_URL, cookies: 'account=secret', metadata });
+
+    assert.match(token, /^[A-Za-z0-9_-]+\.[a-z0-9]+\.[A-Za-z0-9_-]+$/);
+    assert.ok(!token.includes('secret') && !token.includes('cdn.example.com'));
+
+    const entry = resolveDownloadToken(token, TOKEN_KINDS.MEDIA);
+    assert.equal(entry.kind, TOKEN_KINDS.MEDIA);
+    assert.equal(entry.url, CDN_URL);
+    assert.equal(entry.cookies, 'account=secret');
+    assert.deepEqual(entry.metadata, metadata);
+    // Any kind is accepted without an expected kind
+    assert.equal(resolveDownloadToken(token).url, CDN_URL);
+  });
+
+  it('rejects malformed and forged tokens with 401', () => {
+    const token = issueDownloadToken({ url: CDN_URL });
+    const [id, expires, signature] = token.split('.');
+
+    assertRejected('', null, 401);
+    assertRejected('abc', null, 401);
+    assertRejected(`${token}.extra`, null, 401);
+    assertRejected(`${id}.${expires}.${signature.slice(0, -2)}xx`, null, 401);
+    // A later expiry needs a new signature
+    assertRejected(`${id}.${(parseInt(expires, 36) + 60000).toString(36)}.${signature}`, null, 401);
+  });
+
+  it('rejects expired tokens with 410', async () => {
+    const token = issueDownloadToken({ url: CDN_URL, ttlMs: 5 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assertRejected(token, null, 410);
+  });
+
+  it('rejects a token of another kind with 400', () => {
+    const token = issueDownloadToken({ kind: TOKEN_KINDS.SUBTITLE, url: 'https://cdn.example.com/a.srt' });
+    assertRejected(token, TOKEN_KINDS.MEDIA, 400);
+    assert.equal(resolveDownloadToken(token, TOKEN_KINDS.SUBTITLE).kind, TOKEN_KINDS.SUBTITLE);
+  });
+});
+
+describe('applyDownloadToken', () => {
+  it('replaces the token with the url, cookies and metadata', () => {
+    const token = issueDownloadToken({
+      url: CDN_URL,
+      cookies: 'account=secret',
+      metadata: { subjectId: '123', title: 'Stored', season: 1 },
+    });
+    const req = { method: 'GET', query: { token, title: 'Explicit', url: 'https://evil.example.com/x' } };
+    const { nextCalled } = run(applyDownloadToken(TOKEN_KINDS.MEDIA), req);
+
+    assert.ok(nextCalled);
+    // url and cookies always come from the token, other explicit values win
+    assert.equal(req.query.url, CDN_URL);
+    assert.equal(req.query.cookies, 'account=secret');
+    assert.equal(req.query.title, 'Explicit');
+    assert.equal(req.query.subjectId, '123');
+    assert.equal(req.query.season, 1);
+    assert.equal(req.downloadToken.url, CDN_URL);
+  });
+
+  it('answers invalid tokens with their status', () => {
+    const { res, nextCalled } = run(applyDownloadToken(TOKEN_KINDS.MEDIA), { method: 'GET', query: { token: 'a.b.c' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Invalid download token');
+
+    const head = run(applyDownloadToken(TOKEN_KINDS.MEDIA), { method: 'HEAD', query: { token: 'a.b.c' } });
+    assert.equal(head.res.statusCode, 401);
+    assert.equal(head.res.body, undefined);
+  });
+
+  it('passes requests without a token through', () => {
+    const req = { method: 'GET', query: { url: CDN_URL } };
+    assert.ok(run(applyDownloadToken(TOKEN_KINDS.MEDIA), req).nextCalled);
+    assert.equal(req.downloadToken, undefined);
+  });
+});
+
+describe('requireDownloadToken', () => {
+  it('rejects raw parameters unless ALLOW_RAW_DOWNLOAD_PARAMS=true', () => {
+    const raw = { method: 'GET', query: { url: CDN_URL } };
+    const { res, nextCalled } = run(requireDownloadToken, raw);
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+
+    process.env.ALLOW_RAW_DOWNLOAD_PARAMS = 'true';
+    try {
+      assert.ok(run(requireDownloadToken, raw).nextCalled);
+    } finally {
+      delete process.env.ALLOW_RAW_DOWNLOAD_PARAMS;
+    }
+  });
+
+  it('accepts requests with a resolved token', () => {
+    const req = { method: 'GET', query: {}, downloadToken: { url: CDN_URL } };
+    assert.ok(run(requireDownloadToken, req).nextCalled);
+  });
+});
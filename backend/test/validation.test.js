@@ -0,0 +1,188 @@
+/**
+ * Request Validation Tests
+ * Value coercion, validation against the OpenAPI document and the validate middleware
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findOperation, coerceValue, validateRequest, validate } = require('../utils/validation');
+const { MAX_PER_PAGE } = require('../config/openapi');
+
+/**
+ * Build a response recording the status and body
+ * @returns {Object} Response-like object
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+}
+
+/**
+ * Run the validate middleware on a matched route
+ * @param {Object} req - Request-like object ({ method, baseUrl, route, params, query, body })
+ * @returns {Object} { res, nextCalled }
+ */
+function runValidate(req) {
+  const res = response();
+  let nextCalled = false;
+  validate({ params: {}, query: {}, ...req }, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe('coerceValue', () => {
+  it('coerces and bounds integers and numbers', () => {
+    assert.deepEqual(coerceValue('42', { type: 'integer' }), { value: 42, error: null });
+    assert.deepEqual(coerceValue(' -3 ', { type: 'integer' }), { value: -3, error: null });
+    assert.equal(coerceValue('4.5', { type: 'integer' }).error, 'must be an integer');
+    assert.deepEqual(coerceValue('4.5', { type: 'number' }), { value: 4.5, error: null });
+    assert.equal(coerceValue('abc', { type: 'number' }).error, 'must be a number');
+    assert.equal(coerceValue('0', { type: 'integer', minimum: 1 }).error, 'must be at least 1');
+    assert.equal(coerceValue('101', { type: 'integer', maximum: 100 }).error, 'must be at most 100');
+  });
+
+  it('coerces booleans, treating a bare flag as true', () => {
+    assert.equal(coerceValue('', { type: 'boolean' }).value, true);
+    assert.equal(coerceValue('1', { type: 'boolean' }).value, true);
+    assert.equal(coerceValue('TRUE', { type: 'boolean' }).value, true);
+    assert.equal(coerceValue('0', { type: 'boolean' }).value, false);
+    assert.equal(coerceValue(false, { type: 'boolean' }).value, false);
+    assert.equal(coerceValue('maybe', { type: 'boolean' }).error, 'must be a boolean');
+  });
+
+  it('checks string length, pattern and URL format', () => {
+    assert.equal(coerceValue('  ', { type: 'string', minLength: 1 }).error, 'must not be empty');
+    assert.equal(coerceValue('abcdef', { type: 'string', maxLength: 5 }).error, 'must be at most 5 characters');
+    assert.equal(coerceValue('1080x', { type: 'string', pattern: '^[0-9]+p?$' }).error, 'must match ^[0-9]+p?$');
+    assert.equal(coerceValue('ftp://cdn.example.com/a', { type: 'string', format: 'uri' }).error, 'must be an http(s) URL');
+    assert.equal(coerceValue({ a: 1 }, { type: 'string' }).error, 'must be a string');
+    assert.deepEqual(coerceValue(123, { type: 'string' }), { value: '123', error: null });
+  });
+
+  it('checks enums after coercion and rejects repeated values', () => {
+    assert.deepEqual(coerceValue('2', { type: 'integer', enum: [0, 1, 2] }), { value: 2, error: null });
+    assert.equal(coerceValue('3', { type: 'integer', enum: [0, 1, 2] }).error, 'must be one of: 0, 1, 2');
+    assert.equal(coerceValue(['1', '2'], { type: 'integer' }).error, 'must be a single value');
+  });
+});
+
+describe('validateRequest', () => {
+  const operation = {
+    parameters: [
+      { name: 'subjectId', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+      { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+      { name: 'nocache', in: 'query', schema: { type: 'boolean' } },
+    ],
+    requestBody: {
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: { keyword: { type: 'string', minLength: 1 }, perPage: { type: 'integer' } },
+            required: ['keyword'],
+          },
+        },
+      },
+    },
+  };
+
+  it('replaces raw values with coerced ones', () => {
+    const req = { params: { subjectId: '123' }, query: { page: '2', nocache: '' }, body: { keyword: 'avatar', perPage: '10' } };
+    assert.deepEqual(validateRequest(req, operation), []);
+    assert.equal(req.query.page, 2);
+    assert.equal(req.query.nocache, true);
+    assert.equal(req.body.perPage, 10);
+  });
+
+  it('reports every missing and invalid value', () => {
+    const req = { params: {}, query: { page: '0' }, body: undefined };
+    assert.deepEqual(validateRequest(req, operation), [
+      { in: 'path', name: 'subjectId', message: 'is required' },
+      { in: 'query', name: 'page', message: 'must be at least 1' },
+      { in: 'body', name: 'keyword', message: 'is required' },
+    ]);
+    // A missing body is validated as an empty object
+    assert.deepEqual(req.body, {});
+  });
+
+  it('leaves undocumented parameters alone', () => {
+    const req = { params: { subjectId: '1' }, query: { extra: 'x' }, body: { keyword: 'a' } };
+    assert.deepEqual(validateRequest(req, operation), []);
+    assert.equal(req.query.extra, 'x');
+  });
+});
+
+describe('validate', () => {
+  it('finds operations under the router mount path, with or without /api', () => {
+    assert.ok(findOperation('GET', '/v2/search'));
+    assert.ok(findOperation('put', '/admin/mirrors/:host'));
+    assert.equal(findOperation('GET', '/not-documented'), null);
+
+    const perPage = String(MAX_PER_PAGE + 1);
+    for (const baseUrl of ['/v2', '/api/v2']) {
+      const { res, nextCalled } = runValidate({
+        method: 'GET',
+        baseUrl,
+        route: { path: '/search' },
+        query: { keyword: 'avatar', perPage },
+      });
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, 'Invalid request parameters');
+      assert.equal(res.body.message, `perPage must be at most ${MAX_PER_PAGE}`);
+      assert.deepEqual(res.body.details, [{ in: 'query', name: 'perPage', message: `must be at most ${MAX_PER_PAGE}` }]);
+    }
+  });
+
+  it('coerces valid requests on routers mounted at / and /api', () => {
+    for (const baseUrl of ['', '/api']) {
+      const req = { method: 'GET', baseUrl, route: { path: '/trending' }, query: { page: '1', perPage: '18' } };
+      assert.ok(runValidate(req).nextCalled);
+      assert.equal(req.query.perPage, 18);
+    }
+  });
+
+  it('validates admin bodies', () => {
+    const { res } = runValidate({
+      method: 'PUT',
+      baseUrl: '/api/admin',
+      route: { path: '/mirrors/:host' },
+      params: { host: 'moviebox.pk' },
+      body: { enabled: 'maybe' },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'enabled must be a boolean');
+  });
+
+  it('answers HEAD requests without a body', () => {
+    const { res } = runValidate({
+      method: 'HEAD',
+      baseUrl: '/api',
+      route: { path: '/download-proxy' },
+      query: { url: 'ftp://cdn.example.com/a.mp4' },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body, undefined);
+  });
+
+  it('passes undocumented routes and requests without a route through', () => {
+    assert.ok(runValidate({ method: 'GET', baseUrl: '', route: { path: '/not-documented' }, query: { page: 'x' } }).nextCalled);
+    assert.ok(runValidate({ method: 'GET', baseUrl: '' }).nextCalled);
+  });
+});
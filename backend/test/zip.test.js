@@ -0,0 +1,140 @@
+/**
+ * ZIP Writer Tests
+ * CRC-32 and the archive layout: local headers, central directory and end record
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { crc32, createZipStream } = require('../utils/zip');
+
+/**
+ * Build an archive in memory
+ * @param {Array[]} files - [name, data] pairs
+ * @returns {Promise<Buffer>} Archive
+ */
+async function buildArchive(files) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const zip = createZipStream(output);
+  for (const [name, data] of files) {
+    await zip.addFile(name, data, new Date(2024, 4, 17, 12, 30, 10));
+  }
+  await zip.finish();
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read the entries of an archive through its central directory
+ * @param {Buffer} archive - Archive
+ * @returns {Object} { count, entries: [{ name, flags, method, crc, compressedSize, size, offset }] }
+ */
+function readCentralDirectory(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50, 'end of central directory record');
+  const count = archive.readUInt16LE(end + 10);
+  const directorySize = archive.readUInt32LE(end + 12);
+  const directoryOffset = archive.readUInt32LE(end + 16);
+  assert.equal(directoryOffset + directorySize, end, 'central directory ends at the end record');
+
+  const entries = [];
+  let position = directoryOffset;
+  for (let index = 0; index < count; index++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50, 'central directory header');
+    const nameLength = archive.readUInt16LE(position + 28);
+    const extraLength = archive.readUInt16LE(position + 30);
+    const commentLength = archive.readUInt16LE(position + 32);
+    entries.push({
+      flags: archive.readUInt16LE(position + 8),
+      method: archive.readUInt16LE(position + 10),
+      crc: archive.readUInt32LE(position + 16),
+      compressedSize: archive.readUInt32LE(position + 20),
+      size: archive.readUInt32LE(position + 24),
+      offset: archive.readUInt32LE(position + 42),
+      name: archive.toString('utf8', position + 46, position + 46 + nameLength),
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  assert.equal(position, end);
+  return { count, entries };
+}
+
+/**
+ * Read the contents of an entry from its local header
+ * @param {Buffer} archive - Archive
+ * @param {Object} entry - Central directory entry
+ * @returns {Buffer} Uncompressed contents
+ */
+function readEntry(archive, entry) {
+  assert.equal(archive.readUInt32LE(entry.offset), 0x04034b50, 'local file header');
+  assert.equal(archive.readUInt16LE(entry.offset + 8), entry.method);
+  assert.equal(archive.readUInt32LE(entry.offset + 14), entry.crc);
+  const nameLength = archive.readUInt16LE(entry.offset + 26);
+  const extraLength = archive.readUInt16LE(entry.offset + 28);
+  assert.equal(archive.toString('utf8', entry.offset + 30, entry.offset + 30 + nameLength), entry.name);
+
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const body = archive.subarray(start, start + entry.compressedSize);
+  return entry.method === 8 ? zlib.inflateRawSync(body) : body;
+}
+
+describe('crc32', () => {
+  it('matches the CRC-32 check values', () => {
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+  });
+});
+
+describe('createZipStream', () => {
+  const subtitle = '1\n00:00:01,000 --> 00:00:02,000\nHello\n\n'.repeat(50);
+  const files = [
+    ['Movie (2020).en.srt', subtitle],
+    ['Movie (2020).fr.srt', 'x'],
+    ['Película (2020).es.srt', Buffer.from('¡Hola!', 'utf8')],
+  ];
+
+  it('lists every file in the central directory', async () => {
+    const archive = await buildArchive(files);
+    const { count, entries } = readCentralDirectory(archive);
+
+    assert.equal(count, files.length);
+    assert.deepEqual(entries.map(entry => entry.name), files.map(([name]) => name));
+    // Entries follow each other from the start of the archive
+    assert.equal(entries[0].offset, 0);
+    assert.ok(entries[1].offset > entries[0].offset && entries[2].offset > entries[1].offset);
+    entries.forEach(entry => assert.equal(entry.flags & 0x0800, 0x0800, 'UTF-8 file name flag'));
+  });
+
+  it('stores CRC, sizes and contents that read back', async () => {
+    const archive = await buildArchive(files);
+    const { entries } = readCentralDirectory(archive);
+
+    entries.forEach((entry, index) => {
+      const expected = Buffer.from(files[index][1]);
+      const contents = readEntry(archive, entry);
+      assert.deepEqual(contents, expected);
+      assert.equal(entry.size, expected.length);
+      assert.equal(entry.crc, crc32(expected));
+    });
+  });
+
+  it('deflates compressible files and stores the rest', async () => {
+    const { entries } = readCentralDirectory(await buildArchive(files));
+    assert.equal(entries[0].method, 8);
+    assert.ok(entries[0].compressedSize < entries[0].size);
+    assert.equal(entries[1].method, 0);
+    assert.equal(entries[1].compressedSize, entries[1].size);
+  });
+
+  it('writes an empty archive as a lone end record', async () => {
+    const archive = await buildArchive([]);
+    assert.equal(archive.length, 22);
+    assert.equal(readCentralDirectory(archive).count, 0);
+  });
+});
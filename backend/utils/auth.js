@@ -0,0 +1,51 @@
+/**
+ * Admin Authentication
+ * Guards the routes that change server state (admin API, download jobs) with the
+ * ADMIN_API_TOKEN, sent as a bearer token or X-Admin-Token header
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger').createLogger({ module: 'auth' });
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean} True if they match
+ */
+function tokensMatch(provided, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Require the admin token
+ * The guarded routes are disabled (503) when ADMIN_API_TOKEN is not set
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin API is disabled',
+      message: 'Set ADMIN_API_TOKEN to enable it',
+    });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const provided = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.get('X-Admin-Token');
+
+  if (!provided || !tokensMatch(provided, expected)) {
+    logger.warn('Rejected admin request', { method: req.method, path: req.originalUrl.split('?')[0] });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+};
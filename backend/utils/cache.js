@@ -0,0 +1,293 @@
+/**
+ * Response Cache Utilities
+ * TTL cache with stale-while-revalidate for upstream Moviebox responses
+ */
+
+const { CACHE_POLICIES } = require('../config/constants');
+const { metrics } = require('./metrics');
+const logger = require('./logger').createLogger({ module: 'cache' });
+
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+
+/**
+ * Create an in-memory cache store
+ * Any object exposing the same async get/set/delete/clear methods can be plugged in
+ * with setCacheStore (e.g. a Redis-backed store shared between instances)
+ * @param {number} maxEntries - Maximum number of entries before the oldest is evicted
+ * @returns {Object} Cache store
+ */
+function createMemoryStore(maxEntries = CACHE_MAX_ENTRIES) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      // Drop entries that are past their stale window
+      if (Date.now() > entry.staleUntil) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Re-insert to keep Map order as least-recently-used first
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+let cacheStore = createMemoryStore();
+
+// Keys currently being refreshed in the background (avoid duplicate revalidations)
+const revalidating = new Set();
+
+/**
+ * Replace the cache store
+ * @param {Object} store - Store implementing async get(key), set(key, entry), delete(key), clear()
+ */
+function setCacheStore(store) {
+  cacheStore = store;
+}
+
+/**
+ * Get the active cache store
+ * @returns {Object} Cache store
+ */
+function getCacheStore() {
+  return cacheStore;
+}
+
+/**
+ * Look up the cache policy for an upstream endpoint
+ * @param {string} endpoint - API endpoint (relative path)
+ * @returns {Object|null} Policy with ttl and staleTtl (seconds) or null if not cacheable
+ */
+function getCachePolicy(endpoint) {
+  if (!CACHE_ENABLED || !endpoint) return null;
+  const path = endpoint.replace(/^\//, '').split('?')[0];
+  return CACHE_POLICIES[path] || null;
+}
+
+/**
+ * Build a cache key from the request shape
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {Object} data - Request body
+ * @returns {string} Cache key
+ */
+function buildCacheKey(method, endpoint, params = null, data = null) {
+  const sortKeys = (obj) => {
+    if (!obj || typeof obj !== 'object') return obj;
+    return Object.keys(obj).sort().reduce((acc, key) => {
+      acc[key] = obj[key];
+      return acc;
+    }, {});
+  };
+
+  return [
+    method.toUpperCase(),
+    endpoint.replace(/^\//, ''),
+    JSON.stringify(sortKeys(params) || {}),
+    JSON.stringify(sortKeys(data) || {}),
+  ].join('|');
+}
+
+/**
+ * Convert a cache entry back into an axios-like response object
+ * @param {Object} entry - Cache entry
+ * @param {string} cacheStatus - HIT or STALE
+ * @returns {Object} Response object
+ */
+function entryToResponse(entry, cacheStatus) {
+  return {
+    status: entry.status,
+    statusText: 'OK',
+    headers: { ...entry.headers },
+    data: entry.data,
+    cacheStatus,
+    cacheAge: Math.floor((Date.now() - entry.storedAt) / 1000),
+  };
+}
+
+/**
+ * Check whether an upstream response is a success worth caching
+ * Moviebox answers errors (rate limits, bad parameters) with HTTP 200 and a non-zero code
+ * @param {Object} response - Axios response
+ * @returns {boolean} True if the body reports code 0
+ */
+function isCacheableResponse(response) {
+  return response?.data?.code === 0;
+}
+
+/**
+ * Store a successful response in the cache
+ * @param {string} key - Cache key
+ * @param {Object} policy - Cache policy (ttl and staleTtl in seconds)
+ * @param {Object} response - Axios response
+ * @returns {Promise<boolean>} False if the response was not stored (not a success)
+ */
+async function storeResponse(key, policy, response) {
+  if (!isCacheableResponse(response)) return false;
+
+  const now = Date.now();
+  const ttlMs = policy.ttl * 1000;
+  const staleMs = (policy.staleTtl || 0) * 1000;
+
+  await cacheStore.set(key, {
+    status: response.status,
+    headers: {
+      'content-type': response.headers?.['content-type'],
+    },
+    data: response.data,
+    storedAt: now,
+    expiresAt: now + ttlMs,
+    staleUntil: now + ttlMs + staleMs,
+  });
+  return true;
+}
+
+/**
+ * Refresh a stale entry in the background
+ * @param {string} key - Cache key
+ * @param {Object} policy - Cache policy
+ * @param {Function} fetcher - Function returning a Promise of an axios response
+ */
+function revalidate(key, policy, fetcher) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+
+  fetcher()
+    .then(async (response) => {
+      // An error body leaves the stale copy in place
+      if (!await storeResponse(key, policy, response)) {
+        logger.warn(`Cache revalidation for ${key} returned code ${response?.data?.code} - keeping the stale copy`);
+      }
+    })
+    .catch(error => {
+      // Keep serving the stale copy until the stale window closes
+      logger.warn(`Cache revalidation failed for ${key}:`, { error: error.message });
+    })
+    .finally(() => {
+      revalidating.delete(key);
+    });
+}
+
+/**
+ * Serve a request through the cache
+ * - Fresh entry: returned immediately (HIT)
+ * - Stale entry: returned immediately, refreshed in the background (STALE)
+ * - Missing entry: fetched from upstream and stored (MISS)
+ * - Bypass: always fetched from upstream, result replaces the cached copy (BYPASS)
+ * Only responses with code 0 are stored; error bodies are returned but never cached
+ * @param {string} key - Cache key
+ * @param {Object} policy - Cache policy (ttl and staleTtl in seconds)
+ * @param {Function} fetcher - Function returning a Promise of an axios response
+ * @param {Object} options - Options
+ * @param {boolean} options.bypass - Skip reading from the cache
+ * @returns {Promise<Object>} Response with cacheStatus set
+ */
+async function withCache(key, policy, fetcher, options = {}) {
+  const { bypass = false } = options;
+
+  if (!bypass) {
+    let entry = null;
+    try {
+      entry = await cacheStore.get(key);
+    } catch (error) {
+      logger.warn('Cache read failed:', { error: error.message });
+    }
+
+    if (entry) {
+      if (Date.now() <= entry.expiresAt) {
+        metrics.cacheRequests.inc({ result: 'HIT' });
+        return entryToResponse(entry, 'HIT');
+      }
+
+      revalidate(key, policy, fetcher);
+      metrics.cacheRequests.inc({ result: 'STALE' });
+      return entryToResponse(entry, 'STALE');
+    }
+  }
+
+  const cacheStatus = bypass ? 'BYPASS' : 'MISS';
+  metrics.cacheRequests.inc({ result: cacheStatus });
+
+  const response = await fetcher();
+
+  try {
+    await storeResponse(key, policy, response);
+  } catch (error) {
+    logger.warn('Cache write failed:', { error: error.message });
+  }
+
+  response.cacheStatus = cacheStatus;
+  return response;
+}
+
+/**
+ * Check whether the client asked to bypass the cache
+ * Supports ?nocache=1 and the Cache-Control: no-cache request header
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the cache should be bypassed
+ */
+function shouldBypassCache(req) {
+  const { nocache } = req.query || {};
+  // Validated routes receive a boolean, others the raw query string
+  if (nocache !== undefined && nocache !== false && nocache !== 'false' && nocache !== '0') {
+    return true;
+  }
+
+  const cacheControl = req.headers['cache-control'] || '';
+  return /no-cache|no-store/i.test(cacheControl);
+}
+
+/**
+ * Expose cache status on the outgoing response
+ * @param {Object} res - Express response
+ * @param {Object} response - Response returned by makeRequest
+ */
+function applyCacheHeaders(res, response) {
+  if (!response || !response.cacheStatus) return;
+
+  res.setHeader('X-Cache', response.cacheStatus);
+  if (response.cacheAge !== undefined) {
+    res.setHeader('Age', String(response.cacheAge));
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  setCacheStore,
+  getCacheStore,
+  getCachePolicy,
+  buildCacheKey,
+  withCache,
+  shouldBypassCache,
+  applyCacheHeaders,
+};
@@ -0,0 +1,302 @@
+/**
+ * Cookie Jar Utilities
+ * Parses Set-Cookie headers and tracks cookies per domain and path with expiry
+ */
+
+/**
+ * Parse a cookie header string ("a=1; b=2") into a name/value object
+ * @param {string} cookieStr - Cookie header value
+ * @returns {Object} Cookies keyed by name
+ */
+function parseCookieString(cookieStr) {
+  const cookies = {};
+  if (!cookieStr) return cookies;
+
+  cookieStr.split(';').forEach(cookie => {
+    const trimmed = cookie.trim();
+    if (!trimmed) return;
+    const [name, ...valueParts] = trimmed.split('=');
+    if (name) {
+      cookies[name.trim()] = valueParts.join('='); // Handle values with = in them
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Serialize a name/value object into a cookie header string
+ * @param {Object} cookies - Cookies keyed by name
+ * @returns {string} Cookie header value
+ */
+function serializeCookies(cookies) {
+  return Object.entries(cookies)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('; ');
+}
+
+/**
+ * Parse a single Set-Cookie header
+ * @param {string} header - Set-Cookie header value
+ * @param {string} requestUrl - URL the response came from (for default domain and path)
+ * @returns {Object|null} Parsed cookie or null if invalid
+ */
+function parseSetCookie(header, requestUrl = null) {
+  if (!header) return null;
+
+  const [pair, ...attributeParts] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  let requestHost = null;
+  let requestPath = '/';
+  if (requestUrl) {
+    try {
+      const parsed = new URL(requestUrl);
+      requestHost = parsed.hostname;
+      requestPath = parsed.pathname.substring(0, parsed.pathname.lastIndexOf('/')) || '/';
+    } catch (error) {
+      // Keep defaults for relative or invalid URLs
+    }
+  }
+
+  const cookie = {
+    name: pair.substring(0, separator).trim(),
+    value: pair.substring(separator + 1).trim(),
+    domain: requestHost,
+    hostOnly: true,
+    path: requestPath,
+    expiresAt: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    createdAt: Date.now(),
+  };
+
+  let maxAge = null;
+  for (const part of attributeParts) {
+    const [rawKey, ...rawValue] = part.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rawValue.join('=').trim();
+
+    if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) cookie.expiresAt = time;
+    } else if (key === 'max-age') {
+      const seconds = parseInt(value, 10);
+      if (!Number.isNaN(seconds)) maxAge = seconds;
+    } else if (key === 'domain' && value) {
+      cookie.domain = value.replace(/^\./, '').toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite') {
+      cookie.sameSite = value;
+    }
+  }
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== null) {
+    cookie.expiresAt = Date.now() + maxAge * 1000;
+  }
+
+  return cookie;
+}
+
+/**
+ * Check whether a cookie applies to a URL
+ * Cookies without a domain (seeded from configuration) apply to every host
+ * @param {Object} cookie - Parsed cookie
+ * @param {URL} url - Target URL
+ * @returns {boolean} True if the cookie should be sent
+ */
+function cookieMatches(cookie, url) {
+  if (cookie.domain) {
+    const host = url.hostname.toLowerCase();
+    const domainMatches = cookie.hostOnly
+      ? host === cookie.domain
+      : host === cookie.domain || host.endsWith(`.${cookie.domain}`);
+    if (!domainMatches) return false;
+  }
+
+  if (cookie.secure && url.protocol !== 'https:') return false;
+
+  const path = url.pathname || '/';
+  if (cookie.path !== '/' && path !== cookie.path && !path.startsWith(`${cookie.path.replace(/\/$/, '')}/`)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Create a cookie jar
+ * @returns {Object} Cookie jar
+ */
+function createCookieJar() {
+  // Keyed by domain|path|name, like a browser jar
+  const cookies = new Map();
+
+  const keyFor = (cookie) => `${cookie.domain || '*'}|${cookie.path}|${cookie.name}`;
+  const isExpired = (cookie, now = Date.now()) => cookie.expiresAt !== null && cookie.expiresAt <= now;
+
+  const jar = {
+    /**
+     * Store one parsed cookie (expired cookies delete the stored copy)
+     * @param {Object} cookie - Parsed cookie
+     */
+    set(cookie) {
+      if (!cookie || !cookie.name) return;
+      const key = keyFor(cookie);
+      if (isExpired(cookie)) {
+        cookies.delete(key);
+        return;
+      }
+      cookies.set(key, cookie);
+    },
+
+    /**
+     * Store cookies from Set-Cookie response headers
+     * @param {string|string[]} headers - Set-Cookie header(s)
+     * @param {string} requestUrl - URL the response came from
+     * @returns {number} Number of cookies processed
+     */
+    setFromHeaders(headers, requestUrl) {
+      const list = Array.isArray(headers) ? headers : [headers];
+      let count = 0;
+      for (const header of list) {
+        const cookie = parseSetCookie(header, requestUrl);
+        if (cookie) {
+          jar.set(cookie);
+          count += 1;
+        }
+      }
+      return count;
+    },
+
+    /**
+     * Seed cookies from a plain cookie string (e.g. MB_COOKIES)
+     * @param {string} cookieStr - Cookie header value
+     * @param {Object} options - Options
+     * @param {string} options.domain - Restrict to a domain (default: all hosts)
+     */
+    seed(cookieStr, options = {}) {
+      const { domain = null } = options;
+      for (const [name, value] of Object.entries(parseCookieString(cookieStr))) {
+        jar.set({
+          name,
+          value,
+          domain,
+          hostOnly: false,
+          path: '/',
+          expiresAt: null,
+          secure: false,
+          httpOnly: false,
+          sameSite: null,
+          createdAt: Date.now(),
+        });
+      }
+    },
+
+    /**
+     * Get cookies that apply to a URL (most specific path first, as browsers send them)
+     * @param {string} url - Target URL
+     * @returns {Object[]} Matching cookies
+     */
+    getCookies(url) {
+      let target;
+      try {
+        target = new URL(url);
+      } catch (error) {
+        return [];
+      }
+
+      const now = Date.now();
+      const matches = [];
+      for (const [key, cookie] of cookies) {
+        if (isExpired(cookie, now)) {
+          cookies.delete(key);
+          continue;
+        }
+        if (cookieMatches(cookie, target)) {
+          matches.push(cookie);
+        }
+      }
+
+      // Domain-scoped cookies override seeded ones with the same name
+      const byName = new Map();
+      matches
+        .sort((a, b) => (a.domain ? 1 : 0) - (b.domain ? 1 : 0) || a.path.length - b.path.length)
+        .forEach(cookie => byName.set(cookie.name, cookie));
+
+      return [...byName.values()].sort((a, b) => b.path.length - a.path.length);
+    },
+
+    /**
+     * Build the Cookie header for a URL
+     * @param {string} url - Target URL
+     * @returns {string|null} Cookie header value or null if no cookies apply
+     */
+    getCookieHeader(url) {
+      const matches = jar.getCookies(url);
+      if (matches.length === 0) return null;
+      return matches.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    },
+
+    /**
+     * Get a single cookie by name for a URL
+     * @param {string} name - Cookie name
+     * @param {string} url - Target URL
+     * @returns {Object|null} Cookie or null
+     */
+    getCookie(name, url) {
+      return jar.getCookies(url).find(cookie => cookie.name === name) || null;
+    },
+
+    /**
+     * Check whether a cookie is missing or expires within a time window
+     * @param {string} name - Cookie name
+     * @param {string} url - Target URL
+     * @param {number} windowMs - Time window in milliseconds
+     * @returns {boolean} True if the cookie is missing or about to expire
+     */
+    expiresWithin(name, url, windowMs) {
+      const cookie = jar.getCookie(name, url);
+      if (!cookie) return true;
+      if (cookie.expiresAt === null) return false;
+      return cookie.expiresAt - Date.now() <= windowMs;
+    },
+
+    /**
+     * Remove all cookies
+     */
+    clear() {
+      cookies.clear();
+    },
+
+    /**
+     * Snapshot of stored cookies (values included - redact before exposing)
+     * @returns {Object[]} Cookies
+     */
+    list() {
+      const now = Date.now();
+      return [...cookies.values()].filter(cookie => !isExpired(cookie, now));
+    },
+
+    get size() {
+      return cookies.size;
+    },
+  };
+
+  return jar;
+}
+
+module.exports = {
+  parseCookieString,
+  serializeCookies,
+  parseSetCookie,
+  createCookieJar,
+};
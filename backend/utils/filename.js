@@ -67,6 +67,61 @@ function generateMediaFilename(options = {}) {
   return `${cleanTitle}${yearPart}${resPart}.${extension}`;
 }
 
+// Subtitle formats whose names carry a language ("<name>.<lang>.srt")
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+
+/**
+ * Generate filename for a subtitle file
+ * Same name as the media file without the resolution, plus the language:
+ * "Title (Year) S01E05.en.srt" or "Title (Year).en.srt"
+ * @param {Object} options - Filename generation options
+ * @param {string} options.title - Movie/series title
+ * @param {number|string} options.year - Release year
+ * @param {number|string} options.season - Season number (for TV series)
+ * @param {number|string} options.episode - Episode number (for TV series)
+ * @param {string} options.language - Subtitle language (omitted when empty)
+ * @param {string} options.extension - File extension (default: 'srt')
+ * @returns {string} Generated filename
+ */
+function generateSubtitleFilename(options = {}) {
+  const { title, year, season, episode, language, extension = 'srt' } = options;
+  const base = generateMediaFilename({ title, year, season, episode, extension }).slice(0, -(extension.length + 1));
+  const lang = cleanFilename(String(language || '')).replace(/[\s.]+/g, '-');
+  return lang ? `${base}.${lang}.${extension}` : `${base}.${extension}`;
+}
+
+/**
+ * Parse a filename produced by generateMediaFilename
+ * Accepts "Title (Year) S01E05_1080p.mp4", "Title (Year)_1080p.mp4" and the same without
+ * year or resolution; subtitle names get their language from "<name>.<lang>.srt"
+ * @param {string} filename - File name (without directories)
+ * @returns {Object|null} { title, year, season, episode, resolution, language, extension } or null if it doesn't match
+ */
+function parseMediaFilename(filename) {
+  let name = String(filename || '');
+  let language = null;
+
+  const subtitle = name.match(/^(.+)\.([A-Za-z]{2,3}(?:-[A-Za-z0-9]+)?)\.([A-Za-z]+)$/);
+  if (subtitle && SUBTITLE_EXTENSIONS.includes(subtitle[3].toLowerCase())) {
+    language = subtitle[2];
+    name = `${subtitle[1]}.${subtitle[3]}`;
+  }
+
+  const match = name.match(/^(.+?)(?: \((\d{4})\))?(?: S(\d{2,})E(\d{2,}))?(?:_(\d{3,4})[pP])?\.([A-Za-z0-9]{1,5})$/);
+  if (!match) return null;
+
+  const [, title, year, season, episode, resolution, extension] = match;
+  return {
+    title: title.trim(),
+    year: year ? parseInt(year, 10) : null,
+    season: season ? parseInt(season, 10) : 0,
+    episode: episode ? parseInt(episode, 10) : 0,
+    resolution: resolution ? parseInt(resolution, 10) : null,
+    language,
+    extension: extension.toLowerCase(),
+  };
+}
+
 /**
  * Extract file extension from URL or content type
  * @param {string} url - File URL
@@ -98,7 +153,10 @@ function extractExtension(url, contentType) {
 
 module.exports = {
   generateMediaFilename,
+  generateSubtitleFilename,
   cleanFilename,
+  parseMediaFilename,
   extractExtension,
+  SUBTITLE_EXTENSIONS,
 };
 
@@ -3,7 +3,7 @@
  * Based on src/moviebox_api/constants.py
  */
 
-const { HOST_URL, SELECTED_HOST } = require('../config/constants');
+const { getHostUrl, getSelectedHost } = require('./hosts');
 
 const DOWNLOAD_REQUEST_REFERER = "https://fmoviesunblocked.net/";
 
@@ -13,13 +13,13 @@ const DOWNLOAD_REQUEST_REFERER = "https://fmoviesunblocked.net/";
  * @returns {Object} Headers object
  */
 function getDefaultHeaders(referer = null) {
-  const host = SELECTED_HOST.replace(/^https?:\/\//, '');
+  const host = getSelectedHost().replace(/^https?:\/\//, '');
   
   return {
     "accept": "application/json",
     "accept-language": "en-US,en;q=0.5",
     "user-agent": "Mozilla/5.0 (X11; Linux x86_64; rv:137.0) Gecko/20100101 Firefox/137.0",
-    "referer": referer || HOST_URL,
+    "referer": referer || getHostUrl(),
     "Host": host,
     "X-client-info": '{"timezone":"Africa/Nairobi"}',
   };
@@ -43,8 +43,8 @@ function getDefaultHeaders(referer = null) {
  * @returns {Object} Headers object
  */
 function getDownloadHeaders(detailPath = null, cookies = null) {
-  const host = SELECTED_HOST.replace(/^https?:\/\//, '');
-  const origin = SELECTED_HOST.replace(/\/$/, ''); // Remove trailing slash if present
+  const host = getSelectedHost().replace(/^https?:\/\//, '');
+  const origin = getSelectedHost().replace(/\/$/, ''); // Remove trailing slash if present
   
   // Referer MUST be exactly: https://h5.aoneroom.com/movies/<detailPath>
   // This is the MOST critical header - API checks if request comes from the movie detail page
@@ -92,7 +92,7 @@ function getDownloadHeaders(detailPath = null, cookies = null) {
  */
 function getMediaDownloadHeaders(downloadUrl = null, cookies = null, range = "bytes=0-") {
   // Origin should be the full selected host URL (e.g., https://h5.aoneroom.com)
-  const origin = SELECTED_HOST.replace(/\/$/, ''); // Remove trailing slash if present
+  const origin = getSelectedHost().replace(/\/$/, ''); // Remove trailing slash if present
   // Referer MUST be exactly https://fmoviesunblocked.net/ - MovieBox blocks other referers
   const referer = DOWNLOAD_REQUEST_REFERER;
   
@@ -0,0 +1,303 @@
+/**
+ * HLS Proxy
+ * Fetches HLS playlists with the headers the CDN requires (Origin, Referer, Cookie) and
+ * rewrites every variant, rendition, segment, key and init-section URI to go through the
+ * backend (/api/hls/playlist and /api/hls/segment), so a standard HLS player can play them.
+ * Segments are kept in a small in-memory LRU cache; cached segments answer range requests
+ * without a CDN round trip.
+ *
+ * Rewritten URIs are relative ("segment?token=...&u=..."), so they resolve against whichever
+ * mount served the playlist. The token (TOKEN_KINDS.HLS) carries the session cookies; the CDN
+ * URL itself is in u and still has to pass the download URL guard (utils/ssrf.js).
+ */
+
+const { getMediaDownloadHeaders } = require('./headers');
+const { requestUpstream } = require('./ssrf');
+const { parseRangeHeader, resolveRanges, getValidators } = require('./ranges');
+
+/**
+ * Read a non-negative integer setting where 0 is meaningful
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number} Value
+ */
+function readCount(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Memory used by cached segments (bytes, 0 disables the cache) - enough for the segments a few
+// players re-request when seeking back, not a whole film
+const HLS_SEGMENT_CACHE_MAX_BYTES = readCount('HLS_SEGMENT_CACHE_MAX_BYTES', 64 * 1024 * 1024);
+// How long a cached segment is served (ms)
+const HLS_SEGMENT_CACHE_TTL_MS = parseInt(process.env.HLS_SEGMENT_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+// Segments larger than this are streamed but not cached
+const MAX_CACHED_SEGMENT_BYTES = Math.min(16 * 1024 * 1024, HLS_SEGMENT_CACHE_MAX_BYTES);
+// Playlists larger than this are rejected
+const MAX_PLAYLIST_BYTES = 5 * 1024 * 1024;
+
+const HLS_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+
+// Tags whose URI attribute points at another playlist
+const PLAYLIST_URI_TAGS = ['#EXT-X-MEDIA', '#EXT-X-I-FRAME-STREAM-INF', '#EXT-X-RENDITION-REPORT'];
+// Tags whose URI attribute points at media data (keys, init sections, partial segments)
+const SEGMENT_URI_TAGS = ['#EXT-X-KEY', '#EXT-X-SESSION-KEY', '#EXT-X-MAP', '#EXT-X-PART', '#EXT-X-PRELOAD-HINT'];
+
+// CDN URL -> { body, contentType, etag, lastModified, expiresAt } - Map order is LRU order
+const segments = new Map();
+let cachedBytes = 0;
+
+/**
+ * Create an error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function hlsError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check whether a stream from the play metadata is HLS
+ * @param {Object} stream - Upstream or normalized stream ({ format, url })
+ * @returns {boolean} True for HLS/m3u8 streams
+ */
+function isHlsStream(stream) {
+  if (!stream || !stream.url) return false;
+  const format = String(stream.format || '').toLowerCase();
+  return format === 'hls' || format === 'm3u8' || /\.m3u8?$/i.test(String(stream.url).split('?')[0]);
+}
+
+/**
+ * Backend path of the proxied master playlist for a token
+ * @param {string} token - TOKEN_KINDS.HLS token
+ * @returns {string} Path under /api
+ */
+function hlsPlaylistPath(token) {
+  return `/api/hls/playlist?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Rewrite the URIs of a playlist to go through the proxy
+ * Relative URIs are resolved against the playlist URL first; non-HTTP URIs (e.g. skd:// or
+ * data: keys) are left alone.
+ * @param {string} text - Playlist
+ * @param {string} playlistUrl - URL the playlist was fetched from (after redirects)
+ * @param {Function} proxyUri - (url, kind) => proxied URI, kind is "playlist" or "segment"
+ * @returns {string} Rewritten playlist
+ */
+function rewritePlaylist(text, playlistUrl, proxyUri) {
+  const rewrite = (uri, kind) => {
+    let absolute;
+    try {
+      absolute = new URL(uri.trim(), playlistUrl);
+    } catch (error) {
+      return uri;
+    }
+    if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') return uri;
+    return proxyUri(absolute.href, kind);
+  };
+
+  // A URI line after #EXT-X-STREAM-INF is a variant playlist whatever its extension
+  let variantNext = false;
+  return text.split(/\r?\n/).map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+
+    if (trimmed.startsWith('#')) {
+      const tag = trimmed.split(':')[0].toUpperCase();
+      if (tag === '#EXT-X-STREAM-INF') variantNext = true;
+      const kind = PLAYLIST_URI_TAGS.includes(tag) ? 'playlist'
+        : SEGMENT_URI_TAGS.includes(tag) ? 'segment'
+          : null;
+      if (!kind) return line;
+      return line.replace(/URI="([^"]*)"/, (match, uri) => `URI="${rewrite(uri, kind)}"`);
+    }
+
+    const kind = variantNext || /\.m3u8?$/i.test(trimmed.split('?')[0]) ? 'playlist' : 'segment';
+    variantNext = false;
+    return rewrite(trimmed, kind);
+  }).join('\n');
+}
+
+/**
+ * Fetch a playlist from the CDN
+ * @param {string} url - Playlist URL
+ * @param {string} cookies - Session cookies required by the CDN
+ * @param {Object} options - { signal, timeout } for the request
+ * @returns {Promise<Object>} { text, url } - url is the final URL after redirects
+ * @throws {Error} 502 if the response is not a playlist, request errors otherwise
+ */
+async function fetchPlaylist(url, cookies, options = {}) {
+  // Playlists are fetched whole - no Range header
+  const { Range, ...headers } = getMediaDownloadHeaders(url, cookies);
+  const response = await requestUpstream({
+    method: 'GET',
+    url,
+    headers,
+    responseType: 'text',
+    transformResponse: [data => data],
+    maxContentLength: MAX_PLAYLIST_BYTES,
+    maxRedirects: 5,
+    signal: options.signal,
+    timeout: options.timeout,
+  });
+
+  const text = String(response.data || '');
+  if (!text.trim().startsWith('#EXTM3U')) {
+    throw hlsError(502, 'The CDN did not return an HLS playlist');
+  }
+  return { text, url: response.config.url };
+}
+
+/**
+ * Drop a cached segment
+ * @param {string} url - CDN URL
+ */
+function dropSegment(url) {
+  const entry = segments.get(url);
+  if (!entry) return;
+  segments.delete(url);
+  cachedBytes -= entry.body.length;
+}
+
+/**
+ * Look up a cached segment (and mark it recently used)
+ * @param {string} url - CDN URL
+ * @returns {Object|null} { body, contentType, etag, lastModified } or null
+ */
+function getCachedSegment(url) {
+  const entry = segments.get(url);
+  if (!entry) return null;
+  dropSegment(url);
+  if (entry.expiresAt <= Date.now()) return null;
+
+  segments.set(url, entry);
+  cachedBytes += entry.body.length;
+  return entry;
+}
+
+/**
+ * Cache a segment, evicting expired and least recently used segments beyond the size limit
+ * @param {string} url - CDN URL
+ * @param {Object} segment - { body, contentType, etag, lastModified }
+ */
+function storeSegment(url, segment) {
+  if (segment.body.length > MAX_CACHED_SEGMENT_BYTES) return;
+
+  dropSegment(url);
+  segments.set(url, { ...segment, expiresAt: Date.now() + HLS_SEGMENT_CACHE_TTL_MS });
+  cachedBytes += segment.body.length;
+
+  const now = Date.now();
+  for (const [key, entry] of segments) {
+    if (cachedBytes <= HLS_SEGMENT_CACHE_MAX_BYTES && entry.expiresAt > now) break;
+    dropSegment(key);
+  }
+}
+
+/**
+ * Cache a segment while it streams to the client
+ * Only complete responses are cached (200, or a 206 covering the whole file); the segment is
+ * stored once the CDN stream ended with every byte.
+ * @param {string} url - CDN URL
+ * @param {Object} upstream - axios response with a stream body (already piped to the client)
+ */
+function cacheSegmentStream(url, upstream) {
+  if (!HLS_SEGMENT_CACHE_MAX_BYTES) return;
+
+  let expected = parseInt(upstream.headers['content-length'], 10);
+  if (upstream.status === 206) {
+    const match = String(upstream.headers['content-range'] || '').match(/^bytes 0-(\d+)\/(\d+)$/);
+    if (!match || parseInt(match[1], 10) + 1 !== parseInt(match[2], 10)) return;
+    expected = parseInt(match[2], 10);
+  } else if (upstream.status !== 200) {
+    return;
+  }
+  if (expected > MAX_CACHED_SEGMENT_BYTES) return;
+
+  const chunks = [];
+  let length = 0;
+  upstream.data.on('data', (chunk) => {
+    length += chunk.length;
+    if (length > MAX_CACHED_SEGMENT_BYTES) {
+      chunks.length = 0;
+      return;
+    }
+    chunks.push(chunk);
+  });
+  upstream.data.on('end', () => {
+    if (length > MAX_CACHED_SEGMENT_BYTES || (!Number.isNaN(expected) && length !== expected)) return;
+    const { etag, lastModified } = getValidators(upstream.headers, url);
+    storeSegment(url, {
+      body: Buffer.concat(chunks, length),
+      contentType: upstream.headers['content-type'] || null,
+      etag,
+      lastModified,
+    });
+  });
+}
+
+/**
+ * Send a cached segment, honouring a single range (If-Range against its ETag or date)
+ * Multi-range requests get the whole segment, which RFC 9110 allows
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} segment - Cached segment
+ */
+function sendCachedSegment(req, res, segment) {
+  const size = segment.body.length;
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', segment.etag);
+  if (segment.lastModified) res.setHeader('Last-Modified', segment.lastModified);
+  res.setHeader('Content-Type', segment.contentType || 'application/octet-stream');
+
+  const ifRange = req.headers['if-range'];
+  const specs = !ifRange || ifRange === segment.etag || ifRange === segment.lastModified
+    ? parseRangeHeader(req.headers.range)
+    : null;
+  const ranges = specs ? resolveRanges(specs, size) : null;
+
+  if (specs && !ranges) {
+    res.status(416);
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.end();
+  }
+  if (!ranges || ranges.length > 1) {
+    res.status(200);
+    res.setHeader('Content-Length', size);
+    return res.end(segment.body);
+  }
+
+  const [range] = ranges;
+  res.status(206);
+  res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  res.setHeader('Content-Length', range.end - range.start + 1);
+  res.end(segment.body.subarray(range.start, range.end + 1));
+}
+
+/**
+ * Segment cache usage
+ * @returns {Object} { segments, bytes, maxBytes }
+ */
+function getSegmentCacheStatus() {
+  return {
+    segments: segments.size,
+    bytes: cachedBytes,
+    maxBytes: HLS_SEGMENT_CACHE_MAX_BYTES,
+  };
+}
+
+module.exports = {
+  HLS_CONTENT_TYPE,
+  isHlsStream,
+  hlsPlaylistPath,
+  rewritePlaylist,
+  fetchPlaylist,
+  getCachedSegment,
+  cacheSegmentStream,
+  sendCachedSegment,
+  getSegmentCacheStatus,
+};
@@ -0,0 +1,130 @@
+/**
+ * Host Selection
+ * Selected (primary) Moviebox host and enabled mirrors
+ * Defaults come from config/constants.js; the admin API changes them at runtime
+ */
+
+const { SELECTED_HOST, MIRROR_HOSTS } = require('../config/constants');
+const logger = require('./logger').createLogger({ module: 'hosts' });
+
+const hostState = {
+  selectedHost: SELECTED_HOST.replace(/\/$/, ''),
+  disabledMirrors: new Set(),
+};
+
+/**
+ * Normalize a host name or URL to an origin ("moviebox.pk" -> "https://moviebox.pk")
+ * @param {string} host - Host name or URL
+ * @returns {string} Origin without trailing slash
+ * @throws {Error} If the host is not a valid http(s) host (status 400)
+ */
+function normalizeHost(host) {
+  const value = String(host || '').trim();
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!value || !url || !['http:', 'https:'].includes(url.protocol) || url.pathname !== '/' || url.search) {
+    const error = new Error(`Invalid host: ${value || '(empty)'}`);
+    error.status = 400;
+    throw error;
+  }
+  return url.origin;
+}
+
+/**
+ * Get the selected host (e.g. "https://h5.aoneroom.com")
+ * @returns {string} Origin without trailing slash
+ */
+function getSelectedHost() {
+  return hostState.selectedHost;
+}
+
+/**
+ * Get the selected host as a base URL for building request URLs
+ * @returns {string} Base URL with trailing slash (e.g. "https://h5.aoneroom.com/")
+ */
+function getHostUrl() {
+  return `${hostState.selectedHost}/`;
+}
+
+/**
+ * Switch the selected host
+ * @param {string} host - Host name or URL
+ * @returns {Object} { previous, current } origins
+ */
+function setSelectedHost(host) {
+  const previous = hostState.selectedHost;
+  const current = normalizeHost(host);
+  hostState.selectedHost = current;
+  // A mirror that becomes the primary is always used
+  hostState.disabledMirrors.delete(new URL(current).host);
+
+  if (previous !== current) {
+    logger.warn(`Selected host changed from ${previous} to ${current}`);
+  }
+  return { previous, current };
+}
+
+/**
+ * Get the enabled mirror host names
+ * @returns {string[]} Host names (e.g. ["h5.aoneroom.com", ...])
+ */
+function getMirrorHosts() {
+  return MIRROR_HOSTS.filter(host => !hostState.disabledMirrors.has(host));
+}
+
+/**
+ * Enable or disable a mirror
+ * @param {string} host - Mirror host name (one of MIRROR_HOSTS)
+ * @param {boolean} enabled - Whether the mirror is used for failover
+ * @throws {Error} If the host isn't a known mirror (404) or is the selected host (409)
+ */
+function setMirrorEnabled(host, enabled) {
+  const name = String(host || '').trim().toLowerCase();
+  if (!MIRROR_HOSTS.includes(name)) {
+    const error = new Error(`Unknown mirror: ${name}`);
+    error.status = 404;
+    throw error;
+  }
+  if (!enabled && new URL(hostState.selectedHost).host === name) {
+    const error = new Error(`${name} is the selected host - switch the selected host before disabling it`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (enabled) {
+    hostState.disabledMirrors.delete(name);
+  } else {
+    hostState.disabledMirrors.add(name);
+  }
+  logger.warn(`Mirror ${name} ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Get the current host settings
+ * @returns {Object} { selectedHost, defaultHost, mirrors: [{ host, enabled }] }
+ */
+function getHostSettings() {
+  return {
+    selectedHost: hostState.selectedHost,
+    defaultHost: SELECTED_HOST.replace(/\/$/, ''),
+    mirrors: MIRROR_HOSTS.map(host => ({
+      host,
+      enabled: !hostState.disabledMirrors.has(host),
+    })),
+  };
+}
+
+module.exports = {
+  normalizeHost,
+  getSelectedHost,
+  getHostUrl,
+  setSelectedHost,
+  getMirrorHosts,
+  setMirrorEnabled,
+  getHostSettings,
+};
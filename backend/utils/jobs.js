@@ -0,0 +1,773 @@
+/**
+ * Download Jobs
+ * Server-side queue that downloads media (and optionally a subtitle) to DOWNLOAD_DIR, so a
+ * home server can fetch a whole series unattended:
+ * - links are resolved through the content provider, like the download metadata routes
+ * - files are written to "<name>.part" and resumed with a range request after a pause,
+ *   a failure or a restart; expired CDN URLs are re-resolved (see utils/reresolve.js)
+ * - network errors, 5xx and 429 are retried with exponential backoff
+ * - jobs are persisted to DOWNLOAD_DIR/.jobs.json and picked up again on startup
+ * Files are named with generateMediaFilename, so the library can match them to subjects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getProvider } = require('../providers');
+const { DOWNLOAD_QUALITIES } = require('../config/constants');
+const { getMediaDownloadHeaders } = require('./headers');
+const { requestUpstream } = require('./ssrf');
+const { requestDownload } = require('./reresolve');
+const { generateMediaFilename, extractExtension, SUBTITLE_EXTENSIONS } = require('./filename');
+const { captionLanguageCode } = require('./subtitles');
+const logger = require('./logger').createLogger({ module: 'jobs' });
+
+// Directory media files are saved to
+const DOWNLOAD_DIR = path.resolve(process.env.DOWNLOAD_DIR || path.join(__dirname, '..', 'downloads'));
+// Jobs downloading at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// Retries after the first attempt before a job fails
+const JOB_MAX_RETRIES = parseInt(process.env.JOB_MAX_RETRIES, 10) || 5;
+// Delay before the first retry (ms) - doubled for every further retry
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 10000;
+// Longest delay between retries (ms)
+const JOB_MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// How long the CDN may take to send response headers (ms)
+const JOB_CONNECT_TIMEOUT_MS = 30000;
+// How long a transfer may move no data before the attempt fails (ms)
+const JOB_IDLE_TIMEOUT_MS = 60000;
+// How often progress of running jobs is written to the state file (ms)
+const JOB_SAVE_INTERVAL_MS = 1000;
+
+const STATE_FILE = path.join(DOWNLOAD_DIR, '.jobs.json');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  RETRYING: 'retrying',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+};
+
+// Statuses a job never leaves on its own
+const FINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELED];
+
+// Job id -> job (insertion order is queue order)
+const jobs = new Map();
+// Job id -> { controller, stopReason } for jobs downloading right now
+const running = new Map();
+// Job id -> timer for jobs waiting to be retried
+const retryTimers = new Map();
+
+let loaded = false;
+let saveTimer = null;
+
+/**
+ * Create an error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function jobError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Write all jobs to the state file (atomically, through a temporary file)
+ */
+function saveJobs() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+    const temporary = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ jobs: [...jobs.values()] }, null, 2));
+    fs.renameSync(temporary, STATE_FILE);
+  } catch (error) {
+    logger.error('Could not save download jobs', { file: STATE_FILE, error: error.message });
+  }
+}
+
+/**
+ * Save the jobs soon, coalescing progress updates
+ */
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveJobs, JOB_SAVE_INTERVAL_MS);
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Load the jobs saved by a previous run
+ * Jobs that were downloading or waiting for a retry are queued again
+ */
+function loadJobs() {
+  if (loaded) return;
+  loaded = true;
+
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read saved download jobs', { file: STATE_FILE, error: error.message });
+    }
+    return;
+  }
+
+  for (const job of saved.jobs || []) {
+    if (job.status === JOB_STATUS.DOWNLOADING || job.status === JOB_STATUS.RETRYING) {
+      job.status = JOB_STATUS.QUEUED;
+      job.nextRetryAt = null;
+      job.progress.speedBps = 0;
+    }
+    jobs.set(job.id, job);
+  }
+  logger.info('Loaded download jobs', { file: STATE_FILE, count: jobs.size });
+}
+
+/**
+ * Update a job and save the change
+ * Progress updates (one per data chunk) are saved at most every JOB_SAVE_INTERVAL_MS,
+ * any other change (status, file, error, ...) right away
+ * @param {Object} job - Job
+ * @param {Object} changes - Fields to change
+ */
+function updateJob(job, changes) {
+  const progressOnly = Object.keys(changes).every(key => key === 'progress');
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  if (progressOnly) {
+    scheduleSave();
+  } else {
+    saveJobs();
+  }
+}
+
+/**
+ * Get a copy of a job safe to send to clients
+ * @param {Object} job - Job
+ * @returns {Object} Job (file and subtitleFile are relative to DOWNLOAD_DIR)
+ */
+function describeJob(job) {
+  return { ...job, progress: { ...job.progress } };
+}
+
+/**
+ * Normalize a quality value to one of DOWNLOAD_QUALITIES
+ * @param {string|number} quality - "BEST", "worst", "1080P", "1080p", 1080, ...
+ * @returns {string} Quality (default: BEST)
+ * @throws {Error} 400 if the quality is unknown
+ */
+function normalizeQuality(quality) {
+  if (quality === undefined || quality === null || quality === '') return 'BEST';
+
+  const value = String(quality).trim().toUpperCase();
+  const normalized = /^\d+$/.test(value) ? `${value}P` : value;
+  if (!DOWNLOAD_QUALITIES.includes(normalized)) {
+    throw jobError(400, `quality must be one of: ${DOWNLOAD_QUALITIES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Pick the download matching a quality
+ * @param {Object[]} downloads - Downloads from the download metadata
+ * @param {string} quality - BEST, WORST or e.g. 1080P
+ * @param {number} resolution - Resolution already chosen by an earlier attempt (wins over quality)
+ * @returns {Object|null} Download or null
+ */
+function pickDownload(downloads, quality, resolution) {
+  const available = downloads
+    .filter(download => download.resource?.url || download.url)
+    .sort((a, b) => (parseInt(a.resolution, 10) || 0) - (parseInt(b.resolution, 10) || 0));
+
+  const wanted = resolution || parseInt(quality, 10);
+  if (wanted) {
+    return available.find(download => parseInt(download.resolution, 10) === wanted) || null;
+  }
+  if (quality === 'WORST') return available[0] || null;
+  return available[available.length - 1] || null;
+}
+
+/**
+ * Pick the caption matching a language
+ * @param {Object[]} captions - Captions from the download metadata
+ * @param {string} language - Language code or name ("en", "English")
+ * @returns {Object|null} Caption or null
+ */
+function pickCaption(captions, language) {
+  const wanted = String(language).trim().toLowerCase();
+  return captions.find(caption => caption.url && (
+    String(caption.lan || '').toLowerCase() === wanted ||
+    String(caption.lanName || '').toLowerCase() === wanted
+  )) || null;
+}
+
+/**
+ * Resolve a path inside DOWNLOAD_DIR
+ * @param {string} file - File name relative to DOWNLOAD_DIR
+ * @returns {string} Absolute path
+ * @throws {Error} 400 if the path points outside DOWNLOAD_DIR
+ */
+function downloadPath(file) {
+  const resolved = path.resolve(DOWNLOAD_DIR, file);
+  if (!resolved.startsWith(`${DOWNLOAD_DIR}${path.sep}`)) {
+    throw jobError(400, `File name ${JSON.stringify(file)} points outside the download directory`);
+  }
+  return resolved;
+}
+
+/**
+ * Fetch the title and year used in file names (once per job)
+ * @param {Object} job - Job
+ * @param {Object} provider - Content provider
+ */
+async function resolveTitle(job, provider) {
+  if (job.title) return;
+
+  const details = (await provider.details({ subjectId: job.subjectId, detailPath: job.detailPath })).data || {};
+  // Parsed detail page, or the raw page state when parsing fell back to it
+  const page = details.resData || details;
+  const title = page.metadata?.title || page.subject?.title || job.detailPath;
+  const releaseDate = page.subject?.releaseDate || page.metadata?.releaseDate;
+  const year = releaseDate ? new Date(releaseDate).getFullYear() : null;
+  updateJob(job, { title, year: Number.isNaN(year) ? null : year });
+}
+
+/**
+ * Download the job's subtitle next to the media file (skipped once it exists)
+ * A missing language doesn't fail the job - it is reported in job.warning
+ * @param {Object} job - Job
+ * @param {Object[]} captions - Captions from the download metadata
+ * @param {string} cookies - Session cookies for the CDN
+ * @param {AbortSignal} signal - Aborts the request
+ */
+async function downloadSubtitle(job, captions, cookies, signal) {
+  if (!job.subtitleLanguage) return;
+  if (job.subtitleFile && fs.existsSync(downloadPath(job.subtitleFile))) return;
+
+  const caption = pickCaption(captions, job.subtitleLanguage);
+  if (!caption) {
+    updateJob(job, { warning: `No ${job.subtitleLanguage} subtitle available` });
+    return;
+  }
+
+  const response = await requestUpstream({
+    method: 'GET',
+    url: caption.url,
+    headers: getMediaDownloadHeaders(caption.url, cookies, 'bytes=0-'),
+    responseType: 'arraybuffer',
+    timeout: JOB_CONNECT_TIMEOUT_MS,
+    signal,
+  });
+
+  const base = job.file.replace(/\.[^.]+$/, '');
+  const extension = extractExtension(caption.url, null);
+  // Upstream language values go into the file name - only the ISO 639 code is used
+  const language = captionLanguageCode(caption);
+  const subtitleFile = `${base}.${language}.${SUBTITLE_EXTENSIONS.includes(extension) ? extension : 'srt'}`;
+  fs.writeFileSync(downloadPath(subtitleFile), Buffer.from(response.data));
+  updateJob(job, { subtitleFile, warning: null });
+}
+
+/**
+ * Download the media file to "<file>.part", resuming from its current size
+ * @param {Object} job - Job
+ * @param {Object} target - { url, cookies } - updated in place when the URL is re-resolved
+ * @param {Object} provider - Content provider
+ * @param {AbortSignal} signal - Aborts the transfer
+ */
+async function downloadMedia(job, target, provider, signal) {
+  const partPath = `${downloadPath(job.file)}.part`;
+  let offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+  const response = await requestDownload(target, current => ({
+    method: 'GET',
+    url: current.url,
+    headers: getMediaDownloadHeaders(current.url, current.cookies, `bytes=${offset}-`),
+    responseType: 'stream',
+    timeout: JOB_CONNECT_TIMEOUT_MS,
+    signal,
+    validateStatus: status => (status >= 200 && status < 300) || status === 416,
+  }), {
+    provider,
+    subjectId: job.subjectId,
+    detailPath: job.detailPath,
+    season: job.season,
+    episode: job.episode,
+    resolution: job.resolution,
+  });
+
+  const contentRange = response.headers['content-range'] || '';
+  const rangeTotal = parseInt(contentRange.split('/')[1], 10) || null;
+
+  if (response.status === 416) {
+    response.data.destroy();
+    if (offset > 0 && rangeTotal === offset) {
+      updateJob(job, { progress: { ...job.progress, bytes: offset, totalBytes: offset, percent: 100 } });
+      return;
+    }
+    fs.rmSync(partPath, { force: true });
+    throw jobError(503, 'Partial file does not match the file on the CDN - restarting');
+  }
+
+  let totalBytes;
+  if (response.status === 206 && parseInt(contentRange.replace(/^bytes\s+/, ''), 10) === offset) {
+    totalBytes = rangeTotal;
+  } else {
+    // The CDN sent the whole file (ignored the range) - start over
+    offset = 0;
+    totalBytes = parseInt(response.headers['content-length'], 10) || null;
+  }
+
+  let bytes = offset;
+  let sampleBytes = offset;
+  let sampleAt = Date.now();
+  let idleTimer = null;
+  const armIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      response.data.destroy(jobError(504, `No data received for ${JOB_IDLE_TIMEOUT_MS / 1000}s`));
+    }, JOB_IDLE_TIMEOUT_MS);
+  };
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      armIdleTimer();
+      bytes += chunk.length;
+      const now = Date.now();
+      const progress = {
+        bytes,
+        totalBytes,
+        percent: totalBytes ? Math.floor((bytes / totalBytes) * 1000) / 10 : null,
+        speedBps: job.progress.speedBps,
+      };
+      if (now - sampleAt >= 1000) {
+        progress.speedBps = Math.round(((bytes - sampleBytes) * 1000) / (now - sampleAt));
+        sampleBytes = bytes;
+        sampleAt = now;
+      }
+      updateJob(job, { progress });
+      callback(null, chunk);
+    },
+  });
+
+  logger.info('Downloading job media', { id: job.id, file: job.file, offset, totalBytes });
+  armIdleTimer();
+  try {
+    await pipeline(response.data, meter, fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }), { signal });
+  } finally {
+    clearTimeout(idleTimer);
+  }
+
+  if (totalBytes && bytes < totalBytes) {
+    throw jobError(503, `Download ended early (${bytes} of ${totalBytes} bytes)`);
+  }
+  updateJob(job, { progress: { bytes, totalBytes: totalBytes || bytes, percent: 100, speedBps: 0 } });
+}
+
+/**
+ * Run one attempt of a job: resolve links, then fetch the subtitle and the media file
+ * @param {Object} job - Job
+ * @param {AbortSignal} signal - Aborted on pause or cancel
+ */
+async function downloadJob(job, signal) {
+  const provider = getProvider(job.provider);
+  await resolveTitle(job, provider);
+
+  const response = await provider.downloadLinks({
+    subjectId: job.subjectId,
+    detailPath: job.detailPath,
+    se: job.season,
+    ep: job.episode,
+  });
+  const data = response.data?.data || response.data || {};
+  const download = pickDownload(data.downloads || [], job.quality, job.resolution);
+  if (!download) {
+    if (data.limited) throw jobError(429, 'Download limit reached - retrying later');
+    throw jobError(404, `No ${job.resolution ? `${job.resolution}p` : job.quality} download available`);
+  }
+
+  const url = download.resource?.url || download.url;
+  const cookies = response.cookies || null;
+  if (!job.file) {
+    const resolution = parseInt(download.resolution, 10) || null;
+    updateJob(job, {
+      resolution,
+      file: generateMediaFilename({
+        title: job.title,
+        year: job.year,
+        season: job.season,
+        episode: job.episode,
+        resolution,
+        quality: job.quality,
+        extension: extractExtension(url, null),
+      }),
+    });
+  }
+
+  fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+  await downloadSubtitle(job, data.captions || [], cookies, signal);
+  await downloadMedia(job, { url, cookies }, provider, signal);
+
+  // Paused or canceled while the last chunk was written: keep the .part file, which
+  // resuming completes without a transfer and canceling deletes
+  if (signal.aborted || job.status !== JOB_STATUS.DOWNLOADING) {
+    throw jobError(409, `Download job was ${job.status} before it completed`);
+  }
+  fs.renameSync(`${downloadPath(job.file)}.part`, downloadPath(job.file));
+}
+
+/**
+ * Whether a failed attempt is worth retrying (network errors, timeouts, 5xx, 429)
+ * @param {Error} error - Error
+ * @returns {boolean} True if the job should be retried
+ */
+function isRetryable(error) {
+  const status = error.response?.status || error.status;
+  return !status || status >= 500 || status === 429;
+}
+
+/**
+ * Schedule the next attempt of a failed job
+ * @param {Object} job - Job
+ * @param {Error} error - Error of the failed attempt
+ */
+function scheduleRetry(job, error) {
+  const delay = Math.min(JOB_RETRY_DELAY_MS * 2 ** (job.attempts - 1), JOB_MAX_RETRY_DELAY_MS);
+  updateJob(job, {
+    status: JOB_STATUS.RETRYING,
+    error: error.message,
+    nextRetryAt: new Date(Date.now() + delay).toISOString(),
+    progress: { ...job.progress, speedBps: 0 },
+  });
+  logger.warn('Download job failed - retrying', { id: job.id, attempt: job.attempts, delayMs: delay, error: error.message });
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(job.id);
+    updateJob(job, { status: JOB_STATUS.QUEUED, nextRetryAt: null });
+    pumpQueue();
+  }, delay);
+  timer.unref();
+  retryTimers.set(job.id, timer);
+}
+
+/**
+ * Run a job until it completes, fails, or is paused or canceled
+ * @param {Object} job - Job
+ */
+async function runJob(job) {
+  const entry = { controller: new AbortController(), stopReason: null };
+  running.set(job.id, entry);
+  updateJob(job, { status: JOB_STATUS.DOWNLOADING, attempts: job.attempts + 1, error: null, nextRetryAt: null });
+
+  try {
+    await downloadJob(job, entry.controller.signal);
+    // downloadJob checked the status right before moving the file into place
+    updateJob(job, {
+      status: JOB_STATUS.COMPLETED,
+      completedAt: new Date().toISOString(),
+      progress: { ...job.progress, speedBps: 0 },
+    });
+    logger.info('Download job completed', { id: job.id, file: job.file });
+    // Index the new file (required here - the library module depends on this one)
+    require('./library').scheduleLibraryScan();
+  } catch (error) {
+    if (entry.stopReason) {
+      // Status was set by pauseJob or cancelJob; the partial file is closed now
+      updateJob(job, { progress: { ...job.progress, speedBps: 0 } });
+      if (entry.stopReason === JOB_STATUS.CANCELED) removePartialFiles(job);
+    } else if (isRetryable(error) && job.attempts <= JOB_MAX_RETRIES) {
+      scheduleRetry(job, error);
+    } else {
+      updateJob(job, { status: JOB_STATUS.FAILED, error: error.message, progress: { ...job.progress, speedBps: 0 } });
+      logger.error('Download job failed', { id: job.id, attempts: job.attempts, error: error.message });
+    }
+  } finally {
+    running.delete(job.id);
+    pumpQueue();
+  }
+}
+
+/**
+ * Start queued jobs, oldest first, while fewer than JOB_CONCURRENCY are running
+ */
+function pumpQueue() {
+  for (const job of jobs.values()) {
+    if (running.size >= JOB_CONCURRENCY) return;
+    if (job.status === JOB_STATUS.QUEUED) runJob(job);
+  }
+}
+
+/**
+ * Delete the partial media file of a job
+ * @param {Object} job - Job
+ */
+function removePartialFiles(job) {
+  if (job.file) {
+    fs.rmSync(`${downloadPath(job.file)}.part`, { force: true });
+  }
+}
+
+/**
+ * Stop a job's running attempt or pending retry and set its status
+ * @param {Object} job - Job
+ * @param {string} status - paused or canceled
+ * @returns {boolean} True if an attempt was running (it cleans up once the transfer stops)
+ */
+function stopJob(job, status) {
+  clearTimeout(retryTimers.get(job.id));
+  retryTimers.delete(job.id);
+  updateJob(job, { status, nextRetryAt: null });
+
+  const entry = running.get(job.id);
+  if (!entry) return false;
+  entry.stopReason = status;
+  entry.controller.abort();
+  return true;
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Object} Job
+ * @throws {Error} 404 if there is no such job
+ */
+function findJob(id) {
+  loadJobs();
+  const job = jobs.get(id);
+  if (!job) throw jobError(404, `Download job ${id} not found`);
+  return job;
+}
+
+/**
+ * Load saved jobs and start the queue (called once the server listens)
+ */
+function startJobQueue() {
+  loadJobs();
+  pumpQueue();
+}
+
+/**
+ * Queue a download job
+ * @param {Object} options - Job options
+ * @param {string} options.provider - Content provider name
+ * @param {string} options.subjectId - Subject ID
+ * @param {string} options.detailPath - Detail path
+ * @param {number|string} options.season - Season number (0 or missing for movies)
+ * @param {number|string} options.episode - Episode number (0 or missing for movies)
+ * @param {string|number} options.quality - BEST, WORST, 360P, 480P, 720P or 1080P (default: BEST)
+ * @param {string} options.subtitleLanguage - Optional - caption language code or name to save too
+ * @returns {Object} Job
+ * @throws {Error} 400 for invalid options, 409 if the same download is already queued
+ */
+function createJob(options = {}) {
+  loadJobs();
+
+  const subjectId = String(options.subjectId || '').trim();
+  const detailPath = String(options.detailPath || '').trim();
+  if (!/^\d+$/.test(subjectId)) throw jobError(400, 'subjectId must be a numeric string');
+  if (!detailPath) throw jobError(400, 'detailPath is required');
+
+  const provider = getProvider(options.provider).name;
+  const quality = normalizeQuality(options.quality);
+  const episode = parseInt(options.episode, 10) || 0;
+  // Movies have no season (same rule as the download metadata routes)
+  const season = episode === 0 ? 0 : (parseInt(options.season, 10) || 0);
+  if (episode > 0 && season === 0) throw jobError(400, 'season is required with episode');
+  const subtitleLanguage = options.subtitleLanguage ? String(options.subtitleLanguage).trim() : null;
+
+  const duplicate = [...jobs.values()].find(job =>
+    !FINAL_STATUSES.includes(job.status) &&
+    job.provider === provider &&
+    job.subjectId === subjectId &&
+    job.season === season &&
+    job.episode === episode &&
+    job.quality === quality);
+  if (duplicate) {
+    const error = jobError(409, `This download is already queued as job ${duplicate.id}`);
+    error.job = describeJob(duplicate);
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    provider,
+    subjectId,
+    detailPath,
+    season,
+    episode,
+    quality,
+    subtitleLanguage,
+    status: JOB_STATUS.QUEUED,
+    title: null,
+    year: null,
+    resolution: null,
+    file: null,
+    subtitleFile: null,
+    progress: { bytes: 0, totalBytes: null, percent: 0, speedBps: 0 },
+    attempts: 0,
+    error: null,
+    warning: null,
+    nextRetryAt: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  saveJobs();
+  logger.info('Download job queued', { id: job.id, subjectId, season, episode, quality });
+  pumpQueue();
+  return describeJob(job);
+}
+
+/**
+ * List jobs in queue order
+ * @param {Object} filter - Optional - { status }
+ * @returns {Object[]} Jobs
+ */
+function listJobs({ status } = {}) {
+  loadJobs();
+  return [...jobs.values()]
+    .filter(job => !status || job.status === status)
+    .map(describeJob);
+}
+
+/**
+ * Get a job
+ * @param {string} id - Job id
+ * @returns {Object} Job
+ * @throws {Error} 404 if there is no such job
+ */
+function getJob(id) {
+  return describeJob(findJob(id));
+}
+
+/**
+ * Pause a queued, retrying or downloading job (the partial file is kept)
+ * @param {string} id - Job id
+ * @returns {Object} Job
+ * @throws {Error} 404 if there is no such job, 409 if it already finished
+ */
+function pauseJob(id) {
+  const job = findJob(id);
+  if (job.status === JOB_STATUS.PAUSED) return describeJob(job);
+  if (FINAL_STATUSES.includes(job.status)) {
+    throw jobError(409, `A ${job.status} job can't be paused`);
+  }
+
+  stopJob(job, JOB_STATUS.PAUSED);
+  logger.info('Download job paused', { id });
+  return describeJob(job);
+}
+
+/**
+ * Resume a paused or failed job (failed jobs get a fresh set of retries)
+ * @param {string} id - Job id
+ * @returns {Object} Job
+ * @throws {Error} 404 if there is no such job, 409 if it can't be resumed
+ */
+function resumeJob(id) {
+  const job = findJob(id);
+  if (job.status !== JOB_STATUS.PAUSED && job.status !== JOB_STATUS.FAILED) {
+    throw jobError(409, `A ${job.status} job can't be resumed`);
+  }
+  if (running.has(id)) {
+    throw jobError(409, 'The job is still stopping - try again shortly');
+  }
+
+  updateJob(job, { status: JOB_STATUS.QUEUED, attempts: 0, error: null });
+  logger.info('Download job resumed', { id });
+  pumpQueue();
+  return describeJob(job);
+}
+
+/**
+ * Cancel a job and delete its partial file
+ * @param {string} id - Job id
+ * @returns {Object} Job
+ * @throws {Error} 404 if there is no such job, 409 if it already finished
+ */
+function cancelJob(id) {
+  const job = findJob(id);
+  if (job.status === JOB_STATUS.CANCELED) return describeJob(job);
+  if (FINAL_STATUSES.includes(job.status)) {
+    throw jobError(409, `A ${job.status} job can't be canceled`);
+  }
+
+  if (!stopJob(job, JOB_STATUS.CANCELED)) {
+    removePartialFiles(job);
+  }
+  logger.info('Download job canceled', { id });
+  return describeJob(job);
+}
+
+/**
+ * Remove a job from the list (canceling it first if needed)
+ * Completed files stay in DOWNLOAD_DIR
+ * @param {string} id - Job id
+ * @throws {Error} 404 if there is no such job
+ */
+function removeJob(id) {
+  const job = findJob(id);
+  if (!FINAL_STATUSES.includes(job.status)) {
+    cancelJob(id);
+  }
+  jobs.delete(id);
+  saveJobs();
+}
+
+/**
+ * Count jobs by status
+ * @returns {Object} Status -> count
+ */
+function countJobs() {
+  const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+  for (const job of jobs.values()) {
+    counts[job.status] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Get the download directory and queue settings
+ * @returns {Object} { directory, running, counts, limits }
+ */
+function getJobQueueStatus() {
+  loadJobs();
+  return {
+    directory: DOWNLOAD_DIR,
+    running: running.size,
+    counts: countJobs(),
+    limits: {
+      concurrency: JOB_CONCURRENCY,
+      maxRetries: JOB_MAX_RETRIES,
+      retryDelayMs: JOB_RETRY_DELAY_MS,
+    },
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  DOWNLOAD_DIR,
+  startJobQueue,
+  createJob,
+  listJobs,
+  getJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  removeJob,
+  getJobQueueStatus,
+  normalizeQuality,
+  pickDownload,
+};
@@ -0,0 +1,353 @@
+/**
+ * Local Media Library
+ * Index of the media files in LIBRARY_DIR (DOWNLOAD_DIR by default), for listing and
+ * in-browser playback of local copies:
+ * - file names are parsed with parseMediaFilename (the generateMediaFilename naming)
+ * - files are matched to subjects through the download job that saved them, or else a
+ *   provider search for the parsed title and year
+ * - subtitles named "<media name>.<lang>.srt" are attached to their media file
+ * The index is stored in LIBRARY_DIR/.library.json; unchanged files keep their match.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getProvider } = require('../providers');
+const { SUBJECT_TYPES } = require('../config/constants');
+const { DOWNLOAD_DIR, listJobs, JOB_STATUS } = require('./jobs');
+const { cleanFilename, parseMediaFilename, SUBTITLE_EXTENSIONS } = require('./filename');
+const { normalizeSubjectList } = require('./normalize');
+const { createSingleFlight } = require('./singleflight');
+const logger = require('./logger').createLogger({ module: 'library' });
+
+// Directory indexed by the library (subdirectories included)
+const LIBRARY_DIR = path.resolve(process.env.LIBRARY_DIR || DOWNLOAD_DIR);
+// How often the directory is scanned for new, changed and removed files (ms)
+const LIBRARY_SCAN_INTERVAL_MS = parseInt(process.env.LIBRARY_SCAN_INTERVAL_MS, 10) || 10 * 60 * 1000;
+// Delay before a scan requested by a completed download job (ms) - coalesces several completions
+const LIBRARY_RESCAN_DELAY_MS = 2000;
+
+const INDEX_FILE = path.join(LIBRARY_DIR, '.library.json');
+const MEDIA_EXTENSIONS = ['mp4', 'mkv', 'webm', 'avi', 'mov', 'm4v'];
+
+// Relative path -> entry
+let entries = new Map();
+let scannedAt = null;
+let loaded = false;
+let rescanTimer = null;
+const scans = createSingleFlight();
+
+/**
+ * Derive the stable id of a library entry
+ * @param {string} file - Path relative to LIBRARY_DIR
+ * @returns {string} Id
+ */
+function entryId(file) {
+  return crypto.createHash('sha1').update(file).digest('hex').substring(0, 16);
+}
+
+/**
+ * Load the index saved by a previous run
+ */
+function loadIndex() {
+  if (loaded) return;
+  loaded = true;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+    entries = new Map((saved.items || []).map(entry => [entry.file, entry]));
+    scannedAt = saved.scannedAt || null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read the library index', { file: INDEX_FILE, error: error.message });
+    }
+  }
+}
+
+/**
+ * Write the index (atomically, through a temporary file)
+ */
+function saveIndex() {
+  try {
+    fs.mkdirSync(LIBRARY_DIR, { recursive: true });
+    const temporary = `${INDEX_FILE}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ scannedAt, items: [...entries.values()] }, null, 2));
+    fs.renameSync(temporary, INDEX_FILE);
+  } catch (error) {
+    logger.error('Could not save the library index', { file: INDEX_FILE, error: error.message });
+  }
+}
+
+/**
+ * List the files below a directory (dotfiles and partial downloads skipped)
+ * @param {string} directory - Absolute directory
+ * @returns {Promise<string[]>} Paths relative to LIBRARY_DIR
+ */
+async function listFiles(directory) {
+  let dirents;
+  try {
+    dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const dirent of dirents) {
+    if (dirent.name.startsWith('.') || dirent.name.endsWith('.part')) continue;
+    const absolute = path.join(directory, dirent.name);
+    if (dirent.isDirectory()) {
+      files.push(...await listFiles(absolute));
+    } else if (dirent.isFile()) {
+      files.push(path.relative(LIBRARY_DIR, absolute));
+    }
+  }
+  return files;
+}
+
+/**
+ * Get the name shared by a media file and its subtitles
+ * @param {string} file - Relative path
+ * @returns {string} Path without extension, subtitle language and resolution
+ */
+function baseName(file) {
+  const parsed = parseMediaFilename(path.basename(file));
+  const name = path.basename(file).replace(/\.[^.]+$/, '');
+  const stripped = parsed?.language ? name.slice(0, -(parsed.language.length + 1)) : name;
+  return path.join(path.dirname(file), stripped.replace(/_\d{3,4}[pP]$/, '')).toLowerCase();
+}
+
+/**
+ * Build the subjects of completed download jobs, by absolute file path
+ * @returns {Map} Absolute path -> { subjectId, detailPath, provider }
+ */
+function jobSubjects() {
+  const subjects = new Map();
+  for (const job of listJobs({ status: JOB_STATUS.COMPLETED })) {
+    if (job.file) {
+      subjects.set(path.join(DOWNLOAD_DIR, job.file), {
+        subjectId: job.subjectId,
+        detailPath: job.detailPath,
+        provider: job.provider,
+      });
+    }
+  }
+  return subjects;
+}
+
+/**
+ * Find the subject a title and year belong to with a provider search
+ * @param {Object} entry - Library entry (title, year, season)
+ * @param {Map} searches - Results of earlier searches in this scan ("title|year|type" -> match)
+ * @returns {Promise<Object|null>} { subjectId, detailPath, provider } or null
+ */
+async function searchSubject(entry, searches) {
+  const subjectType = entry.season > 0 ? SUBJECT_TYPES.TV_SERIES : SUBJECT_TYPES.MOVIES;
+  const key = `${entry.title.toLowerCase()}|${entry.year || ''}|${subjectType}`;
+  if (searches.has(key)) return searches.get(key);
+
+  const provider = getProvider();
+  const response = await provider.search({ keyword: entry.title, page: 1, perPage: 20, subjectType });
+  const { items } = normalizeSubjectList(response.data);
+  // Compare titles the way generateMediaFilename wrote them
+  const match = items.find(item =>
+    cleanFilename(item.title).toLowerCase() === entry.title.toLowerCase() &&
+    (!entry.year || !item.year || item.year === entry.year));
+
+  const subject = match ? { subjectId: match.id, detailPath: match.detailPath, provider: provider.name } : null;
+  searches.set(key, subject);
+  return subject;
+}
+
+/**
+ * Scan LIBRARY_DIR and update the index
+ * New and changed files are parsed and matched; removed files are dropped.
+ * @param {Object} options - { rematch } - also retry matching files that didn't match before
+ * @returns {Promise<Object>} { scannedAt, items, matched, unmatched }
+ */
+async function runScan({ rematch = false } = {}) {
+  loadIndex();
+  const files = await listFiles(LIBRARY_DIR);
+  const previous = entries;
+  const next = new Map();
+  const subtitles = [];
+
+  for (const file of files) {
+    const parsed = parseMediaFilename(path.basename(file));
+    if (!parsed) continue;
+    if (SUBTITLE_EXTENSIONS.includes(parsed.extension)) {
+      subtitles.push({ file, language: parsed.language });
+      continue;
+    }
+    if (!MEDIA_EXTENSIONS.includes(parsed.extension)) continue;
+
+    const stat = await fs.promises.stat(path.join(LIBRARY_DIR, file));
+    const modifiedAt = stat.mtime.toISOString();
+    const known = previous.get(file);
+    if (known && known.size === stat.size && known.modifiedAt === modifiedAt) {
+      next.set(file, { ...known, subtitles: [] });
+      continue;
+    }
+
+    next.set(file, {
+      id: entryId(file),
+      file,
+      ...parsed,
+      size: stat.size,
+      modifiedAt,
+      subjectId: null,
+      detailPath: null,
+      provider: null,
+      matchedBy: null,
+      subtitles: [],
+    });
+  }
+
+  // Attach subtitles to the media files with the same name (resolution optional)
+  const byBase = new Map();
+  for (const entry of next.values()) {
+    const base = baseName(entry.file);
+    byBase.set(base, [...(byBase.get(base) || []), entry]);
+  }
+  for (const subtitle of subtitles) {
+    for (const entry of byBase.get(baseName(subtitle.file)) || []) {
+      entry.subtitles.push({ language: subtitle.language, file: subtitle.file });
+    }
+  }
+
+  // Match files to subjects: the job that downloaded them first, then a search
+  const fromJobs = jobSubjects();
+  const searches = new Map();
+  for (const entry of next.values()) {
+    if (entry.subjectId && entry.matchedBy === 'job') continue;
+    const job = fromJobs.get(path.join(LIBRARY_DIR, entry.file));
+    if (job) {
+      Object.assign(entry, job, { matchedBy: 'job' });
+      continue;
+    }
+    if (entry.subjectId || (entry.matchedBy === 'none' && !rematch)) continue;
+
+    try {
+      const subject = await searchSubject(entry, searches);
+      Object.assign(entry, subject || {}, { matchedBy: subject ? 'search' : 'none' });
+    } catch (error) {
+      // Left unmatched (matchedBy null) so the next scan tries again
+      logger.warn('Could not match library file', { file: entry.file, error: error.message });
+    }
+  }
+
+  entries = next;
+  scannedAt = new Date().toISOString();
+  saveIndex();
+
+  const items = [...entries.values()];
+  const matched = items.filter(entry => entry.subjectId).length;
+  logger.info('Library scanned', { directory: LIBRARY_DIR, items: items.length, matched });
+  return { scannedAt, items: items.length, matched, unmatched: items.length - matched };
+}
+
+/**
+ * Scan the library (concurrent callers share one scan)
+ * @param {Object} options - { rematch } - also retry matching files that didn't match before
+ * @returns {Promise<Object>} { scannedAt, items, matched, unmatched }
+ */
+function scanLibrary(options = {}) {
+  return scans.do(options.rematch ? 'rematch' : 'scan', () => runScan(options));
+}
+
+/**
+ * Scan the library shortly (after a download job completed)
+ */
+function scheduleLibraryScan() {
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(() => {
+    scanLibrary().catch(error => logger.error('Library scan failed', { error: error.message }));
+  }, LIBRARY_RESCAN_DELAY_MS);
+  rescanTimer.unref();
+}
+
+/**
+ * Load the saved index, scan now and then every LIBRARY_SCAN_INTERVAL_MS
+ */
+function startLibrary() {
+  loadIndex();
+  const scan = () => scanLibrary().catch(error => logger.error('Library scan failed', { error: error.message }));
+  scan();
+  setInterval(scan, LIBRARY_SCAN_INTERVAL_MS).unref();
+}
+
+/**
+ * List library entries
+ * @param {Object} filter - Optional - { subjectId, q } (q matches the title)
+ * @returns {Object} { scannedAt, items }
+ */
+function listLibrary({ subjectId, q } = {}) {
+  loadIndex();
+  const query = q ? String(q).toLowerCase() : null;
+  const items = [...entries.values()]
+    .filter(entry => !subjectId || entry.subjectId === String(subjectId))
+    .filter(entry => !query || entry.title.toLowerCase().includes(query))
+    .sort((a, b) => a.title.localeCompare(b.title) || a.season - b.season || a.episode - b.episode);
+  return { scannedAt, items };
+}
+
+/**
+ * Summarize the library by subject (for "downloaded" badges)
+ * @returns {Object} { scannedAt, subjects: [{ subjectId, detailPath, title, year, files, episodes }] }
+ */
+function listLibrarySubjects() {
+  loadIndex();
+  const subjects = new Map();
+  for (const entry of entries.values()) {
+    if (!entry.subjectId) continue;
+    const subject = subjects.get(entry.subjectId) || {
+      subjectId: entry.subjectId,
+      detailPath: entry.detailPath,
+      title: entry.title,
+      year: entry.year,
+      files: 0,
+      episodes: [],
+    };
+    subject.files += 1;
+    if (entry.episode > 0) subject.episodes.push({ season: entry.season, episode: entry.episode });
+    subjects.set(entry.subjectId, subject);
+  }
+  return { scannedAt, subjects: [...subjects.values()] };
+}
+
+/**
+ * Get a library entry
+ * @param {string} id - Entry id
+ * @returns {Object} Entry
+ * @throws {Error} 404 if there is no such entry
+ */
+function getLibraryItem(id) {
+  loadIndex();
+  const entry = [...entries.values()].find(item => item.id === id);
+  if (!entry) {
+    const error = new Error(`Library item ${id} not found`);
+    error.status = 404;
+    throw error;
+  }
+  return entry;
+}
+
+/**
+ * Get the absolute path of a library file
+ * @param {string} file - Path relative to LIBRARY_DIR (from an entry)
+ * @returns {string} Absolute path
+ */
+function libraryPath(file) {
+  return path.join(LIBRARY_DIR, file);
+}
+
+module.exports = {
+  LIBRARY_DIR,
+  startLibrary,
+  scanLibrary,
+  scheduleLibraryScan,
+  listLibrary,
+  listLibrarySubjects,
+  getLibraryItem,
+  libraryPath,
+};
@@ -0,0 +1,194 @@
+/**
+ * Structured Logger
+ * Leveled JSON logs with a per-request correlation ID and automatic redaction of
+ * cookies, signed URL parameters and API keys
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+// Minimum level written (debug, info, warn, error or silent)
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+// 'json' (one object per line) or 'pretty' (readable, for local development)
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose string values are always redacted
+const SENSITIVE_KEY_PATTERN = /cookie|authorization|api[-_]?key|secret|password|token|^sign$/i;
+// Signed URL and credential query parameters (sign=..., t=..., api_key=...)
+const SENSITIVE_PARAM_PATTERN = /([?&](?:sign|signature|t|token|access_token|api[-_]?key|key)=)[^&\s"']+/gi;
+// Session cookies embedded in free text (account=...; token=...)
+const SENSITIVE_COOKIE_PATTERN = /\b(account|token|session|sessionid)=[^;\s&"']+/gi;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Redact secrets from a string
+ * @param {string} text - Text
+ * @returns {string} Redacted text
+ */
+function redactString(text) {
+  return text
+    .replace(SENSITIVE_PARAM_PATTERN, `$1${REDACTED}`)
+    .replace(SENSITIVE_COOKIE_PATTERN, `$1=${REDACTED}`);
+}
+
+/**
+ * Redact secrets from a log value (recursively)
+ * Strings under sensitive keys are replaced entirely; other strings have signed URL
+ * parameters and session cookies masked. Booleans and numbers (e.g. hasCookies) are kept.
+ * @param {*} value - Value
+ * @param {string} key - Field name of the value
+ * @param {number} depth - Current depth (objects deeper than 6 levels are summarized)
+ * @returns {*} Redacted copy
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    return SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redactString(value);
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      code: value.code,
+      status: value.status || value.response?.status,
+      stack: value.stack ? redactString(value.stack) : undefined,
+    };
+  }
+
+  if (typeof value !== 'object') return value;
+  if (depth > 6) return '[Object]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, depth + 1));
+  }
+
+  const result = {};
+  for (const [childKey, childValue] of Object.entries(value)) {
+    result[childKey] = redact(childValue, childKey, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Write one log entry
+ * @param {string} level - Level name
+ * @param {Object} bindings - Fields bound to the logger
+ * @param {string} message - Message
+ * @param {*} fields - Extra fields (objects are merged, other values go under "value")
+ */
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  let extra = {};
+  if (fields instanceof Error) {
+    extra = { error: fields };
+  } else if (fields !== undefined && fields !== null && typeof fields === 'object' && !Array.isArray(fields)) {
+    extra = fields;
+  } else if (fields !== undefined) {
+    extra = { value: fields };
+  }
+
+  const context = requestContext.getStore();
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: String(message).replace(/:\s*$/, ''),
+    ...(context ? { requestId: context.requestId } : {}),
+    ...bindings,
+    ...extra,
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'pretty') {
+    const { time, level: entryLevel, msg, ...rest } = entry;
+    const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${details}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Create a logger
+ * @param {Object} bindings - Fields added to every entry (e.g. { module: 'proxy' })
+ * @returns {Object} Logger with debug, info, warn, error, child and isLevelEnabled
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+    isLevelEnabled: (level) => LEVELS[level] >= LEVELS[LOG_LEVEL],
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Express middleware assigning a correlation ID to each request
+ * Reuses a sane incoming X-Request-Id, returns it in the X-Request-Id response header,
+ * and logs one line per completed request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[A-Za-z0-9._-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  let logged = false;
+  const logCompletion = () => {
+    if (logged) return;
+    logged = true;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    requestContext.run({ requestId }, () => {
+      logger[level](res.writableFinished ? 'Request completed' : 'Request aborted', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+  };
+
+  res.on('finish', logCompletion);
+  res.on('close', logCompletion);
+
+  requestContext.run({ requestId }, next);
+}
+
+/**
+ * Get the correlation ID of the request being handled (if any)
+ * @returns {string|null} Request ID
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  redact,
+  requestLogger,
+  getRequestId,
+};
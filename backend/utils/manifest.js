@@ -0,0 +1,218 @@
+/**
+ * Season Download Manifests
+ * Resolves every episode of a season through the download metadata and writes a list of
+ * download-proxy links for a download manager: an aria2 input file, a wget script,
+ * a JDownloader crawljob or an M3U playlist. Each entry carries a generateMediaFilename name.
+ *
+ * The links carry download tokens (see utils/tokens.js) that live for MANIFEST_TOKEN_TTL_MS,
+ * long enough to work through a whole season; download-proxy re-resolves CDN URLs that expire
+ * in the meantime. Entries carry no CDN headers: download-proxy adds them server-side, and the
+ * session cookies stay inside the signed tokens.
+ */
+
+const { TOKEN_KINDS, issueDownloadToken } = require('./tokens');
+const { generateMediaFilename, cleanFilename, extractExtension } = require('./filename');
+const { pickDownload } = require('./jobs');
+const logger = require('./logger').createLogger({ module: 'manifest' });
+
+// How long the download tokens in a manifest stay valid (ms)
+const MANIFEST_TOKEN_TTL_MS = parseInt(process.env.MANIFEST_TOKEN_TTL_MS, 10) || 48 * 60 * 60 * 1000;
+// Episodes whose download metadata is fetched at once
+const MANIFEST_CONCURRENCY = 3;
+
+const MANIFEST_FORMATS = {
+  aria2: { extension: 'aria2', contentType: 'text/plain; charset=utf-8' },
+  wget: { extension: 'sh', contentType: 'text/x-shellscript; charset=utf-8' },
+  jdownloader: { extension: 'crawljob', contentType: 'application/json; charset=utf-8' },
+  m3u: { extension: 'm3u', contentType: 'audio/x-mpegurl; charset=utf-8' },
+};
+
+/**
+ * Run a task for every item, a few at a time
+ * @param {Array} items - Items
+ * @param {number} limit - Tasks running at once
+ * @param {Function} task - async (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapLimit(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Episode label, e.g. "S01E05"
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {string} Label
+ */
+function episodeLabel(season, episode) {
+  return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve the download of every episode of a season
+ * Episodes without a download in the requested quality (or whose metadata failed) are reported
+ * in missing instead of failing the manifest.
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Content provider
+ * @param {string} options.subjectId - Subject ID
+ * @param {string} options.detailPath - Detail path
+ * @param {string} options.title - Series title
+ * @param {number} options.year - Release year
+ * @param {number} options.season - Season number
+ * @param {number[]} options.episodes - Episode numbers
+ * @param {string} options.quality - BEST, WORST or e.g. 1080P
+ * @param {string} options.proxyUrl - Absolute URL of download-proxy
+ * @returns {Promise<Object>} { entries, missing } - entries: { label, url, filename },
+ * missing: { label, reason, limited }
+ */
+async function resolveSeasonEntries(options) {
+  const { provider, subjectId, detailPath, title, year, season, episodes, quality, proxyUrl } = options;
+  const entries = [];
+  const missing = [];
+
+  const results = await mapLimit(episodes, MANIFEST_CONCURRENCY, async (episode) => {
+    const label = episodeLabel(season, episode);
+    try {
+      const response = await provider.downloadLinks({ subjectId, detailPath, se: season, ep: episode });
+      const data = response.data?.data || response.data || {};
+      const download = pickDownload(data.downloads || [], quality);
+      if (!download) {
+        return {
+          missing: {
+            label,
+            reason: data.limited ? 'download limit reached' : `no ${quality} download`,
+            limited: Boolean(data.limited),
+          },
+        };
+      }
+
+      const url = download.resource?.url || download.url;
+      const cookies = response.cookies || null;
+      const resolution = parseInt(download.resolution, 10) || null;
+      const size = parseInt(download.size, 10) || null;
+      const token = issueDownloadToken({
+        kind: TOKEN_KINDS.MEDIA,
+        url,
+        cookies,
+        metadata: {
+          subjectId,
+          detailPath,
+          season,
+          episode,
+          ...(resolution ? { resolution: `${resolution}p` } : {}),
+          ...(size ? { size } : {}),
+        },
+        ttlMs: MANIFEST_TOKEN_TTL_MS,
+      });
+
+      return {
+        entry: {
+          label,
+          url: `${proxyUrl}?token=${encodeURIComponent(token)}`,
+          filename: generateMediaFilename({
+            title,
+            year,
+            season,
+            episode,
+            resolution,
+            quality,
+            extension: extractExtension(url, null),
+          }),
+        },
+      };
+    } catch (error) {
+      logger.warn('Episode left out of the manifest', { label, error: error.message });
+      return { missing: { label, reason: error.message, limited: false } };
+    }
+  });
+
+  for (const result of results) {
+    if (result.entry) entries.push(result.entry);
+    else missing.push(result.missing);
+  }
+  return { entries, missing };
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Strip line breaks from a value written into a line-based manifest
+ * @param {string} value - Value
+ * @returns {string} Single-line value
+ */
+function singleLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Write a manifest
+ * @param {string} format - Key of MANIFEST_FORMATS
+ * @param {Object} manifest - { name, entries, missing } from resolveSeasonEntries, name is the
+ * package/playlist name (e.g. "Title (2020) S01")
+ * @returns {string} Manifest text
+ */
+function buildManifest(format, { name, entries, missing }) {
+  const comments = missing.map(item => `# ${item.label}: ${singleLine(item.reason)}`);
+
+  if (format === 'jdownloader') {
+    // Folder watch crawljob (JSON list)
+    return JSON.stringify(entries.map(entry => ({
+      text: entry.url,
+      filename: entry.filename,
+      packageName: name,
+      enabled: 'TRUE',
+      autoStart: 'TRUE',
+      autoConfirm: 'TRUE',
+      forcedStart: 'DEFAULT',
+    })), null, 2);
+  }
+
+  if (format === 'm3u') {
+    const lines = entries.map(entry => `#EXTINF:-1,${singleLine(entry.filename.replace(/\.[^.]+$/, ''))}\n${entry.url}`);
+    return ['#EXTM3U', `#PLAYLIST:${singleLine(name)}`, ...comments, ...lines].join('\n') + '\n';
+  }
+
+  if (format === 'wget') {
+    const lines = entries.map(entry =>
+      ['wget', '-c', '-O', shellQuote(entry.filename), shellQuote(entry.url)].join(' '));
+    return ['#!/bin/sh', `# ${singleLine(name)}`, ...comments, ...lines].join('\n') + '\n';
+  }
+
+  // aria2 input file: URL line, then indented options (aria2c -i <file>)
+  const blocks = entries.map(entry => `${entry.url}\n  out=${singleLine(entry.filename)}`);
+  return [`# ${singleLine(name)}`, ...comments, ...blocks].join('\n') + '\n';
+}
+
+/**
+ * Package name of a season manifest
+ * @param {string} title - Series title
+ * @param {number} year - Release year
+ * @param {number} season - Season number
+ * @returns {string} e.g. "Title (2020) S01"
+ */
+function manifestName(title, year, season) {
+  return `${cleanFilename(title || 'video')}${year ? ` (${year})` : ''} S${String(season).padStart(2, '0')}`;
+}
+
+module.exports = {
+  MANIFEST_FORMATS,
+  resolveSeasonEntries,
+  buildManifest,
+  manifestName,
+};
@@ -0,0 +1,358 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms exposed in the Prometheus text format at /metrics
+ */
+
+const METRIC_PREFIX = 'emnex_';
+
+// Latency buckets in seconds (upstream calls and HTTP handlers)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = new Map();
+
+/**
+ * Build a stable key for a label set
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {string} Key
+ */
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set ({a="1",b="2"})
+ * @param {string[]} labelNames - Label names
+ * @param {string[]} values - Label values (same order)
+ * @param {Object} extra - Additional labels (e.g. le for histogram buckets)
+ * @returns {string} Formatted labels or '' when there are none
+ */
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  for (const [name, value] of Object.entries(extra)) {
+    pairs.push(`${name}="${escapeLabelValue(value)}"`);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Register a metric
+ * @param {Object} metric - Metric with name, help, type and render()
+ * @returns {Object} The metric
+ */
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter (monotonically increasing)
+ * @param {string} name - Metric name (without prefix)
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @returns {Object} Counter with inc(labels, value)
+ */
+function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    render() {
+      return [...values.entries()].map(([key, value]) =>
+        `${this.name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+  });
+}
+
+/**
+ * Create a gauge (value that goes up and down)
+ * @param {string} name - Metric name (without prefix)
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {Function} collect - Optional - called with the gauge before rendering to refresh values
+ * @returns {Object} Gauge with set(labels, value), inc(labels, value) and dec(labels, value)
+ */
+function createGauge(name, help, labelNames = [], collect = null) {
+  const values = new Map();
+
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'gauge',
+    set(labels = {}, value = 0) {
+      values.set(labelKey(labelNames, labels), value);
+    },
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    dec(labels = {}, value = 1) {
+      this.inc(labels, -value);
+    },
+    render() {
+      if (collect) collect(this);
+      return [...values.entries()].map(([key, value]) =>
+        `${this.name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name (without prefix)
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} buckets - Upper bounds (ascending)
+ * @returns {Object} Histogram with observe(labels, value) and startTimer(labels)
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (finalLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        this.observe({ ...labels, ...finalLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [];
+      for (const [key, entry] of series.entries()) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${this.name}_bucket${formatLabels(labelNames, values, { le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${this.name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${this.name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${this.name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Render every registered metric in the Prometheus text format (version 0.0.4)
+ * @returns {string} Exposition text
+ */
+function renderMetrics() {
+  const blocks = [];
+  for (const metric of registry.values()) {
+    blocks.push([
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.render(),
+    ].join('\n'));
+  }
+  return `${blocks.join('\n')}\n`;
+}
+
+const httpRequests = createCounter(
+  'http_requests_total',
+  'HTTP requests handled, by route and status code',
+  ['method', 'route', 'status'],
+);
+
+const httpRequestDuration = createHistogram(
+  'http_request_duration_seconds',
+  'Time until the response finished, by route',
+  ['method', 'route'],
+);
+
+const upstreamRequests = createCounter(
+  'upstream_requests_total',
+  'Requests sent to Moviebox, by endpoint, mirror and status code ("error" when no response was received)',
+  ['endpoint', 'mirror', 'status'],
+);
+
+const upstreamRequestDuration = createHistogram(
+  'upstream_request_duration_seconds',
+  'Latency of requests sent to Moviebox, by endpoint and mirror',
+  ['endpoint', 'mirror'],
+);
+
+const cacheRequests = createCounter(
+  'cache_requests_total',
+  'Cacheable upstream lookups, by result (HIT, STALE, MISS, BYPASS)',
+  ['result'],
+);
+
+const limitedResponses = createCounter(
+  'download_limited_responses_total',
+  'Download metadata responses flagged limited: true, by session',
+  ['session'],
+);
+
+const activeStreams = createGauge(
+  'download_proxy_active_streams',
+  'Media streams currently being proxied to clients',
+);
+
+const streamedBytes = createCounter(
+  'download_proxy_bytes_total',
+  'Media bytes streamed to clients by the download proxy',
+);
+
+const queuedStreams = createGauge(
+  'download_proxy_queued_streams',
+  'Media streams waiting for a free concurrency slot',
+);
+
+const streamRejections = createCounter(
+  'download_proxy_rejections_total',
+  'Media streams answered 429 by the concurrency limits, by reason (queue_full, queue_timeout)',
+  ['reason'],
+);
+
+const hlsSegmentCache = createCounter(
+  'hls_segment_cache_requests_total',
+  'HLS segment requests, by segment cache result (HIT, MISS)',
+  ['result'],
+);
+
+// Unlabelled series start at 0 so they are exported before the first download
+activeStreams.set({}, 0);
+streamedBytes.inc({}, 0);
+queuedStreams.set({}, 0);
+
+const cookieRefreshes = createCounter(
+  'cookie_refreshes_total',
+  'Session cookie refreshes from the app info endpoint, by session and result',
+  ['session', 'result'],
+);
+
+createGauge(
+  'mirror_circuit_open',
+  'Whether a mirror\'s circuit breaker is open (1) or not (0)',
+  ['mirror'],
+  (gauge) => {
+    const { getMirrorStatus } = require('./mirrors');
+    for (const host of getMirrorStatus().hosts) {
+      gauge.set({ mirror: host.host }, host.breaker === 'open' ? 1 : 0);
+    }
+  },
+);
+
+createGauge(
+  'download_jobs',
+  'Server-side download jobs, by status',
+  ['status'],
+  (gauge) => {
+    const { getJobQueueStatus } = require('./jobs');
+    for (const [status, count] of Object.entries(getJobQueueStatus().counts)) {
+      gauge.set({ status }, count);
+    }
+  },
+);
+
+createGauge(
+  'hls_segment_cache_bytes',
+  'Memory used by cached HLS segments',
+  [],
+  (gauge) => {
+    const { getSegmentCacheStatus } = require('./hls');
+    gauge.set({}, getSegmentCacheStatus().bytes);
+  },
+);
+
+/**
+ * Express middleware counting requests and timing responses per route
+ * Routes are labelled by their declared path (e.g. /api/movie/:subjectId) to keep label
+ * cardinality bounded; requests no route matched are labelled "unmatched".
+ * Responses closed before they finished (client or upstream aborted) are counted too.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function metricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    endTimer({ route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+
+  next();
+}
+
+/**
+ * Track a media stream piped to a client (active stream gauge and bytes counter)
+ * @param {Object} stream - Readable stream from upstream
+ */
+function trackProxyStream(stream) {
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    activeStreams.dec();
+  };
+
+  activeStreams.inc();
+  stream.on('data', chunk => streamedBytes.inc({}, chunk.length));
+  stream.on('end', finish);
+  stream.on('error', finish);
+  stream.on('close', finish);
+}
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  metricsMiddleware,
+  trackProxyStream,
+  metrics: {
+    httpRequests,
+    httpRequestDuration,
+    upstreamRequests,
+    upstreamRequestDuration,
+    cacheRequests,
+    limitedResponses,
+    cookieRefreshes,
+    queuedStreams,
+    streamRejections,
+    hlsSegmentCache,
+  },
+};
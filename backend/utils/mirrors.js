@@ -0,0 +1,249 @@
+/**
+ * Mirror Health Tracking
+ * Per-host success rate, latency and circuit breaker for Moviebox mirror failover
+ */
+
+const { getHostUrl, getMirrorHosts } = require('./hosts');
+const logger = require('./logger').createLogger({ module: 'mirrors' });
+
+// Consecutive failures before a host's breaker opens
+const FAILURE_THRESHOLD = parseInt(process.env.MIRROR_FAILURE_THRESHOLD, 10) || 3;
+// How long an open breaker waits before letting a probe request through (ms)
+const OPEN_DURATION_MS = parseInt(process.env.MIRROR_OPEN_DURATION_MS, 10) || 60000;
+// Timeout of a single request to a mirror before failing over to the next one (ms)
+const MIRROR_TIMEOUT_MS = parseInt(process.env.MIRROR_TIMEOUT_MS, 10) || 10000;
+// Weight of the latest sample in the moving averages
+const EWMA_ALPHA = 0.2;
+// Old failures count for less over time so a recovered primary is preferred again (ms)
+const RECOVERY_HALF_LIFE_MS = 5 * 60 * 1000;
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+const hostStates = new Map();
+
+/**
+ * Normalize a host or URL to a base URL with trailing slash
+ * @param {string} host - Hostname or URL
+ * @returns {string} Base URL, e.g. "https://h5.aoneroom.com/"
+ */
+function toBaseUrl(host) {
+  const url = host.startsWith('http') ? host : `https://${host}`;
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Get (or create) the health state for a host
+ * @param {string} baseUrl - Base URL of the host
+ * @returns {Object} Host state
+ */
+function getState(baseUrl) {
+  if (!hostStates.has(baseUrl)) {
+    hostStates.set(baseUrl, {
+      baseUrl,
+      host: baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, ''),
+      breaker: BREAKER_STATES.CLOSED,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      successRate: 1,
+      latencyMs: null,
+      openedAt: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      probeInFlight: false,
+    });
+  }
+  return hostStates.get(baseUrl);
+}
+
+/**
+ * Get all configured hosts (primary first, then mirrors) without duplicates
+ * @returns {string[]} Base URLs
+ */
+function getConfiguredHosts() {
+  const hosts = [getHostUrl(), ...getMirrorHosts().map(toBaseUrl)];
+  return [...new Set(hosts)];
+}
+
+/**
+ * Success rate with past failures decayed by the time since the last failure
+ * @param {Object} state - Host state
+ * @returns {number} Effective success rate between 0 and 1
+ */
+function effectiveSuccessRate(state) {
+  if (!state.lastFailureAt) return state.successRate;
+  const elapsed = Date.now() - state.lastFailureAt;
+  const decay = Math.pow(0.5, elapsed / RECOVERY_HALF_LIFE_MS);
+  return 1 - (1 - state.successRate) * decay;
+}
+
+/**
+ * Move open breakers whose cooldown has elapsed to half-open
+ * @param {Object} state - Host state
+ */
+function refreshBreaker(state) {
+  if (state.breaker === BREAKER_STATES.OPEN && Date.now() - state.openedAt >= OPEN_DURATION_MS) {
+    state.breaker = BREAKER_STATES.HALF_OPEN;
+    state.probeInFlight = false;
+  }
+}
+
+/**
+ * Get hosts to try for a request, healthiest first
+ * Closed hosts are ordered by success rate then latency; half-open hosts get a single probe.
+ * Open hosts are skipped unless every host is open, in which case the one that failed
+ * longest ago is tried so requests don't fail outright.
+ * @returns {string[]} Base URLs in the order they should be tried
+ */
+function getRequestHosts() {
+  const configured = getConfiguredHosts();
+  const states = configured.map(baseUrl => {
+    const state = getState(baseUrl);
+    refreshBreaker(state);
+    return state;
+  });
+
+  const closed = states
+    .filter(state => state.breaker === BREAKER_STATES.CLOSED)
+    .sort((a, b) => {
+      const rateA = effectiveSuccessRate(a);
+      const rateB = effectiveSuccessRate(b);
+      // Treat near-equal rates as ties so latency decides
+      if (Math.abs(rateB - rateA) > 0.05) return rateB - rateA;
+      // Unmeasured hosts keep their configured order
+      if (a.latencyMs === null || b.latencyMs === null) return 0;
+      return a.latencyMs - b.latencyMs;
+    });
+
+  const halfOpen = states.filter(state => state.breaker === BREAKER_STATES.HALF_OPEN && !state.probeInFlight);
+
+  const ordered = [...closed, ...halfOpen];
+  if (ordered.length > 0) {
+    return ordered.map(state => state.baseUrl);
+  }
+
+  const open = states
+    .filter(state => state.breaker === BREAKER_STATES.OPEN)
+    .sort((a, b) => a.lastFailureAt - b.lastFailureAt);
+  return open.length > 0 ? [open[0].baseUrl] : configured;
+}
+
+/**
+ * Mark the start of a request to a host (used to limit half-open probes to one at a time)
+ * @param {string} baseUrl - Base URL of the host
+ */
+function recordAttempt(baseUrl) {
+  const state = getState(baseUrl);
+  if (state.breaker === BREAKER_STATES.HALF_OPEN) {
+    state.probeInFlight = true;
+  }
+}
+
+/**
+ * Record a successful request to a host
+ * @param {string} baseUrl - Base URL of the host
+ * @param {number} latencyMs - Request duration in milliseconds
+ */
+function recordSuccess(baseUrl, latencyMs) {
+  const state = getState(baseUrl);
+  state.successes += 1;
+  state.consecutiveFailures = 0;
+  state.successRate = state.successRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+  state.latencyMs = state.latencyMs === null
+    ? latencyMs
+    : Math.round(state.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA);
+  state.lastSuccessAt = Date.now();
+  state.breaker = BREAKER_STATES.CLOSED;
+  state.openedAt = null;
+  state.probeInFlight = false;
+}
+
+/**
+ * Check whether a request failed by timing out
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for connect and response timeouts
+ */
+function isTimeoutError(error) {
+  return Boolean(error) && ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code);
+}
+
+/**
+ * Record a failed request to a host (network error, timeout or 5xx)
+ * A timeout opens the breaker right away - every request would otherwise wait it out again.
+ * @param {string} baseUrl - Base URL of the host
+ * @param {Error} error - The error that occurred
+ */
+function recordFailure(baseUrl, error) {
+  const state = getState(baseUrl);
+  state.failures += 1;
+  state.consecutiveFailures += 1;
+  state.successRate = state.successRate * (1 - EWMA_ALPHA);
+  state.lastFailureAt = Date.now();
+  state.lastError = error ? (error.code || error.message) : null;
+  state.probeInFlight = false;
+
+  // A failed probe re-opens the breaker immediately
+  if (state.breaker === BREAKER_STATES.HALF_OPEN
+    || state.consecutiveFailures >= FAILURE_THRESHOLD
+    || isTimeoutError(error)) {
+    if (state.breaker !== BREAKER_STATES.OPEN) {
+      logger.warn(`Mirror circuit opened for ${state.host} after ${state.consecutiveFailures} consecutive failure(s)`, {
+        error: state.lastError,
+      });
+    }
+    state.breaker = BREAKER_STATES.OPEN;
+    state.openedAt = Date.now();
+  }
+}
+
+/**
+ * Get a snapshot of all host health states
+ * @returns {Object} Mirror status with hosts in the order they would be tried
+ */
+function getMirrorStatus() {
+  const order = getRequestHosts();
+  const hosts = getConfiguredHosts().map(baseUrl => {
+    const state = getState(baseUrl);
+    return {
+      host: state.host,
+      primary: baseUrl === getHostUrl(),
+      breaker: state.breaker,
+      successes: state.successes,
+      failures: state.failures,
+      consecutiveFailures: state.consecutiveFailures,
+      successRate: Number(effectiveSuccessRate(state).toFixed(3)),
+      latencyMs: state.latencyMs,
+      lastSuccessAt: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null,
+      lastFailureAt: state.lastFailureAt ? new Date(state.lastFailureAt).toISOString() : null,
+      lastError: state.lastError,
+      retryAt: state.breaker === BREAKER_STATES.OPEN
+        ? new Date(state.openedAt + OPEN_DURATION_MS).toISOString()
+        : null,
+    };
+  });
+
+  return {
+    activeHost: order.length > 0 ? order[0].replace(/^https?:\/\//, '').replace(/\/$/, '') : null,
+    order: order.map(baseUrl => baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, '')),
+    failureThreshold: FAILURE_THRESHOLD,
+    openDurationMs: OPEN_DURATION_MS,
+    timeoutMs: MIRROR_TIMEOUT_MS,
+    hosts,
+  };
+}
+
+module.exports = {
+  BREAKER_STATES,
+  MIRROR_TIMEOUT_MS,
+  getConfiguredHosts,
+  getRequestHosts,
+  recordAttempt,
+  recordSuccess,
+  recordFailure,
+  getMirrorStatus,
+};
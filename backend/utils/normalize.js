@@ -0,0 +1,394 @@
+/**
+ * Response Normalization
+ * Maps provider responses onto one canonical Subject/Season/Episode/Download/Caption schema
+ * (served by the /v2 routes so clients don't have to probe upstream field variants)
+ */
+
+const { SUBJECT_TYPES } = require('../config/constants');
+
+/**
+ * @typedef {Object} Image
+ * @property {string} url - Image URL
+ * @property {number|null} width - Width in pixels
+ * @property {number|null} height - Height in pixels
+ */
+
+/**
+ * @typedef {Object} Subject
+ * @property {string} id - Subject ID
+ * @property {string} type - 'movie', 'series', 'music' or 'unknown'
+ * @property {number|null} subjectType - Upstream subject type (see SUBJECT_TYPES)
+ * @property {string} title - Title
+ * @property {string} description - Plain description ('' if unknown)
+ * @property {string|null} detailPath - Detail path (needed for detail and download lookups)
+ * @property {Image|null} cover - Poster image
+ * @property {string[]} genres - Genres
+ * @property {string|null} releaseDate - Release date (YYYY-MM-DD)
+ * @property {number|null} year - Release year
+ * @property {number|null} durationSeconds - Runtime in seconds
+ * @property {string|null} country - Country name
+ * @property {{rating: number|null, votes: number|null}} imdb - IMDb rating (0-10) and vote count
+ * @property {string[]} subtitleLanguages - Subtitle language names
+ * @property {boolean} hasResource - Whether downloadable files exist
+ */
+
+/**
+ * @typedef {Object} Episode
+ * @property {number} season - Season number
+ * @property {number} episode - Episode number
+ */
+
+/**
+ * @typedef {Object} Season
+ * @property {number} season - Season number
+ * @property {number} episodeCount - Number of episodes
+ * @property {Episode[]} episodes - Episodes in order
+ * @property {number[]} resolutions - Available resolutions (e.g. [1080, 720])
+ */
+
+/**
+ * @typedef {Object} Download
+ * @property {string} id - Download ID
+ * @property {string} url - File URL (requires the session cookies)
+ * @property {number|null} resolution - Vertical resolution (e.g. 1080)
+ * @property {string|null} quality - Quality label (e.g. '1080p')
+ * @property {number|null} sizeBytes - File size in bytes
+ * @property {string|null} format - Container format (e.g. 'mp4')
+ */
+
+/**
+ * @typedef {Object} Caption
+ * @property {string} id - Caption ID
+ * @property {string} language - Language code (e.g. 'en')
+ * @property {string} languageName - Language name (e.g. 'English')
+ * @property {string} url - Subtitle file URL
+ * @property {number|null} sizeBytes - File size in bytes
+ */
+
+const TYPE_NAMES = {
+  [SUBJECT_TYPES.MOVIES]: 'movie',
+  [SUBJECT_TYPES.TV_SERIES]: 'series',
+  [SUBJECT_TYPES.MUSIC]: 'music',
+};
+
+// Description fields in order of preference (upstream uses different ones per page)
+const DESCRIPTION_FIELDS = ['description', 'extendedDescription', 'fullDescription', 'plot', 'synopsis', 'story', 'summary', 'postTitle'];
+
+/**
+ * Parse a number from a number or numeric string
+ * @param {*} value - Value
+ * @returns {number|null} Number or null if not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Split a comma-separated string (or pass through an array) into trimmed values
+ * @param {string|string[]} value - Value
+ * @returns {string[]} Values
+ */
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize an image (object with url, or plain URL string)
+ * @param {Object|string} image - Upstream image
+ * @returns {Image|null} Image
+ */
+function normalizeImage(image) {
+  if (!image) return null;
+  if (typeof image === 'string') {
+    return { url: image, width: null, height: null };
+  }
+  if (!image.url) return null;
+  return {
+    url: image.url,
+    width: toNumber(image.width),
+    height: toNumber(image.height),
+  };
+}
+
+/**
+ * Normalize a release date to YYYY-MM-DD
+ * @param {string|number} value - Upstream date
+ * @returns {string|null} Date
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+/**
+ * Normalize a subject
+ * Detail pages split fields between subject and metadata; pass both and subject wins
+ * @param {Object} subject - Upstream subject
+ * @param {Object} metadata - Upstream page metadata (optional)
+ * @returns {Subject} Subject
+ */
+function normalizeSubject(subject = {}, metadata = {}) {
+  const pick = (...fields) => {
+    for (const field of fields) {
+      if (subject[field] !== undefined && subject[field] !== null && subject[field] !== '') return subject[field];
+      if (metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== '') return metadata[field];
+    }
+    return null;
+  };
+
+  const subjectType = toNumber(pick('subjectType'));
+  const releaseDate = normalizeDate(pick('releaseDate'));
+  const description = String(pick(...DESCRIPTION_FIELDS) || '')
+    .replace(/\s*all in Moviebox Official\s*$/i, '')
+    .trim();
+
+  return {
+    id: String(pick('subjectId', 'id') || ''),
+    type: TYPE_NAMES[subjectType] || 'unknown',
+    subjectType,
+    title: pick('title', 'name') || '',
+    description,
+    detailPath: pick('detailPath'),
+    cover: normalizeImage(pick('cover', 'image', 'poster')),
+    genres: toList(pick('genre', 'genres')),
+    releaseDate,
+    year: releaseDate ? parseInt(releaseDate.substring(0, 4), 10) : null,
+    durationSeconds: toNumber(pick('duration')) || null,
+    country: pick('countryName') || null,
+    imdb: {
+      rating: toNumber(pick('imdbRatingValue', 'imdbRate')),
+      votes: toNumber(pick('imdbRatingCount')),
+    },
+    subtitleLanguages: toList(pick('subtitles')),
+    hasResource: pick('hasResource') === true,
+  };
+}
+
+/**
+ * Normalize the seasons of a resource
+ * @param {Object[]} seasons - Upstream seasons (resource.seasons)
+ * @returns {Season[]} Seasons with at least one episode, in order
+ */
+function normalizeSeasons(seasons = []) {
+  return seasons
+    .map(season => {
+      const number = toNumber(season.se ?? season.season) || 0;
+      const resolutions = (season.resolutions || [])
+        .map(resolution => toNumber(resolution.resolution ?? resolution))
+        .filter(resolution => resolution !== null);
+      const episodeNumbers = season.episodeNumbers && season.episodeNumbers.length > 0
+        ? season.episodeNumbers
+        : Array.from({ length: toNumber(season.maxEp ?? season.totalEpisodes) || 0 }, (_, i) => i + 1);
+
+      return {
+        season: number,
+        episodeCount: episodeNumbers.length,
+        episodes: episodeNumbers.map(episode => ({ season: number, episode: toNumber(episode) })),
+        resolutions: [...new Set(resolutions)].sort((a, b) => b - a),
+      };
+    })
+    .filter(season => season.season > 0 && season.episodeCount > 0)
+    .sort((a, b) => a.season - b.season);
+}
+
+/**
+ * Normalize a cast member
+ * @param {Object} star - Upstream star/staff entry
+ * @returns {Object} Cast member ({ name, character, avatar })
+ */
+function normalizeCastMember(star = {}) {
+  return {
+    name: star.name || '',
+    character: star.character || null,
+    avatar: normalizeImage(star.avatarUrl || star.avatar),
+  };
+}
+
+/**
+ * Normalize a detail page (parseMovieDetailPage output)
+ * @param {Object} details - Parsed detail page
+ * @returns {Object} { subject, seasons, cast, trailer }
+ */
+function normalizeDetails(details = {}) {
+  const resData = details.resData || details;
+  const subject = resData.subject || {};
+  const metadata = resData.metadata || {};
+  const trailer = subject.trailer || metadata.trailer || null;
+  const cast = resData.stars && resData.stars.length > 0 ? resData.stars : (subject.staffList || []);
+
+  return {
+    subject: normalizeSubject(subject, metadata),
+    seasons: normalizeSeasons(resData.resource?.seasons),
+    cast: cast.map(normalizeCastMember),
+    trailer: trailer
+      ? {
+        url: trailer.videoAddress?.url || trailer.url || (typeof trailer === 'string' ? trailer : null),
+        cover: normalizeImage(trailer.cover),
+      }
+      : null,
+  };
+}
+
+/**
+ * Normalize a download (files without a usable URL are dropped by normalizeDownloads)
+ * @param {Object} download - Upstream download
+ * @returns {Download} Download
+ */
+function normalizeDownload(download = {}) {
+  // resource.url takes priority over url (same rule as the legacy download route)
+  const url = download.resource?.url || download.url || null;
+  const resolution = toNumber(download.resolution ?? download.resolutions);
+  const format = (download.format || (url && url.split('?')[0].match(/\.([a-z0-9]{2,4})$/i)?.[1]) || '').toLowerCase();
+
+  return {
+    id: String(download.id || ''),
+    url,
+    resolution,
+    quality: resolution ? `${resolution}p` : null,
+    sizeBytes: toNumber(download.size ?? download.fileSize),
+    format: format || null,
+  };
+}
+
+/**
+ * Normalize a list of downloads, highest resolution first
+ * @param {Object[]} downloads - Upstream downloads
+ * @returns {Download[]} Downloads with a URL
+ */
+function normalizeDownloads(downloads = []) {
+  return downloads
+    .map(normalizeDownload)
+    .filter(download => download.url)
+    .sort((a, b) => (b.resolution || 0) - (a.resolution || 0));
+}
+
+/**
+ * Normalize a caption
+ * @param {Object} caption - Upstream caption
+ * @returns {Caption} Caption
+ */
+function normalizeCaption(caption = {}) {
+  return {
+    id: String(caption.id || ''),
+    language: caption.lan || '',
+    languageName: caption.lanName || caption.lan || '',
+    url: caption.url || null,
+    sizeBytes: toNumber(caption.size ?? caption.fileSize),
+  };
+}
+
+/**
+ * Unwrap the upstream { code, message, data } envelope
+ * @param {Object} body - Response body
+ * @returns {Object} Payload
+ */
+function unwrap(body = {}) {
+  return body && body.data && typeof body.data === 'object' && body.code !== undefined ? body.data : (body || {});
+}
+
+/**
+ * Normalize a pager
+ * @param {Object} pager - Upstream pager
+ * @param {number} count - Items on this page (used when the pager is missing)
+ * @returns {Object} { page, perPage, totalCount, hasMore }
+ */
+function normalizePager(pager = {}, count = 0) {
+  const hasMore = pager.hasMore === true || pager.hasMore === 'true';
+  return {
+    page: toNumber(pager.page ?? pager.pageNumber) || 1,
+    perPage: toNumber(pager.perPage ?? pager.per_page) || count,
+    totalCount: toNumber(pager.totalCount ?? pager.total_count),
+    hasMore,
+  };
+}
+
+/**
+ * Normalize a subject list response (search, trending, rankings, recommendations)
+ * Upstream uses items, subjectList or subjects depending on the endpoint
+ * @param {Object} body - Response body
+ * @returns {Object} { items: Subject[], pager }
+ */
+function normalizeSubjectList(body) {
+  const data = unwrap(body);
+  const list = data.items || data.subjectList || data.subjects || data.list || [];
+  // Ranking and banner entries wrap the subject
+  const items = list.map(item => normalizeSubject(item.subject || item));
+
+  return {
+    items,
+    pager: normalizePager(data.pager, items.length),
+  };
+}
+
+/**
+ * Normalize the home page
+ * @param {Object} body - Response body
+ * @returns {Object} { sections: [{ type, title, subjects }] }
+ */
+function normalizeHome(body) {
+  const data = unwrap(body);
+  const sections = (data.operatingList || [])
+    .map(section => {
+      const entries = section.type === 'BANNER' ? (section.banner?.items || []) : (section.subjects || []);
+      return {
+        type: section.type === 'BANNER' ? 'banner' : 'subjects',
+        title: section.title || '',
+        subjects: entries
+          .map(entry => normalizeSubject(entry.subject || entry, { cover: entry.image }))
+          .filter(subject => subject.id),
+      };
+    })
+    .filter(section => section.subjects.length > 0);
+
+  return { sections };
+}
+
+/**
+ * Normalize a download metadata response
+ * @param {Object} body - Response body
+ * @returns {Object} { downloads, captions, limited, freeNum }
+ */
+function normalizeDownloadLinks(body) {
+  const data = unwrap(body);
+  return {
+    downloads: normalizeDownloads(data.downloads),
+    captions: (data.captions || []).map(normalizeCaption).filter(caption => caption.url),
+    limited: data.limited === true,
+    freeNum: toNumber(data.freeNum),
+  };
+}
+
+/**
+ * Normalize a play (streaming) response
+ * @param {Object} body - Response body
+ * @returns {Object} { streams: Download[] }
+ */
+function normalizePlayLinks(body) {
+  const data = unwrap(body);
+  return {
+    streams: normalizeDownloads(data.streams),
+  };
+}
+
+module.exports = {
+  normalizeImage,
+  normalizeSubject,
+  normalizeSeasons,
+  normalizeDetails,
+  normalizeDownload,
+  normalizeDownloads,
+  normalizeCaption,
+  normalizePager,
+  normalizeSubjectList,
+  normalizeHome,
+  normalizeDownloadLinks,
+  normalizePlayLinks,
+};
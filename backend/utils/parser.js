@@ -4,15 +4,30 @@
  */
 
 const cheerio = require('cheerio');
+const { createSingleFlight, buildFlightKey } = require('./singleflight');
+const logger = require('./logger').createLogger({ module: 'parser' });
+
+// Shared in-flight detail page scrapes (a trending title gets many identical requests at once)
+const detailFlights = createSingleFlight();
+
+// Outcome of detail page parses (a markup change upstream shows up here first)
+const parserState = {
+  successes: 0,
+  failures: 0,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  lastResult: null, // 'success' or 'failure'
+};
 
 /**
- * Parse movie detail page HTML to extract JSON data
+ * Extract JSON data from movie detail page HTML
  * Based on src/moviebox_api/extractor/_core.py JsonDetailsExtractor
  * @param {string} html - HTML content of the movie detail page
  * @param {boolean} whole - If true, returns the whole extracted object; otherwise returns processed data
  * @returns {Object} Extracted movie details
  */
-function parseMovieDetailPage(html, whole = false) {
+function extractMovieDetails(html, whole = false) {
   try {
     const $ = cheerio.load(html);
     
@@ -233,6 +248,44 @@ function parseMovieDetailPage(html, whole = false) {
   }
 }
 
+/**
+ * Parse movie detail page HTML to extract JSON data
+ * The outcome is recorded for the readiness check (see getParserStatus)
+ * @param {string} html - HTML content of the movie detail page
+ * @param {boolean} whole - If true, returns the whole extracted object; otherwise returns processed data
+ * @returns {Object} Extracted movie details
+ */
+function parseMovieDetailPage(html, whole = false) {
+  try {
+    const details = extractMovieDetails(html, whole);
+    parserState.successes += 1;
+    parserState.lastSuccessAt = Date.now();
+    parserState.lastResult = 'success';
+    return details;
+  } catch (error) {
+    parserState.failures += 1;
+    parserState.lastFailureAt = Date.now();
+    parserState.lastError = error.message;
+    parserState.lastResult = 'failure';
+    throw error;
+  }
+}
+
+/**
+ * Get the outcome of detail page parses
+ * @returns {Object} Parser status (lastResult is null until a page has been parsed)
+ */
+function getParserStatus() {
+  return {
+    lastResult: parserState.lastResult,
+    successes: parserState.successes,
+    failures: parserState.failures,
+    lastSuccessAt: parserState.lastSuccessAt ? new Date(parserState.lastSuccessAt).toISOString() : null,
+    lastFailureAt: parserState.lastFailureAt ? new Date(parserState.lastFailureAt).toISOString() : null,
+    lastError: parserState.lastError,
+  };
+}
+
 /**
  * Parse downloadable metadata from movie detail page HTML
  * Extracts seasons, episodes, download links, and qualities
@@ -388,14 +441,14 @@ function parseDownloadableMetadata(html) {
  */
 async function fetchMovieDetailsFromHTML(detailPath, subjectId, options = {}) {
   const axios = require('axios');
-  const { HOST_URL } = require('../config/constants');
+  const { getHostUrl } = require('./hosts');
   const { getDefaultHeaders } = require('./headers');
   const { ensureCookiesAreAssigned } = require('./proxy');
 
   const {
     fetchFn = null,
     headers = null,
-    baseUrl = HOST_URL,
+    baseUrl = getHostUrl(),
   } = options;
 
   try {
@@ -411,35 +464,44 @@ async function fetchMovieDetailsFromHTML(detailPath, subjectId, options = {}) {
       requestHeaders['Cookie'] = cookies;
     }
 
-    // Fetch HTML
-    let html;
-    if (fetchFn) {
-      html = await fetchFn(url, requestHeaders);
-    } else {
-      const response = await axios.get(url, {
-        headers: requestHeaders,
-        timeout: 30000,
-      });
-      html = response.data;
-    }
+    // Fetch HTML, then parse and extract data
+    const scrape = async () => {
+      let html;
+      if (fetchFn) {
+        html = await fetchFn(url, requestHeaders);
+      } else {
+        const response = await axios.get(url, {
+          headers: requestHeaders,
+          timeout: 30000,
+        });
+        html = response.data;
+      }
 
-    // Parse and extract data
-    const movieDetails = parseMovieDetailPage(html);
-    
-    // Also extract downloadable metadata for seasons/episodes structure
-    let downloadableMetadata = null;
-    try {
-      downloadableMetadata = parseDownloadableMetadata(html);
-    } catch (err) {
-      console.warn('Could not parse downloadable metadata:', err.message);
-    }
+      const details = parseMovieDetailPage(html);
+      
+      // Also extract downloadable metadata for seasons/episodes structure
+      let downloadableMetadata = null;
+      try {
+        downloadableMetadata = parseDownloadableMetadata(html);
+      } catch (err) {
+        logger.warn('Could not parse downloadable metadata:', { error: err.message });
+      }
 
-    // Merge downloadable metadata if available
-    if (downloadableMetadata) {
-      movieDetails.seasons = downloadableMetadata.seasons;
-      movieDetails.availableResolutions = downloadableMetadata.availableResolutions;
-      movieDetails.subtitleLanguages = downloadableMetadata.subtitleLanguages;
-    }
+      // Merge downloadable metadata if available
+      if (downloadableMetadata) {
+        details.seasons = downloadableMetadata.seasons;
+        details.availableResolutions = downloadableMetadata.availableResolutions;
+        details.subtitleLanguages = downloadableMetadata.subtitleLanguages;
+      }
+
+      return details;
+    };
+
+    // Concurrent scrapes of the same page with the same session share one request and parse
+    // (custom fetch functions or headers opt out since their result may differ)
+    const movieDetails = (fetchFn || headers)
+      ? await scrape()
+      : await detailFlights.do(buildFlightKey(`movies/${detailPath}`, { id: subjectId }, cookies), scrape);
 
     return movieDetails;
   } catch (error) {
@@ -451,5 +513,6 @@ module.exports = {
   parseMovieDetailPage,
   parseDownloadableMetadata,
   fetchMovieDetailsFromHTML,
+  getParserStatus,
 };
 
@@ -4,74 +4,212 @@
  */
 
 const axios = require('axios');
-const { HOST_URL, MIRROR_HOSTS, SELECTED_HOST } = require('../config/constants');
+const { getHostUrl, getSelectedHost } = require('./hosts');
 const { getDefaultHeaders } = require('./headers');
+const { getCachePolicy, buildCacheKey, withCache } = require('./cache');
+const { MIRROR_TIMEOUT_MS, getRequestHosts, recordAttempt, recordSuccess, recordFailure } = require('./mirrors');
+const { createSingleFlight, buildFlightKey } = require('./singleflight');
+const { createCookieJar, parseCookieString, serializeCookies } = require('./cookies');
+const { metrics } = require('./metrics');
+const logger = require('./logger').createLogger({ module: 'proxy' });
 
-// Track if cookies have been initialized
-let cookiesInitialized = false;
-let globalCookies = null;
+// Cookie jar shared by all upstream requests (MB_COOKIES seeds it, Set-Cookie responses update it)
+const cookieJar = createCookieJar();
+
+// Refresh the session when the account cookie expires within this window
+const COOKIE_REFRESH_WINDOW_MS = parseInt(process.env.COOKIE_REFRESH_WINDOW_MS, 10) || 10 * 60 * 1000;
+// Minimum delay between failed dynamic cookie initializations
+const COOKIE_RETRY_DELAY_MS = parseInt(process.env.COOKIE_RETRY_DELAY_MS, 10) || 30 * 1000;
+
+// Session state for the shared jar
+const sessionState = {
+  source: null, // 'env' (MB_COOKIES) or 'dynamic' (app info endpoint)
+  envSeeded: false,
+  stale: false,
+  staleReason: null,
+  lastRefreshAt: null,
+  lastAttemptAt: null,
+  lastError: null,
+};
+
+// Shared in-flight cookie refreshes and upstream GET requests
+const cookieFlights = createSingleFlight();
+const upstreamFlights = createSingleFlight();
+
+/**
+ * Check whether the shared session needs a dynamic refresh
+ * @returns {boolean} True if cookies are missing, about to expire or marked stale
+ */
+function sessionNeedsRefresh() {
+  if (sessionState.stale) return true;
+  return cookieJar.expiresWithin('account', getHostUrl(), COOKIE_REFRESH_WINDOW_MS);
+}
+
+/**
+ * Fetch a fresh session from the MovieBox app info endpoint into a cookie jar
+ * @param {Object} jar - Cookie jar to fill
+ * @returns {Promise<number>} Number of cookies received
+ */
+async function fetchSessionCookies(jar) {
+  const headers = getDefaultHeaders();
+  const url = `${getHostUrl()}wefeed-h5-bff/app/get-latest-app-pkgs?app_name=moviebox`;
+  
+  const response = await axios({
+    method: 'GET',
+    url: url,
+    headers: headers,
+    timeout: 30000,
+  });
+
+  if (!response.headers['set-cookie']) {
+    return 0;
+  }
+  return jar.setFromHeaders(response.headers['set-cookie'], url);
+}
 
 /**
  * Get cookies from environment variable or initialize dynamically
- * Priority: MB_COOKIES env var > dynamic fetching
+ * Priority: cookies pushed through the admin API > MB_COOKIES env var > dynamic fetching
+ * Dynamic sessions are refreshed when the account cookie is about to expire or an upstream
+ * response marked the session stale. Failed initializations are retried after COOKIE_RETRY_DELAY_MS.
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Fetch a new dynamic session even if the current one looks
+ *   valid (this also replaces configured cookies)
  * @returns {Promise<string|null>} Cookie string or null if failed
  */
-async function ensureCookiesAreAssigned() {
-  // If already initialized, return existing cookies
-  if (cookiesInitialized && globalCookies) {
-    return globalCookies;
+async function ensureCookiesAreAssigned(options = {}) {
+  const { force = false } = options;
+
+  // Cookies pushed through the admin API are only replaced by a forced refresh
+  if (sessionState.source === 'admin' && !force) {
+    return cookieJar.getCookieHeader(getHostUrl());
   }
 
   // Check for MB_COOKIES environment variable first (Railway)
   const mbCookies = process.env.MB_COOKIES;
-  if (mbCookies && mbCookies.trim()) {
-    globalCookies = mbCookies.trim();
-    cookiesInitialized = true;
-    console.log('Using cookies from MB_COOKIES environment variable');
-    console.log('Cookies preview:', globalCookies.substring(0, 100) + '...');
-    console.log('Cookies full length:', globalCookies.length);
-    console.log('Cookies contains i18n_lang:', globalCookies.includes('i18n_lang'));
-    console.log('Cookies contains account:', globalCookies.includes('account'));
-    return globalCookies;
+  if (mbCookies && mbCookies.trim() && !(force || sessionState.source === 'dynamic')) {
+    if (!sessionState.envSeeded) {
+      cookieJar.seed(mbCookies.trim());
+      sessionState.envSeeded = true;
+      sessionState.source = 'env';
+      sessionState.lastRefreshAt = Date.now();
+      const cookies = cookieJar.getCookieHeader(getHostUrl()) || '';
+      logger.info('Using cookies from MB_COOKIES environment variable');
+      logger.debug('Request cookies', {
+        hasI18nLang: cookies.includes('i18n_lang'),
+        hasAccount: cookies.includes('account'),
+      });
+    }
+    // Configured cookies are only replaced by a forced refresh
+    return cookieJar.getCookieHeader(getHostUrl());
+  }
+
+  if (!force && !sessionNeedsRefresh()) {
+    return cookieJar.getCookieHeader(getHostUrl());
+  }
+
+  // Back off between attempts (failed, or succeeded without an account cookie)
+  // instead of hitting the endpoint on every request
+  if (!force && sessionState.lastAttemptAt && Date.now() - sessionState.lastAttemptAt < COOKIE_RETRY_DELAY_MS) {
+    return cookieJar.getCookieHeader(getHostUrl());
   }
 
   // Fallback to dynamic cookie fetching if MB_COOKIES not set
-  try {
-    console.log('MB_COOKIES not set, initializing cookies from MovieBox app info endpoint...');
-    const headers = getDefaultHeaders();
-    const url = `${HOST_URL}wefeed-h5-bff/app/get-latest-app-pkgs?app_name=moviebox`;
-    
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      headers: headers,
-      timeout: 30000,
-    });
-
-    // Extract cookies from Set-Cookie headers
-    if (response.headers['set-cookie']) {
-      const cookies = response.headers['set-cookie']
-        .map(cookie => {
-          // Extract cookie name and value (before first semicolon)
-          const cookiePart = cookie.split(';')[0].trim();
-          return cookiePart;
-        })
-        .join('; ');
-      
-      globalCookies = cookies;
-      cookiesInitialized = true;
-      console.log('Cookies initialized successfully from app info endpoint:', cookies.substring(0, 50) + '...');
-      return cookies;
-    } else {
-      console.warn('No cookies received from app info endpoint');
-      cookiesInitialized = true; // Mark as initialized even if no cookies to avoid retrying
-      return null;
+  return cookieFlights.do('session', async () => {
+    sessionState.lastAttemptAt = Date.now();
+    try {
+      logger.info('Refreshing cookies from MovieBox app info endpoint...', {
+        reason: sessionState.stale ? sessionState.staleReason : (force ? 'forced' : 'missing or expiring'),
+      });
+      const count = await fetchSessionCookies(cookieJar);
+
+      if (count === 0) {
+        throw new Error('No cookies received from app info endpoint');
+      }
+
+      sessionState.source = 'dynamic';
+      sessionState.stale = false;
+      sessionState.staleReason = null;
+      sessionState.lastRefreshAt = Date.now();
+      sessionState.lastError = null;
+      metrics.cookieRefreshes.inc({ session: 'primary', result: 'success' });
+      logger.info(`Cookies initialized successfully from app info endpoint (${count} cookie(s))`);
+    } catch (error) {
+      sessionState.lastError = error.message;
+      metrics.cookieRefreshes.inc({ session: 'primary', result: 'failure' });
+      logger.error('Failed to initialize cookies:', { error: error.message });
     }
-  } catch (error) {
-    console.error('Failed to initialize cookies:', error.message);
-    cookiesInitialized = true; // Mark as initialized to avoid infinite retries
-    return null;
+    return cookieJar.getCookieHeader(getHostUrl());
+  });
+}
+
+/**
+ * Replace the shared session with the given cookies (admin API)
+ * The cookies are used like MB_COOKIES until they are replaced or a refresh is forced
+ * @param {string} cookies - Cookie header value (e.g. "account=...; i18n_lang=en")
+ * @returns {number} Number of cookies stored
+ */
+function setSessionCookies(cookies) {
+  cookieJar.clear();
+  cookieJar.seed(cookies);
+  sessionState.source = 'admin';
+  sessionState.stale = false;
+  sessionState.staleReason = null;
+  sessionState.lastRefreshAt = Date.now();
+  sessionState.lastError = null;
+  logger.warn(`Session cookies replaced through the admin API (${cookieJar.size} cookie(s))`);
+  return cookieJar.size;
+}
+
+/**
+ * Mark the shared session as stale so the next request refreshes it
+ * @param {string} reason - Why the session is considered stale
+ */
+function markSessionStale(reason) {
+  if (!sessionState.stale) {
+    logger.warn('Upstream session marked stale', { reason });
   }
+  sessionState.stale = true;
+  sessionState.staleReason = reason;
+}
+
+/**
+ * Check whether an upstream response suggests the session is no longer valid
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed response body
+ * @returns {string|null} Reason or null if the session looks fine
+ */
+function detectStaleSession(status, body) {
+  if (status === 401) {
+    return 'upstream returned 401';
+  }
+  if (body && typeof body === 'object' && body.code !== undefined && body.code !== 0) {
+    const message = String(body.message || body.msg || '');
+    if (/login|token|session|expired|unauthori[sz]ed/i.test(message)) {
+      return `upstream code ${body.code}: ${message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the current state of the shared session (no cookie values)
+ * @returns {Object} Session status
+ */
+function getSessionStatus() {
+  const account = cookieJar.getCookie('account', getHostUrl());
+  return {
+    source: sessionState.source,
+    hasCookies: !!cookieJar.getCookieHeader(getHostUrl()),
+    hasAccount: !!account,
+    accountExpiresAt: account && account.expiresAt ? new Date(account.expiresAt).toISOString() : null,
+    stale: sessionState.stale,
+    staleReason: sessionState.staleReason,
+    lastRefreshAt: sessionState.lastRefreshAt ? new Date(sessionState.lastRefreshAt).toISOString() : null,
+    lastAttemptAt: sessionState.lastAttemptAt ? new Date(sessionState.lastAttemptAt).toISOString() : null,
+    lastError: sessionState.lastError,
+    cookieCount: cookieJar.size,
+  };
 }
 
 /**
@@ -86,34 +224,16 @@ function mergeCookies(existingCookies, newCookies) {
   if (!existingCookies) return newCookies;
   if (!newCookies) return existingCookies;
 
-  // Parse cookies into objects
-  const parseCookies = (cookieStr) => {
-    const cookies = {};
-    cookieStr.split(';').forEach(cookie => {
-      const trimmed = cookie.trim();
-      if (!trimmed) return;
-      const [name, ...valueParts] = trimmed.split('=');
-      if (name) {
-        cookies[name] = valueParts.join('='); // Handle values with = in them
-      }
-    });
-    return cookies;
-  };
-
-  const existing = parseCookies(existingCookies);
-  const newCookiesObj = parseCookies(newCookies);
-
   // Merge: new cookies override existing ones, but keep all
-  const merged = { ...existing, ...newCookiesObj };
-
-  // Convert back to cookie string
-  return Object.entries(merged)
-    .map(([name, value]) => `${name}=${value}`)
-    .join('; ');
+  return serializeCookies({
+    ...parseCookieString(existingCookies),
+    ...parseCookieString(newCookies),
+  });
 }
 
 /**
- * Make a request to the Moviebox API with retry logic
+ * Make a request to the Moviebox API
+ * Endpoints with a cache policy (see CACHE_POLICIES) are served through the response cache
  * @param {string} endpoint - API endpoint (relative path)
  * @param {Object} options - Request options
  * @param {string} options.method - HTTP method (GET, POST, etc.)
@@ -121,12 +241,38 @@ function mergeCookies(existingCookies, newCookies) {
  * @param {Object} options.params - Query parameters
  * @param {Object} options.headers - Additional headers
  * @param {number} options.retries - Number of retry attempts (default: 2)
- * @returns {Promise} Axios response
+ * @param {boolean} options.bypassCache - Skip reading cached responses (default: false)
+ * @param {Object} options.jar - Cookie jar that receives Set-Cookie updates (default: shared jar)
+ * @returns {Promise} Axios response (cacheStatus is set when the endpoint is cacheable)
  */
 async function makeRequest(endpoint, options = {}) {
-  const PROXY_SERVER_URL = process.env.PROXY_SERVER_URL; // e.g., "http://your-alibaba-ip:3001" or "https://proxy.yourdomain.com"
-  const PROXY_API_KEY = process.env.PROXY_API_KEY; // Your secret API key
+  const { method = 'GET', data = null, params = null, bypassCache = false } = options;
+  const policy = getCachePolicy(endpoint);
+
+  if (!policy) {
+    return requestUpstream(endpoint, options);
+  }
+
+  const key = buildCacheKey(method, endpoint, params, data);
+  const response = await withCache(key, policy, () => requestUpstream(endpoint, options), {
+    bypass: bypassCache,
+  });
+
+  // Cached entries don't carry cookies - attach the current ones like a live response would
+  if (!response.cookies) {
+    response.cookies = cookieJar.getCookieHeader(getHostUrl());
+  }
 
+  return response;
+}
+
+/**
+ * Make a request to the Moviebox API with retry logic (no caching)
+ * @param {string} endpoint - API endpoint (relative path)
+ * @param {Object} options - Request options (see makeRequest)
+ * @returns {Promise} Axios response
+ */
+async function requestUpstream(endpoint, options = {}) {
   const {
     method = 'GET',
     data = null,
@@ -134,11 +280,12 @@ async function makeRequest(endpoint, options = {}) {
     headers = {},
     retries = 2,
     skipCookieInit = false, // Allow skipping cookie init for the init request itself
+    jar = cookieJar,
   } = options;
 
-  // Ensure cookies are initialized before making requests (unless this is the init request)
+  // Ensure cookies are initialized (and fresh) before making requests (unless this is the init request)
   // Check MB_COOKIES env var first, then fallback to dynamic fetching
-  if (!skipCookieInit && !cookiesInitialized) {
+  if (!skipCookieInit) {
     await ensureCookiesAreAssigned();
   }
 
@@ -152,7 +299,7 @@ async function makeRequest(endpoint, options = {}) {
     // Only add Host if not present (required for HTTP/1.1)
     requestHeaders = { ...headers };
     if (!requestHeaders['Host'] && !requestHeaders['host']) {
-      const host = SELECTED_HOST.replace(/^https?:\/\//, '');
+      const host = getSelectedHost().replace(/^https?:\/\//, '');
       requestHeaders['Host'] = host;
     }
   } else {
@@ -161,29 +308,85 @@ async function makeRequest(endpoint, options = {}) {
     requestHeaders = { ...defaultHeaders };
   }
   
-  // Add cookies to request headers if available (from MB_COOKIES or dynamic fetching)
-  // Only add if not already present in custom headers
-  if (globalCookies && !requestHeaders['Cookie'] && !requestHeaders['cookie']) {
-    requestHeaders['Cookie'] = globalCookies;
+  // Cookies from the jar are added per host in sendWithFailover
+  // unless custom headers already carry them
+  const send = () => sendWithFailover(endpoint, {
+    method,
+    data,
+    params,
+    requestHeaders,
+    retries,
+    jar,
+  });
+
+  // Identical concurrent GETs (same endpoint, params and session) share one upstream call
+  if (method.toUpperCase() === 'GET') {
+    const cookieHeader = requestHeaders['Cookie'] || requestHeaders['cookie'] || jar.getCookieHeader(getHostUrl());
+    return upstreamFlights.do(buildFlightKey(endpoint, params, cookieHeader), send);
   }
 
-  // Try primary host first, then fallback to mirrors
-  const hosts = [HOST_URL, ...MIRROR_HOSTS.map(host => `https://${host}/`)];
+  return send();
+}
+
+/**
+ * Send a prepared request, walking the mirrors healthiest first and retrying on failure
+ * @param {string} endpoint - API endpoint (relative path) or absolute URL
+ * @param {Object} options - Prepared request
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.data - Request body
+ * @param {Object} options.params - Query parameters
+ * @param {Object} options.requestHeaders - Final request headers (including cookies)
+ * @param {number} options.retries - Number of retry attempts
+ * @param {Object} options.jar - Cookie jar for this request's session
+ * @returns {Promise} Axios response
+ */
+async function sendWithFailover(endpoint, options) {
+  const PROXY_SERVER_URL = process.env.PROXY_SERVER_URL; // e.g., "http://your-alibaba-ip:3001" or "https://proxy.yourdomain.com"
+  const PROXY_API_KEY = process.env.PROXY_API_KEY; // Your secret API key
+  const { method, data, params, requestHeaders, retries, jar } = options;
+
+  // Absolute URLs bypass mirror selection entirely
+  const isAbsolute = endpoint.startsWith('http');
+  const customCookies = requestHeaders['Cookie'] || requestHeaders['cookie'] || null;
   
   let lastError;
   
   for (let attempt = 0; attempt <= retries; attempt++) {
+    // Healthiest mirrors first; hosts with an open circuit breaker are skipped
+    const hosts = isAbsolute ? [getHostUrl()] : getRequestHosts();
+
     for (const baseUrl of hosts) {
+      const startedAt = Date.now();
+      const metricLabels = {
+        endpoint: isAbsolute ? 'absolute' : endpoint.replace(/^\//, '').split('?')[0],
+        mirror: baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, ''),
+      };
+      const endTimer = metrics.upstreamRequestDuration.startTimer(metricLabels);
       try {
         let url;
         let proxyHeaders = { ...requestHeaders };
         
+        // Host header must match the mirror actually being requested
+        if (!isAbsolute) {
+          const hostKey = proxyHeaders['host'] !== undefined ? 'host' : 'Host';
+          proxyHeaders[hostKey] = baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
+        }
+        
+        const targetEndpoint = isAbsolute
+          ? endpoint
+          : `${baseUrl}${endpoint.replace(/^\//, '')}`;
+        
+        // Add cookies scoped to this host from the jar (from MB_COOKIES or dynamic fetching)
+        // Only add if not already present in custom headers
+        if (!customCookies) {
+          const jarCookies = jar.getCookieHeader(targetEndpoint);
+          if (jarCookies) {
+            proxyHeaders['Cookie'] = jarCookies;
+          }
+        }
+        
         if (PROXY_SERVER_URL) {
           // Route through proxy server
-          const targetEndpoint = endpoint.startsWith('http') 
-            ? endpoint 
-            : `${baseUrl}${endpoint.replace(/^\//, '')}`;
-          
           // Build target URL with query parameters if they exist
           let targetUrl = targetEndpoint;
           if (params && Object.keys(params).length > 0) {
@@ -198,23 +401,23 @@ async function makeRequest(endpoint, options = {}) {
             proxyHeaders['x-api-key'] = PROXY_API_KEY;
           }
           
-          console.log('Routing through proxy:', url);
-          console.log('Target URL being proxied:', targetUrl);
-          console.log('Proxy headers:', {
+          logger.debug('Routing through proxy', { proxy: url, target: targetUrl });
+          logger.debug('Proxy headers', {
             cookie: proxyHeaders['Cookie'] ? proxyHeaders['Cookie'].substring(0, 50) + '...' : 'none',
             referer: proxyHeaders['Referer'] || 'none',
             origin: proxyHeaders['Origin'] || 'none',
           });
         } else {
           // Direct connection
-          url = endpoint.startsWith('http') ? endpoint : `${baseUrl}${endpoint.replace(/^\//, '')}`;
+          url = targetEndpoint;
         }
         
         const config = {
           method,
           url,
           headers: proxyHeaders,
-          timeout: 60000, // 60 seconds (increased for Vercel)
+          // A slow mirror fails over quickly; absolute URLs have no other host to try
+          timeout: isAbsolute ? 60000 : MIRROR_TIMEOUT_MS,
           // Enable cookie handling - axios will automatically handle Set-Cookie headers
           withCredentials: false, // We'll manually extract cookies
         };
@@ -228,40 +431,60 @@ async function makeRequest(endpoint, options = {}) {
           config.params = params;
         }
 
+        if (!isAbsolute) {
+          recordAttempt(baseUrl);
+        }
+
         const response = await axios(config);
+        endTimer();
+        metrics.upstreamRequests.inc({ ...metricLabels, status: response.status });
+        
+        if (!isAbsolute) {
+          recordSuccess(baseUrl, Date.now() - startedAt);
+        }
         
-        // Extract cookies from Set-Cookie headers if present
-        // Store them in response for later use in download requests
-        // Also update global cookies if new ones are received
+        // Store Set-Cookie attributes (expiry, domain, path) in the jar
+        // and attach the resulting cookies to the response for later use in download requests
         if (response.headers['set-cookie']) {
-          // Convert Set-Cookie array to cookie string format
-          const newCookies = response.headers['set-cookie']
-            .map(cookie => {
-              // Extract cookie name and value (before first semicolon)
-              const cookiePart = cookie.split(';')[0].trim();
-              return cookiePart;
-            })
-            .join('; ');
+          jar.setFromHeaders(response.headers['set-cookie'], targetEndpoint);
           
-          // Merge with existing cookies (important: don't lose account cookie if i18n_lang is added)
-          const mergedCookies = mergeCookies(globalCookies, newCookies);
-          
-          // Update global cookies if we got new ones
-          if (mergedCookies) {
-            globalCookies = mergedCookies;
-            cookiesInitialized = true;
+          if (customCookies) {
+            // Merge with the cookies that were sent (important: don't lose account cookie if i18n_lang is added)
+            const newCookies = response.headers['set-cookie']
+              .map(cookie => cookie.split(';')[0].trim())
+              .join('; ');
+            response.cookies = mergeCookies(customCookies, newCookies);
           }
-          
-          // Attach merged cookies to response object for easy access
-          response.cookies = mergedCookies || globalCookies;
-        } else if (globalCookies) {
-          // If no new cookies but we have global cookies, use those
-          response.cookies = globalCookies;
+        }
+        if (!response.cookies) {
+          response.cookies = customCookies || jar.getCookieHeader(targetEndpoint);
+        }
+        
+        // Pool sessions (see utils/sessions.js) track their own health
+        const staleReason = detectStaleSession(response.status, response.data);
+        if (staleReason && jar === cookieJar) {
+          markSessionStale(staleReason);
         }
         
         return response;
       } catch (error) {
         lastError = error;
+        endTimer();
+        metrics.upstreamRequests.inc({ ...metricLabels, status: error.response?.status || 'error' });
+        
+        // Any non-5xx response means the host itself is reachable
+        if (!isAbsolute) {
+          if (error.response && error.response.status < 500) {
+            recordSuccess(baseUrl, Date.now() - startedAt);
+          } else {
+            recordFailure(baseUrl, error);
+          }
+        }
+        
+        if (error.response && error.response.status === 401 && jar === cookieJar) {
+          markSessionStale('upstream returned 401');
+        }
+        
         // If it's a 404 or 403, don't retry with other hosts
         if (error.response && [404, 403].includes(error.response.status)) {
           throw error;
@@ -280,9 +503,22 @@ async function makeRequest(endpoint, options = {}) {
   throw lastError || new Error('Request failed after all retries');
 }
 
+/**
+ * Get the cookie jar shared by default upstream requests
+ * @returns {Object} Cookie jar
+ */
+function getCookieJar() {
+  return cookieJar;
+}
+
 module.exports = {
   makeRequest,
   ensureCookiesAreAssigned,
+  fetchSessionCookies,
+  getCookieJar,
   mergeCookies,
+  markSessionStale,
+  setSessionCookies,
+  getSessionStatus,
 };
 
@@ -0,0 +1,365 @@
+/**
+ * HTTP Range Engine
+ * Range request handling for the media proxies (RFC 9110 section 14):
+ * - single ranges, open ranges (bytes=500-), suffix ranges (bytes=-500) and multi-range
+ *   requests answered as multipart/byteranges
+ * - If-Range against the ETag or Last-Modified date
+ * - 416 with Content-Range: bytes * /size for unsatisfiable ranges
+ * Exactly one upstream request is made per client request: the range sent upstream is
+ * derived from the client's ranges and the response body is sliced locally when the CDN
+ * returns more than was asked for.
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// More ranges than this in one request are ignored (the whole file is sent instead)
+const MAX_RANGES = 16;
+// Prefix of ETags made up by the proxy when the CDN sends none
+const SYNTHETIC_ETAG_PREFIX = '"mbx-';
+
+/**
+ * Parse a Range header
+ * @param {string} header - Range header value (e.g. "bytes=0-499, -500")
+ * @returns {Object[]|null} Range specs ({ start, end } or { suffix }), null when there is no
+ *   usable Range header (missing, malformed, not bytes, or too many ranges)
+ */
+function parseRangeHeader(header) {
+  const match = typeof header === 'string' && header.match(/^\s*bytes\s*=\s*(.+)$/i);
+  if (!match) return null;
+
+  const specs = [];
+  for (const part of match[1].split(',')) {
+    const value = part.trim();
+    if (!value) continue;
+
+    const range = value.match(/^(\d*)\s*-\s*(\d*)$/);
+    if (!range || (range[1] === '' && range[2] === '')) return null;
+
+    if (range[1] === '') {
+      specs.push({ suffix: parseInt(range[2], 10) });
+    } else {
+      const start = parseInt(range[1], 10);
+      const end = range[2] === '' ? null : parseInt(range[2], 10);
+      if (end !== null && end < start) return null;
+      specs.push({ start, end });
+    }
+  }
+
+  return specs.length > 0 && specs.length <= MAX_RANGES ? specs : null;
+}
+
+/**
+ * Resolve range specs against the file size
+ * Unsatisfiable specs are dropped; the rest are sorted and overlapping or adjacent ranges merged
+ * @param {Object[]} specs - Specs from parseRangeHeader
+ * @param {number} size - File size in bytes
+ * @returns {Object[]|null} Ranges ({ start, end } inclusive) or null when none is satisfiable
+ */
+function resolveRanges(specs, size) {
+  const ranges = specs
+    .map((spec) => {
+      if (spec.suffix !== undefined) {
+        return spec.suffix > 0 ? { start: Math.max(size - spec.suffix, 0), end: size - 1 } : null;
+      }
+      if (spec.start >= size) return null;
+      return { start: spec.start, end: spec.end === null ? size - 1 : Math.min(spec.end, size - 1) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged.length > 0 ? merged : null;
+}
+
+/**
+ * Build the single Range header sent upstream for a set of client specs
+ * It covers every requested byte, so one upstream response is enough
+ * @param {Object[]} specs - Specs from parseRangeHeader
+ * @returns {string} Range header value
+ */
+function upstreamRangeFor(specs) {
+  if (specs.length === 1) {
+    const [spec] = specs;
+    return spec.suffix !== undefined
+      ? `bytes=-${spec.suffix}`
+      : `bytes=${spec.start}-${spec.end === null ? '' : spec.end}`;
+  }
+
+  const explicit = specs.filter(spec => spec.suffix === undefined);
+  if (explicit.length === 0) {
+    return `bytes=-${Math.max(...specs.map(spec => spec.suffix))}`;
+  }
+
+  const start = Math.min(...explicit.map(spec => spec.start));
+  const openEnded = explicit.length < specs.length || explicit.some(spec => spec.end === null);
+  return openEnded ? `bytes=${start}-` : `bytes=${start}-${Math.max(...explicit.map(spec => spec.end))}`;
+}
+
+// Token metadata fields identifying a media file across re-resolved CDN URLs
+const IDENTITY_FIELDS = ['subjectId', 'season', 'episode', 'resolution', 'size'];
+
+/**
+ * Make up a strong ETag for a CDN file that has none
+ * Derived from the download token's identity (subject, season, episode, resolution and size)
+ * when there is one, since a re-resolved link may point at a different CDN path; otherwise
+ * from the URL path (the signature query changes between links)
+ * @param {string} url - CDN URL
+ * @param {Object} identity - Optional - download token metadata
+ * @returns {string} ETag
+ */
+function syntheticEtag(url, identity = null) {
+  const source = identity?.subjectId
+    ? IDENTITY_FIELDS.map(field => identity[field] ?? '').join('|')
+    : String(url).split('?')[0];
+  return `${SYNTHETIC_ETAG_PREFIX}${crypto.createHash('sha1').update(source).digest('base64url').slice(0, 22)}"`;
+}
+
+/**
+ * Get the validators of a CDN response
+ * @param {Object} headers - Upstream response headers
+ * @param {string} url - CDN URL
+ * @param {Object} identity - Optional - download token metadata (see syntheticEtag)
+ * @returns {Object} { etag, lastModified } - etag is synthesized when missing, lastModified may be null
+ */
+function getValidators(headers, url, identity = null) {
+  return {
+    etag: headers.etag || syntheticEtag(url, identity),
+    lastModified: headers['last-modified'] || null,
+  };
+}
+
+/**
+ * Plan the upstream request for a client request
+ * - no usable Range: the whole file (requested as bytes=0-, like the CDN expects)
+ * - If-Range with a synthesized ETag: checked here (the CDN doesn't know it); on mismatch the
+ *   whole file is sent.
+ * - any other If-Range: forwarded, so the CDN answers 200 with the whole file on mismatch
+ * @param {Object} req - Express request
+ * @param {string} url - CDN URL
+ * @param {Object} identity - Optional - download token metadata (see syntheticEtag)
+ * @returns {Object} { specs, upstreamRange, upstreamHeaders }
+ */
+function planRangeRequest(req, url, identity = null) {
+  const full = { specs: null, upstreamRange: 'bytes=0-', upstreamHeaders: {} };
+  const specs = parseRangeHeader(req.headers.range);
+  if (!specs) return full;
+
+  const ifRange = req.headers['if-range'];
+  const upstreamHeaders = {};
+  if (ifRange) {
+    if (ifRange.startsWith(SYNTHETIC_ETAG_PREFIX)) {
+      if (ifRange !== syntheticEtag(url, identity)) return full;
+    } else {
+      upstreamHeaders['If-Range'] = ifRange;
+    }
+  }
+  return { specs, upstreamRange: upstreamRangeFor(specs), upstreamHeaders };
+}
+
+/**
+ * Parse a Content-Range header
+ * @param {string} header - e.g. "bytes 0-499/1234", "bytes * /1234" or "bytes 0-499/*"
+ * @returns {Object|null} { start, end, size } - start/end null for unsatisfied, size null if unknown
+ */
+function parseContentRange(header) {
+  const match = typeof header === 'string' && header.match(/^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/i);
+  if (!match) return null;
+  return {
+    start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+    end: match[2] !== undefined ? parseInt(match[2], 10) : null,
+    size: match[3] === '*' ? null : parseInt(match[3], 10),
+  };
+}
+
+/**
+ * Create a stream that cuts ranges out of a window of the file
+ * The window is the part of the file the upstream body covers. Ranges must be sorted and
+ * non-overlapping (see resolveRanges). Multipart output wraps each range in a body part.
+ * @param {number} windowStart - File offset of the first upstream byte
+ * @param {Object[]} ranges - Ranges to keep
+ * @param {Object} multipart - Optional - { boundary, contentType, size } for multipart/byteranges
+ * @param {Function} onComplete - Called when every range has been emitted (the upstream can be dropped)
+ * @returns {Transform} Stream
+ */
+function createRangeStream(windowStart, ranges, multipart, onComplete) {
+  let position = windowStart;
+  let index = 0;
+  let done = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (done) return callback();
+
+      let offset = 0;
+      while (offset < chunk.length && index < ranges.length) {
+        const range = ranges[index];
+        const at = position + offset;
+        if (at < range.start) {
+          offset += Math.min(range.start - at, chunk.length - offset);
+          continue;
+        }
+
+        if (at === range.start && multipart) {
+          this.push(partHeader(multipart, range, index));
+        }
+        const take = Math.min(range.end - at + 1, chunk.length - offset);
+        this.push(chunk.subarray(offset, offset + take));
+        offset += take;
+        if (position + offset > range.end) index += 1;
+      }
+      position += chunk.length;
+
+      if (index >= ranges.length) {
+        done = true;
+        if (multipart) this.push(multipartTrailer(multipart));
+        this.push(null);
+        if (onComplete) process.nextTick(onComplete);
+      }
+      callback();
+    },
+  });
+}
+
+/**
+ * Header of a multipart/byteranges body part
+ * @param {Object} multipart - { boundary, contentType, size }
+ * @param {Object} range - { start, end }
+ * @param {number} index - Part index (parts after the first start on a new line)
+ * @returns {string} Part header
+ */
+function partHeader(multipart, range, index) {
+  return `${index > 0 ? '\r\n' : ''}--${multipart.boundary}\r\n`
+    + `Content-Type: ${multipart.contentType}\r\n`
+    + `Content-Range: bytes ${range.start}-${range.end}/${multipart.size}\r\n\r\n`;
+}
+
+/**
+ * Closing delimiter of a multipart/byteranges body
+ * @param {Object} multipart - { boundary }
+ * @returns {string} Trailer
+ */
+function multipartTrailer(multipart) {
+  return `\r\n--${multipart.boundary}--\r\n`;
+}
+
+/**
+ * Send an upstream media response to the client, honouring the planned ranges
+ * Sets the status, Content-Length, Content-Range/Content-Type, Accept-Ranges, ETag and
+ * Last-Modified headers (other headers such as CORS and Content-Disposition must be set
+ * before) and streams the body. The upstream must have been requested with the plan's
+ * upstreamRange and upstreamHeaders.
+ * @param {Object} res - Express response
+ * @param {Object} upstream - axios response with a stream body
+ * @param {Object} plan - Plan from planRangeRequest
+ * @param {Object} options - { url, contentType, identity } - identity is the download token
+ *   metadata the synthesized ETag is built from (see syntheticEtag)
+ * @returns {Object} { status, ranges } - what was sent
+ */
+function sendRangeResponse(res, upstream, plan, options) {
+  const { etag, lastModified } = getValidators(upstream.headers, options.url, options.identity);
+  const contentType = options.contentType || upstream.headers['content-type'] || 'application/octet-stream';
+  const body = upstream.data;
+  const contentRange = parseContentRange(upstream.headers['content-range']);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified);
+
+  // File size and the window of it the upstream body covers
+  let size = null;
+  let window = null;
+  if (upstream.status === 206 && contentRange && contentRange.start !== null) {
+    size = contentRange.size;
+    window = { start: contentRange.start, end: contentRange.end };
+  } else if (upstream.status === 200 && upstream.headers['content-length'] !== undefined) {
+    size = parseInt(upstream.headers['content-length'], 10);
+    window = { start: 0, end: size - 1 };
+  } else if (upstream.status === 416) {
+    size = contentRange?.size ?? null;
+  }
+
+  const passThrough = () => {
+    res.status(upstream.status);
+    res.setHeader('Content-Type', contentType);
+    if (upstream.headers['content-length'] !== undefined) res.setHeader('Content-Length', upstream.headers['content-length']);
+    if (upstream.headers['content-range']) res.setHeader('Content-Range', upstream.headers['content-range']);
+    body.pipe(res);
+    return { status: upstream.status, ranges: window ? [window] : null };
+  };
+  const unsatisfiable = () => {
+    body.destroy();
+    res.status(416);
+    if (size !== null) res.setHeader('Content-Range', `bytes */${size}`);
+    res.end();
+    return { status: 416, ranges: null };
+  };
+
+  if (upstream.status === 416) return unsatisfiable();
+  // Unknown size: nothing to resolve ranges against - send what the CDN sent
+  if (size === null || window === null) return passThrough();
+
+  // Whole file wanted (no Range, failed If-Range) or the CDN chose to send it (If-Range mismatch)
+  const wholeFile = window.start === 0 && window.end === size - 1;
+  if (!plan.specs || (upstream.status === 200 && plan.upstreamHeaders['If-Range'])) {
+    if (!wholeFile) return passThrough();
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', size);
+    body.pipe(res);
+    return { status: 200, ranges: null };
+  }
+
+  const ranges = resolveRanges(plan.specs, size);
+  if (!ranges) return unsatisfiable();
+  if (ranges.some(range => range.start < window.start || range.end > window.end)) {
+    // The CDN sent a different part than asked for - pass it on rather than guess
+    return passThrough();
+  }
+
+  const dropUpstream = () => body.destroy();
+  res.status(206);
+
+  if (ranges.length === 1) {
+    const [range] = ranges;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+    if (range.start === window.start && range.end === window.end) {
+      body.pipe(res);
+    } else {
+      body.pipe(createRangeStream(window.start, ranges, null, dropUpstream)).pipe(res);
+    }
+    return { status: 206, ranges };
+  }
+
+  const multipart = {
+    boundary: crypto.randomBytes(12).toString('hex'),
+    contentType,
+    size,
+  };
+  const length = ranges.reduce((total, range, index) =>
+    total + Buffer.byteLength(partHeader(multipart, range, index)) + (range.end - range.start + 1),
+  Buffer.byteLength(multipartTrailer(multipart)));
+
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${multipart.boundary}`);
+  res.setHeader('Content-Length', length);
+  body.pipe(createRangeStream(window.start, ranges, multipart, dropUpstream)).pipe(res);
+  return { status: 206, ranges };
+}
+
+module.exports = {
+  parseRangeHeader,
+  resolveRanges,
+  getValidators,
+  planRangeRequest,
+  sendRangeResponse,
+};
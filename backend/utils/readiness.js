@@ -0,0 +1,167 @@
+/**
+ * Readiness Check
+ * Probes the upstream session, host and mirror reachability and parser health so the
+ * platform only routes traffic to instances that can actually serve it
+ */
+
+const axios = require('axios');
+const { getHostUrl } = require('./hosts');
+const { getDefaultHeaders } = require('./headers');
+const { getConfiguredHosts, getMirrorStatus } = require('./mirrors');
+const { getParserStatus } = require('./parser');
+const { createSingleFlight } = require('./singleflight');
+const logger = require('./logger').createLogger({ module: 'readiness' });
+
+// Timeout of each host probe (ms)
+const PROBE_TIMEOUT_MS = parseInt(process.env.READINESS_PROBE_TIMEOUT_MS, 10) || 5000;
+// How long a completed check is reused (ms) - platforms poll readiness every few seconds
+const READINESS_CACHE_MS = parseInt(process.env.READINESS_CACHE_MS, 10) || 15000;
+
+const READINESS_STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  FAILED: 'failed',
+};
+
+const checkFlights = createSingleFlight();
+let lastReport = null;
+
+/**
+ * Probe a host with a lightweight request
+ * Any response below 500 means the host is reachable
+ * @param {string} baseUrl - Base URL of the host
+ * @returns {Promise<Object>} { host, primary, reachable, status, latencyMs, error }
+ */
+async function probeHost(baseUrl) {
+  const host = baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.head(baseUrl, {
+      headers: getDefaultHeaders(),
+      timeout: PROBE_TIMEOUT_MS,
+      maxRedirects: 3,
+      validateStatus: () => true,
+    });
+    return {
+      host,
+      primary: baseUrl === getHostUrl(),
+      reachable: response.status < 500,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+      error: response.status < 500 ? null : `HTTP ${response.status}`,
+    };
+  } catch (error) {
+    return {
+      host,
+      primary: baseUrl === getHostUrl(),
+      reachable: false,
+      status: null,
+      latencyMs: Date.now() - startedAt,
+      error: error.code || error.message,
+    };
+  }
+}
+
+/**
+ * Check the upstream session (refreshing it first if it is missing or expiring)
+ * @returns {Promise<Object>} Session status from utils/proxy.js plus the refresh error, if any
+ */
+async function checkSession() {
+  const { ensureCookiesAreAssigned, getSessionStatus } = require('./proxy');
+  let error = null;
+  try {
+    await ensureCookiesAreAssigned();
+  } catch (err) {
+    error = err.message;
+  }
+  const status = getSessionStatus();
+  return { ...status, lastError: error || status.lastError };
+}
+
+/**
+ * Run every check and derive the overall status
+ * - failed: no session cookies, or neither the selected host nor any mirror is reachable
+ * - degraded: the selected host is down (mirrors still serve), some mirrors are down,
+ *   the session has no account cookie or is stale, or the last detail page parse failed
+ * @returns {Promise<Object>} Readiness report
+ */
+async function runChecks() {
+  const [session, hosts] = await Promise.all([
+    checkSession(),
+    Promise.all(getConfiguredHosts().map(probeHost)),
+  ]);
+  const parser = getParserStatus();
+  const breakers = new Map(getMirrorStatus().hosts.map(host => [host.host, host.breaker]));
+
+  const failures = [];
+  const warnings = [];
+
+  if (!session.hasCookies) {
+    failures.push(`No upstream session cookies${session.lastError ? ` (${session.lastError})` : ''}`);
+  } else {
+    if (!session.hasAccount) warnings.push('Upstream session has no account cookie');
+    if (session.stale) warnings.push(`Upstream session is stale (${session.staleReason})`);
+  }
+
+  const reachable = hosts.filter(host => host.reachable);
+  const primary = hosts.find(host => host.primary);
+  if (reachable.length === 0) {
+    failures.push('Neither the selected host nor any mirror is reachable');
+  } else {
+    if (primary && !primary.reachable) {
+      warnings.push(`Selected host ${primary.host} is unreachable (${primary.error})`);
+    }
+    const downMirrors = hosts.filter(host => !host.primary && !host.reachable);
+    if (downMirrors.length > 0) {
+      warnings.push(`${downMirrors.length} mirror(s) unreachable: ${downMirrors.map(host => host.host).join(', ')}`);
+    }
+  }
+
+  if (parser.lastResult === 'failure') {
+    warnings.push(`Last detail page parse failed (${parser.lastError})`);
+  }
+
+  const status = failures.length > 0
+    ? READINESS_STATUS.FAILED
+    : warnings.length > 0 ? READINESS_STATUS.DEGRADED : READINESS_STATUS.OK;
+
+  return {
+    status,
+    checkedAt: new Date().toISOString(),
+    problems: [...failures, ...warnings],
+    checks: {
+      session,
+      hosts: hosts.map(host => ({ ...host, breaker: breakers.get(host.host) || null })),
+      parser,
+    },
+  };
+}
+
+/**
+ * Get the readiness report, reusing a recent one
+ * Concurrent callers share one run of the checks
+ * @param {Object} options - Options
+ * @param {boolean} options.fresh - Ignore the cached report
+ * @returns {Promise<Object>} Readiness report
+ */
+async function checkReadiness(options = {}) {
+  if (!options.fresh && lastReport && Date.now() - lastReport.at < READINESS_CACHE_MS) {
+    return lastReport.report;
+  }
+
+  return checkFlights.do('readiness', async () => {
+    const report = await runChecks();
+    if (report.status !== READINESS_STATUS.OK && lastReport?.report.status !== report.status) {
+      logger.warn(`Readiness is ${report.status}`, { problems: report.problems });
+    }
+    lastReport = { at: Date.now(), report };
+    return report;
+  });
+}
+
+module.exports = {
+  READINESS_STATUS,
+  probeHost,
+  checkReadiness,
+};
@@ -0,0 +1,185 @@
+/**
+ * Download URL Re-resolution
+ * Signed CDN URLs expire after a while, which breaks download managers resuming a large
+ * file hours later. When the CDN reports an expired URL, the download metadata is fetched
+ * again, the file with the same resolution is picked and the same request is repeated with
+ * the fresh URL - the client never sees the expiry.
+ */
+
+const { requestUpstream } = require('./ssrf');
+const logger = require('./logger').createLogger({ module: 'reresolve' });
+
+// How long an expired URL keeps pointing at its replacement (ms)
+// Clients resuming with the old URL go straight to the fresh one
+const REFRESHED_URL_TTL_MS = parseInt(process.env.DOWNLOAD_URL_REFRESH_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+// Maximum number of remembered replacements before the oldest is evicted
+const REFRESHED_URL_MAX_ENTRIES = 1000;
+
+// Expired URL -> { url, cookies, expiresAt }
+const refreshedUrls = new Map();
+
+/**
+ * Check whether a URL is a signed (expiring) CDN URL
+ * @param {string} url - CDN URL
+ * @returns {boolean} True if the URL carries a signature or timestamp
+ */
+function isSignedUrl(url) {
+  return url.includes('sign=') || url.includes('&t=');
+}
+
+/**
+ * Check whether a CDN status means the URL expired
+ * 401 and 410 always do; 403 only for signed URLs (otherwise it is a region restriction)
+ * @param {number} status - CDN response status
+ * @param {string} url - Requested URL
+ * @returns {boolean} True if the URL expired
+ */
+function isExpiredStatus(status, url) {
+  return status === 401 || status === 410 || (status === 403 && isSignedUrl(url));
+}
+
+/**
+ * Get the replacement of an expired URL
+ * @param {string} url - Expired URL
+ * @returns {Object|null} { url, cookies } or null
+ */
+function getRefreshedDownload(url) {
+  const entry = refreshedUrls.get(url);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    refreshedUrls.delete(url);
+    return null;
+  }
+  return { url: entry.url, cookies: entry.cookies };
+}
+
+/**
+ * Remember the replacement of expired URLs
+ * @param {string[]} expiredUrls - Expired URLs (the one requested and the one it came from)
+ * @param {Object} fresh - { url, cookies }
+ */
+function rememberRefreshedDownload(expiredUrls, fresh) {
+  const expiresAt = Date.now() + REFRESHED_URL_TTL_MS;
+  for (const url of new Set(expiredUrls)) {
+    refreshedUrls.delete(url);
+    refreshedUrls.set(url, { ...fresh, expiresAt });
+  }
+  while (refreshedUrls.size > REFRESHED_URL_MAX_ENTRIES) {
+    refreshedUrls.delete(refreshedUrls.keys().next().value);
+  }
+}
+
+/**
+ * Get the resolution a download was requested with
+ * @param {Object} source - { resolution, quality } ("1080p", "1080P", 1080, ...)
+ * @returns {number} Resolution or 0 when unknown (BEST/WORST or missing)
+ */
+function requestedResolution(source) {
+  return parseInt(source.resolution, 10) || parseInt(source.quality, 10) || 0;
+}
+
+/**
+ * Fetch a fresh URL for the same file
+ * @param {Object} source - { provider, subjectId, detailPath, season, episode, resolution, quality }
+ * @returns {Promise<Object>} { url, cookies } - cookies is null when the response has none
+ * @throws {Error} If the metadata has no file with the same resolution
+ */
+async function reresolveDownload(source) {
+  const resolution = requestedResolution(source);
+  const ep = parseInt(source.episode, 10) || 0;
+  const se = ep === 0 ? 0 : (parseInt(source.season, 10) || 0);
+
+  const response = await source.provider.downloadLinks({
+    subjectId: source.subjectId,
+    detailPath: source.detailPath,
+    se,
+    ep,
+  });
+  const data = response.data?.data || response.data || {};
+  const download = (data.downloads || []).find(entry =>
+    parseInt(entry.resolution, 10) === resolution && (entry.resource?.url || entry.url));
+
+  if (!download) {
+    throw new Error(data.limited
+      ? 'Download limit reached while refreshing the URL'
+      : `No ${resolution}p file in the refreshed download metadata`);
+  }
+  return {
+    url: download.resource?.url || download.url,
+    cookies: response.cookies || null,
+  };
+}
+
+/**
+ * Request a CDN URL, re-resolving it once if it expired
+ * The target is updated in place, so later requests for the same client request (e.g. the
+ * range request after the HEAD) use the fresh URL too. When re-resolution isn't possible
+ * (no subjectId, detailPath or resolution) or fails, the expired response or error is
+ * returned as it is.
+ * @param {Object} target - { url, cookies }
+ * @param {Function} buildConfig - (target) => requestUpstream config
+ * @param {Object} source - { provider, subjectId, detailPath, season, episode, resolution, quality }
+ * @returns {Promise<Object>} axios response
+ */
+async function requestDownload(target, buildConfig, source) {
+  const requestedUrl = target.url;
+  const remembered = getRefreshedDownload(target.url);
+  if (remembered) {
+    target.url = remembered.url;
+    target.cookies = remembered.cookies || target.cookies;
+  }
+
+  let expired;
+  try {
+    const response = await requestUpstream(buildConfig(target));
+    if (!isExpiredStatus(response.status, target.url)) return response;
+    expired = { response, status: response.status };
+  } catch (error) {
+    if (!error.response || !isExpiredStatus(error.response.status, target.url)) throw error;
+    expired = { error, status: error.response.status };
+  }
+
+  const giveUp = () => {
+    if (expired.error) throw expired.error;
+    return expired.response;
+  };
+
+  if (!source.subjectId || !source.detailPath || !requestedResolution(source)) {
+    return giveUp();
+  }
+
+  let fresh;
+  try {
+    fresh = await reresolveDownload(source);
+  } catch (error) {
+    logger.warn('Could not re-resolve expired download URL', { subjectId: source.subjectId, error: error.message });
+    return giveUp();
+  }
+  if (fresh.url === target.url) {
+    return giveUp();
+  }
+
+  // Discard the body of the expired response
+  const expiredBody = (expired.response || expired.error.response).data;
+  if (expiredBody && typeof expiredBody.destroy === 'function') {
+    expiredBody.destroy();
+  }
+
+  logger.info('Re-resolved expired download URL', {
+    subjectId: source.subjectId,
+    season: source.season,
+    episode: source.episode,
+    resolution: requestedResolution(source),
+    status: expired.status,
+  });
+  rememberRefreshedDownload([requestedUrl, target.url], fresh);
+  target.url = fresh.url;
+  target.cookies = fresh.cookies || target.cookies;
+  return requestUpstream(buildConfig(target));
+}
+
+module.exports = {
+  isExpiredStatus,
+  getRefreshedDownload,
+  requestDownload,
+};
@@ -0,0 +1,134 @@
+/**
+ * Route Registry
+ * Builds Express handlers from declarative route definitions so every URL shape of an
+ * endpoint (guide path and legacy aliases) is served by the same logic
+ *
+ * A route definition:
+ * - name: Route name (used in logs)
+ * - method: 'get', 'post', ...
+ * - path: Primary path (e.g. '/wefeed-h5-bff/web/subject/search')
+ * - aliases: Other paths served by the same handler (e.g. ['/search', '/search/:keyword'])
+ * - params: Parameters keyed by name - { from, default, required, message }
+ *   Values are read from path params, then the body, then the query string
+ * - cache: True if the route honours ?nocache=1 and sets X-Cache headers
+ * - prepare(params): Optional - adjust params after defaults are applied
+ * - fetch(provider, params, options): Call the content provider (the upstream mapping)
+ * - respond(req, res, response, params): Optional - send the response (default: response.data)
+ * - errorMessage: Error summary for failed requests
+ * - onError(req, res, error): Optional - custom error response
+ */
+
+const { resolveProvider } = require('../providers');
+const { shouldBypassCache, applyCacheHeaders } = require('./cache');
+const { validate } = require('./validation');
+const logger = require('./logger').createLogger({ module: 'routes' });
+
+/**
+ * Read a request value from path params, body or query string
+ * @param {Object} req - Express request
+ * @param {string} name - Parameter name
+ * @returns {*} Value or undefined
+ */
+function readParam(req, name) {
+  if (req.params && req.params[name] !== undefined) return req.params[name];
+  if (req.body && typeof req.body === 'object' && req.body[name] !== undefined) return req.body[name];
+  if (req.query && req.query[name] !== undefined) return req.query[name];
+  return undefined;
+}
+
+/**
+ * Collect the declared parameters of a route from a request
+ * @param {Object} req - Express request
+ * @param {Object} spec - Parameter spec (route.params)
+ * @returns {Object} { params, missing } - missing is the first required parameter not supplied
+ */
+function collectParams(req, spec = {}) {
+  const params = {};
+  let missing = null;
+
+  for (const [name, options] of Object.entries(spec)) {
+    const value = readParam(req, options.from || name);
+    if (value === undefined || value === '') {
+      if (options.required && !missing) {
+        missing = { name, ...options };
+      }
+      params[name] = options.default;
+    } else {
+      params[name] = value;
+    }
+  }
+
+  return { params, missing };
+}
+
+/**
+ * Send the default error response for a route
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {Object} route - Route definition
+ */
+function sendRouteError(res, error, route) {
+  logger.error(`Error in ${route.name}:`, { error: error.message });
+  res.status(error.status || error.response?.status || 500).json({
+    error: route.errorMessage,
+    message: error.message,
+  });
+}
+
+/**
+ * Create an Express handler for a route definition
+ * @param {Object} route - Route definition
+ * @returns {Function} Express handler
+ */
+function createRouteHandler(route) {
+  return async (req, res) => {
+    try {
+      const { params: collected, missing } = collectParams(req, route.params);
+
+      if (missing) {
+        return res.status(400).json({
+          error: missing.message || `${missing.from || missing.name} parameter is required`,
+        });
+      }
+
+      const params = route.prepare ? route.prepare(collected) : collected;
+      const options = route.cache ? { bypassCache: shouldBypassCache(req) } : {};
+      const response = await route.fetch(resolveProvider(req), params, options);
+
+      if (route.cache) {
+        applyCacheHeaders(res, response);
+      }
+
+      if (route.respond) {
+        return route.respond(req, res, response, params);
+      }
+      res.json(response.data);
+    } catch (error) {
+      if (route.onError) {
+        return route.onError(req, res, error);
+      }
+      sendRouteError(res, error, route);
+    }
+  };
+}
+
+/**
+ * Register route definitions on a router (primary path and every alias)
+ * Inputs are validated against the OpenAPI document before the handler runs
+ * @param {Object} router - Express router
+ * @param {Object[]} routes - Route definitions
+ */
+function registerRoutes(router, routes) {
+  for (const route of routes) {
+    const handler = createRouteHandler(route);
+    for (const path of [route.path, ...(route.aliases || [])]) {
+      router[route.method](path, validate, handler);
+    }
+  }
+}
+
+module.exports = {
+  collectParams,
+  createRouteHandler,
+  registerRoutes,
+};
@@ -0,0 +1,210 @@
+/**
+ * Upstream Session Pool
+ * Spreads the download metadata quota (limited / freeNum) across independent MovieBox sessions
+ *
+ * Sessions come from:
+ * - the primary session (MB_COOKIES or dynamic cookies, see ensureCookiesAreAssigned)
+ * - MB_COOKIES_2, MB_COOKIES_3, ... environment variables
+ * - SESSION_POOL_SIZE extra sessions bootstrapped from the app info endpoint on first use
+ */
+
+const { getHostUrl } = require('./hosts');
+const { createCookieJar } = require('./cookies');
+const { createSingleFlight } = require('./singleflight');
+const { metrics } = require('./metrics');
+const logger = require('./logger').createLogger({ module: 'sessions' });
+
+// How long a session that reported limited: true is skipped (ms)
+const SESSION_COOLDOWN_MS = parseInt(process.env.SESSION_COOLDOWN_MS, 10) || 15 * 60 * 1000;
+// Number of extra dynamically bootstrapped sessions
+const SESSION_POOL_SIZE = parseInt(process.env.SESSION_POOL_SIZE, 10) || 0;
+// Same refresh rules as the primary session
+const COOKIE_REFRESH_WINDOW_MS = parseInt(process.env.COOKIE_REFRESH_WINDOW_MS, 10) || 10 * 60 * 1000;
+const COOKIE_RETRY_DELAY_MS = parseInt(process.env.COOKIE_RETRY_DELAY_MS, 10) || 30 * 1000;
+
+let sessions = null;
+const bootstrapFlights = createSingleFlight();
+
+/**
+ * Create a pool session
+ * @param {string} id - Session ID
+ * @param {string} source - 'primary', 'env' or 'dynamic'
+ * @param {Object} jar - Cookie jar
+ * @returns {Object} Session
+ */
+function createSession(id, source, jar) {
+  return {
+    id,
+    source,
+    jar,
+    freeNum: null,
+    requests: 0,
+    limitedCount: 0,
+    cooldownUntil: 0,
+    lastUsedAt: 0,
+    lastLimitedAt: null,
+    lastAttemptAt: null,
+    lastError: null,
+  };
+}
+
+/**
+ * Build the pool from configuration (once)
+ * @returns {Object[]} Sessions
+ */
+function getSessions() {
+  if (sessions) return sessions;
+
+  const { getCookieJar } = require('./proxy');
+  sessions = [createSession('primary', 'primary', getCookieJar())];
+
+  // MB_COOKIES_2, MB_COOKIES_3, ... in numeric order
+  Object.keys(process.env)
+    .filter(key => /^MB_COOKIES_\d+$/.test(key) && process.env[key].trim())
+    .sort((a, b) => parseInt(a.split('_').pop(), 10) - parseInt(b.split('_').pop(), 10))
+    .forEach(key => {
+      const jar = createCookieJar();
+      jar.seed(process.env[key].trim());
+      sessions.push(createSession(key.toLowerCase(), 'env', jar));
+    });
+
+  for (let i = 1; i <= SESSION_POOL_SIZE; i++) {
+    sessions.push(createSession(`dynamic-${i}`, 'dynamic', createCookieJar()));
+  }
+
+  if (sessions.length > 1) {
+    logger.info(`Session pool initialized with ${sessions.length} session(s)`);
+  }
+  return sessions;
+}
+
+/**
+ * Get the cookie header for a session, bootstrapping or refreshing dynamic sessions as needed
+ * @param {Object} session - Pool session
+ * @returns {Promise<string|null>} Cookie header value
+ */
+async function getSessionCookies(session) {
+  if (session.source === 'primary') {
+    const { ensureCookiesAreAssigned } = require('./proxy');
+    return ensureCookiesAreAssigned();
+  }
+
+  const needsRefresh = session.source === 'dynamic'
+    && session.jar.expiresWithin('account', getHostUrl(), COOKIE_REFRESH_WINDOW_MS)
+    && (!session.lastAttemptAt || Date.now() - session.lastAttemptAt >= COOKIE_RETRY_DELAY_MS);
+
+  if (needsRefresh) {
+    await bootstrapFlights.do(session.id, async () => {
+      const { fetchSessionCookies } = require('./proxy');
+      session.lastAttemptAt = Date.now();
+      try {
+        const count = await fetchSessionCookies(session.jar);
+        session.lastError = count > 0 ? null : 'No cookies received from app info endpoint';
+        metrics.cookieRefreshes.inc({ session: session.id, result: count > 0 ? 'success' : 'failure' });
+      } catch (error) {
+        session.lastError = error.message;
+        metrics.cookieRefreshes.inc({ session: session.id, result: 'failure' });
+        logger.warn(`Failed to bootstrap pool session ${session.id}:`, { error: error.message });
+      }
+    });
+  }
+
+  return session.jar.getCookieHeader(getHostUrl());
+}
+
+/**
+ * Pick the session most likely to still have download quota
+ * Sessions cooling down after a limited response are skipped. Among the rest, sessions with
+ * the most known free downloads come first, then unknown quota, then least recently used.
+ * If every session is cooling down, the one whose cooldown ends first is returned.
+ * @returns {Object} Pool session (exhausted is true if every session is cooling down)
+ */
+function acquireSession() {
+  const pool = getSessions();
+  const now = Date.now();
+
+  const available = pool.filter(session => session.cooldownUntil <= now);
+  let session;
+
+  if (available.length > 0) {
+    session = available.sort((a, b) => {
+      const quotaA = a.freeNum === null ? -1 : a.freeNum;
+      const quotaB = b.freeNum === null ? -1 : b.freeNum;
+      // Known remaining quota beats unknown; unknown beats a known zero
+      const rank = (quota) => (quota > 0 ? 2 : quota === -1 ? 1 : 0);
+      if (rank(quotaB) !== rank(quotaA)) return rank(quotaB) - rank(quotaA);
+      if (quotaB !== quotaA) return quotaB - quotaA;
+      return a.lastUsedAt - b.lastUsedAt;
+    })[0];
+  } else {
+    session = [...pool].sort((a, b) => a.cooldownUntil - b.cooldownUntil)[0];
+  }
+
+  session.requests += 1;
+  session.lastUsedAt = now;
+  return {
+    session,
+    exhausted: available.length === 0,
+  };
+}
+
+/**
+ * Update a session's quota counters from a download metadata response
+ * Sessions reporting limited: true (or no free downloads left) are cooled down
+ * @param {Object} session - Pool session
+ * @param {Object} data - Download metadata (response.data.data)
+ * @returns {boolean} True if the session was cooled down
+ */
+function reportDownloadResult(session, data) {
+  if (!session || !data) return false;
+
+  if (typeof data.freeNum === 'number') {
+    session.freeNum = data.freeNum;
+  }
+
+  if (data.limited === true || session.freeNum === 0) {
+    session.limitedCount += 1;
+    session.lastLimitedAt = Date.now();
+    session.cooldownUntil = Date.now() + SESSION_COOLDOWN_MS;
+    logger.warn(`Session ${session.id} is limited, cooling down for ${Math.round(SESSION_COOLDOWN_MS / 1000)}s`, {
+      freeNum: session.freeNum,
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Get a snapshot of the pool (no cookie values)
+ * @returns {Object} Pool status
+ */
+function getPoolStatus() {
+  const now = Date.now();
+  const pool = getSessions();
+
+  return {
+    size: pool.length,
+    available: pool.filter(session => session.cooldownUntil <= now).length,
+    cooldownMs: SESSION_COOLDOWN_MS,
+    sessions: pool.map(session => ({
+      id: session.id,
+      source: session.source,
+      hasCookies: !!session.jar.getCookieHeader(getHostUrl()),
+      freeNum: session.freeNum,
+      requests: session.requests,
+      limitedCount: session.limitedCount,
+      coolingDown: session.cooldownUntil > now,
+      cooldownUntil: session.cooldownUntil > now ? new Date(session.cooldownUntil).toISOString() : null,
+      lastLimitedAt: session.lastLimitedAt ? new Date(session.lastLimitedAt).toISOString() : null,
+      lastError: session.lastError,
+    })),
+  };
+}
+
+module.exports = {
+  acquireSession,
+  getSessionCookies,
+  reportDownloadResult,
+  getPoolStatus,
+};
@@ -0,0 +1,74 @@
+/**
+ * Single-Flight Request Coalescing
+ * Identical concurrent upstream requests share one in-flight promise
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a single-flight group
+ * While a call for a key is in flight, later calls with the same key receive the same promise.
+ * The key is released as soon as the promise settles, so results are never cached.
+ * @returns {Object} Group with do(key, fn) and size
+ */
+function createSingleFlight() {
+  const inFlight = new Map();
+
+  return {
+    /**
+     * Run fn once per key among concurrent callers
+     * @param {string} key - Request identity
+     * @param {Function} fn - Function returning a Promise
+     * @returns {Promise} Shared result
+     */
+    do(key, fn) {
+      if (inFlight.has(key)) {
+        return inFlight.get(key);
+      }
+
+      const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => {
+          inFlight.delete(key);
+        });
+
+      inFlight.set(key, promise);
+      return promise;
+    },
+
+    get size() {
+      return inFlight.size;
+    },
+  };
+}
+
+/**
+ * Derive a short, non-reversible identity for a cookie string
+ * Requests made with different sessions must not share results
+ * @param {string} cookies - Cookie header value
+ * @returns {string} Cookie identity ("anonymous" when there are no cookies)
+ */
+function cookieIdentity(cookies) {
+  if (!cookies) return 'anonymous';
+  return crypto.createHash('sha1').update(cookies).digest('hex').substring(0, 16);
+}
+
+/**
+ * Build a single-flight key from endpoint, params and cookie identity
+ * @param {string} endpoint - API endpoint or URL
+ * @param {Object} params - Request parameters
+ * @param {string} cookies - Cookie header value
+ * @returns {string} Key
+ */
+function buildFlightKey(endpoint, params = null, cookies = null) {
+  const sortedParams = params
+    ? Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&')
+    : '';
+  return `${endpoint.replace(/^\//, '')}?${sortedParams}#${cookieIdentity(cookies)}`;
+}
+
+module.exports = {
+  createSingleFlight,
+  cookieIdentity,
+  buildFlightKey,
+};
@@ -0,0 +1,251 @@
+/**
+ * Upstream URL Guard (SSRF protection)
+ * The download routes fetch client-supplied URLs with our Moviebox cookies attached, so
+ * every target is checked before it is requested:
+ * - protocol must be allowed (https by default)
+ * - host must match the CDN allowlist (DOWNLOAD_ALLOWED_HOSTS)
+ * - every address the host resolves to must be public (no private, loopback, link-local, ...)
+ * Redirects are followed here, one hop at a time, so each hop gets the same checks.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { DOWNLOAD_HOST_PATTERNS } = require('../config/constants');
+const logger = require('./logger').createLogger({ module: 'ssrf' });
+
+// Host patterns media and subtitle URLs may point to ("cdn.example.com", "*.example.com" or "*")
+const ALLOWED_HOST_PATTERNS = (process.env.DOWNLOAD_ALLOWED_HOSTS || DOWNLOAD_HOST_PATTERNS.join(','))
+  .split(',')
+  .map(pattern => pattern.trim().toLowerCase())
+  .filter(Boolean);
+// Protocols media and subtitle URLs may use
+const ALLOWED_PROTOCOLS = (process.env.DOWNLOAD_ALLOWED_PROTOCOLS || 'https')
+  .split(',')
+  .map(protocol => `${protocol.trim().toLowerCase().replace(/:$/, '')}:`)
+  .filter(protocol => protocol === 'http:' || protocol === 'https:');
+// Redirect hops followed when the caller doesn't set maxRedirects
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Addresses that are never fetched, whatever the allowlist says
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create an error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function guardError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'ERR_URL_NOT_ALLOWED';
+  return error;
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise not public
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+ * @param {string} address - IP address
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isPrivateAddress(address) {
+  const value = String(address || '').replace(/^\[|\]$/g, '').split('%')[0];
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(value);
+  if (family === 0) return true;
+  return blockedAddresses.check(value, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a host name matches the allowlist
+ * "*.example.com" matches subdomains of example.com, "example.com" only itself, "*" any host
+ * @param {string} hostname - Host name (lowercase)
+ * @returns {boolean} True if allowed
+ */
+function isAllowedHost(hostname) {
+  return ALLOWED_HOST_PATTERNS.some((pattern) => {
+    if (pattern === '*') return true;
+    if (pattern.startsWith('*.')) return hostname.endsWith(pattern.slice(1));
+    return hostname === pattern;
+  });
+}
+
+/**
+ * Check a URL against the protocol and host allowlists
+ * IP literals are checked here too, as they are connected to without a DNS lookup
+ * @param {string} url - URL to fetch
+ * @returns {URL} Parsed URL
+ * @throws {Error} 400 if the URL is invalid, 403 if it is not allowed
+ */
+function assertAllowedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw guardError(400, 'Invalid download URL');
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw guardError(403, `Protocol ${parsed.protocol} is not allowed for downloads`);
+  }
+  if (parsed.username || parsed.password) {
+    throw guardError(403, 'Download URLs must not contain credentials');
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw guardError(403, `Address ${hostname} is not allowed for downloads`);
+  }
+  if (!isAllowedHost(hostname)) {
+    throw guardError(403, `Host ${hostname} is not an allowed download host`);
+  }
+  return parsed;
+}
+
+/**
+ * DNS lookup that refuses hosts resolving to non-public addresses
+ * Used as the socket lookup, so the checked address is the one connected to (no DNS rebinding window)
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      logger.warn('Blocked download host resolving to a non-public address', {
+        hostname,
+        address: blocked?.address,
+      });
+      return callback(guardError(403, `Host ${hostname} resolves to a non-public address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Whether a redirect may keep the Cookie header (same host or a subdomain of it)
+ * @param {URL} from - URL that redirected
+ * @param {URL} to - Redirect target
+ * @returns {boolean} True if cookies may be forwarded
+ */
+function keepsCookies(from, to) {
+  return to.hostname === from.hostname || to.hostname.endsWith(`.${from.hostname}`);
+}
+
+/**
+ * Request a download URL through the guard
+ * Takes an axios config; redirects are followed manually (up to config.maxRedirects) and
+ * every hop is checked with assertAllowedUrl and guardedLookup. Cookies are dropped when
+ * a redirect leaves the host, like axios does.
+ * @param {Object} config - axios request config (url, method, headers, responseType, ...)
+ * @returns {Promise<Object>} axios response of the final hop
+ * @throws {Error} 403 if a hop is not allowed, 502 after too many redirects, axios errors otherwise
+ */
+async function requestUpstream(config) {
+  const maxRedirects = config.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+  const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+  let current = assertAllowedUrl(config.url);
+  let headers = { ...config.headers };
+
+  for (let hop = 0; ; hop++) {
+    const response = await axios({
+      ...config,
+      url: current.href,
+      headers,
+      maxRedirects: 0,
+      lookup: guardedLookup,
+      validateStatus: status => (status >= 300 && status < 400) || validateStatus(status),
+    });
+
+    const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+    if (!location) return response;
+
+    // Discard the redirect body before following it
+    if (response.data && typeof response.data.destroy === 'function') {
+      response.data.destroy();
+    }
+    if (hop >= maxRedirects) {
+      throw guardError(502, `Too many redirects (more than ${maxRedirects})`);
+    }
+
+    const next = assertAllowedUrl(new URL(location, current).href);
+    if (!keepsCookies(current, next)) {
+      const { Cookie, cookie, ...rest } = headers;
+      headers = rest;
+    }
+    logger.debug('Following download redirect', { status: response.status, from: current.host, to: next.host });
+    current = next;
+  }
+}
+
+/**
+ * Express middleware rejecting a url query parameter that is not allowed
+ * Runs after applyDownloadToken, so URLs from tokens are checked too
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAllowedUrl(req, res, next) {
+  if (!req.query.url) return next();
+
+  try {
+    assertAllowedUrl(req.query.url);
+  } catch (error) {
+    logger.warn('Rejected download URL', { error: error.message });
+    if (req.method === 'HEAD') {
+      return res.status(error.status).end();
+    }
+    return res.status(error.status).json({
+      error: 'Download URL not allowed',
+      message: error.message,
+    });
+  }
+  next();
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertAllowedUrl,
+  guardedLookup,
+  requestUpstream,
+  requireAllowedUrl,
+};
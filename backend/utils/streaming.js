@@ -0,0 +1,244 @@
+/**
+ * Media Stream Limits
+ * Concurrency limits (global and per client IP) for proxied media streams, with a short
+ * queue before answering 429, and the lifetime of each upstream request:
+ * - the CDN request is aborted as soon as the client disconnects
+ * - the CDN must answer within STREAM_CONNECT_TIMEOUT_MS
+ * - a transfer that moves no data for STREAM_IDLE_TIMEOUT_MS is dropped
+ */
+
+const { metrics } = require('./metrics');
+const logger = require('./logger').createLogger({ module: 'streaming' });
+
+/**
+ * Read a non-negative integer setting where 0 is meaningful
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number} Value
+ */
+function readCount(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Media streams proxied at the same time (all clients)
+const STREAM_MAX_CONCURRENT = parseInt(process.env.STREAM_MAX_CONCURRENT, 10) || 100;
+// Media streams proxied at the same time for one client IP (download managers open 8-16 connections)
+const STREAM_MAX_PER_CLIENT = parseInt(process.env.STREAM_MAX_PER_CLIENT, 10) || 16;
+// Streams waiting for a free slot (0 = answer 429 right away)
+const STREAM_QUEUE_SIZE = readCount('STREAM_QUEUE_SIZE', 50);
+// How long a stream waits for a free slot before getting a 429 (ms)
+const STREAM_QUEUE_TIMEOUT_MS = parseInt(process.env.STREAM_QUEUE_TIMEOUT_MS, 10) || 15000;
+// How long the CDN may take to send response headers (ms)
+const STREAM_CONNECT_TIMEOUT_MS = parseInt(process.env.STREAM_CONNECT_TIMEOUT_MS, 10) || 30000;
+// How long a transfer may move no data before it is dropped (ms)
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.STREAM_IDLE_TIMEOUT_MS, 10) || 60000;
+
+const slots = {
+  active: 0,
+  byClient: new Map(),
+};
+// Streams waiting for a slot, oldest first: { client, start, timer }
+const waiting = [];
+
+/**
+ * Check whether a client may start a stream now
+ * @param {string} client - Client IP
+ * @returns {boolean} True if both limits have room
+ */
+function hasCapacity(client) {
+  return slots.active < STREAM_MAX_CONCURRENT && (slots.byClient.get(client) || 0) < STREAM_MAX_PER_CLIENT;
+}
+
+/**
+ * Take a slot for a client
+ * @param {string} client - Client IP
+ * @returns {Function} Releases the slot (safe to call more than once)
+ */
+function acquire(client) {
+  slots.active += 1;
+  slots.byClient.set(client, (slots.byClient.get(client) || 0) + 1);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    slots.active -= 1;
+    const count = slots.byClient.get(client) - 1;
+    if (count > 0) {
+      slots.byClient.set(client, count);
+    } else {
+      slots.byClient.delete(client);
+    }
+    drainQueue();
+  };
+}
+
+/**
+ * Remove a waiting stream from the queue
+ * @param {Object} entry - Queue entry
+ * @returns {boolean} True if it was still queued
+ */
+function dequeue(entry) {
+  const index = waiting.indexOf(entry);
+  if (index === -1) return false;
+  waiting.splice(index, 1);
+  clearTimeout(entry.timer);
+  metrics.queuedStreams.set({}, waiting.length);
+  return true;
+}
+
+/**
+ * Start queued streams, oldest first, while there is room
+ * A client at its own limit doesn't hold up other clients behind it
+ */
+function drainQueue() {
+  for (const entry of [...waiting]) {
+    if (slots.active >= STREAM_MAX_CONCURRENT) return;
+    if (hasCapacity(entry.client) && dequeue(entry)) {
+      entry.start();
+    }
+  }
+}
+
+/**
+ * Answer 429 Too Many Requests
+ * @param {Object} res - Express response
+ * @param {string} reason - "queue_full" or "queue_timeout"
+ * @param {string} client - Client IP
+ */
+function rejectStream(res, reason, client) {
+  metrics.streamRejections.inc({ reason });
+  logger.warn('Rejected media stream', { reason, client, active: slots.active, queued: waiting.length });
+  res.setHeader('Retry-After', Math.ceil(STREAM_QUEUE_TIMEOUT_MS / 1000));
+  res.status(429).json({
+    error: 'Too many concurrent downloads',
+    message: 'Too many downloads are running - retry shortly or use fewer connections',
+  });
+}
+
+/**
+ * Express middleware limiting concurrent media streams
+ * The slot is held until the response finishes or the client disconnects. Without room the
+ * request waits in the queue (up to STREAM_QUEUE_TIMEOUT_MS) and gets a 429 when the queue
+ * is full or the wait runs out.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function limitStreams(req, res, next) {
+  const client = req.ip || req.socket.remoteAddress || 'unknown';
+
+  const start = () => {
+    const release = acquire(client);
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+  };
+
+  if (hasCapacity(client) && waiting.length === 0) {
+    return start();
+  }
+  if (waiting.length >= STREAM_QUEUE_SIZE) {
+    return rejectStream(res, 'queue_full', client);
+  }
+
+  const entry = { client, start, timer: null };
+  entry.timer = setTimeout(() => {
+    if (dequeue(entry)) rejectStream(res, 'queue_timeout', client);
+  }, STREAM_QUEUE_TIMEOUT_MS);
+  // A client that gives up while queued leaves the queue
+  res.on('close', () => dequeue(entry));
+
+  waiting.push(entry);
+  metrics.queuedStreams.set({}, waiting.length);
+  logger.debug('Media stream queued', { client, queued: waiting.length });
+  drainQueue();
+}
+
+/**
+ * Tie an upstream request to the client connection
+ * Pass signal and timeout to the axios request, then attach() the response stream.
+ * - client disconnects: the request is aborted (before headers) or the stream destroyed
+ * - no data moving for STREAM_IDLE_TIMEOUT_MS: stream and client connection are dropped
+ *   (download managers resume with a range request). The timer stops while the pipe is
+ *   paused for a slow client.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { signal, timeout, attach(stream), clientGone }
+ */
+function guardUpstream(req, res) {
+  const controller = new AbortController();
+  let upstream = null;
+  let idleTimer = null;
+
+  res.on('close', () => {
+    clearTimeout(idleTimer);
+    if (res.writableFinished) return;
+    controller.abort();
+    if (upstream && !upstream.destroyed) {
+      logger.debug('Client disconnected - aborting upstream stream');
+      upstream.destroy();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    timeout: STREAM_CONNECT_TIMEOUT_MS,
+
+    attach(stream) {
+      upstream = stream;
+      if (res.destroyed) {
+        stream.destroy();
+        return;
+      }
+
+      const arm = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          logger.warn('Media stream idle - dropping it', { idleMs: STREAM_IDLE_TIMEOUT_MS });
+          stream.destroy();
+          res.destroy();
+        }, STREAM_IDLE_TIMEOUT_MS);
+      };
+      arm();
+      stream.on('data', arm);
+      // No data arrives while the pipe waits for a slow client - that isn't idling
+      stream.on('pause', () => clearTimeout(idleTimer));
+      stream.on('resume', () => {
+        if (!stream.destroyed) arm();
+      });
+      stream.on('close', () => clearTimeout(idleTimer));
+    },
+
+    get clientGone() {
+      return controller.signal.aborted;
+    },
+  };
+}
+
+/**
+ * Get the current stream limits and usage
+ * @returns {Object} { active, queued, clients, limits }
+ */
+function getStreamStatus() {
+  return {
+    active: slots.active,
+    queued: waiting.length,
+    clients: slots.byClient.size,
+    limits: {
+      maxConcurrent: STREAM_MAX_CONCURRENT,
+      maxPerClient: STREAM_MAX_PER_CLIENT,
+      queueSize: STREAM_QUEUE_SIZE,
+      queueTimeoutMs: STREAM_QUEUE_TIMEOUT_MS,
+      connectTimeoutMs: STREAM_CONNECT_TIMEOUT_MS,
+      idleTimeoutMs: STREAM_IDLE_TIMEOUT_MS,
+    },
+  };
+}
+
+module.exports = {
+  limitStreams,
+  guardUpstream,
+  getStreamStatus,
+};
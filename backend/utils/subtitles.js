@@ -0,0 +1,724 @@
+/**
+ * Subtitle Conversion
+ * Pure JS subtitle handling for the subtitle routes. createSubtitleConverter converts a stream
+ * cue by cue (no size limit); convertSubtitle converts a whole file read with readSubtitleStream
+ * (at most MAX_SUBTITLE_BYTES, larger ones get a 413), for the ZIP bundle.
+ * - decoding to text: UTF-8 and UTF-16 (with or without a BOM), Windows-1252 fallback for
+ *   files that are not valid UTF-8
+ * - parsing SubRip (.srt), WebVTT (.vtt) and Advanced SubStation Alpha (.ass/.ssa) into cues
+ * - retiming: a shift in milliseconds and a framerate conversion (e.g. 25 -> 23.976)
+ * - writing srt, vtt, ass or json cues, always UTF-8 (optionally with a BOM)
+ *
+ * Cue: { start, end, text, settings } - start/end in milliseconds, text with "\n" line breaks
+ * and <i>, <b>, <u> tags, settings are WebVTT cue settings (kept for vtt output only)
+ */
+
+const { Transform, pipeline } = require('stream');
+const { CAPTION_LANGUAGE_CODES, LEGACY_LANGUAGE_CODES } = require('../config/constants');
+
+// Subtitles read whole (readSubtitleStream) larger than this are rejected
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
+// Throws on malformed UTF-8 instead of inserting U+FFFD (the BOM is removed by the decoder)
+const UTF8_DECODER = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+// Lines searched for a SubRip timing line when detecting the format
+const DETECT_LINES = 20;
+// Text a streamed subtitle buffers at most while its format is detected
+const DETECT_MAX_CHARS = 64 * 1024;
+// Longest line and cue text kept when streaming (longer cue text is cut)
+const MAX_CUE_CHARS = 64 * 1024;
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'json'];
+
+const CONTENT_TYPES = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  ass: 'text/x-ssa; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+// Windows-1252 characters in 0x80-0x9F (where it differs from Latin-1); undefined bytes stay Latin-1
+const WINDOWS_1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+  0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ',
+  0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+// SRT/VTT timing line: "00:00:01,000 --> 00:00:02,500" (VTT: hours optional, "." and cue settings)
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})(.*)$/;
+
+// Style line of generated .ass files (white text, black outline, bottom centre)
+const ASS_HEADER = [
+  '[Script Info]',
+  'ScriptType: v4.00+',
+  'PlayResX: 384',
+  'PlayResY: 288',
+  'WrapStyle: 0',
+  'ScaledBorderAndShadow: yes',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+  'Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,1,1,2,10,10,10,1',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+].join('\n');
+
+/**
+ * Create an error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function subtitleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Decode Windows-1252 bytes
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Text
+ */
+function decodeWindows1252(buffer) {
+  return Array.from(buffer, byte => WINDOWS_1252[byte] || String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Count the bytes of an incomplete UTF-8 sequence at the end of a chunk
+ * @param {Buffer} buffer - Chunk
+ * @returns {number} Bytes to carry over to the next chunk (0-3)
+ */
+function incompleteUtf8Length(buffer) {
+  for (let back = 1; back <= Math.min(3, buffer.length); back++) {
+    const byte = buffer[buffer.length - back];
+    // Continuation byte - the lead byte is further back
+    if ((byte & 0xc0) === 0x80) continue;
+    const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    return length > back ? back : 0;
+  }
+  return 0;
+}
+
+/**
+ * Create an incremental subtitle decoder
+ * The encoding comes from the BOM: UTF-16 LE/BE, else UTF-8. UTF-8 text switches to
+ * Windows-1252 at the first chunk that is not valid UTF-8 (older subtitles are usually
+ * Windows-1252); everything before it was valid UTF-8, so nothing is decoded twice.
+ * @returns {Object} { write(chunk), end() } - both return the text decoded so far, without a BOM
+ */
+function createSubtitleDecoder() {
+  let encoding = null;
+  let pending = Buffer.alloc(0);
+
+  const decode = (chunk, final) => {
+    let buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    pending = Buffer.alloc(0);
+
+    if (!encoding) {
+      // Wait for enough bytes to see a BOM
+      if (buffer.length < 3 && !final) {
+        pending = buffer;
+        return '';
+      }
+      if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        encoding = 'utf16le';
+        buffer = buffer.subarray(2);
+      } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        encoding = 'utf16be';
+        buffer = buffer.subarray(2);
+      } else {
+        encoding = 'utf8';
+        if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) buffer = buffer.subarray(3);
+      }
+    }
+
+    if (encoding === 'windows-1252') return decodeWindows1252(buffer);
+
+    // Keep a split character for the next chunk (an odd UTF-16 byte is dropped at the end)
+    const carry = encoding === 'utf8'
+      ? (final ? 0 : incompleteUtf8Length(buffer))
+      : buffer.length % 2;
+    const complete = buffer.subarray(0, buffer.length - carry);
+    if (!final) pending = Buffer.from(buffer.subarray(buffer.length - carry));
+
+    if (encoding === 'utf16le') return complete.toString('utf16le');
+    // Node has no UTF-16BE decoder - swap to little endian
+    if (encoding === 'utf16be') return Buffer.from(complete).swap16().toString('utf16le');
+
+    try {
+      return UTF8_DECODER.decode(complete);
+    } catch (error) {
+      encoding = 'windows-1252';
+      pending = Buffer.alloc(0);
+      return decodeWindows1252(buffer);
+    }
+  };
+
+  return {
+    write: chunk => decode(chunk, false),
+    end: () => decode(Buffer.alloc(0), true),
+  };
+}
+
+/**
+ * Decode a subtitle file to text
+ * @param {Buffer} buffer - Raw file
+ * @returns {string} Text without a BOM
+ */
+function decodeSubtitle(buffer) {
+  const decoder = createSubtitleDecoder();
+  return decoder.write(buffer) + decoder.end();
+}
+
+/**
+ * Read a subtitle response stream into a buffer
+ * @param {Object} stream - Readable stream
+ * @param {number|string} [contentLength] - Content-Length of the response, checked before reading
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} 413 if the file is larger than MAX_SUBTITLE_BYTES
+ */
+function readSubtitleStream(stream, contentLength) {
+  return new Promise((resolve, reject) => {
+    if (parseInt(contentLength, 10) > MAX_SUBTITLE_BYTES) {
+      stream.destroy();
+      reject(subtitleError(413, `Subtitle is larger than ${MAX_SUBTITLE_BYTES} bytes`));
+      return;
+    }
+
+    const chunks = [];
+    let length = 0;
+    let ended = false;
+
+    stream.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > MAX_SUBTITLE_BYTES) {
+        reject(subtitleError(413, `Subtitle is larger than ${MAX_SUBTITLE_BYTES} bytes`));
+        stream.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => {
+      ended = true;
+      resolve(Buffer.concat(chunks, length));
+    });
+    stream.on('error', reject);
+    // Destroyed without an error (client gone, idle timeout)
+    stream.on('close', () => {
+      if (!ended) reject(subtitleError(502, 'Subtitle stream closed before it ended'));
+    });
+  });
+}
+
+/**
+ * Detect the format of subtitle text
+ * @param {string} text - Decoded subtitle
+ * @returns {string|null} "srt", "vtt", "ass" or null if unknown
+ */
+function detectSubtitleFormat(text) {
+  const start = text.trimStart();
+  if (/^WEBVTT/.test(start)) return 'vtt';
+  if (/^\[Script Info\]/i.test(start) || /^\[Events\]/im.test(text)) return 'ass';
+  if (text.split(/\r?\n/, DETECT_LINES).some(line => TIMING_LINE.test(line))) return 'srt';
+  return null;
+}
+
+/**
+ * Parse an SRT or WebVTT timestamp
+ * @param {string} value - e.g. "01:02:03,456", "02:03.456" or "1:02:03.4"
+ * @returns {number} Milliseconds
+ */
+function parseTimestamp(value) {
+  const [clock, fraction = '0'] = value.trim().split(/[,.]/);
+  const parts = clock.split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  const [hours, minutes, seconds] = parts;
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + parseInt(fraction.padEnd(3, '0').slice(0, 3), 10);
+}
+
+/**
+ * Create a line-by-line SubRip/WebVTT parser (numbers/identifiers, NOTE, STYLE and REGION
+ * blocks are skipped). Cue text beyond MAX_CUE_CHARS is dropped.
+ * @param {Function} onCue - Called with each cue once it ends
+ * @returns {Object} { line(text), end() }
+ */
+function createTimedTextParser(onCue) {
+  let cue = null;
+
+  const finish = () => {
+    if (cue) onCue({ ...cue, text: cue.text.join('\n') });
+    cue = null;
+  };
+
+  return {
+    line(line) {
+      const timing = line.match(TIMING_LINE);
+      if (timing) {
+        finish();
+        cue = {
+          start: parseTimestamp(timing[1]),
+          end: parseTimestamp(timing[2]),
+          text: [],
+          settings: timing[3].trim(),
+          length: 0,
+        };
+      } else if (!line.trim()) {
+        finish();
+      } else if (cue && cue.length + line.length <= MAX_CUE_CHARS) {
+        cue.text.push(line);
+        cue.length += line.length;
+      }
+    },
+    end: finish,
+  };
+}
+
+/**
+ * Parse SubRip or WebVTT cues
+ * @param {string} text - Decoded subtitle
+ * @returns {Object[]} Cues
+ */
+function parseTimedText(text) {
+  const cues = [];
+  const parser = createTimedTextParser(({ length, ...cue }) => cues.push(cue));
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    parser.line(line);
+  }
+  parser.end();
+  return cues;
+}
+
+/**
+ * Convert ASS override tags to cue text (italic, bold and underline are kept as tags)
+ * @param {string} text - Dialogue text
+ * @returns {string} Cue text
+ */
+function assToText(text) {
+  return text
+    .replace(/\{([^}]*)\}/g, (match, overrides) => {
+      const tags = overrides.match(/\\[ibu][01]/g) || [];
+      return tags.map(tag => `<${tag[2] === '0' ? '/' : ''}${tag[1]}>`).join('');
+    })
+    .replace(/\\[Nn]/g, '\n')
+    .replace(/\\h/g, ' ');
+}
+
+/**
+ * Create a line-by-line ASS/SSA dialogue parser
+ * @param {Function} onCue - Called with the cue of each Dialogue line
+ * @returns {Object} { line(text), end() }
+ */
+function createAssParser(onCue) {
+  let inEvents = false;
+  let fields = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+  return {
+    line(line) {
+      const trimmed = line.trim();
+      if (/^\[.+\]$/.test(trimmed)) {
+        inEvents = trimmed.toLowerCase() === '[events]';
+        return;
+      }
+      if (!inEvents) return;
+
+      if (/^Format\s*:/i.test(trimmed)) {
+        fields = trimmed.replace(/^Format\s*:/i, '').split(',').map(field => field.trim().toLowerCase());
+        return;
+      }
+      if (!/^Dialogue\s*:/i.test(trimmed)) return;
+
+      // Text is the last field and may contain commas
+      const values = trimmed.replace(/^Dialogue\s*:/i, '').split(',');
+      const entry = {};
+      fields.forEach((field, index) => {
+        entry[field] = index === fields.length - 1
+          ? values.slice(index).join(',')
+          : (values[index] || '').trim();
+      });
+      if (!entry.start || !entry.end) return;
+
+      onCue({
+        start: parseTimestamp(entry.start),
+        end: parseTimestamp(entry.end),
+        text: assToText(entry.text || ''),
+        settings: '',
+      });
+    },
+    end() {},
+  };
+}
+
+/**
+ * Parse ASS/SSA dialogue lines
+ * @param {string} text - Decoded subtitle
+ * @returns {Object[]} Cues, sorted by start time
+ */
+function parseAss(text) {
+  const cues = [];
+  const parser = createAssParser(cue => cues.push(cue));
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    parser.line(line);
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse subtitle text into cues
+ * @param {string} text - Decoded subtitle
+ * @returns {Object} { format, cues } - format null (and no cues) when it isn't recognized
+ */
+function parseSubtitle(text) {
+  const format = detectSubtitleFormat(text);
+  if (format === 'ass') return { format, cues: parseAss(text) };
+  if (format) return { format, cues: parseTimedText(text) };
+  return { format: null, cues: [] };
+}
+
+/**
+ * Retime a cue
+ * Framerate conversion scales every time by from/to (a subtitle made for a 25 fps release
+ * plays later on the 23.976 fps one); the shift is applied afterwards. Cues that end before 0
+ * are dropped, cues that start before 0 are cut.
+ * @param {Object} cue - Cue
+ * @param {Object} options - { shiftMs, fromFps, toFps }
+ * @returns {Object|null} Retimed cue, null if it is dropped
+ */
+function retimeCue(cue, { shiftMs = 0, fromFps = null, toFps = null } = {}) {
+  const scale = fromFps && toFps ? fromFps / toFps : 1;
+  const start = Math.round(cue.start * scale) + shiftMs;
+  const end = Math.round(cue.end * scale) + shiftMs;
+  if (end <= 0) return null;
+  return { ...cue, start: Math.max(0, start), end };
+}
+
+/**
+ * Retime cues (see retimeCue)
+ * @param {Object[]} cues - Cues
+ * @param {Object} options - { shiftMs, fromFps, toFps }
+ * @returns {Object[]} Retimed cues
+ */
+function retimeCues(cues, options = {}) {
+  return cues.map(cue => retimeCue(cue, options)).filter(Boolean);
+}
+
+/**
+ * Format milliseconds as a timestamp
+ * @param {number} ms - Milliseconds
+ * @param {string} separator - "," (SRT) or "." (WebVTT)
+ * @returns {string} "HH:MM:SS,mmm"
+ */
+function formatTimestamp(ms, separator) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Format milliseconds as an ASS timestamp
+ * @param {number} ms - Milliseconds
+ * @returns {string} "H:MM:SS.cc"
+ */
+function formatAssTimestamp(ms) {
+  const centiseconds = Math.round(ms / 10);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const seconds = Math.floor((centiseconds % 6000) / 100);
+  const pad = value => String(value).padStart(2, '0');
+  return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(centiseconds % 100)}`;
+}
+
+/**
+ * Start of a subtitle file
+ * @param {string} format - "srt", "vtt", "ass" or "json"
+ * @returns {string} Text before the first cue
+ */
+function formatHeader(format) {
+  if (format === 'json') return '{"cues":[';
+  if (format === 'ass') return `${ASS_HEADER}\n`;
+  if (format === 'vtt') return 'WEBVTT\n';
+  return '';
+}
+
+/**
+ * Write one cue
+ * @param {Object} cue - Cue
+ * @param {number} index - 1-based cue number
+ * @param {string} format - "srt", "vtt", "ass" or "json"
+ * @returns {string} Cue text, including the separator from the previous cue
+ */
+function formatCue(cue, index, format) {
+  if (format === 'json') {
+    const entry = JSON.stringify({ index, start: cue.start, end: cue.end, text: cue.text });
+    return index > 1 ? `,${entry}` : entry;
+  }
+
+  if (format === 'ass') {
+    const text = cue.text
+      .replace(/<(\/?)([ibu])>/gi, (match, close, tag) => `{\\${tag.toLowerCase()}${close ? 0 : 1}}`)
+      .replace(/<[^>]+>/g, '')
+      .replace(/\n/g, '\\N');
+    return `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Default,,0,0,0,,${text}\n`;
+  }
+
+  if (format === 'vtt') {
+    return `\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}\n`;
+  }
+
+  // SubRip only knows <i>, <b>, <u> and <font> - WebVTT voice/class tags are dropped
+  const text = cue.text.replace(/<\/?(?!(?:i|b|u|font)\b)[a-z][^>]*>/gi, '');
+  return `${index > 1 ? '\n' : ''}${index}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${text}\n`;
+}
+
+/**
+ * End of a subtitle file
+ * @param {string} format - "srt", "vtt", "ass" or "json"
+ * @returns {string} Text after the last cue
+ */
+function formatFooter(format) {
+  return format === 'json' ? ']}' : '';
+}
+
+/**
+ * Write cues in a subtitle format
+ * @param {Object[]} cues - Cues
+ * @param {string} format - "srt", "vtt", "ass" or "json"
+ * @returns {string} Subtitle text
+ */
+function formatSubtitle(cues, format) {
+  const body = cues.map((cue, index) => formatCue(cue, index + 1, format)).join('');
+  return `${formatHeader(format)}${body}${formatFooter(format)}`;
+}
+
+/**
+ * Convert a subtitle file
+ * Text is always re-encoded as UTF-8. Without a target format the source format is kept;
+ * an unrecognized source is passed on as text when no conversion or retiming is asked for.
+ * @param {Buffer} buffer - Raw file
+ * @param {Object} options - { format, shiftMs, fromFps, toFps, bom }
+ * @returns {Object} { body, format, contentType } - format null for an unrecognized source
+ * @throws {Error} 422 if the source format is not recognized but a conversion was asked for
+ */
+function convertSubtitle(buffer, options = {}) {
+  const { format: target = null, shiftMs = 0, fromFps = null, toFps = null, bom = false } = options;
+  const text = decodeSubtitle(buffer);
+  const parsed = parseSubtitle(text);
+  const retime = shiftMs !== 0 || (fromFps && toFps && fromFps !== toFps);
+  const format = target || parsed.format;
+  const prefix = bom && format !== 'json' ? '\uFEFF' : '';
+
+  if (!parsed.format) {
+    if (target || retime) {
+      throw subtitleError(422, 'Unsupported subtitle format - only SubRip, WebVTT and ASS/SSA can be converted');
+    }
+    return { body: `${prefix}${text}`, format: null, contentType: 'text/plain; charset=utf-8' };
+  }
+
+  // Same format and no retiming: only the encoding changes
+  if (format === parsed.format && !retime) {
+    return { body: `${prefix}${text}`, format, contentType: CONTENT_TYPES[format] };
+  }
+
+  const cues = retime ? retimeCues(parsed.cues, { shiftMs, fromFps, toFps }) : parsed.cues;
+  return { body: `${prefix}${formatSubtitle(cues, format)}`, format, contentType: CONTENT_TYPES[format] };
+}
+
+/**
+ * Create a streaming subtitle converter
+ * Same conversions as convertSubtitle, applied line by line and written cue by cue, so memory
+ * stays bounded (DETECT_MAX_CHARS while the format is detected, then MAX_CUE_CHARS per cue)
+ * whatever the file size. ASS dialogue is written in file order instead of being sorted.
+ * Nothing is written before the source format is known: await ready, then set the headers.
+ * @param {Object} options - { format, shiftMs, fromFps, toFps, bom }
+ * @returns {Object} Transform (raw bytes in, UTF-8 text out) with a ready promise for
+ *   { format, contentType } - it rejects with a 422 if the source format is not recognized
+ *   but a conversion was asked for (the stream fails too), or with the error that ended the stream
+ */
+function createSubtitleConverter(options = {}) {
+  const { format: target = null, shiftMs = 0, fromFps = null, toFps = null, bom = false } = options;
+  const retime = shiftMs !== 0 || (fromFps && toFps && fromFps !== toFps);
+  const decoder = createSubtitleDecoder();
+
+  // Text buffered until the source format is known
+  let head = '';
+  let detected = false;
+  // Line parser of the source format - null when the text is passed on unchanged
+  let parser = null;
+  let format = null;
+  // Incomplete last line
+  let partial = '';
+  let index = 0;
+
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Also handled by the stream error when nobody awaits it
+  ready.catch(() => {});
+
+  const converter = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        receive(decoder.write(chunk), false);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        receive(decoder.end(), true);
+        if (parser) {
+          if (partial) parser.line(partial.replace(/\r$/, ''));
+          parser.end();
+          converter.push(formatFooter(format));
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    destroy(error, callback) {
+      // No-op once ready resolved
+      rejectReady(error || subtitleError(502, 'Subtitle stream closed before it ended'));
+      callback(error);
+    },
+  });
+
+  const writeCue = (cue) => {
+    const timed = retime ? retimeCue(cue, { shiftMs, fromFps, toFps }) : cue;
+    if (!timed) return;
+    index += 1;
+    converter.push(formatCue(timed, index, format));
+  };
+
+  const writeText = (text) => {
+    if (!parser) {
+      if (text) converter.push(text);
+      return;
+    }
+    // A "\r" at the end may be the first half of "\r\n" - keep it with the partial line
+    const lines = `${partial}${text}`.split(/\r\n|\n|\r(?!$)/);
+    partial = lines.pop();
+    if (partial.length > MAX_CUE_CHARS) {
+      throw subtitleError(422, `Subtitle line is longer than ${MAX_CUE_CHARS} characters`);
+    }
+    lines.forEach(line => parser.line(line));
+  };
+
+  // Pick the output once enough text is buffered (see detectSubtitleFormat)
+  const detect = (final) => {
+    const lineCount = head.split(/\r?\n/, DETECT_LINES + 1).length;
+    if (!final && lineCount <= DETECT_LINES && head.length < DETECT_MAX_CHARS) return false;
+
+    const source = detectSubtitleFormat(head);
+    // An [Events] section may still follow
+    if (!source && !final && head.length < DETECT_MAX_CHARS) return false;
+
+    if (!source) {
+      if (target || retime) {
+        throw subtitleError(422, 'Unsupported subtitle format - only SubRip, WebVTT and ASS/SSA can be converted');
+      }
+      resolveReady({ format: null, contentType: 'text/plain; charset=utf-8' });
+    } else {
+      format = target || source;
+      // Same format and no retiming: only the encoding changes
+      if (format !== source || retime) {
+        parser = source === 'ass' ? createAssParser(writeCue) : createTimedTextParser(({ length, ...cue }) => writeCue(cue));
+      }
+      resolveReady({ format, contentType: CONTENT_TYPES[format] });
+    }
+
+    if (bom && format !== 'json') converter.push('\uFEFF');
+    if (parser) converter.push(formatHeader(format));
+    return true;
+  };
+
+  const receive = (text, final) => {
+    if (detected) {
+      writeText(text);
+      return;
+    }
+    head += text;
+    detected = detect(final);
+    if (detected) {
+      const buffered = head;
+      head = '';
+      writeText(buffered);
+    }
+  };
+
+  converter.ready = ready;
+  return converter;
+}
+
+/**
+ * Convert a subtitle stream with createSubtitleConverter
+ * Pipe the returned stream with stream.pipeline: a failure after the format is known
+ * destroys it, which cuts the response
+ * @param {Object} source - Readable stream of the raw file
+ * @param {Object} options - createSubtitleConverter options
+ * @returns {Promise<Object>} { stream, format, contentType } once the source format is known
+ */
+async function convertSubtitleStream(source, options = {}) {
+  const converter = createSubtitleConverter(options);
+  // Errors reach the caller through ready, or through the converter once it is piped
+  pipeline(source, converter, () => {});
+  const { format, contentType } = await converter.ready;
+  return { stream: converter, format, contentType };
+}
+
+/**
+ * Parse a framerate conversion option
+ * @param {string} value - "<from>:<to>", e.g. "25:23.976"
+ * @returns {Object|null} { fromFps, toFps } or null when not set
+ * @throws {Error} 400 if a framerate is not positive
+ */
+function parseFramerates(value) {
+  if (!value) return null;
+  const [fromFps, toFps] = String(value).split(':').map(Number);
+  if (!(fromFps > 0) || !(toFps > 0)) {
+    throw subtitleError(400, 'fps must be two positive framerates, e.g. 25:23.976');
+  }
+  return { fromFps, toFps };
+}
+
+/**
+ * ISO 639 code of a caption from the download metadata
+ * The language name wins (its code is unambiguous); otherwise the language part of lan
+ * ("en", "in_id", "pt-BR") is used, with withdrawn codes replaced.
+ * @param {Object} caption - Caption ({ lan, lanName })
+ * @returns {string} ISO 639-1 code (639-2 where there is none), "und" if unknown
+ */
+function captionLanguageCode(caption) {
+  const name = String(caption.lanName || '').trim().toLowerCase().split(/[\s(]/)[0];
+  if (CAPTION_LANGUAGE_CODES[name]) return CAPTION_LANGUAGE_CODES[name];
+
+  const code = String(caption.lan || '').trim().toLowerCase().split(/[_-]/)[0];
+  if (!/^[a-z]{2,3}$/.test(code)) return 'und';
+  return LEGACY_LANGUAGE_CODES[code] || code;
+}
+
+module.exports = {
+  MAX_SUBTITLE_BYTES,
+  SUBTITLE_FORMATS,
+  decodeSubtitle,
+  readSubtitleStream,
+  detectSubtitleFormat,
+  parseSubtitle,
+  retimeCues,
+  formatSubtitle,
+  convertSubtitle,
+  createSubtitleConverter,
+  convertSubtitleStream,
+  parseFramerates,
+  captionLanguageCode,
+};
@@ -0,0 +1,198 @@
+/**
+ * Download Tokens
+ * Opaque, HMAC-signed, expiring tokens that stand in for CDN URLs and session cookies
+ * in download links. The URL, cookies and filename metadata stay on the server.
+ *
+ * Token format: <id>.<expiresAt base36>.<signature> (base64url HMAC-SHA256 of "<id>.<expiresAt>")
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger').createLogger({ module: 'tokens' });
+
+// Signing secret - a random per-process secret is used when not configured
+// (tokens then stop working after a restart, which the short TTL makes acceptable)
+const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+// How long a token stays valid (ms) - long enough to resume a large download
+const DOWNLOAD_TOKEN_TTL_MS = parseInt(process.env.DOWNLOAD_TOKEN_TTL_MS, 10) || 6 * 60 * 60 * 1000;
+// Maximum number of stored tokens before the oldest is evicted
+const DOWNLOAD_TOKEN_MAX_ENTRIES = parseInt(process.env.DOWNLOAD_TOKEN_MAX_ENTRIES, 10) || 5000;
+
+const TOKEN_KINDS = {
+  MEDIA: 'media',
+  SUBTITLE: 'subtitle',
+  // HLS playback session: the master playlist URL and the cookies for its playlists and segments
+  HLS: 'hls',
+};
+
+if (!process.env.DOWNLOAD_TOKEN_SECRET) {
+  logger.info('DOWNLOAD_TOKEN_SECRET not set - using a random secret (download tokens end with the process)');
+}
+
+// Token id -> { kind, url, cookies, metadata, expiresAt }
+const entries = new Map();
+
+/**
+ * Sign a token payload
+ * @param {string} payload - "<id>.<expiresAt>"
+ * @returns {string} base64url signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', DOWNLOAD_TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create an error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function tokenError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Drop expired entries and evict the oldest beyond the size limit
+ */
+function prune() {
+  const now = Date.now();
+  for (const [id, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(id);
+  }
+  while (entries.size > DOWNLOAD_TOKEN_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Issue a download token
+ * @param {Object} options - Token contents
+ * @param {string} options.kind - TOKEN_KINDS.MEDIA, TOKEN_KINDS.SUBTITLE or TOKEN_KINDS.HLS
+ * @param {string} options.url - CDN URL
+ * @param {string} options.cookies - Session cookies required by the CDN
+ * @param {Object} options.metadata - Filename metadata (subjectId, detailPath, season, episode, resolution, language, ...)
+ * @param {number} options.ttlMs - Lifetime (default: DOWNLOAD_TOKEN_TTL_MS)
+ * @returns {string} Token
+ */
+function issueDownloadToken({ kind = TOKEN_KINDS.MEDIA, url, cookies = null, metadata = {}, ttlMs = DOWNLOAD_TOKEN_TTL_MS }) {
+  const id = crypto.randomBytes(16).toString('base64url');
+  const expiresAt = Date.now() + ttlMs;
+
+  entries.set(id, { kind, url, cookies, metadata, expiresAt });
+  if (entries.size > DOWNLOAD_TOKEN_MAX_ENTRIES) {
+    prune();
+  }
+
+  const payload = `${id}.${expiresAt.toString(36)}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Resolve a download token
+ * @param {string} token - Token from the query string
+ * @param {string} kind - Expected kind (null to accept any)
+ * @returns {Object} { kind, url, cookies, metadata, expiresAt }
+ * @throws {Error} 401 if the token is malformed or forged, 410 if it expired or is unknown
+ */
+function resolveDownloadToken(token, kind = null) {
+  const [id, expiresPart, signature, ...rest] = String(token || '').split('.');
+  if (!id || !expiresPart || !signature || rest.length > 0) {
+    throw tokenError(401, 'Invalid download token');
+  }
+
+  const expected = Buffer.from(sign(`${id}.${expiresPart}`));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw tokenError(401, 'Invalid download token');
+  }
+
+  if (parseInt(expiresPart, 36) <= Date.now()) {
+    entries.delete(id);
+    throw tokenError(410, 'Download token expired - fetch the download metadata again');
+  }
+
+  // Signed but unknown: issued before a restart or evicted
+  const entry = entries.get(id);
+  if (!entry) {
+    throw tokenError(410, 'Download token is no longer available - fetch the download metadata again');
+  }
+  if (kind && entry.kind !== kind) {
+    throw tokenError(400, `This token is for a ${entry.kind} download`);
+  }
+  return entry;
+}
+
+/**
+ * Express middleware replacing a ?token= with the url, cookies and filename metadata it stands for
+ * Explicit non-secret query values (e.g. title) win over the stored metadata; url and cookies
+ * always come from the token
+ * @param {string} kind - Expected token kind
+ * @returns {Function} Express middleware
+ */
+function applyDownloadToken(kind) {
+  return (req, res, next) => {
+    const { token } = req.query;
+    if (!token) return next();
+
+    let entry;
+    try {
+      entry = resolveDownloadToken(token, kind);
+    } catch (error) {
+      if (req.method === 'HEAD') {
+        return res.status(error.status).end();
+      }
+      return res.status(error.status).json({
+        error: 'Invalid download token',
+        message: error.message,
+      });
+    }
+
+    for (const [name, value] of Object.entries(entry.metadata || {})) {
+      if (req.query[name] === undefined && value !== undefined && value !== null) {
+        req.query[name] = value;
+      }
+    }
+    req.query.url = entry.url;
+    req.query.cookies = entry.cookies || undefined;
+    req.downloadToken = entry;
+    next();
+  };
+}
+
+/**
+ * Whether download routes accept raw url/cookies query parameters (legacy clients)
+ * Opt-in: session cookies in links end up in browser history, referrers and access logs
+ * @returns {boolean} True only when ALLOW_RAW_DOWNLOAD_PARAMS=true
+ */
+function rawDownloadParamsAllowed() {
+  return process.env.ALLOW_RAW_DOWNLOAD_PARAMS === 'true';
+}
+
+/**
+ * Express middleware rejecting raw url/cookies parameters when only tokens are allowed
+ * Must run after applyDownloadToken
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireDownloadToken(req, res, next) {
+  if (req.downloadToken || rawDownloadParamsAllowed()) return next();
+
+  if (req.method === 'HEAD') {
+    return res.status(400).end();
+  }
+  res.status(400).json({
+    error: 'token query parameter is required',
+    message: 'Raw url and cookies parameters are disabled - use the token from the download metadata',
+  });
+}
+
+module.exports = {
+  TOKEN_KINDS,
+  issueDownloadToken,
+  resolveDownloadToken,
+  applyDownloadToken,
+  rawDownloadParamsAllowed,
+  requireDownloadToken,
+};
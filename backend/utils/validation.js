@@ -0,0 +1,190 @@
+/**
+ * Request Validation
+ * Validates and coerces path, query and body params against the OpenAPI document
+ */
+
+const { openApiDocument } = require('../config/openapi');
+
+/**
+ * Convert an Express route path to an OpenAPI path ("/movie/:subjectId" -> "/movie/{subjectId}")
+ * @param {string} routePath - Express route path
+ * @returns {string} OpenAPI path
+ */
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Documented path of the matched route: the router's mount path (without the /api alias) and
+ * the route path, e.g. "/api/v2" + "/search" -> "/v2/search", "/api" + "/stream" -> "/stream"
+ * @param {Object} req - Express request with a matched route
+ * @returns {string} Express route path
+ */
+function documentedRoutePath(req) {
+  const mountPath = (req.baseUrl || '').replace(/^\/api(?=\/|$)/, '');
+  const routePath = `${mountPath}${req.route.path}`;
+  return routePath.length > 1 ? routePath.replace(/\/$/, '') : routePath;
+}
+
+/**
+ * Find the operation for a method and Express route path
+ * @param {string} method - HTTP method
+ * @param {string} routePath - Express route path
+ * @param {Object} document - OpenAPI document
+ * @returns {Object|null} Operation or null if the route isn't documented
+ */
+function findOperation(method, routePath, document = openApiDocument) {
+  const pathItem = document.paths[toOpenApiPath(routePath)];
+  return pathItem?.[method.toLowerCase()] || null;
+}
+
+/**
+ * Coerce and validate a single value against a schema
+ * Query and path values arrive as strings; JSON bodies may already be typed
+ * @param {*} value - Raw value
+ * @param {Object} schema - OpenAPI schema (type, enum, minimum, maximum, minLength, maxLength, pattern, format)
+ * @returns {Object} { value, error } - error is a message or null
+ */
+function coerceValue(value, schema = {}) {
+  let coerced = value;
+
+  if (Array.isArray(coerced)) {
+    return { value, error: 'must be a single value' };
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const text = String(coerced).trim();
+    const pattern = schema.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+    if (!pattern.test(text)) {
+      return { value, error: `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    coerced = Number(text);
+    if (schema.minimum !== undefined && coerced < schema.minimum) {
+      return { value, error: `must be at least ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && coerced > schema.maximum) {
+      return { value, error: `must be at most ${schema.maximum}` };
+    }
+  } else if (schema.type === 'boolean') {
+    const text = String(coerced).trim().toLowerCase();
+    if (['', 'true', '1'].includes(text)) {
+      coerced = true;
+    } else if (['false', '0'].includes(text)) {
+      coerced = false;
+    } else {
+      return { value, error: 'must be a boolean' };
+    }
+  } else if (schema.type === 'string') {
+    if (typeof coerced === 'object' && coerced !== null) {
+      return { value, error: 'must be a string' };
+    }
+    coerced = String(coerced);
+    if (schema.minLength !== undefined && coerced.trim().length < schema.minLength) {
+      return { value, error: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength !== undefined && coerced.length > schema.maxLength) {
+      return { value, error: `must be at most ${schema.maxLength} characters` };
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(coerced)) {
+      return { value, error: `must match ${schema.pattern}` };
+    }
+    if (schema.format === 'uri' && !/^https?:\/\/[^\s]+$/i.test(coerced)) {
+      return { value, error: 'must be an http(s) URL' };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    return { value, error: `must be one of: ${schema.enum.join(', ')}` };
+  }
+
+  return { value: coerced, error: null };
+}
+
+/**
+ * Validate and coerce a request against an operation
+ * Coerced values replace the raw ones on req.params, req.query and req.body
+ * @param {Object} req - Express request
+ * @param {Object} operation - OpenAPI operation
+ * @returns {Object[]} Validation errors ({ in, name, message })
+ */
+function validateRequest(req, operation) {
+  const errors = [];
+  const sources = { path: req.params || {}, query: req.query || {} };
+
+  for (const parameter of operation.parameters || []) {
+    const source = sources[parameter.in];
+    if (!source) continue;
+
+    const raw = source[parameter.name];
+    if (raw === undefined || (raw === '' && parameter.schema?.type !== 'boolean')) {
+      if (parameter.required) {
+        errors.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(raw, parameter.schema);
+    if (error) {
+      errors.push({ in: parameter.in, name: parameter.name, message: error });
+    } else {
+      source[parameter.name] = value;
+    }
+  }
+
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  if (bodySchema) {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    req.body = body;
+
+    for (const [name, schema] of Object.entries(bodySchema.properties || {})) {
+      const raw = body[name];
+      if (raw === undefined || raw === null || raw === '') {
+        if ((bodySchema.required || []).includes(name)) {
+          errors.push({ in: 'body', name, message: 'is required' });
+        }
+        continue;
+      }
+
+      const { value, error } = coerceValue(raw, schema);
+      if (error) {
+        errors.push({ in: 'body', name, message: error });
+      } else {
+        body[name] = value;
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Express middleware validating the matched route against the OpenAPI document
+ * Use it as route middleware (it needs req.route); undocumented routes pass through unchanged
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validate(req, res, next) {
+  const operation = req.route ? findOperation(req.method, documentedRoutePath(req)) : null;
+  if (!operation) return next();
+
+  const errors = validateRequest(req, operation);
+  if (errors.length === 0) return next();
+
+  const message = errors.map(error => `${error.name} ${error.message}`).join('; ');
+  if (req.method === 'HEAD') {
+    return res.status(400).end();
+  }
+  res.status(400).json({
+    error: 'Invalid request parameters',
+    message,
+    details: errors,
+  });
+}
+
+module.exports = {
+  findOperation,
+  coerceValue,
+  validateRequest,
+  validate,
+};
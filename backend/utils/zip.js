@@ -0,0 +1,166 @@
+/**
+ * ZIP Writer
+ * Builds a ZIP archive on the fly: every file is written to the output as soon as it is added,
+ * the central directory follows on finish(). Files are added whole (their CRC-32 and sizes go
+ * into the local header, so no data descriptors are needed), which suits small files such as
+ * subtitles. No ZIP64 - archives must stay below 4 GB and 65535 files.
+ */
+
+const zlib = require('zlib');
+
+// Deflated unless that doesn't make the file smaller
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+const VERSION_NEEDED = 20;
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC_TABLE = new Int32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = -1;
+  for (let index = 0; index < buffer.length; index++) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (local time, 2 second precision)
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Create a ZIP archive writing to a stream
+ * @param {Object} output - Writable stream (e.g. an Express response)
+ * @returns {Object} { addFile(name, data, modified), finish() } - both return promises that
+ * resolve once the output accepted the data
+ */
+function createZipStream(output) {
+  const entries = [];
+  let offset = 0;
+
+  /**
+   * Write to the output, waiting for it to drain when its buffer is full
+   * @param {Buffer} chunk - Data
+   * @returns {Promise<void>} Resolves when more data may be written
+   */
+  const write = (chunk) => {
+    offset += chunk.length;
+    if (output.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const done = (error) => {
+        output.off('drain', done);
+        output.off('close', gone);
+        if (error) reject(error); else resolve();
+      };
+      const gone = () => done(new Error('Output closed while writing the archive'));
+      output.on('drain', done);
+      output.on('close', gone);
+    });
+  };
+
+  return {
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive ("/" separated)
+     * @param {Buffer|string} data - Contents (strings are written as UTF-8)
+     * @param {Date} modified - Modification time (default: now)
+     * @returns {Promise<void>} Resolves once the file is written
+     */
+    addFile(name, data, modified = new Date()) {
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+      const deflated = zlib.deflateRawSync(content);
+      const method = deflated.length < content.length ? METHOD_DEFLATE : METHOD_STORE;
+      const body = method === METHOD_DEFLATE ? deflated : content;
+      const fileName = Buffer.from(name, 'utf8');
+
+      const entry = {
+        fileName,
+        method,
+        crc: crc32(content),
+        compressedSize: body.length,
+        size: content.length,
+        offset,
+        ...toDosDateTime(modified),
+      };
+      entries.push(entry);
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(VERSION_NEEDED, 4);
+      header.writeUInt16LE(FLAG_UTF8, 6);
+      header.writeUInt16LE(method, 8);
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(fileName.length, 26);
+      header.writeUInt16LE(0, 28);
+
+      return write(Buffer.concat([header, fileName, body]));
+    },
+
+    /**
+     * Write the central directory and end the output
+     * @returns {Promise<void>} Resolves once the archive is complete
+     */
+    async finish() {
+      const directoryOffset = offset;
+      const records = entries.map((entry) => {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(VERSION_NEEDED, 4);
+        record.writeUInt16LE(VERSION_NEEDED, 6);
+        record.writeUInt16LE(FLAG_UTF8, 8);
+        record.writeUInt16LE(entry.method, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.fileName.length, 28);
+        // Extra field, comment, disk number, internal and external attributes stay 0
+        record.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([record, entry.fileName]);
+      });
+      const directory = Buffer.concat(records);
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+
+      await write(Buffer.concat([directory, end]));
+      output.end();
+    },
+  };
+}
+
+module.exports = {
+  crc32,
+  createZipStream,
+};
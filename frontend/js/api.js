@@ -210,15 +210,11 @@ async function getDownloadMetadata(subjectId, detailPath, season = 0, episode =
   const responseData = response.data || response;
   const data = responseData.data || responseData;
   
-  // Extract cookies from response (required for media file downloads)
-  const cookies = responseData._cookies || response._cookies || null;
-  
   // Debug logging
   console.log('Download metadata response structure:', {
     hasResponseData: !!responseData,
     hasData: !!data,
     downloadsCount: data?.downloads?.length || 0,
-    hasCookies: !!cookies,
     firstDownload: data?.downloads?.[0] || null,
   });
   
@@ -247,6 +243,7 @@ async function getDownloadMetadata(subjectId, detailPath, season = 0, episode =
     return {
       id: download.id,
       url: mediaUrl, // Use resource.url if available, otherwise download.url
+      token: download.token || null, // Signed download token (stands in for url + cookies)
       resolution: download.resolution,
       size: size, // File size in bytes (as string from API, e.g., "623914683")
       hasResource: hasResourceFlag, // Include hasResource flag for filtering
@@ -281,6 +278,7 @@ async function getDownloadMetadata(subjectId, detailPath, season = 0, episode =
   const captions = (data.captions || []).map(caption => ({
     id: caption.id,
     url: caption.url,
+    token: caption.token || null, // Signed download token (stands in for url + cookies)
     lan: caption.lan,
     lanName: caption.lanName,
     size: caption.size || caption.fileSize || null, // File size in bytes (as string from API)
@@ -305,7 +303,6 @@ async function getDownloadMetadata(subjectId, detailPath, season = 0, episode =
     limitedCode: data.limitedCode || '',
     freeNum: data.freeNum || 0,
     hasResource: finalDownloads.length > 0, // Update hasResource based on filtered results
-    cookies: cookies, // Return cookies so frontend can pass them to download endpoint
   };
 }
 
@@ -333,6 +330,37 @@ async function getPlayMetadata(subjectId, detailPath, season = 0, episode = 0) {
   });
 }
 
+/**
+ * Build the playback URL of a stream from the play metadata (range requests supported for seeking)
+ * @param {string} token - Stream token from the play metadata
+ * @returns {string} URL
+ */
+function getStreamUrl(token) {
+  return getConfig().buildApiUrl(`/api/stream?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Build the URL of a caption converted to WebVTT, for <track> elements
+ * @param {string} token - Caption token from the download metadata
+ * @returns {string} URL
+ */
+function getSubtitleTrackUrl(token) {
+  return getConfig().buildApiUrl(`/api/subtitle-vtt?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Build the URL of a ZIP archive with every subtitle of a movie or episode
+ * @param {string} subjectId - Movie/TV series ID
+ * @param {string} detailPath - Detail path
+ * @param {number} season - Season number (0 for movies)
+ * @param {number} episode - Episode number (0 for movies)
+ * @returns {string} URL
+ */
+function getSubtitleBundleUrl(subjectId, detailPath, season = 0, episode = 0) {
+  const params = new URLSearchParams({ subjectId, detailPath, se: season, ep: episode });
+  return getConfig().buildApiUrl(`/api/download-subtitle-bundle?${params.toString()}`);
+}
+
 /**
  * Get recommendations
  * @param {string} subjectId - Movie/TV series ID
@@ -346,6 +374,45 @@ async function getRecommendations(subjectId, page = 1, perPage = 24) {
   });
 }
 
+/**
+ * Get the subjects with local copies in the server's media library
+ * @returns {Promise} { scannedAt, subjects: [{ subjectId, detailPath, title, year, files, episodes }] }
+ */
+async function getLibrarySubjects() {
+  return apiRequest('/api/library/subjects');
+}
+
+/**
+ * Get the local copies of a subject in the server's media library
+ * @param {string} subjectId - Movie/TV series ID
+ * @returns {Promise} { scannedAt, items }
+ */
+async function getLibrary(subjectId) {
+  return apiRequest('/api/library', {
+    params: subjectId ? { subjectId } : null,
+  });
+}
+
+/**
+ * Build the playback URL of a local copy (range requests supported for seeking)
+ * @param {string} id - Library item ID
+ * @param {boolean} asDownload - Download the file instead of playing it
+ * @returns {string} URL
+ */
+function getLibraryStreamUrl(id, asDownload = false) {
+  return getConfig().buildApiUrl(`/api/library/${encodeURIComponent(id)}/stream${asDownload ? '?download=1' : ''}`);
+}
+
+/**
+ * Build the URL of a subtitle saved next to a local copy, converted to WebVTT for <track>
+ * @param {string} id - Library item ID
+ * @param {string} language - Subtitle language code
+ * @returns {string} Subtitle URL
+ */
+function getLibrarySubtitleUrl(id, language) {
+  return getConfig().buildApiUrl(`/api/library/${encodeURIComponent(id)}/subtitles/${encodeURIComponent(language)}?format=vtt`);
+}
+
 /**
  * Download file with progress tracking
  * @param {string} url - File URL
@@ -453,7 +520,14 @@ const api = {
   getMovieDetails,
   getDownloadMetadata,
   getPlayMetadata,
+  getStreamUrl,
+  getSubtitleTrackUrl,
+  getSubtitleBundleUrl,
   getRecommendations,
+  getLibrarySubjects,
+  getLibrary,
+  getLibraryStreamUrl,
+  getLibrarySubtitleUrl,
   download,
   downloadSubtitle,
 };
@@ -58,6 +58,9 @@ function initApp() {
   } else if (path.includes('movie-detail.html')) {
     // Movie detail page
     initMovieDetailPage();
+  } else if (path.includes('watch.html')) {
+    // Watch page (js/watch.js)
+    initWatchPage();
   } else {
     // Homepage
     initHomePage();
@@ -191,6 +194,9 @@ function renderHomeSection(section, container, index) {
         });
       });
       
+      // Badge subjects that are already downloaded to the server
+      ui.markDownloadedCards(sectionElement);
+      
       // Setup lazy loading for newly added images
       setTimeout(() => {
         if (typeof setupLazyLoading === 'function') {
@@ -387,6 +393,7 @@ function renderMovieSection(title, subjects) {
           ${hasEnglish ? `<span class="english-audio-badge">
             <i class="bi bi-volume-up-fill"></i> EN
           </span>` : ''}
+          ${ui.isDownloaded(subjectId) ? ui.createDownloadedBadge() : ''}
         </div>
         <div class="card-body">
           <h5 class="card-title movie-card-title">${subjectTitle}</h5>
@@ -556,6 +563,9 @@ async function initMovieDetailPage() {
 
     // Load recommendations
     loadRecommendations(subjectId);
+
+    // Show copies already downloaded to the server
+    loadLocalCopies(subjectId);
   } catch (error) {
     console.error('Error loading movie details:', error);
     // Redirect to 404 page on any error
@@ -768,6 +778,7 @@ function renderMovieDetails(movieData) {
                               const subtitles = subject.subtitles || metadata.subtitles || '';
                               const subtitleList = subtitles ? subtitles.split(',').map(s => s.trim()) : [];
                               let options = '<option value="None">No Subtitles</option>';
+                              options += '<option value="All">All Languages (ZIP)</option>';
                               if (subtitleList.length > 0) {
                                 options += subtitleList.map(sub => 
                                   `<option value="${sub}">${sub}</option>`
@@ -788,6 +799,9 @@ function renderMovieDetails(movieData) {
                         <button id="download-btn" class="btn btn-primary download-btn w-100">
                           <i class="bi bi-download"></i> <span>Download</span>
                         </button>
+                        <button id="watch-btn" class="btn btn-outline-light watch-btn w-100">
+                          <i class="bi bi-play-fill"></i> <span>Watch</span>
+                        </button>
                       </div>
                     </div>
                   </div>
@@ -848,6 +862,11 @@ function renderMovieDetails(movieData) {
           </div>
         ` : ''}
         
+        <div id="local-copies-section" class="movie-local-copies mb-4" style="display: none;">
+          <h3 class="content-section-title">Local Copies</h3>
+          <div id="local-copies-content"></div>
+        </div>
+        
         ${trailer ? `
           <div class="movie-trailer mb-4">
             <h3 class="content-section-title">Trailer</h3>
@@ -942,6 +961,20 @@ function renderMovieDetails(movieData) {
     }
   }
 
+  // Open the selected movie/episode on the watch page
+  const watchBtn = document.getElementById('watch-btn');
+  if (watchBtn) {
+    watchBtn.addEventListener('click', () => {
+      const params = new URLSearchParams({ id: subjectId, path: detailPath });
+      const episode = isTVSeries ? parseInt(document.getElementById('episode-selector')?.value, 10) || 0 : 0;
+      if (episode > 0) {
+        params.set('se', document.getElementById('season-selector')?.value || 1);
+        params.set('ep', episode);
+      }
+      window.location.href = `watch.html?${params.toString()}`;
+    });
+  }
+
   downloadBtn.addEventListener('click', async () => {
     console.log('=== DOWNLOAD BUTTON CLICKED ===');
     
@@ -1204,10 +1237,6 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
     console.log('Metadata received:', { 
       hasResource: metadata.hasResource, 
       downloadsCount: metadata.downloads?.length || 0,
-      hasCookies: !!metadata.cookies,
-      cookiesPreview: metadata.cookies ? metadata.cookies.substring(0, 100) + '...' : 'NO COOKIES',
-      cookiesLength: metadata.cookies ? metadata.cookies.length : 0,
-      hasI18nLang: metadata.cookies ? metadata.cookies.includes('i18n_lang') : false,
     });
     
     // Check if content is limited (rate-limited by API)
@@ -1225,8 +1254,6 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
     
     const downloads = metadata.downloads || [];
     const captions = metadata.captions || [];
-    // Extract cookies from metadata response (CRITICAL: required for media file downloads)
-    const cookies = metadata.cookies || null;
 
     // Filter downloads to only include entries with valid URLs (additional safety check)
     const availableDownloads = downloads.filter(download => {
@@ -1262,12 +1289,14 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
     if (!selectedFile || !selectedFile.url) {
       throw new Error('No video file available for selected quality');
     }
+    if (!selectedFile.token) {
+      throw new Error('Download link is missing its token - please reload the page and try again');
+    }
 
     // Log the selected file URL (which should be resource.url if available)
     console.log('Selected file for download:', {
       resolution: selectedFile.resolution,
-      urlPreview: selectedFile.url ? selectedFile.url.substring(0, 100) + '...' : 'MISSING URL',
-      hasCookies: !!cookies,
+      hasToken: !!selectedFile.token,
     });
 
     // Format file size for display
@@ -1278,44 +1307,21 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
     const titleElement = document.querySelector('.movie-detail-info h1, .pc-title');
     const title = titleElement ? titleElement.textContent.trim().split('(')[0].trim() : null;
 
-    // Build query parameters for download proxy with metadata for filename generation
-    const params = new URLSearchParams({
-      url: selectedFile.url,
-      detailPath: detailPath
-    });
-    
-    // CRITICAL: Add cookies to query params (required for MovieBox media downloads)
-    if (cookies) {
-      params.append('cookies', cookies);
-      console.log('Cookies added to download params:', cookies.substring(0, 100) + '...');
-      console.log('Cookies full length:', cookies.length);
-    } else {
-      console.warn('WARNING: No cookies available for download!');
-    }
-    
-    // Add subjectId if available
-    if (subjectId) {
-      params.append('subjectId', subjectId);
-    }
+    // Build query parameters for download proxy
+    // The signed token stands in for the CDN URL, the session cookies and the filename metadata,
+    // so none of them end up in the link, browser history or access logs
+    const params = new URLSearchParams();
+    params.append('token', selectedFile.token);
     
     // Add title if available
     if (title) {
       params.append('title', title);
     }
     
-    // Add season/episode for TV series
-    if (season && episode && parseInt(season) > 0 && parseInt(episode) > 0) {
-      params.append('season', season);
-      params.append('episode', episode);
-    }
-    
-    // Add quality and resolution
+    // Add quality
     if (quality) {
       params.append('quality', quality);
     }
-    if (selectedFile.resolution) {
-      params.append('resolution', `${selectedFile.resolution}p`);
-    }
 
     // Use proxy endpoint for download with proper headers
     // CRITICAL: Use full backend URL (not relative) so downloads go to Railway, not Vercel
@@ -1325,8 +1331,6 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
     console.log('=== DOWNLOAD ATTEMPT ===');
     console.log('Proxy URL:', proxyUrl);
     console.log('Config API_BASE_URL:', config.API_BASE_URL);
-    console.log('Selected file URL preview:', selectedFile.url ? selectedFile.url.substring(0, 100) + '...' : 'MISSING');
-    console.log('Has cookies:', !!cookies);
     
     // CRITICAL: Download immediately after getting signed URL to prevent expiration
     // Signed URLs (with sign= and t= parameters) expire quickly, so we must use them immediately
@@ -1378,8 +1382,19 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
       throw error; // Re-throw to be caught by outer catch block
     }
 
-    // Download subtitle if selected
-    if (subtitleLang && subtitleLang !== 'None' && captions.length > 0) {
+    // Download every subtitle as one ZIP archive
+    if (subtitleLang === 'All' && captions.length > 0) {
+      // Small delay to avoid browser blocking multiple downloads
+      setTimeout(() => {
+        const bundleLink = document.createElement('a');
+        bundleLink.href = api.getSubtitleBundleUrl(subjectId, detailPath, season, episode);
+        bundleLink.download = ''; // Let backend determine filename
+        document.body.appendChild(bundleLink);
+        bundleLink.click();
+        document.body.removeChild(bundleLink);
+      }, 500);
+    } else if (subtitleLang && subtitleLang !== 'None' && captions.length > 0) {
+      // Download subtitle if selected
       // Find caption by language name (e.g., "English", "Français")
       const subtitleFile = captions.find(c => 
         c.lanName === subtitleLang || 
@@ -1387,16 +1402,12 @@ async function handleBrowserDownload(subjectId, detailPath, quality, subtitleLan
         (c.lanName && c.lanName.toLowerCase().includes(subtitleLang.toLowerCase()))
       );
       
-      if (subtitleFile && subtitleFile.url) {
+      if (subtitleFile && subtitleFile.token) {
         // Small delay to avoid browser blocking multiple downloads
         setTimeout(() => {
-          // Build subtitle download URL with cookies if available
-          const subtitleParams = new URLSearchParams({
-            url: subtitleFile.url,
-          });
-          if (cookies) {
-            subtitleParams.append('cookies', cookies);
-          }
+          // Build subtitle download URL from the signed token
+          const subtitleParams = new URLSearchParams();
+          subtitleParams.append('token', subtitleFile.token);
           // CRITICAL: Use full backend URL (not relative) so downloads go to Railway, not Vercel
           const subtitleUrl = config.buildApiUrl(`/api/download-subtitle?${subtitleParams.toString()}`);
           
@@ -1452,6 +1463,72 @@ async function loadRecommendations(subjectId) {
   }
 }
 
+/**
+ * Load the local copies of a subject from the server's media library
+ * Shows a player and one entry per file; the section stays hidden when there are none
+ * @param {string} subjectId - Movie/TV series ID
+ */
+async function loadLocalCopies(subjectId) {
+  const section = document.getElementById('local-copies-section');
+  const container = document.getElementById('local-copies-content');
+  if (!section || !container) return;
+
+  let items = [];
+  try {
+    const data = await api.getLibrary(subjectId);
+    items = data.items || [];
+  } catch (error) {
+    console.warn('Library not available:', error.message);
+    return;
+  }
+  if (items.length === 0) return;
+
+  container.innerHTML = `
+    <div class="trailer-container local-player-container" style="display: none;">
+      <video id="local-player" class="trailer-video" controls preload="metadata"></video>
+    </div>
+    <div class="local-copies-list">
+      ${items.map(item => {
+        const episodeLabel = item.episode > 0
+          ? `S${String(item.season).padStart(2, '0')}E${String(item.episode).padStart(2, '0')}`
+          : 'Movie';
+        return `
+          <div class="local-copy-item">
+            <div class="local-copy-info">
+              <span class="local-copy-episode">${episodeLabel}</span>
+              ${item.resolution ? `<span class="keyword-badge">${item.resolution}p</span>` : ''}
+              <span class="local-copy-size">${ui.formatFileSize(item.size)}</span>
+            </div>
+            <div class="local-copy-actions">
+              <button class="btn btn-sm btn-primary local-copy-play" data-id="${item.id}">
+                <i class="bi bi-play-fill"></i> Play
+              </button>
+              <a class="btn btn-sm btn-outline-light" href="${api.getLibraryStreamUrl(item.id, true)}">
+                <i class="bi bi-download"></i>
+              </a>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+  section.style.display = '';
+
+  const player = document.getElementById('local-player');
+  container.querySelectorAll('.local-copy-play').forEach((button) => {
+    button.addEventListener('click', () => {
+      const item = items.find(entry => entry.id === button.dataset.id);
+      // Browsers only load WebVTT tracks - the backend converts SubRip and ASS
+      player.innerHTML = item.subtitles
+        .map(subtitle => `<track kind="subtitles" srclang="${subtitle.language}" label="${subtitle.language}" src="${api.getLibrarySubtitleUrl(item.id, subtitle.language)}">`)
+        .join('');
+      player.src = api.getLibraryStreamUrl(item.id);
+      container.querySelector('.local-player-container').style.display = '';
+      player.play().catch(() => {});
+    });
+  });
+}
+
 /**
  * Image Loading Queue with Priority, Throttling, and Memory Management
  * Limits concurrent image loads to improve performance and reduce RAM usage
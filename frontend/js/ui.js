@@ -202,6 +202,60 @@ function hasEnglishAudio(item) {
   return title.includes('[english]') || corner.includes('english');
 }
 
+// Subject IDs with local copies in the server's media library (filled by loadLibraryIndex)
+const downloadedSubjects = new Set();
+let libraryIndexRequest = null;
+
+/**
+ * Load the subjects with local copies once per page
+ * A backend without a library (or unreachable) just shows no badges
+ * @returns {Promise} Resolves when the index is loaded
+ */
+function loadLibraryIndex() {
+  if (!libraryIndexRequest) {
+    libraryIndexRequest = api.getLibrarySubjects()
+      .then((data) => {
+        (data.subjects || []).forEach(subject => downloadedSubjects.add(String(subject.subjectId)));
+      })
+      .catch((error) => {
+        console.warn('Library index not available:', error.message);
+      });
+  }
+  return libraryIndexRequest;
+}
+
+/**
+ * Check if a subject has a local copy on the server
+ * @param {string} subjectId - Movie/TV series ID
+ * @returns {boolean} True if downloaded
+ */
+function isDownloaded(subjectId) {
+  return downloadedSubjects.has(String(subjectId));
+}
+
+/**
+ * Create the "already downloaded" badge HTML
+ * @returns {string} HTML string
+ */
+function createDownloadedBadge() {
+  return `<span class="downloaded-badge" title="Already downloaded to the server">
+    <i class="bi bi-hdd-fill"></i> Local
+  </span>`;
+}
+
+/**
+ * Add the "already downloaded" badge to rendered movie cards once the library index is loaded
+ * @param {HTMLElement} container - Element containing movie cards
+ */
+function markDownloadedCards(container) {
+  loadLibraryIndex().then(() => {
+    container.querySelectorAll('.movie-card').forEach((card) => {
+      if (!isDownloaded(card.dataset.subjectId) || card.querySelector('.downloaded-badge')) return;
+      card.querySelector('.movie-card-image-wrapper')?.insertAdjacentHTML('beforeend', createDownloadedBadge());
+    });
+  });
+}
+
 /**
  * Create movie card HTML
  * @param {Object} item - Movie/TV series item
@@ -254,6 +308,7 @@ function createMovieCard(item) {
         ${hasEnglish ? `<span class="english-audio-badge">
           <i class="bi bi-volume-up-fill"></i> EN
         </span>` : ''}
+        ${isDownloaded(subjectId) ? createDownloadedBadge() : ''}
       </div>
       <div class="card-body">
         <h5 class="card-title movie-card-title">${title}</h5>
@@ -306,6 +361,9 @@ function renderMovieGrid(container, items) {
     });
   });
   
+  // Badge subjects that are already downloaded to the server
+  markDownloadedCards(container);
+  
   // Setup lazy loading for images
   setTimeout(() => {
     if (typeof setupLazyLoading === 'function') {
@@ -364,6 +422,9 @@ if (typeof window !== 'undefined') {
     formatNumber,
     createMovieCard,
     renderMovieGrid,
+    isDownloaded,
+    createDownloadedBadge,
+    markDownloadedCards,
     debounce,
     createSkeletons,
   };
@@ -0,0 +1,495 @@
+/**
+ * Watch Page
+ * Plays a movie or episode in the browser: streams from the play metadata go through the
+ * backend (/api/stream, range requests for seeking), captions are loaded as WebVTT tracks, and
+ * series get season/episode selectors and next-episode navigation
+ *
+ * Captions come from the play metadata when it lists them. Otherwise they need the download
+ * metadata, which counts against the download quota: it is only fetched when the subtitles
+ * menu is opened, once per episode.
+ */
+
+// Resolution picked last, reused for the next episode and the next visit
+const WATCH_QUALITY_KEY = 'watchQuality';
+
+// Current title and episode: { subjectId, detailPath, seasons, season, episode, loadId }
+const watchState = {
+  subjectId: null,
+  detailPath: null,
+  seasons: [],
+  season: 0,
+  episode: 0,
+  loadId: 0,
+};
+
+// Captions per episode ("<season>:<episode>" -> Promise of captions with a token)
+const captionCache = new Map();
+
+/**
+ * Get the season number of a season entry (same fields as renderTVSeriesControls)
+ * @param {Object} season - Season from the movie details
+ * @param {number} index - Position in the seasons array
+ * @returns {number} Season number
+ */
+function getSeasonNumber(season, index) {
+  return parseInt(season.season || season.se, 10) || index + 1;
+}
+
+/**
+ * Get the episode numbers of a season (same fields as renderTVSeriesControls)
+ * @param {Object} season - Season from the movie details
+ * @returns {number[]} Episode numbers
+ */
+function getSeasonEpisodes(season) {
+  if (season.episodeNumbers && season.episodeNumbers.length > 0) {
+    return season.episodeNumbers.map(Number);
+  }
+  const maxEp = season.maxEp || season.totalEpisodes || 0;
+  return Array.from({ length: maxEp }, (_, index) => index + 1);
+}
+
+/**
+ * Find the episode after the given one - the first episode of the next season after a season's last
+ * @param {Array} seasons - Seasons array
+ * @param {number} season - Current season
+ * @param {number} episode - Current episode
+ * @returns {Object|null} { season, episode } or null after the last episode
+ */
+function findNextEpisode(seasons, season, episode) {
+  const ordered = seasons
+    .map((entry, index) => ({ number: getSeasonNumber(entry, index), episodes: getSeasonEpisodes(entry) }))
+    .sort((a, b) => a.number - b.number);
+
+  const current = ordered.findIndex(entry => entry.number === season);
+  if (current === -1) return null;
+
+  const nextEpisode = ordered[current].episodes.find(number => number > episode);
+  if (nextEpisode) {
+    return { season, episode: nextEpisode };
+  }
+  const nextSeason = ordered.slice(current + 1).find(entry => entry.episodes.length > 0);
+  return nextSeason ? { season: nextSeason.number, episode: nextSeason.episodes[0] } : null;
+}
+
+/**
+ * Get the streams this browser can play, highest resolution first
+ * HLS streams need native HLS support (Safari); other streams play through /api/stream
+ * @param {Object} playData - Play metadata response
+ * @returns {Array} [{ resolution, src }]
+ */
+function getPlayableStreams(playData) {
+  const data = playData.data || playData;
+  const nativeHls = document.createElement('video').canPlayType('application/vnd.apple.mpegurl') !== '';
+
+  return (data.streams || [])
+    .filter(stream => stream.token)
+    .map((stream) => {
+      let src = api.getStreamUrl(stream.token);
+      if (stream.hlsUrl) {
+        src = nativeHls ? window.appConfig.buildApiUrl(stream.hlsUrl) : null;
+      }
+      return {
+        resolution: parseInt(stream.resolutions || stream.resolution, 10) || 0,
+        src,
+      };
+    })
+    .filter(stream => stream.src)
+    .sort((a, b) => b.resolution - a.resolution);
+}
+
+/**
+ * Play a stream, optionally from the current position (quality switch)
+ * @param {HTMLVideoElement} player - Video element
+ * @param {Object} stream - Stream from getPlayableStreams
+ * @param {boolean} keepPosition - Continue where the previous stream was
+ */
+function playStream(player, stream, keepPosition = false) {
+  const position = keepPosition ? player.currentTime : 0;
+  const resume = !keepPosition || !player.paused;
+
+  player.src = stream.src;
+  if (position > 0) {
+    player.addEventListener('loadedmetadata', () => {
+      player.currentTime = position;
+    }, { once: true });
+  }
+  if (resume) {
+    // Autoplay may be blocked until the user interacts with the page
+    player.play().catch(() => {});
+  }
+}
+
+/**
+ * Render the quality switcher
+ * @param {HTMLVideoElement} player - Video element
+ * @param {Array} streams - Streams from getPlayableStreams
+ * @param {Object} selected - Stream playing now
+ */
+function renderWatchQualityButtons(player, streams, selected) {
+  const container = document.getElementById('watch-quality-buttons');
+  if (!container) return;
+
+  container.innerHTML = streams.map(stream => `
+    <button type="button" class="quality-btn${stream === selected ? ' active' : ''}" data-resolution="${stream.resolution}">
+      ${stream.resolution ? `${stream.resolution}p` : 'Auto'}
+    </button>
+  `).join('');
+
+  container.querySelectorAll('.quality-btn').forEach((button, index) => {
+    button.addEventListener('click', () => {
+      if (button.classList.contains('active')) return;
+      container.querySelectorAll('.quality-btn').forEach(other => other.classList.remove('active'));
+      button.classList.add('active');
+      localStorage.setItem(WATCH_QUALITY_KEY, button.dataset.resolution);
+      playStream(player, streams[index], true);
+    });
+  });
+}
+
+/**
+ * Replace the caption tracks (WebVTT converted by the backend)
+ * @param {HTMLVideoElement} player - Video element
+ * @param {Array} captions - Captions with a token
+ */
+function setCaptionTracks(player, captions) {
+  player.querySelectorAll('track').forEach(track => track.remove());
+
+  captions.forEach((caption) => {
+    const track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.label = caption.lanName || caption.lan;
+    track.srclang = caption.lan || '';
+    track.src = api.getSubtitleTrackUrl(caption.token);
+    player.appendChild(track);
+  });
+}
+
+/**
+ * Get the captions of an episode (cached per episode)
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {Promise<Array>} Captions with a token
+ */
+function loadEpisodeCaptions(season, episode) {
+  const key = `${season}:${episode}`;
+  if (!captionCache.has(key)) {
+    const { subjectId, detailPath } = watchState;
+    const request = api.getDownloadMetadata(subjectId, detailPath, season, episode)
+      .then(data => (data?.captions || []).filter(caption => caption.token))
+      .catch((error) => {
+        // Try again the next time the menu opens
+        captionCache.delete(key);
+        throw error;
+      });
+    captionCache.set(key, request);
+  }
+  return captionCache.get(key);
+}
+
+/**
+ * Show one caption track and hide the others
+ * @param {HTMLVideoElement} player - Video element
+ * @param {number} index - Track index (-1 for none)
+ */
+function showCaptionTrack(player, index) {
+  Array.from(player.textTracks).forEach((track, trackIndex) => {
+    track.mode = trackIndex === index ? 'showing' : 'disabled';
+  });
+}
+
+/**
+ * Open or close the subtitles menu
+ * Loads the captions of the playing episode on first use and lists them with an "Off" entry
+ */
+async function toggleCaptionsMenu() {
+  const player = document.getElementById('watch-player');
+  const menu = document.getElementById('watch-captions-menu');
+  if (!player || !menu) return;
+
+  if (!menu.hidden) {
+    menu.hidden = true;
+    return;
+  }
+  menu.hidden = false;
+
+  const { season, episode, loadId } = watchState;
+  const key = `${season}:${episode}`;
+  menu.innerHTML = '<span class="watch-status">Loading subtitles...</span>';
+
+  let captions;
+  try {
+    captions = await loadEpisodeCaptions(season, episode);
+  } catch (error) {
+    console.warn('Captions not available:', error.message);
+    if (loadId === watchState.loadId) {
+      menu.innerHTML = '<span class="watch-status">Subtitles are not available right now.</span>';
+    }
+    return;
+  }
+  // Another episode was picked while the captions loaded
+  if (loadId !== watchState.loadId) return;
+
+  if (player.dataset.captions !== key) {
+    setCaptionTracks(player, captions);
+    player.dataset.captions = key;
+  }
+  if (captions.length === 0) {
+    menu.innerHTML = '<span class="watch-status">No subtitles for this title.</span>';
+    return;
+  }
+
+  const showing = Array.from(player.textTracks).findIndex(track => track.mode === 'showing');
+  menu.innerHTML = '';
+  ['Off', ...captions.map(caption => caption.lanName || caption.lan)].forEach((label, index) => {
+    // Language names come from upstream - set as text
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `quality-btn${index - 1 === showing ? ' active' : ''}`;
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      menu.querySelectorAll('.quality-btn').forEach(other => other.classList.remove('active'));
+      button.classList.add('active');
+      showCaptionTrack(player, index - 1);
+    });
+    menu.appendChild(button);
+  });
+}
+
+/**
+ * Load and play an episode (season and episode 0 for movies)
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ */
+async function loadWatchEpisode(season, episode) {
+  const player = document.getElementById('watch-player');
+  const status = document.getElementById('watch-status');
+  const nextButton = document.getElementById('next-episode-btn');
+  if (!player || !status) return;
+
+  const { subjectId, detailPath } = watchState;
+  const loadId = ++watchState.loadId;
+  watchState.season = season;
+  watchState.episode = episode;
+
+  // Keep the episode in the address bar so a reload or shared link opens it
+  const params = new URLSearchParams({ id: subjectId, path: detailPath });
+  if (episode > 0) {
+    params.set('se', season);
+    params.set('ep', episode);
+  }
+  window.history.replaceState(null, '', `watch.html?${params.toString()}`);
+
+  const episodeLabel = document.getElementById('watch-episode-label');
+  if (episodeLabel) {
+    episodeLabel.textContent = episode > 0
+      ? `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`
+      : '';
+  }
+  if (nextButton) {
+    nextButton.disabled = !findNextEpisode(watchState.seasons, season, episode);
+  }
+  status.textContent = 'Loading stream...';
+
+  // Captions of the previous episode
+  setCaptionTracks(player, []);
+  delete player.dataset.captions;
+  const captionsMenu = document.getElementById('watch-captions-menu');
+  if (captionsMenu) {
+    captionsMenu.hidden = true;
+  }
+
+  let playData;
+  try {
+    playData = await api.getPlayMetadata(subjectId, detailPath, season, episode);
+  } catch (error) {
+    if (loadId !== watchState.loadId) return;
+    console.error('Error loading play metadata:', error);
+    status.textContent = 'Could not load this stream. Please try again later.';
+    ui.showToast('Failed to load stream', 'error');
+    return;
+  }
+  // A newer episode was picked while this one loaded
+  if (loadId !== watchState.loadId) return;
+
+  // Captions listed with the streams need no download metadata
+  const playCaptions = (playData.data || playData).captions;
+  if (Array.isArray(playCaptions) && playCaptions.some(caption => caption.token)) {
+    const captions = playCaptions.filter(caption => caption.token);
+    captionCache.set(`${season}:${episode}`, Promise.resolve(captions));
+    setCaptionTracks(player, captions);
+    player.dataset.captions = `${season}:${episode}`;
+  }
+
+  const streams = getPlayableStreams(playData);
+  if (streams.length === 0) {
+    player.removeAttribute('src');
+    player.load();
+    status.textContent = 'No playable stream is available for this title.';
+    renderWatchQualityButtons(player, [], null);
+    return;
+  }
+
+  const preferred = parseInt(localStorage.getItem(WATCH_QUALITY_KEY), 10);
+  const selected = streams.find(stream => stream.resolution === preferred) || streams[0];
+
+  status.textContent = '';
+  renderWatchQualityButtons(player, streams, selected);
+  playStream(player, selected);
+}
+
+/**
+ * Go to the next episode through the season/episode selectors
+ * (their change handlers load it, so the selectors always match what plays)
+ */
+function playNextEpisode() {
+  const next = findNextEpisode(watchState.seasons, watchState.season, watchState.episode);
+  if (!next) return;
+
+  const seasonSelector = document.getElementById('season-selector');
+  const episodeSelector = document.getElementById('episode-selector');
+  if (next.season !== watchState.season) {
+    seasonSelector.value = next.season;
+    seasonSelector.dispatchEvent(new Event('change'));
+  } else {
+    episodeSelector.value = next.episode;
+    episodeSelector.dispatchEvent(new Event('change'));
+  }
+}
+
+/**
+ * Set up the season/episode selectors for a series
+ * @param {Array} seasons - Seasons array
+ * @param {number} season - Season to select
+ * @param {number} episode - Episode to select
+ */
+function initWatchEpisodeControls(seasons, season, episode) {
+  const seasonSelector = document.getElementById('season-selector');
+  const episodeSelector = document.getElementById('episode-selector');
+  const nextButton = document.getElementById('next-episode-btn');
+  if (!seasonSelector || !episodeSelector) return;
+
+  // Fills the episode dropdown on season change (registered first, so it runs first)
+  updateEpisodeDropdown(seasons);
+  if (String(season) !== seasonSelector.value) {
+    seasonSelector.value = season;
+    seasonSelector.dispatchEvent(new Event('change'));
+  }
+  episodeSelector.value = episode;
+
+  seasonSelector.addEventListener('change', () => {
+    loadWatchEpisode(parseInt(seasonSelector.value, 10) || 0, parseInt(episodeSelector.value, 10) || 0);
+  });
+  episodeSelector.addEventListener('change', () => {
+    loadWatchEpisode(parseInt(seasonSelector.value, 10) || 0, parseInt(episodeSelector.value, 10) || 0);
+  });
+  if (nextButton) {
+    nextButton.addEventListener('click', playNextEpisode);
+  }
+}
+
+/**
+ * Initialize the watch page
+ */
+async function initWatchPage() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const subjectId = urlParams.get('id');
+  const detailPath = urlParams.get('path');
+
+  if (!subjectId || !detailPath) {
+    ui.showToast('Invalid movie ID or path', 'error');
+    setTimeout(() => {
+      window.location.href = 'index.html';
+    }, 2000);
+    return;
+  }
+
+  const container = document.getElementById('watch-page');
+  if (!container) return;
+
+  ui.showLoading(container, 'detail');
+
+  let movieData;
+  try {
+    movieData = await api.getMovieDetails(subjectId, detailPath);
+  } catch (error) {
+    console.error('Error loading movie details:', error);
+    window.location.href = '404.html';
+    return;
+  }
+
+  const resData = movieData.resData || movieData;
+  const title = resData.metadata?.title || resData.subject?.title || 'Unknown';
+  const seasons = resData.resource?.seasons || [];
+  const isTVSeries = seasons.length > 0;
+
+  // Series open on the requested episode, or the first episode of the first season
+  let season = parseInt(urlParams.get('se'), 10) || 0;
+  let episode = parseInt(urlParams.get('ep'), 10) || 0;
+  if (isTVSeries && episode === 0) {
+    season = getSeasonNumber(seasons[0], 0);
+    episode = getSeasonEpisodes(seasons[0])[0] || 1;
+  }
+  if (!isTVSeries) {
+    season = 0;
+    episode = 0;
+  }
+
+  Object.assign(watchState, { subjectId, detailPath, seasons });
+  document.title = `${title} - Watch - Emnexmovies`;
+
+  const detailUrl = `movie-detail.html?id=${encodeURIComponent(subjectId)}&path=${encodeURIComponent(detailPath)}`;
+  container.innerHTML = `
+    <div class="container watch-container">
+      <div class="watch-header">
+        <a class="btn btn-sm btn-outline-light" href="${detailUrl}">
+          <i class="bi bi-arrow-left"></i> Details
+        </a>
+        <h1 class="watch-title">${title} <span id="watch-episode-label" class="movie-year"></span></h1>
+      </div>
+
+      <div class="trailer-container watch-player-container">
+        <video id="watch-player" class="trailer-video watch-video" controls preload="metadata" crossorigin="anonymous"></video>
+      </div>
+      <div id="watch-status" class="watch-status"></div>
+
+      <div class="watch-controls">
+        <div class="quality-selector-container">
+          <label class="form-label">
+            <i class="bi bi-hd"></i> Quality
+          </label>
+          <div id="watch-quality-buttons" class="quality-buttons"></div>
+        </div>
+        <div class="quality-selector-container">
+          <button type="button" id="watch-captions-btn" class="quality-btn">
+            <i class="bi bi-badge-cc"></i> Subtitles
+          </button>
+          <div id="watch-captions-menu" class="quality-buttons watch-captions-menu" hidden></div>
+        </div>
+        ${isTVSeries ? `
+          ${renderTVSeriesControls(seasons)}
+          <button id="next-episode-btn" class="btn btn-primary next-episode-btn">
+            <i class="bi bi-skip-forward-fill"></i> Next Episode
+          </button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+
+  document.getElementById('watch-captions-btn').addEventListener('click', toggleCaptionsMenu);
+
+  if (isTVSeries) {
+    initWatchEpisodeControls(seasons, season, episode);
+    // Continue with the next episode when one ends
+    document.getElementById('watch-player').addEventListener('ended', playNextEpisode);
+  }
+
+  loadWatchEpisode(season, episode);
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.watchModule = {
+    initWatchPage,
+    findNextEpisode,
+  };
+}